@@ -22,6 +22,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     await db.init();
     console.log('Database initialized');
     
+    // Purge posts that stayed in the trash longer than the retention period, a failed purge is retried on the next start
+    const purged = await db.purgeExpiredTrash().catch(() => 0);
+    
+    if (purged > 0) {
+      console.log(`Purged ${purged} post${purged !== 1 ? 's' : ''} from the trash`);
+    }
+    
     // Initialize authentication
     await auth.init();
     console.log('Authentication initialized');
@@ -104,6 +111,20 @@ function setupEventListeners() {
     toast.warning('You are offline. Changes will be synced when you reconnect.');
   });
   
+  // Sync the library of whoever is signed in
+  auth.onAuthStateChange((user) => {
+    db.setCurrentUser(user);
+  });
+  
+  // Changes pushed by the service worker while the app was offline or closed
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === 'sync-complete' && event.data.pushed > 0) {
+        toast.success('Offline changes synced');
+      }
+    });
+  }
+
   // Handle visibility change (for refreshing embeds when tab becomes visible)
   document.addEventListener('visibilitychange', () => {
     if (document.visibilityState === 'visible') {
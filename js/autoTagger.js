@@ -0,0 +1,189 @@
+/**
+ * Auto-tagging module for Boardie application
+ * Matches posts against user-defined rules that add tags or put posts on a board
+ */
+class AutoTagger {
+  constructor() {
+    // Conditions a rule can set; a rule matches when all the conditions it sets match
+    this.conditionFields = ['platform', 'domain', 'urlPattern', 'twitterUser'];
+  }
+
+  /**
+   * Tidy a domain typed by the user
+   * @param {string} domain - Domain or URL, e.g. "https://www.Example.com/path"
+   * @returns {string} Lowercase host without www, e.g. "example.com"
+   */
+  normalizeDomain(domain) {
+    return String(domain || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[\/?#].*$/, '')
+      .replace(/^www\./, '');
+  }
+
+  /**
+   * Tidy a Twitter username typed by the user
+   * @param {string} username - Username, with or without the @
+   * @returns {string} Lowercase username without the @
+   */
+  normalizeTwitterUser(username) {
+    return String(username || '').trim().replace(/^@/, '').toLowerCase();
+  }
+
+  /**
+   * Get the domain of a post URL
+   * @param {string} url - Post URL
+   * @returns {string} Lowercase host without www, or an empty string if the URL doesn't parse
+   */
+  getDomain(url) {
+    try {
+      return this.normalizeDomain(new URL(url).hostname);
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Get the author of a tweet from its URL
+   * @param {string} url - Post URL
+   * @returns {string} Lowercase username, or an empty string for other URLs
+   */
+  getTwitterUser(url) {
+    const match = String(url || '').match(CONFIG.platforms.twitter.pattern);
+    return match ? match[1].toLowerCase() : '';
+  }
+
+  /**
+   * Compile the URL pattern of a rule
+   * @param {string} pattern - Regular expression source, matched ignoring case
+   * @returns {RegExp} Compiled pattern
+   * @throws {Error} If the pattern isn't a valid regular expression
+   */
+  compilePattern(pattern) {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid URL pattern: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a rule sets at least one condition
+   * @param {Object} rule - Tag rule
+   * @returns {boolean} True if the rule has a condition
+   */
+  hasConditions(rule) {
+    return this.conditionFields.some(field => !!rule[field]);
+  }
+
+  /**
+   * Check whether a rule does anything when it matches
+   * @param {Object} rule - Tag rule
+   * @returns {boolean} True if the rule adds tags or assigns a board
+   */
+  hasActions(rule) {
+    return rule.tags.length > 0 || !!rule.boardId;
+  }
+
+  /**
+   * Check whether a post matches a rule
+   * A rule without conditions never matches, so it can't tag every post by accident
+   * @param {Object} rule - Tag rule
+   * @param {Object} post - Post
+   * @returns {boolean} True if every condition of the rule matches
+   */
+  matches(rule, post) {
+    if (!this.hasConditions(rule)) return false;
+    
+    if (rule.platform && post.platform !== rule.platform) return false;
+    
+    if (rule.domain) {
+      const domain = this.getDomain(post.url);
+      
+      // Subdomains match too, e.g. a rule for github.com matches gist.github.com
+      if (domain !== rule.domain && !domain.endsWith('.' + rule.domain)) return false;
+    }
+    
+    if (rule.urlPattern) {
+      try {
+        if (!this.compilePattern(rule.urlPattern).test(post.url)) return false;
+      } catch (error) {
+        return false;
+      }
+    }
+    
+    if (rule.twitterUser && this.getTwitterUser(post.url) !== rule.twitterUser) return false;
+    
+    return true;
+  }
+
+  /**
+   * Get what the enabled rules matching a post would add to it
+   * @param {Array<Object>} rules - Tag rules
+   * @param {Object} post - Post
+   * @returns {Object} Tags and board IDs the post doesn't have yet
+   */
+  apply(rules, post) {
+    const postTags = post.tags || [];
+    const tags = [];
+    const boardIds = [];
+    
+    for (const rule of rules) {
+      if (rule.enabled === false || !this.matches(rule, post)) continue;
+      
+      for (const tag of rule.tags) {
+        if (!postTags.includes(tag) && !tags.includes(tag)) {
+          tags.push(tag);
+        }
+      }
+      
+      if (rule.boardId && !boardIds.includes(rule.boardId)) {
+        boardIds.push(rule.boardId);
+      }
+    }
+    
+    return { tags, boardIds };
+  }
+
+  /**
+   * Describe the conditions and actions of a rule
+   * @param {Object} rule - Tag rule
+   * @param {Array<Object>} boards - Boards, to name the assigned board
+   * @returns {string} Description, e.g. "Domain is github.com → tags dev, code"
+   */
+  describe(rule, boards = []) {
+    const conditions = [];
+    const actions = [];
+    
+    if (rule.platform) {
+      conditions.push(`Platform is ${CONFIG.platforms[rule.platform] ? CONFIG.platforms[rule.platform].name : rule.platform}`);
+    }
+    
+    if (rule.domain) {
+      conditions.push(`Domain is ${rule.domain}`);
+    }
+    
+    if (rule.urlPattern) {
+      conditions.push(`URL matches /${rule.urlPattern}/`);
+    }
+    
+    if (rule.twitterUser) {
+      conditions.push(`Twitter user is @${rule.twitterUser}`);
+    }
+    
+    if (rule.tags.length > 0) {
+      actions.push(`tags ${rule.tags.join(', ')}`);
+    }
+    
+    if (rule.boardId) {
+      const board = boards.find(b => b.id === rule.boardId);
+      actions.push(`board ${board ? board.title : '(deleted board)'}`);
+    }
+    
+    return `${conditions.join(' and ')} → ${actions.join(' and ')}`;
+  }
+}
+
+// Create and export a singleton instance
+const autoTagger = new AutoTagger();
@@ -20,11 +20,23 @@ const CONFIG = {
   // Local storage keys
   storage: {
     dbName: 'boardie-db',
-    dbVersion: 1,
+    get dbVersion() { // Latest version registered in js/migrations.js, which loads after this file
+      return migrations.latestVersion;
+    },
     postsStore: 'posts',
     tagsStore: 'tags',
     settingsStore: 'settings',
+    outboxStore: 'outbox', // Local mutations waiting to be pushed to Supabase
+    conflictsStore: 'conflicts', // Posts changed on this device and elsewhere since the last sync
+    boardsStore: 'boards', // Named collections of posts
+    searchIndexStore: 'searchIndex', // Words of each post, for full-text search
+    smartViewsStore: 'smartViews', // Saved searches with their tag filters, sort and platform
+    tagMetaStore: 'tagMeta', // Color, icon, description and pinned flag of tags
+    tagRulesStore: 'tagRules', // Rules that tag new posts or put them on a board
+    revisionsStore: 'revisions', // Versions of each post as they were saved, kept on this device only
     fallbackKey: 'boardie-data', // Used if IndexedDB is not available
+    deviceKey: 'boardie-device', // ID and name of this device, stamped on the revisions it records
+    exportSchemaVersion: 5, // Version of the JSON backup format written by exportLibrary
   },
   
   // UI settings
@@ -35,30 +47,79 @@ const CONFIG = {
     animationDuration: 300, // ms
     debounceDelay: 300, // ms for search and filter operations
     maxTagsDisplayed: 5, // Maximum number of tags to display on a post card
+    tagSuggestionLimit: 8, // Existing tags offered while typing a tag
+    tagColors: ['#ef4444', '#f97316', '#eab308', '#22c55e', '#14b8a6', '#3b82f6', '#8b5cf6', '#ec4899', '#6b7280'], // Palette offered for tags
+    undoLimit: 50, // Changes kept in the undo history
+    undoToastDuration: 6000, // ms the Undo button stays on a toast
+    positionStep: 1024, // Gap between manual positions when they are renumbered
+    minPositionGap: 1e-6, // Positions of neighbouring posts closer than this are renumbered before a post is moved between them
+  },
+  
+  // Sync settings
+  sync: {
+    retryBaseDelay: 2000, // ms before retrying a failed outbox entry, doubled on every attempt
+    retryMaxDelay: 300000, // ms cap for the retry delay
+    maxAttempts: 10, // Entries failing this often are parked until the user retries or discards them
+    batchSize: 200, // Outbox entries pushed in a single upsert
+    pageSize: 1000, // Rows fetched per request when pulling changes
+    cursorOverlap: 60000, // ms to look back from the last sync, covers devices with a slightly wrong clock
+    keyLookupLimit: 50, // Pulled rows merged by looking up only their own posts, more read the whole library
+  },
+  
+  // Feature flags
+  features: {
+    realtime: true, // Apply changes from other devices as they happen, needs the posts table in the supabase_realtime publication
+  },
+  
+  // Link metadata (unfurl) settings for website embeds
+  unfurl: {
+    provider: 'proxy', // 'proxy' fetches pages through proxyUrl, 'stub' serves canned pages for offline testing
+    proxyUrl: '', // CORS proxy endpoint, the target URL is appended URL-encoded (e.g. 'https://proxy.example.com/?url=')
+    timeout: 8000, // ms before a metadata request is abandoned
+  },
+  
+  // Trash settings
+  trash: {
+    retentionDays: 30, // Days a deleted post stays in the trash before it is purged on startup
+  },
+  
+  // Revision history of posts
+  revisions: {
+    maxPerPost: 50, // Versions kept per post, the oldest are dropped first
+  },
+  
+  // URL canonicalization, so equivalent links are recognized as the same post
+  urls: {
+    trackingParams: [/^utm_/, /^mc_/, 'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'igsh', 'si', 'ref_src', 'ref_url', '_hsenc', '_hsmi', 'mkt_tok'], // Query parameters dropped from canonical URLs, names or patterns
+    mobileHostPrefixes: ['www.', 'm.', 'mobile.'], // Host prefixes dropped from canonical URLs
   },
   
   // Platform detection patterns
   platforms: {
     twitter: {
       pattern: /(?:twitter\.com|x\.com)\/(?:#!\/)?(\w+)\/status(?:es)?\/(\d+)/i,
+      canonicalUrl: 'https://x.com/i/status/{2}', // {n} is replaced by the nth group of the pattern
       name: 'Twitter/X',
       color: '#1DA1F2',
       icon: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" class="w-5 h-5"><path fill="currentColor" d="M23.643 4.937c-.835.37-1.732.62-2.675.733.962-.576 1.7-1.49 2.048-2.578-.9.534-1.897.922-2.958 1.13-.85-.904-2.06-1.47-3.4-1.47-2.572 0-4.658 2.086-4.658 4.66 0 .364.042.718.12 1.06-3.873-.195-7.304-2.05-9.602-4.868-.4.69-.63 1.49-.63 2.342 0 1.616.823 3.043 2.072 3.878-.764-.025-1.482-.234-2.11-.583v.06c0 2.257 1.605 4.14 3.737 4.568-.392.106-.803.162-1.227.162-.3 0-.593-.028-.877-.082.593 1.85 2.313 3.198 4.352 3.234-1.595 1.25-3.604 1.995-5.786 1.995-.376 0-.747-.022-1.112-.065 2.062 1.323 4.51 2.093 7.14 2.093 8.57 0 13.255-7.098 13.255-13.254 0-.2-.005-.402-.014-.602.91-.658 1.7-1.477 2.323-2.41z"/></svg>',
     },
     instagram: {
       pattern: /(?:instagram\.com|instagr\.am)\/(?:p|reel)\/([a-zA-Z0-9_-]+)/i,
+      canonicalUrl: 'https://www.instagram.com/p/{1}/',
       name: 'Instagram',
       color: '#E1306C',
       icon: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" class="w-5 h-5"><path fill="currentColor" d="M12 2.163c3.204 0 3.584.012 4.85.07 3.252.148 4.771 1.691 4.919 4.919.058 1.265.069 1.645.069 4.849 0 3.205-.012 3.584-.069 4.849-.149 3.225-1.664 4.771-4.919 4.919-1.266.058-1.644.07-4.85.07-3.204 0-3.584-.012-4.849-.07-3.26-.149-4.771-1.699-4.919-4.92-.058-1.265-.07-1.644-.07-4.849 0-3.204.013-3.583.07-4.849.149-3.227 1.664-4.771 4.919-4.919 1.266-.057 1.645-.069 4.849-.069zM12 0C8.741 0 8.333.014 7.053.072 2.695.272.273 2.69.073 7.052.014 8.333 0 8.741 0 12c0 3.259.014 3.668.072 4.948.2 4.358 2.618 6.78 6.98 6.98C8.333 23.986 8.741 24 12 24c3.259 0 3.668-.014 4.948-.072 4.354-.2 6.782-2.618 6.979-6.98.059-1.28.073-1.689.073-4.948 0-3.259-.014-3.667-.072-4.947-.196-4.354-2.617-6.78-6.979-6.98C15.668.014 15.259 0 12 0zm0 5.838a6.162 6.162 0 100 12.324 6.162 6.162 0 000-12.324zM12 16a4 4 0 110-8 4 4 0 010 8zm6.406-11.845a1.44 1.44 0 100 2.881 1.44 1.44 0 000-2.881z"/></svg>',
     },
     youtube: {
       pattern: /(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/i,
+      canonicalUrl: 'https://www.youtube.com/watch?v={1}',
       name: 'YouTube',
       color: '#FF0000',
       icon: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" class="w-5 h-5"><path fill="currentColor" d="M23.498 6.186a3.016 3.016 0 0 0-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 0 0 .502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 0 0 2.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 0 0 2.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814zM9.545 15.568V8.432L15.818 12l-6.273 3.568z"/></svg>',
     },
     linkedin: {
       pattern: /linkedin\.com\/(?:posts|feed\/update)\/(?:urn:li:activity:)?(\d+)/i,
+      canonicalUrl: 'https://www.linkedin.com/feed/update/urn:li:activity:{1}/',
       name: 'LinkedIn',
       color: '#0077B5',
       icon: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" class="w-5 h-5"><path fill="currentColor" d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433a2.062 2.062 0 0 1-2.063-2.065 2.064 2.064 0 1 1 2.063 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/></svg>',
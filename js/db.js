@@ -10,7 +10,25 @@ class BoardieDB {
     this.pendingOperations = [];
     this.supabaseClient = null;
     this.isOnline = navigator.onLine;
-    this.syncQueue = [];
+    this.isSyncing = false;
+    
+    // Outbox draining state
+    this.isProcessingOutbox = false;
+    this.outboxRerun = false;
+    this.outboxRetryTimer = null;
+    
+    // Realtime subscription to changes made on other devices
+    this.realtimeChannel = null;
+    this.realtimeQueue = Promise.resolve();
+    
+    // Tables synced as whole records, where fields changed on both sides take the newest version.
+    // Each has an object store, a key in the localStorage fallback data and an event fired after a sync.
+    this.recordTables = {
+      boards: { storeName: CONFIG.storage.boardsStore, dataKey: 'boards', event: 'sync:boards' },
+      smart_views: { storeName: CONFIG.storage.smartViewsStore, dataKey: 'smartViews', event: 'sync:smartViews' },
+      tag_meta: { storeName: CONFIG.storage.tagMetaStore, dataKey: 'tagMeta', event: 'sync:tagMeta' },
+      tag_rules: { storeName: CONFIG.storage.tagRulesStore, dataKey: 'tagRules', event: 'sync:tagRules' }
+    };
     
     // Listen for online/offline events
     window.addEventListener('online', () => this.handleOnlineStatusChange(true));
@@ -35,6 +53,11 @@ class BoardieDB {
         // Check if user is authenticated
         const { data: { user } } = await this.supabaseClient.auth.getUser();
         this.currentUser = user;
+        
+        // Keep the session where the service worker can use it for background sync
+        this.supabaseClient.auth.onAuthStateChange((event, session) => {
+          this.saveSyncSession(session);
+        });
       }
       
       if (this.isIndexedDBSupported) {
@@ -51,6 +74,12 @@ class BoardieDB {
             this.db = event.target.result;
             this.isInitialized = true;
             
+            // Let a newer version in another tab upgrade the schema
+            this.db.onversionchange = () => {
+              this.db.close();
+              console.warn('Database was upgraded in another tab, reload to continue');
+            };
+            
             // Process any pending operations
             this.processPendingOperations();
             
@@ -59,29 +88,18 @@ class BoardieDB {
               this.syncWithSupabase();
             }
             
+            this.subscribeToRealtime();
+            
             resolve();
           };
           
           request.onupgradeneeded = (event) => {
-            const db = event.target.result;
-            
-            // Create object stores if they don't exist
-            if (!db.objectStoreNames.contains(CONFIG.storage.postsStore)) {
-              const postsStore = db.createObjectStore(CONFIG.storage.postsStore, { keyPath: 'id' });
-              postsStore.createIndex('url', 'url', { unique: true });
-              postsStore.createIndex('platform', 'platform', { unique: false });
-              postsStore.createIndex('dateAdded', 'dateAdded', { unique: false });
-              postsStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
-            }
-            
-            if (!db.objectStoreNames.contains(CONFIG.storage.tagsStore)) {
-              const tagsStore = db.createObjectStore(CONFIG.storage.tagsStore, { keyPath: 'name' });
-              tagsStore.createIndex('count', 'count', { unique: false });
-            }
-            
-            if (!db.objectStoreNames.contains(CONFIG.storage.settingsStore)) {
-              db.createObjectStore(CONFIG.storage.settingsStore, { keyPath: 'key' });
-            }
+            // Run every migration step between the stored and the requested version
+            migrations.upgrade(event.target.result, event.target.transaction, event.oldVersion, event.newVersion);
+          };
+          
+          request.onblocked = () => {
+            console.warn('Database upgrade is blocked by another open tab');
           };
         });
       } else {
@@ -108,8 +126,25 @@ class BoardieDB {
       localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify({
         posts: [],
         tags: [],
-        settings: {}
+        settings: {},
+        outbox: [],
+        outboxSeq: 0,
+        conflicts: [],
+        boards: [],
+        smartViews: [],
+        tagMeta: [],
+        tagRules: [],
+        revisions: [],
+        revisionSeq: 0,
+        schemaVersion: migrations.latestVersion
       }));
+    } else {
+      // Bring data saved by an older version up to date
+      const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+      
+      if (migrations.upgradeFallback(data)) {
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+      }
     }
     
     // Process any pending operations
@@ -140,709 +175,4957 @@ class BoardieDB {
   }
 
   /**
-   * Sync local data with Supabase
+   * Switch the user whose library is synced
+   * @param {Object|null} user - Signed in user, or null after signing out
    */
-  async syncWithSupabase() {
-    if (!this.supabaseClient || !this.currentUser) return;
+  setCurrentUser(user) {
+    const previousId = this.currentUser ? this.currentUser.id : null;
+    this.currentUser = user;
     
-    try {
-      // Process sync queue first
-      while (this.syncQueue.length > 0) {
-        const { action, data } = this.syncQueue.shift();
-        
-        switch (action) {
-          case 'add':
-            await this.supabaseClient.from('posts').insert(data);
-            break;
-          case 'update':
-            await this.supabaseClient.from('posts').update(data).eq('id', data.id);
-            break;
-          case 'delete':
-            await this.supabaseClient.from('posts').delete().eq('id', data.id);
-            break;
-        }
-      }
-      
-      // Fetch remote data and merge with local
-      const { data: remotePosts, error } = await this.supabaseClient
-        .from('posts')
-        .select('*')
-        .eq('user_id', this.currentUser.id);
-      
-      if (error) throw error;
-      
-      // Get local posts
-      const localPosts = await this.getAllPosts();
-      
-      // Merge remote and local posts
-      for (const remotePost of remotePosts) {
-        const localPost = localPosts.find(p => p.id === remotePost.id);
-        
-        if (!localPost) {
-          // Remote post doesn't exist locally, add it
-          await this.addPost(remotePost, false);
-        } else if (remotePost.updatedAt > localPost.updatedAt) {
-          // Remote post is newer, update local
-          await this.updatePost(remotePost, false);
-        }
-      }
+    if ((user ? user.id : null) === previousId) return;
+    
+    this.unsubscribeFromRealtime();
+    
+    if (user && this.isInitialized) {
+      this.subscribeToRealtime();
       
-      // Push local posts that don't exist remotely
-      for (const localPost of localPosts) {
-        const remotePost = remotePosts.find(p => p.id === localPost.id);
-        
-        if (!remotePost) {
-          // Local post doesn't exist remotely, push it
-          await this.supabaseClient.from('posts').insert({
-            ...localPost,
-            user_id: this.currentUser.id
-          });
-        }
+      if (this.isOnline) {
+        this.syncWithSupabase();
       }
-    } catch (error) {
-      console.error('Error syncing with Supabase:', error);
     }
   }
 
   /**
-   * Add a post to the database
-   * @param {Object} post - The post to add
-   * @param {boolean} sync - Whether to sync with Supabase
-   * @returns {Promise<Object>} The added post
+   * Subscribe to changes made to the current user's posts, boards and smart views on other devices
    */
-  async addPost(post, sync = true) {
-    if (!this.isInitialized) {
-      return new Promise((resolve) => {
-        this.pendingOperations.push(() => {
-          this.addPost(post, sync).then(resolve);
-        });
-      });
-    }
+  subscribeToRealtime() {
+    if (!CONFIG.features.realtime || !this.supabaseClient || !this.currentUser || this.realtimeChannel) return;
     
-    // Generate ID if not provided
-    if (!post.id) {
-      post.id = crypto.randomUUID();
-    }
+    const filter = `user_id=eq.${this.currentUser.id}`;
     
-    // Set timestamps
-    const now = new Date().toISOString();
-    post.dateAdded = post.dateAdded || now;
-    post.updatedAt = now;
+    // Apply changes one at a time, in the order they arrive
+    const enqueue = (payload) => {
+      this.realtimeQueue = this.realtimeQueue.then(() => this.handleRealtimeChange(payload));
+    };
     
-    try {
-      if (this.isIndexedDBSupported) {
-        return new Promise((resolve, reject) => {
-          const transaction = this.db.transaction([CONFIG.storage.postsStore, CONFIG.storage.tagsStore], 'readwrite');
-          const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
-          const tagsStore = transaction.objectStore(CONFIG.storage.tagsStore);
-          
-          // Add post
-          const postRequest = postsStore.add(post);
-          
-          postRequest.onsuccess = () => {
-            // Update tag counts
-            if (post.tags && post.tags.length > 0) {
-              for (const tag of post.tags) {
-                const tagRequest = tagsStore.get(tag);
-                
-                tagRequest.onsuccess = () => {
-                  const tagData = tagRequest.result || { name: tag, count: 0 };
-                  tagData.count++;
-                  tagsStore.put(tagData);
-                };
-              }
-            }
-            
-            // Queue for sync with Supabase if online and authenticated
-            if (sync && this.isOnline && this.currentUser) {
-              this.syncQueue.push({ action: 'add', data: { ...post, user_id: this.currentUser.id } });
-              this.syncWithSupabase();
-            }
-            
-            resolve(post);
-          };
-          
-          postRequest.onerror = (event) => {
-            reject(event.target.error);
-          };
-        });
-      } else {
-        // Use localStorage
-        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
-        
-        // Check for duplicate URL
-        const existingIndex = data.posts.findIndex(p => p.url === post.url);
-        if (existingIndex >= 0) {
-          throw new Error('Post with this URL already exists');
-        }
-        
-        data.posts.push(post);
-        
-        // Update tag counts
-        if (post.tags && post.tags.length > 0) {
-          for (const tag of post.tags) {
-            const tagIndex = data.tags.findIndex(t => t.name === tag);
-            
-            if (tagIndex >= 0) {
-              data.tags[tagIndex].count++;
-            } else {
-              data.tags.push({ name: tag, count: 1 });
-            }
-          }
-        }
-        
-        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
-        
-        // Queue for sync with Supabase if online and authenticated
-        if (sync && this.isOnline && this.currentUser) {
-          this.syncQueue.push({ action: 'add', data: { ...post, user_id: this.currentUser.id } });
+    let channel = this.supabaseClient
+      .channel(`posts:${this.currentUser.id}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'posts', filter }, enqueue);
+    
+    for (const table of Object.keys(this.recordTables)) {
+      channel = channel.on('postgres_changes', { event: '*', schema: 'public', table, filter }, enqueue);
+    }
+    
+    this.realtimeChannel = channel
+      .subscribe((status) => {
+        // Catch up on changes made while the channel was down
+        if (status === 'SUBSCRIBED' && this.isOnline) {
           this.syncWithSupabase();
         }
-        
-        return post;
-      }
-    } catch (error) {
-      console.error('Error adding post:', error);
-      throw error;
-    }
+      });
   }
 
   /**
-   * Get all posts from the database
-   * @param {Object} options - Query options
-   * @returns {Promise<Array>} Array of posts
+   * Stop listening for changes made on other devices
    */
-  async getAllPosts(options = {}) {
-    if (!this.isInitialized) {
-      return new Promise((resolve) => {
-        this.pendingOperations.push(() => {
-          this.getAllPosts(options).then(resolve);
-        });
-      });
-    }
+  unsubscribeFromRealtime() {
+    if (!this.realtimeChannel) return;
     
-    const { limit, offset, sortBy, sortOrder, filterTags, searchTerm, platform } = options;
+    this.supabaseClient.removeChannel(this.realtimeChannel);
+    this.realtimeChannel = null;
+  }
+
+  /**
+   * Apply a change received over the realtime channel
+   * @param {Object} payload - Postgres change payload
+   * @returns {Promise} Resolves when the change is stored
+   */
+  async handleRealtimeChange(payload) {
+    const isRecord = !!this.recordTables[payload.table];
     
     try {
-      if (this.isIndexedDBSupported) {
-        return new Promise((resolve, reject) => {
-          const transaction = this.db.transaction(CONFIG.storage.postsStore, 'readonly');
-          const store = transaction.objectStore(CONFIG.storage.postsStore);
-          
-          // Use appropriate index based on sort
-          let request;
-          if (sortBy === 'platform') {
-            request = store.index('platform').getAll();
-          } else {
-            request = store.index('dateAdded').getAll();
-          }
-          
-          request.onsuccess = () => {
-            let posts = request.result;
-            
-            // Apply filters
-            if (filterTags && filterTags.length > 0) {
-              posts = posts.filter(post => {
-                return filterTags.every(tag => post.tags && post.tags.includes(tag));
-              });
-            }
-            
-            if (platform) {
-              posts = posts.filter(post => post.platform === platform);
-            }
-            
-            if (searchTerm) {
-              const term = searchTerm.toLowerCase();
-              posts = posts.filter(post => {
-                return post.url.toLowerCase().includes(term) || 
-                       (post.title && post.title.toLowerCase().includes(term)) || 
-                       (post.description && post.description.toLowerCase().includes(term)) ||
-                       (post.tags && post.tags.some(tag => tag.toLowerCase().includes(term)));
-              });
-            }
-            
-            // Sort posts
-            posts.sort((a, b) => {
-              if (sortBy === 'platform') {
-                return a.platform.localeCompare(b.platform) * (sortOrder === 'asc' ? 1 : -1);
-              } else {
-                return (new Date(a.dateAdded) - new Date(b.dateAdded)) * (sortOrder === 'asc' ? 1 : -1);
-              }
-            });
-            
-            // Apply pagination
-            if (limit) {
-              const start = offset || 0;
-              posts = posts.slice(start, start + limit);
-            }
-            
-            resolve(posts);
-          };
-          
-          request.onerror = (event) => {
-            reject(event.target.error);
-          };
-        });
-      } else {
-        // Use localStorage
-        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
-        let posts = data.posts;
-        
-        // Apply filters
-        if (filterTags && filterTags.length > 0) {
-          posts = posts.filter(post => {
-            return filterTags.every(tag => post.tags && post.tags.includes(tag));
-          });
-        }
+      if (payload.eventType === 'DELETE') {
+        // Rows removed outright only carry their primary key
+        const id = payload.old && payload.old.id;
         
-        if (platform) {
-          posts = posts.filter(post => post.platform === platform);
-        }
+        if (!id) return;
         
-        if (searchTerm) {
-          const term = searchTerm.toLowerCase();
-          posts = posts.filter(post => {
-            return post.url.toLowerCase().includes(term) || 
-                   (post.title && post.title.toLowerCase().includes(term)) || 
-                   (post.description && post.description.toLowerCase().includes(term)) ||
-                   (post.tags && post.tags.some(tag => tag.toLowerCase().includes(term)));
-          });
-        }
+        // Local changes not pushed yet put the record back on the server
+        const outbox = await this.getOutbox();
         
-        // Sort posts
-        posts.sort((a, b) => {
-          if (sortBy === 'platform') {
-            return a.platform.localeCompare(b.platform) * (sortOrder === 'asc' ? 1 : -1);
-          } else {
-            return (new Date(a.dateAdded) - new Date(b.dateAdded)) * (sortOrder === 'asc' ? 1 : -1);
-          }
-        });
+        if (outbox.some(entry => entry.entityId === id)) return;
         
-        // Apply pagination
-        if (limit) {
-          const start = offset || 0;
-          posts = posts.slice(start, start + limit);
+        if (isRecord) {
+          await this.applySyncedRecords(payload.table, [{ id, record: null, base: null }]);
+        } else {
+          await this.applySyncedPosts([{ id, post: null, base: null }]);
         }
-        
-        return posts;
+      } else if (isRecord) {
+        await this.mergeRemoteRecords(payload.table, [payload.new]);
+      } else {
+        // Deletions arrive as updates setting deletedAt
+        await this.mergeRemotePosts([payload.new]);
       }
     } catch (error) {
-      console.error('Error getting posts:', error);
-      return [];
+      console.error('Error applying realtime change:', error);
     }
   }
 
   /**
-   * Get a post by ID
-   * @param {string} id - The post ID
-   * @returns {Promise<Object>} The post
+   * Sync local data with Supabase
+   * Only rows changed since the last successful sync are fetched
    */
-  async getPostById(id) {
-    if (!this.isInitialized) {
-      return new Promise((resolve) => {
-        this.pendingOperations.push(() => {
-          this.getPostById(id).then(resolve);
-        });
-      });
-    }
+  async syncWithSupabase() {
+    if (!this.supabaseClient || !this.currentUser || this.isSyncing) return;
+    
+    this.isSyncing = true;
     
     try {
-      if (this.isIndexedDBSupported) {
-        return new Promise((resolve, reject) => {
-          const transaction = this.db.transaction(CONFIG.storage.postsStore, 'readonly');
-          const store = transaction.objectStore(CONFIG.storage.postsStore);
-          const request = store.get(id);
-          
-          request.onsuccess = () => {
-            resolve(request.result);
-          };
-          
-          request.onerror = (event) => {
-            reject(event.target.error);
-          };
-        });
-      } else {
-        // Use localStorage
-        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
-        return data.posts.find(post => post.id === id) || null;
+      // Fetch remote changes first so changes made elsewhere are merged before local ones are pushed.
+      // Boards refer to posts, so posts come first
+      await this.pullRemoteChanges('posts', (rows, options) => this.mergeRemotePosts(rows, options));
+      
+      for (const table of Object.keys(this.recordTables)) {
+        await this.pullRemoteChanges(table, (rows, options) => this.mergeRemoteRecords(table, rows, options));
       }
+      
+      // Push queued local changes
+      await this.processOutbox();
     } catch (error) {
-      console.error('Error getting post by ID:', error);
-      return null;
+      console.error('Error syncing with Supabase:', error);
+    } finally {
+      this.isSyncing = false;
     }
   }
 
   /**
-   * Update a post
-   * @param {Object} post - The post to update
-   * @param {boolean} sync - Whether to sync with Supabase
-   * @returns {Promise<Object>} The updated post
+   * Fetch and merge the rows of a table changed since the last sync
+   * @param {string} table - Supabase table name
+   * @param {Function} merge - Receives the rows and { fullSync } and merges them into the local database
+   * @returns {Promise} Resolves when the changes are merged
    */
-  async updatePost(post, sync = true) {
-    if (!this.isInitialized) {
-      return new Promise((resolve) => {
-        this.pendingOperations.push(() => {
-          this.updatePost(post, sync).then(resolve);
-        });
-      });
+  async pullRemoteChanges(table, merge) {
+    const cursor = await this.getSyncCursor(table);
+    const rows = await this.fetchRemoteChanges(table, cursor);
+    
+    await merge(rows, { fullSync: !cursor });
+    
+    // Remember how far we got
+    const latest = rows.reduce((max, row) => (row.updatedAt > max ? row.updatedAt : max), cursor || '');
+    
+    if (latest) {
+      await this.setSyncCursor(table, latest);
     }
+  }
+
+  /**
+   * Fetch the rows of a table changed since a cursor, page by page
+   * @param {string} table - Supabase table name
+   * @param {string|null} cursor - updatedAt of the newest row seen so far, or null for everything
+   * @returns {Promise<Array>} Remote rows, oldest change first
+   */
+  async fetchRemoteChanges(table, cursor) {
+    const rows = [];
+    const pageSize = CONFIG.sync.pageSize;
     
-    // Set updated timestamp
-    post.updatedAt = new Date().toISOString();
+    // Look back a little so rows written by devices with a slow clock aren't skipped
+    const since = cursor ? new Date(new Date(cursor).getTime() - CONFIG.sync.cursorOverlap).toISOString() : null;
     
-    try {
-      // Get existing post to compare tags
-      const existingPost = await this.getPostById(post.id);
+    for (let from = 0; ; from += pageSize) {
+      let query = this.supabaseClient
+        .from(table)
+        .select('*')
+        .eq('user_id', this.currentUser.id);
       
-      if (!existingPost) {
-        throw new Error('Post not found');
+      if (since) {
+        query = query.gt('updatedAt', since);
       }
       
-      const oldTags = existingPost.tags || [];
-      const newTags = post.tags || [];
+      const { data, error } = await query
+        .order('updatedAt', { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
       
-      // Find tags to add and remove
-      const tagsToAdd = newTags.filter(tag => !oldTags.includes(tag));
-      const tagsToRemove = oldTags.filter(tag => !newTags.includes(tag));
+      if (error) throw error;
       
-      if (this.isIndexedDBSupported) {
-        return new Promise((resolve, reject) => {
-          const transaction = this.db.transaction([CONFIG.storage.postsStore, CONFIG.storage.tagsStore], 'readwrite');
-          const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
-          const tagsStore = transaction.objectStore(CONFIG.storage.tagsStore);
+      rows.push(...data);
+      
+      if (data.length < pageSize) break;
+    }
+    
+    return rows;
+  }
+
+  /**
+   * Get the sync cursor of a table for the current user
+   * @param {string} table - Supabase table name
+   * @returns {Promise<string|null>} updatedAt of the newest row seen, or null if never synced
+   */
+  async getSyncCursor(table) {
+    const cursor = await this.getSetting(`syncCursor:${table}`);
+    
+    // Cursors belong to the user that synced
+    return cursor && this.currentUser && cursor.userId === this.currentUser.id ? cursor.updatedAt : null;
+  }
+
+  /**
+   * Store the sync cursor of a table for the current user
+   * @param {string} table - Supabase table name
+   * @param {string} updatedAt - updatedAt of the newest row seen
+   * @returns {Promise} Resolves when the cursor is stored
+   */
+  async setSyncCursor(table, updatedAt) {
+    return this.setSetting(`syncCursor:${table}`, { userId: this.currentUser.id, updatedAt });
+  }
+
+  /**
+   * Check whether a setting only applies to this device and is left out of exports
+   * @param {string} key - Setting key
+   * @returns {boolean} True for device-local settings
+   */
+  isLocalSetting(key) {
+    return key.startsWith('syncCursor:') || key === 'syncSession';
+  }
+
+  /**
+   * Store the access token the service worker pushes the outbox with
+   * The refresh token stays with the Supabase client, so only the app renews the session
+   * @param {Object|null} session - Supabase session, or null after signing out
+   * @returns {Promise} Resolves when the session is stored
+   */
+  async saveSyncSession(session) {
+    return this.setSetting('syncSession', session ? {
+      userId: session.user.id,
+      accessToken: session.access_token,
+      expiresAt: session.expires_at * 1000
+    } : null);
+  }
+
+  /**
+   * Ask the service worker to push the outbox once the device is online, even if the app is closed
+   * @returns {Promise} Resolves when the sync is registered
+   */
+  async requestBackgroundSync() {
+    // The service worker can only read the outbox from IndexedDB
+    if (!('serviceWorker' in navigator) || !this.isIndexedDBSupported || !this.currentUser) return;
+    
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      
+      if (registration.sync) {
+        await registration.sync.register('sync-posts');
+      }
+    } catch (error) {
+      console.warn('Background sync is not available:', error);
+    }
+  }
+
+  /**
+   * Merge posts fetched from Supabase into the local database
+   * Each post carries a syncBase, the version last seen on the server, so changes
+   * made on this device can be told apart from changes made elsewhere
+   * @param {Array} remotePosts - Remote post rows
+   * @param {Object} options - Options
+   * @param {boolean} options.fullSync - Whether remotePosts holds every remote post, not just recent changes
+   * @returns {Promise<number>} Number of new conflicts
+   */
+  async mergeRemotePosts(remotePosts, { fullSync = false } = {}) {
+    // A few rows, like a realtime change, only look up the posts they touch
+    const lookUpByKey = !fullSync && remotePosts.length <= CONFIG.sync.keyLookupLimit;
+    const localPosts = lookUpByKey
+      ? [...(await this.getPostsByIds(remotePosts.map(row => row.id))).values()]
+      : await this.getAllPosts({ includeDeleted: true });
+    const localById = new Map(localPosts.map(post => [post.id, post]));
+    const liveUrls = lookUpByKey ? null : new Set(localPosts.filter(post => !post.deletedAt).map(post => urlCanonicalizer.canonicalize(post.url)));
+    const conflictIds = new Set((await this.getConflicts()).map(conflict => conflict.postId));
+    const remoteIds = new Set();
+    const changes = [];
+    let newConflicts = 0;
+    
+    for (const remotePost of remotePosts.map(row => this.fromRemotePost(row))) {
+      remoteIds.add(remotePost.id);
+      
+      // Posts with an open conflict wait for the user
+      if (conflictIds.has(remotePost.id)) continue;
+      
+      const localPost = localById.get(remotePost.id);
+      
+      // Purging a post from the trash is final, the post is removed on every device
+      if (remotePost.purgedAt) {
+        if (localPost) {
+          changes.push({ id: remotePost.id, post: null, base: null, dropPending: true });
+        }
+        continue;
+      }
+      
+      if (!localPost) {
+        // Posts trashed on another device go to the trash here too, unless their link was saved again
+        const isLinkSaved = remotePost.deletedAt && (liveUrls
+          ? liveUrls.has(urlCanonicalizer.canonicalize(remotePost.url))
+          : !!(await this.getPostByUrl(remotePost.url)));
+        
+        if (!isLinkSaved) {
+          changes.push({ id: remotePost.id, post: remotePost, base: remotePost, revision: 'sync' });
+        }
+      } else if (!localPost.syncBase) {
+        // Without a base (posts synced by older versions) the newest version wins
+        if (remotePost.updatedAt > localPost.updatedAt) {
+          changes.push({ id: remotePost.id, post: remotePost, base: remotePost, dropPending: true, revision: 'sync' });
+        } else {
+          changes.push({
+            id: localPost.id,
+            post: localPost,
+            base: remotePost,
+            dropPending: true,
+            push: syncMerger.hasChanged(remotePost, localPost)
+          });
+        }
+      } else if (!syncMerger.hasChanged(localPost.syncBase, remotePost)) {
+        // Only this device changed the post, the outbox pushes it
+        continue;
+      } else if (!syncMerger.hasChanged(localPost.syncBase, localPost)) {
+        // Only the server changed the post
+        changes.push({ id: remotePost.id, post: remotePost, base: remotePost, dropPending: true, revision: 'sync' });
+      } else {
+        // Both sides changed the post since the last sync
+        const { merged, conflicts } = syncMerger.merge(localPost, remotePost, localPost.syncBase);
+        
+        if (conflicts.length > 0) {
+          await this.saveConflict({
+            postId: localPost.id,
+            url: localPost.url,
+            fields: conflicts,
+            local: this.toRemotePost(localPost),
+            remote: remotePost,
+            base: localPost.syncBase,
+            detectedAt: new Date().toISOString()
+          });
+          newConflicts++;
+        }
+        
+        // Conflicting fields keep their local values until the conflict is resolved
+        changes.push({
+          id: localPost.id,
+          post: merged,
+          base: remotePost,
+          dropPending: true,
+          push: conflicts.length === 0 && syncMerger.hasChanged(remotePost, merged),
+          revision: 'merge'
+        });
+      }
+    }
+    
+    // Only a full sync can tell which local posts the server doesn't have
+    if (fullSync) {
+      const pendingIds = new Set((await this.getOutbox()).map(entry => entry.entityId));
+      
+      for (const localPost of localPosts) {
+        if (remoteIds.has(localPost.id) || pendingIds.has(localPost.id) || conflictIds.has(localPost.id)) continue;
+        
+        if (localPost.deletedAt) {
+          // Nothing left to propagate for this deletion
+          changes.push({ id: localPost.id, post: null, base: null });
+        } else {
+          // Queue posts that never made it to the server
+          changes.push({ id: localPost.id, post: localPost, base: null, push: true });
+        }
+      }
+    }
+    
+    await this.applySyncedPosts(changes);
+    
+    if (newConflicts > 0) {
+      this.dispatchConflictsChange();
+    }
+    
+    return newConflicts;
+  }
+
+  /**
+   * Store posts as the result of a sync in a single transaction, bypassing the usual timestamps
+   * Tag counts are adjusted by the tags the posts gained and lost, and a 'sync:posts' event lets the UI patch the stored posts in
+   * @param {Array<Object>} changes - Changes to apply
+   * @param {string} changes[].id - Post ID
+   * @param {Object|null} changes[].post - Post to store, or null to remove the local record
+   * @param {Object|null} changes[].base - Version now known to be on the server
+   * @param {boolean} changes[].dropPending - Remove outbox entries queued for this post
+   * @param {boolean} changes[].push - Queue the stored post for upload
+   * @param {boolean} changes[].resolveConflict - Remove the open conflict for this post
+   * @param {string} changes[].revision - Record the stored post in its history, with this source
+   * @returns {Promise} Resolves when the changes are stored
+   */
+  async applySyncedPosts(changes) {
+    if (changes.length === 0) return;
+    
+    // Deletions go first, so the canonical URLs they free can be claimed in the same batch
+    const orderedChanges = [
+      ...changes.filter(({ post }) => !post || post.deletedAt),
+      ...changes.filter(({ post }) => post && !post.deletedAt)
+    ];
+    
+    // Versions of the posts before and after the batch, for the tag counts
+    const oldPosts = new Map();
+    const newPosts = new Map();
+    
+    const getStoredTagDeltas = () => this.getTagDeltas(
+      [...newPosts.keys()].map(id => oldPosts.get(id)).filter(post => post && !post.deletedAt),
+      [...newPosts.values()].filter(post => post && !post.deletedAt)
+    );
+    
+    if (this.isIndexedDBSupported) {
+      await new Promise((resolve, reject) => {
+        const storeNames = [CONFIG.storage.postsStore, CONFIG.storage.outboxStore, CONFIG.storage.conflictsStore, CONFIG.storage.searchIndexStore, CONFIG.storage.revisionsStore];
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+        const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+        const outboxStore = transaction.objectStore(CONFIG.storage.outboxStore);
+        const conflictsStore = transaction.objectStore(CONFIG.storage.conflictsStore);
+        const searchIndexStore = transaction.objectStore(CONFIG.storage.searchIndexStore);
+        
+        // Canonical URLs given out in this batch, the index doesn't see them until the posts are stored
+        const claimedUrls = new Set();
+        
+        for (const { id, post, base, dropPending, push, resolveConflict, revision } of orderedChanges) {
+          const stored = post ? this.withoutCanonicalUrl({ ...post, syncBase: base }) : null;
           
-          // Update post
-          const postRequest = postsStore.put(post);
+          // Read before this batch writes the post
+          const oldRequest = postsStore.get(id);
           
-          postRequest.onsuccess = () => {
-            // Update tag counts
-            // Increment count for new tags
-            for (const tag of tagsToAdd) {
-              const tagRequest = tagsStore.get(tag);
-              
-              tagRequest.onsuccess = () => {
-                const tagData = tagRequest.result || { name: tag, count: 0 };
-                tagData.count++;
-                tagsStore.put(tagData);
-              };
+          oldRequest.onsuccess = () => {
+            if (!oldPosts.has(id)) {
+              oldPosts.set(id, oldRequest.result || null);
+            }
+          };
+          
+          const queueUpload = () => {
+            if (push && stored) {
+              outboxStore.add(this.createOutboxEntry('upsert', 'posts', id, this.toRemotePost(stored)));
             }
+          };
+          
+          const storePost = () => {
+            const putRequest = postsStore.put(stored);
             
-            // Decrement count for removed tags
-            for (const tag of tagsToRemove) {
-              const tagRequest = tagsStore.get(tag);
+            putRequest.onsuccess = () => {
+              newPosts.set(id, stored);
+              searchIndex.indexPost(searchIndexStore, stored);
               
-              tagRequest.onsuccess = () => {
-                if (tagRequest.result) {
-                  const tagData = tagRequest.result;
-                  tagData.count = Math.max(0, tagData.count - 1);
-                  
-                  if (tagData.count === 0) {
-                    tagsStore.delete(tag);
-                  } else {
-                    tagsStore.put(tagData);
-                  }
+              if (revision) {
+                this.addRevision(transaction, stored, revision);
+              }
+            };
+            
+            // Skip this post without aborting the rest of the batch
+            putRequest.onerror = (event) => {
+              event.preventDefault();
+              console.error(`Error storing synced post ${id}:`, event.target.error);
+            };
+          };
+          
+          if (stored) {
+            // A deleted post with the same URL gives way
+            const urlRequest = postsStore.index('url').get(stored.url);
+            
+            urlRequest.onsuccess = () => {
+              const other = urlRequest.result;
+              
+              if (other && other.id !== id && other.deletedAt) {
+                postsStore.delete(other.id);
+                this.removeRevisions(transaction, other.id);
+              }
+              
+              if (stored.deletedAt) {
+                storePost();
+                return;
+              }
+              
+              // A post duplicating another saved post is stored without a canonical URL until they are merged
+              const canonicalUrl = urlCanonicalizer.canonicalize(stored.url);
+              const canonicalRequest = postsStore.index('canonicalUrl').get(canonicalUrl);
+              
+              canonicalRequest.onsuccess = () => {
+                const holder = canonicalRequest.result;
+                
+                if ((!holder || holder.id === id) && !claimedUrls.has(canonicalUrl)) {
+                  stored.canonicalUrl = canonicalUrl;
+                  claimedUrls.add(canonicalUrl);
                 }
+                
+                storePost();
               };
-            }
-            
-            // Queue for sync with Supabase if online and authenticated
-            if (sync && this.isOnline && this.currentUser) {
-              this.syncQueue.push({ action: 'update', data: { ...post, user_id: this.currentUser.id } });
-              this.syncWithSupabase();
-            }
+            };
+          } else {
+            postsStore.delete(id);
+            newPosts.set(id, null);
+            searchIndex.removePost(searchIndexStore, id);
+            this.removeRevisions(transaction, id);
+          }
+          
+          if (dropPending) {
+            const cursorRequest = outboxStore.index('entityId').openCursor(IDBKeyRange.only(id));
             
-            resolve(post);
-          };
+            cursorRequest.onsuccess = (event) => {
+              const cursor = event.target.result;
+              
+              // Queue the new upload once the old entries are gone
+              if (!cursor) {
+                queueUpload();
+                return;
+              }
+              
+              cursor.delete();
+              cursor.continue();
+            };
+          } else {
+            queueUpload();
+          }
           
-          postRequest.onerror = (event) => {
-            reject(event.target.error);
-          };
-        });
+          if (resolveConflict) {
+            conflictsStore.delete(id);
+          }
+        }
+        
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+      
+      // Posts that couldn't be stored keep their old tags
+      await this.updateTagCounts(getStoredTagDeltas());
+    } else {
+      // Use localStorage
+      const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+      
+      for (const { id, post, base, dropPending, push, resolveConflict, revision } of orderedChanges) {
+        const stored = post ? this.withoutCanonicalUrl({ ...post, syncBase: base }) : null;
+        
+        if (!oldPosts.has(id)) {
+          oldPosts.set(id, data.posts.find(p => p.id === id) || null);
+        }
+        
+        // A deleted post with the same URL gives way
+        const removedIds = new Set(data.posts.filter(p => p.id !== id && stored && p.url === stored.url && p.deletedAt).map(p => p.id));
+        data.posts = data.posts.filter(p => !removedIds.has(p.id));
+        data.revisions = (data.revisions || []).filter(r => !removedIds.has(r.postId));
+        
+        // A post duplicating another saved post is stored without a canonical URL until they are merged
+        if (stored && !stored.deletedAt) {
+          const canonicalUrl = urlCanonicalizer.canonicalize(stored.url);
+          
+          if (!data.posts.some(p => p.id !== id && p.canonicalUrl === canonicalUrl)) {
+            stored.canonicalUrl = canonicalUrl;
+          }
+        }
+        
+        const index = data.posts.findIndex(p => p.id === id);
+        
+        if (!stored) {
+          if (index >= 0) data.posts.splice(index, 1);
+          this.removeFallbackRevisions(data, id);
+        } else if (index >= 0) {
+          data.posts[index] = stored;
+        } else if (data.posts.some(p => p.url === stored.url)) {
+          console.error(`Error storing synced post ${id}: a post with this URL already exists`);
+          continue;
+        } else {
+          data.posts.push(stored);
+        }
+        
+        newPosts.set(id, stored);
+        
+        if (stored && revision) {
+          this.addFallbackRevision(data, stored, revision);
+        }
+        
+        if (dropPending) {
+          data.outbox = (data.outbox || []).filter(entry => entry.entityId !== id);
+        }
+        
+        if (push && stored) {
+          this.addFallbackOutboxEntry(data, this.createOutboxEntry('upsert', 'posts', id, this.toRemotePost(stored)));
+        }
+        
+        if (resolveConflict) {
+          data.conflicts = (data.conflicts || []).filter(conflict => conflict.postId !== id);
+        }
+      }
+      
+      this.applyFallbackTagDeltas(data, getStoredTagDeltas());
+      localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+    }
+    
+    document.dispatchEvent(new CustomEvent('sync:posts', {
+      detail: { changes: changes.map(({ id, post }) => ({ id, post })) }
+    }));
+  }
+
+  /**
+   * Merge boards or smart views fetched from Supabase into the local database
+   * Works like mergeRemotePosts, except that fields changed on both sides take the newest
+   * version instead of raising a conflict. Lists such as a board's posts are merged as sets.
+   * @param {string} table - Supabase table, one of recordTables
+   * @param {Array} remoteRecords - Remote rows
+   * @param {Object} options - Options
+   * @param {boolean} options.fullSync - Whether remoteRecords holds every remote row, not just recent changes
+   * @returns {Promise} Resolves when the records are merged
+   */
+  async mergeRemoteRecords(table, remoteRecords, { fullSync = false } = {}) {
+    const localRecords = await this.getRecords(table, { includeDeleted: true });
+    const localById = new Map(localRecords.map(record => [record.id, record]));
+    const remoteIds = new Set();
+    const changes = [];
+    
+    for (const remoteRecord of remoteRecords.map(row => this.fromRemotePost(row))) {
+      remoteIds.add(remoteRecord.id);
+      
+      const localRecord = localById.get(remoteRecord.id);
+      
+      if (!localRecord) {
+        if (!remoteRecord.deletedAt) {
+          changes.push({ id: remoteRecord.id, record: remoteRecord, base: remoteRecord });
+        }
+      } else if (!localRecord.syncBase) {
+        // Without a base the newest version wins
+        if (remoteRecord.updatedAt > localRecord.updatedAt) {
+          changes.push({ id: remoteRecord.id, record: remoteRecord, base: remoteRecord, dropPending: true });
+        } else {
+          changes.push({
+            id: localRecord.id,
+            record: localRecord,
+            base: remoteRecord,
+            dropPending: true,
+            push: syncMerger.hasChanged(remoteRecord, localRecord)
+          });
+        }
+      } else if (!syncMerger.hasChanged(localRecord.syncBase, remoteRecord)) {
+        // Only this device changed the record, the outbox pushes it
+        continue;
+      } else if (!syncMerger.hasChanged(localRecord.syncBase, localRecord)) {
+        // Only the server changed the record
+        changes.push({ id: remoteRecord.id, record: remoteRecord, base: remoteRecord, dropPending: true });
       } else {
-        // Use localStorage
-        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
-        const index = data.posts.findIndex(p => p.id === post.id);
+        // Both sides changed the record since the last sync
+        const { merged, conflicts } = syncMerger.merge(localRecord, remoteRecord, localRecord.syncBase);
+        const remoteIsNewer = (remoteRecord.updatedAt || '') > (localRecord.updatedAt || '');
         
-        if (index === -1) {
-          throw new Error('Post not found');
+        for (const field of conflicts) {
+          syncMerger.setField(merged, field, remoteIsNewer ? remoteRecord[field] : localRecord[field]);
         }
         
-        data.posts[index] = post;
+        changes.push({
+          id: localRecord.id,
+          record: merged,
+          base: remoteRecord,
+          dropPending: true,
+          push: syncMerger.hasChanged(remoteRecord, merged)
+        });
+      }
+    }
+    
+    // Only a full sync can tell which local records the server doesn't have
+    if (fullSync) {
+      const pendingIds = new Set((await this.getOutbox()).map(entry => entry.entityId));
+      
+      for (const localRecord of localRecords) {
+        if (remoteIds.has(localRecord.id) || pendingIds.has(localRecord.id)) continue;
         
-        // Update tag counts
-        // Increment count for new tags
-        for (const tag of tagsToAdd) {
-          const tagIndex = data.tags.findIndex(t => t.name === tag);
+        if (localRecord.deletedAt) {
+          changes.push({ id: localRecord.id, record: null, base: null });
+        } else {
+          changes.push({ id: localRecord.id, record: localRecord, base: null, push: true });
+        }
+      }
+    }
+    
+    await this.applySyncedRecords(table, changes);
+  }
+
+  /**
+   * Store boards or smart views as the result of a sync in a single transaction, bypassing the usual timestamps
+   * The table's sync event lets the UI refresh afterwards
+   * @param {string} table - Supabase table, one of recordTables
+   * @param {Array<Object>} changes - Changes to apply
+   * @param {string} changes[].id - Record ID
+   * @param {Object|null} changes[].record - Record to store, or null to remove the local record
+   * @param {Object|null} changes[].base - Version now known to be on the server
+   * @param {boolean} changes[].dropPending - Remove outbox entries queued for this record
+   * @param {boolean} changes[].push - Queue the stored record for upload
+   * @returns {Promise} Resolves when the changes are stored
+   */
+  async applySyncedRecords(table, changes) {
+    if (changes.length === 0) return;
+    
+    const { storeName, dataKey, event: eventName } = this.recordTables[table];
+    
+    if (this.isIndexedDBSupported) {
+      await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([storeName, CONFIG.storage.outboxStore], 'readwrite');
+        const recordsStore = transaction.objectStore(storeName);
+        const outboxStore = transaction.objectStore(CONFIG.storage.outboxStore);
+        
+        for (const { id, record, base, dropPending, push } of changes) {
+          const stored = record ? { ...record, syncBase: base } : null;
           
-          if (tagIndex >= 0) {
-            data.tags[tagIndex].count++;
+          const queueUpload = () => {
+            if (push && stored) {
+              outboxStore.add(this.createOutboxEntry('upsert', table, id, this.toRemotePost(stored)));
+            }
+          };
+          
+          if (stored) {
+            recordsStore.put(stored);
+          } else {
+            recordsStore.delete(id);
+          }
+          
+          if (dropPending) {
+            const cursorRequest = outboxStore.index('entityId').openCursor(IDBKeyRange.only(id));
+            
+            cursorRequest.onsuccess = (event) => {
+              const cursor = event.target.result;
+              
+              // Queue the new upload once the old entries are gone
+              if (!cursor) {
+                queueUpload();
+                return;
+              }
+              
+              cursor.delete();
+              cursor.continue();
+            };
           } else {
-            data.tags.push({ name: tag, count: 1 });
+            queueUpload();
           }
         }
         
-        // Decrement count for removed tags
-        for (const tag of tagsToRemove) {
-          const tagIndex = data.tags.findIndex(t => t.name === tag);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+    } else {
+      // Use localStorage
+      const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+      data[dataKey] = data[dataKey] || [];
+      
+      for (const { id, record, base, dropPending, push } of changes) {
+        const stored = record ? { ...record, syncBase: base } : null;
+        const index = data[dataKey].findIndex(r => r.id === id);
+        
+        if (!stored) {
+          if (index >= 0) data[dataKey].splice(index, 1);
+        } else if (index >= 0) {
+          data[dataKey][index] = stored;
+        } else {
+          data[dataKey].push(stored);
+        }
+        
+        if (dropPending) {
+          data.outbox = (data.outbox || []).filter(entry => entry.entityId !== id);
+        }
+        
+        if (push && stored) {
+          this.addFallbackOutboxEntry(data, this.createOutboxEntry('upsert', table, id, this.toRemotePost(stored)));
+        }
+      }
+      
+      localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+    }
+    
+    document.dispatchEvent(new CustomEvent(eventName, {
+      detail: { changes: changes.map(({ id, record }) => ({ id, record })) }
+    }));
+  }
+
+  /**
+   * Remember the versions of records that are now on the server
+   * @param {Array<Object>} remoteRecords - Records as pushed to the server
+   * @param {string} table - Supabase table the records belong to, 'posts' or one of recordTables
+   * @returns {Promise} Resolves when the bases are stored
+   */
+  async markSynced(remoteRecords, table = 'posts') {
+    if (this.isIndexedDBSupported) {
+      return new Promise((resolve, reject) => {
+        const storeName = this.getStoreName(table);
+        const transaction = this.db.transaction(storeName, 'readwrite');
+        const store = transaction.objectStore(storeName);
+        
+        for (const remoteRecord of remoteRecords) {
+          const request = store.get(remoteRecord.id);
           
-          if (tagIndex >= 0) {
-            data.tags[tagIndex].count = Math.max(0, data.tags[tagIndex].count - 1);
-            
-            if (data.tags[tagIndex].count === 0) {
-              data.tags.splice(tagIndex, 1);
+          request.onsuccess = () => {
+            if (request.result) {
+              store.put({ ...request.result, syncBase: remoteRecord });
             }
-          }
+          };
+        }
+        
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+    } else {
+      // Use localStorage
+      const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+      const dataKey = this.recordTables[table] ? this.recordTables[table].dataKey : 'posts';
+      
+      for (const remoteRecord of remoteRecords) {
+        const record = (data[dataKey] || []).find(r => r.id === remoteRecord.id);
+        
+        if (record) {
+          record.syncBase = remoteRecord;
         }
+      }
+      
+      localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+    }
+  }
+
+  /**
+   * Get the object store holding the records of a Supabase table
+   * @param {string} table - Supabase table name
+   * @returns {string} Object store name
+   */
+  getStoreName(table) {
+    return this.recordTables[table] ? this.recordTables[table].storeName : CONFIG.storage.postsStore;
+  }
+
+  /**
+   * Convert a local post, board or smart view to the shape stored on the server
+   * Drops fields that only make sense on this device
+   * The canonical URL is derived from the URL, and left out on posts this device keeps as duplicates
+   * @param {Object} post - Local record
+   * @returns {Object} Remote record (without user_id)
+   */
+  toRemotePost(post) {
+    const { syncBase, canonicalUrl, ...remotePost } = post;
+    return remotePost;
+  }
+
+  /**
+   * Convert a purged post to the row pushed to Supabase
+   * Its content is cleared on the server, only what other devices need to remove the post is kept
+   * @param {Object} post - Post in the trash
+   * @param {string} purgedAt - When the post was purged
+   * @returns {Object} Remote post
+   */
+  toPurgedRemotePost(post, purgedAt) {
+    const clearedFields = Object.fromEntries(Object.keys(this.toRemotePost(post)).map(key => [key, null]));
+    
+    return { ...clearedFields, id: post.id, deletedAt: post.deletedAt, purgedAt, updatedAt: purgedAt };
+  }
+
+  /**
+   * Copy a post without its canonical URL, for storing it before the URL is claimed again
+   * @param {Object} post - Post
+   * @returns {Object} Post without canonicalUrl
+   */
+  withoutCanonicalUrl(post) {
+    const { canonicalUrl, ...fields } = post;
+    return fields;
+  }
+
+  /**
+   * Convert a row fetched from the server to a local record
+   * @param {Object} row - Remote row
+   * @returns {Object} Post, board or smart view
+   */
+  fromRemotePost(row) {
+    const { user_id, ...post } = row;
+    return post;
+  }
+
+  /**
+   * Get all open sync conflicts
+   * @returns {Promise<Array>} Conflicts, oldest first
+   */
+  async getConflicts() {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getConflicts().then(resolve);
+        });
+      });
+    }
+    
+    try {
+      let conflicts;
+      
+      if (this.isIndexedDBSupported) {
+        conflicts = await new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(CONFIG.storage.conflictsStore, 'readonly');
+          const request = transaction.objectStore(CONFIG.storage.conflictsStore).getAll();
+          
+          request.onsuccess = () => {
+            resolve(request.result);
+          };
+          
+          request.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        conflicts = data.conflicts || [];
+      }
+      
+      return conflicts.sort((a, b) => a.detectedAt.localeCompare(b.detectedAt));
+    } catch (error) {
+      console.error('Error getting sync conflicts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a sync conflict, replacing any open conflict for the same post
+   * @param {Object} conflict - Conflict record
+   * @returns {Promise} Resolves when the conflict is stored
+   */
+  async saveConflict(conflict) {
+    if (this.isIndexedDBSupported) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(CONFIG.storage.conflictsStore, 'readwrite');
+        transaction.objectStore(CONFIG.storage.conflictsStore).put(conflict);
+        
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+    } else {
+      // Use localStorage
+      const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+      data.conflicts = (data.conflicts || []).filter(c => c.postId !== conflict.postId);
+      data.conflicts.push(conflict);
+      localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+    }
+  }
+
+  /**
+   * Resolve a sync conflict
+   * @param {string} postId - ID of the conflicting post
+   * @param {Object} choices - Map of field name to 'local' or 'remote' (fields default to 'local')
+   * @returns {Promise<Object>} The resolved post
+   */
+  async resolveConflict(postId, choices = {}) {
+    const conflict = (await this.getConflicts()).find(c => c.postId === postId);
+    
+    if (!conflict) {
+      throw new Error('Conflict not found');
+    }
+    
+    try {
+      const localPost = await this.getPostById(postId, { includeDeleted: true });
+      const resolved = { ...(localPost || conflict.local) };
+      
+      for (const field of conflict.fields) {
+        if (choices[field] === 'remote') {
+          syncMerger.setField(resolved, field, conflict.remote[field]);
+        }
+      }
+      
+      resolved.updatedAt = new Date().toISOString();
+      
+      // The server has the remote version, so that becomes the base for the upload
+      await this.applySyncedPosts([{
+        id: postId,
+        post: resolved,
+        base: conflict.remote,
+        dropPending: true,
+        push: true,
+        resolveConflict: true,
+        revision: 'resolve'
+      }]);
+      
+      this.requestBackgroundSync();
+      this.processOutbox();
+      this.dispatchConflictsChange();
+      
+      return resolved;
+    } catch (error) {
+      console.error('Error resolving sync conflict:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify the UI that the list of open conflicts changed
+   */
+  async dispatchConflictsChange() {
+    const conflicts = await this.getConflicts();
+    document.dispatchEvent(new CustomEvent('sync:conflicts', { detail: { conflicts } }));
+  }
+
+  /**
+   * Notify the UI that posts were added, changed or deleted on this device
+   * Changes from other devices are announced with 'sync:posts' instead
+   * @param {Array<string>} ids - IDs of the changed posts
+   */
+  dispatchPostsChange(ids) {
+    document.dispatchEvent(new CustomEvent('posts:change', { detail: { ids } }));
+  }
+
+  /**
+   * Create an outbox entry for a local mutation
+   * Deletes are synced as upserts of tombstones, 'delete' is only kept for entries queued by older versions
+   * @param {string} action - 'upsert' or 'delete'
+   * @param {string} table - Supabase table name
+   * @param {string} entityId - ID of the changed record
+   * @param {Object|null} data - Record data to push (without user_id)
+   * @returns {Object} Outbox entry
+   */
+  createOutboxEntry(action, table, entityId, data = null) {
+    return {
+      opId: crypto.randomUUID(),
+      action,
+      table,
+      entityId,
+      data,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Add an outbox entry in a transaction that stores the change it pushes
+   * @param {IDBObjectStore} outboxStore - Outbox store of a readwrite transaction
+   * @param {Object} entry - Outbox entry
+   * @param {Array<number>|null} queued - Collects the sequence number the entry gets
+   */
+  addOutboxEntry(outboxStore, entry, queued = null) {
+    const request = outboxStore.add(entry);
+    
+    if (queued) {
+      request.onsuccess = () => queued.push(request.result);
+    }
+  }
+
+  /**
+   * Add an outbox entry to localStorage fallback data
+   * @param {Object} data - Fallback data object
+   * @param {Object} entry - Outbox entry
+   * @param {Array<number>|null} queued - Collects the sequence number the entry gets
+   */
+  addFallbackOutboxEntry(data, entry, queued = null) {
+    data.outbox = data.outbox || [];
+    data.outboxSeq = (data.outboxSeq || 0) + 1;
+    data.outbox.push({ ...entry, seq: data.outboxSeq });
+    
+    if (queued) {
+      queued.push(data.outboxSeq);
+    }
+  }
+
+  /**
+   * Get all outbox entries in the order they were queued
+   * @returns {Promise<Array>} Outbox entries
+   */
+  async getOutbox() {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getOutbox().then(resolve);
+        });
+      });
+    }
+    
+    try {
+      if (this.isIndexedDBSupported) {
+        return new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(CONFIG.storage.outboxStore, 'readonly');
+          const store = transaction.objectStore(CONFIG.storage.outboxStore);
+          const request = store.getAll();
+          
+          request.onsuccess = () => {
+            resolve(request.result);
+          };
+          
+          request.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        return (data.outbox || []).slice().sort((a, b) => a.seq - b.seq);
+      }
+    } catch (error) {
+      console.error('Error getting outbox:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save or remove outbox entries
+   * @param {Array} entries - Outbox entries
+   * @param {boolean} remove - Whether to remove the entries instead of saving them
+   * @returns {Promise} Resolves when the entries are stored
+   */
+  async saveOutboxEntries(entries, remove = false) {
+    if (this.isIndexedDBSupported) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(CONFIG.storage.outboxStore, 'readwrite');
+        const store = transaction.objectStore(CONFIG.storage.outboxStore);
+        
+        for (const entry of entries) {
+          if (remove) {
+            store.delete(entry.seq);
+          } else {
+            store.put(entry);
+          }
+        }
+        
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+      });
+    } else {
+      // Use localStorage
+      const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+      const seqs = new Set(entries.map(entry => entry.seq));
+      const outbox = (data.outbox || []).filter(e => !seqs.has(e.seq));
+      
+      if (!remove) {
+        outbox.push(...entries);
+      }
+      
+      data.outbox = outbox;
+      localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+    }
+  }
+
+  /**
+   * Drop queued outbox entries that newer entries for the same records replace
+   * Used when a change is undone before it was pushed, so the server never sees it.
+   * Entries of records the newer entries don't touch are kept, they still have to be pushed.
+   * Entries that were pushed in the meantime are already gone, and so are the older entries
+   * of any newer entry that was pushed, as the outbox is pushed in order.
+   * @param {Array<number>} seqs - Sequence numbers of the outbox entries of the undone change
+   * @param {Array<number>} newerSeqs - Sequence numbers of the outbox entries queued since, e.g. by the undo
+   * @returns {Promise<number>} Number of entries dropped
+   */
+  async discardReplacedOutboxEntries(seqs, newerSeqs) {
+    if (seqs.length === 0 || newerSeqs.length === 0) return 0;
+    
+    const outbox = await this.getOutbox();
+    const replaced = new Set(outbox
+      .filter(entry => newerSeqs.includes(entry.seq))
+      .map(entry => `${entry.table}:${entry.entityId}`));
+    const waiting = outbox.filter(entry => seqs.includes(entry.seq) && replaced.has(`${entry.table}:${entry.entityId}`));
+    
+    if (waiting.length > 0) {
+      await this.saveOutboxEntries(waiting, true);
+    }
+    
+    return waiting.length;
+  }
+
+  /**
+   * Push queued mutations to Supabase in the order they were made
+   * Consecutive upserts to the same table are sent in batches. Entries use upserts and
+   * deletes by ID, so replaying one that already went through is harmless.
+   * @returns {Promise<boolean>} True if the outbox was fully drained
+   */
+  async processOutbox() {
+    if (!this.isInitialized || !this.supabaseClient || !this.currentUser || !this.isOnline) return false;
+    
+    // Drain again once the current run finishes so new entries are not missed
+    if (this.isProcessingOutbox) {
+      this.outboxRerun = true;
+      return false;
+    }
+    
+    this.isProcessingOutbox = true;
+    let drained = true;
+    
+    try {
+      do {
+        this.outboxRerun = false;
+        drained = true;
+        
+        const conflictIds = new Set((await this.getConflicts()).map(conflict => conflict.postId));
+        const entries = this.getPushableOutboxEntries(await this.getOutbox(), conflictIds);
+        
+        for (let index = 0; index < entries.length;) {
+          const now = Date.now();
+          const batch = this.getOutboxBatch(entries, index, now);
+          
+          if (batch.length === 0) {
+            this.scheduleOutboxRetry(entries[index].nextAttemptAt - now);
+            drained = false;
+            break;
+          }
+          
+          try {
+            await this.pushOutboxBatch(batch);
+            await this.saveOutboxEntries(batch, true);
+            
+            // The server now has these versions of the records
+            const pushedRecords = batch.filter(entry => entry.action === 'upsert');
+            
+            if (pushedRecords.length > 0) {
+              await this.markSynced(pushedRecords.map(entry => entry.data), batch[0].table);
+            }
+          } catch (error) {
+            console.error('Error pushing outbox entries:', error);
+            
+            // Back off exponentially before retrying
+            for (const entry of batch) {
+              entry.attempts++;
+              entry.lastError = error.message || String(error);
+              entry.nextAttemptAt = now + this.getRetryDelay(entry.attempts);
+            }
+            
+            await this.saveOutboxEntries(batch);
+            
+            if (batch[0].attempts < CONFIG.sync.maxAttempts) {
+              this.scheduleOutboxRetry(batch[0].nextAttemptAt - now);
+            } else {
+              this.dispatchParkedOutboxChange();
+            }
+            
+            drained = false;
+            break;
+          }
+          
+          index += batch.length;
+        }
+      } while (this.outboxRerun && drained);
+    } catch (error) {
+      console.error('Error processing outbox:', error);
+      drained = false;
+    } finally {
+      this.isProcessingOutbox = false;
+    }
+    
+    return drained;
+  }
+
+  /**
+   * Get the outbox entries that can be pushed, in order
+   * Posts with an open conflict are pushed once the user resolves it. Entries that failed too
+   * often are parked until the user retries or discards them, and later entries for the same
+   * record wait behind them so the server never gets its changes out of order.
+   * @param {Array} entries - Outbox entries in order
+   * @param {Set<string>} conflictIds - IDs of posts with an open conflict
+   * @returns {Array} Entries to push
+   */
+  getPushableOutboxEntries(entries, conflictIds) {
+    const parkedKeys = new Set();
+    
+    return entries.filter(entry => {
+      const key = `${entry.table}:${entry.entityId}`;
+      
+      if (entry.attempts >= CONFIG.sync.maxAttempts) {
+        parkedKeys.add(key);
+      }
+      
+      return !parkedKeys.has(key) && !conflictIds.has(entry.entityId);
+    });
+  }
+
+  /**
+   * Get the outbox entries that failed too often to be retried automatically
+   * @returns {Promise<Array>} Parked entries in the order they were queued
+   */
+  async getParkedOutboxEntries() {
+    const entries = await this.getOutbox();
+    return entries.filter(entry => entry.attempts >= CONFIG.sync.maxAttempts);
+  }
+
+  /**
+   * Push parked outbox entries again, as if they were just queued
+   * @param {Array<number>} seqs - Sequence numbers of the entries
+   * @returns {Promise<number>} Number of entries queued again
+   */
+  async retryOutboxEntries(seqs) {
+    const entries = (await this.getOutbox())
+      .filter(entry => seqs.includes(entry.seq))
+      .map(entry => ({ ...entry, attempts: 0, nextAttemptAt: 0, lastError: null }));
+    
+    if (entries.length > 0) {
+      await this.saveOutboxEntries(entries);
+      this.dispatchParkedOutboxChange();
+      this.processOutbox();
+    }
+    
+    return entries.length;
+  }
+
+  /**
+   * Drop parked outbox entries, so the server never gets them
+   * Later entries for the same records are pushed again
+   * @param {Array<number>} seqs - Sequence numbers of the entries
+   * @returns {Promise<number>} Number of entries dropped
+   */
+  async discardOutboxEntries(seqs) {
+    const entries = (await this.getOutbox()).filter(entry => seqs.includes(entry.seq));
+    
+    if (entries.length > 0) {
+      await this.saveOutboxEntries(entries, true);
+      this.dispatchParkedOutboxChange();
+      this.processOutbox();
+    }
+    
+    return entries.length;
+  }
+
+  /**
+   * Notify the UI that the list of parked outbox entries changed
+   */
+  async dispatchParkedOutboxChange() {
+    const entries = await this.getParkedOutboxEntries();
+    document.dispatchEvent(new CustomEvent('sync:parked', { detail: { entries } }));
+  }
+
+  /**
+   * Get the entries that can be pushed together, starting at an index
+   * @param {Array} entries - Outbox entries in order
+   * @param {number} index - Index of the first entry
+   * @param {number} now - Current time in ms
+   * @returns {Array} Batch of entries (empty if the first entry has to wait for a retry)
+   */
+  getOutboxBatch(entries, index, now) {
+    const first = entries[index];
+    
+    if (first.nextAttemptAt > now) return [];
+    
+    const batch = [first];
+    
+    while (first.action === 'upsert' && batch.length < CONFIG.sync.batchSize) {
+      const next = entries[index + batch.length];
+      
+      if (!next || next.action !== 'upsert' || next.table !== first.table || next.nextAttemptAt > now) break;
+      
+      batch.push(next);
+    }
+    
+    return batch;
+  }
+
+  /**
+   * Push a batch of outbox entries to Supabase
+   * @param {Array} batch - Entries for the same table, a single delete or consecutive upserts
+   * @returns {Promise} Resolves when Supabase accepted the changes
+   */
+  async pushOutboxBatch(batch) {
+    const table = this.supabaseClient.from(batch[0].table);
+    
+    if (batch[0].action === 'delete') {
+      const { error } = await table.delete().eq('id', batch[0].entityId);
+      if (error) throw error;
+      return;
+    }
+    
+    // Upserting the same row twice in one statement fails, so only the latest version is sent
+    const rows = new Map();
+    
+    for (const entry of batch) {
+      rows.set(entry.entityId, { ...entry.data, user_id: this.currentUser.id });
+    }
+    
+    const { error } = await table.upsert([...rows.values()]);
+    
+    if (error) throw error;
+  }
+
+  /**
+   * Get the delay before retrying a failed outbox entry
+   * @param {number} attempts - Number of failed attempts so far
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempts) {
+    const delay = CONFIG.sync.retryBaseDelay * Math.pow(2, attempts - 1);
+    
+    // Add some jitter so several tabs don't retry at the same moment
+    return Math.min(delay, CONFIG.sync.retryMaxDelay) * (1 + Math.random() * 0.2);
+  }
+
+  /**
+   * Schedule the next outbox run
+   * @param {number} delay - Delay in ms
+   */
+  scheduleOutboxRetry(delay) {
+    clearTimeout(this.outboxRetryTimer);
+    // Retry through a full sync so changes made elsewhere in the meantime are merged first
+    this.outboxRetryTimer = setTimeout(() => this.syncWithSupabase(), delay);
+  }
+
+  /**
+   * Add a post to the database
+   * Enabled auto-tagging rules matching the post add their tags and put it on their boards.
+   * A post in the trash with the same URL is restored instead, with the new post's tags added to it.
+   * @param {Object} post - The post to add
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise<Object>} The added or restored post
+   * @throws {Error} If a post with the same or an equivalent URL is already saved
+   */
+  async addPost(post, sync = true, queued = null) {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.addPost(post, sync, queued).then(resolve);
+        });
+      });
+    }
+    
+    // Generate ID if not provided
+    if (!post.id) {
+      post.id = crypto.randomUUID();
+    }
+    
+    // Set timestamps
+    const now = new Date().toISOString();
+    post.dateAdded = post.dateAdded || now;
+    post.updatedAt = now;
+    
+    // New posts go to the top of the manual order
+    if (typeof post.position !== 'number') {
+      post.position = this.getDefaultPosition(post);
+    }
+    
+    try {
+      const existingPost = await this.getPostByUrl(post.url, { includeDeleted: true });
+      
+      if (existingPost && !existingPost.deletedAt) {
+        throw new Error('Post with this URL already exists');
+      }
+      
+      // The trashed post keeps its notes, boards and history
+      if (existingPost) {
+        return await this.restoreTrashedPost(existingPost.id, post.tags || [], sync, queued);
+      }
+      
+      post.canonicalUrl = urlCanonicalizer.canonicalize(post.url);
+      
+      // Auto-tagging rules add their tags before the post is stored and their boards after
+      const ruleChanges = autoTagger.apply(await this.getAllTagRules(), post);
+      post.tags = [...(post.tags || []), ...ruleChanges.tags];
+      
+      if (this.isIndexedDBSupported) {
+        await new Promise((resolve, reject) => {
+          const storeNames = [CONFIG.storage.postsStore, CONFIG.storage.tagsStore, CONFIG.storage.outboxStore, CONFIG.storage.searchIndexStore, CONFIG.storage.revisionsStore];
+          const transaction = this.db.transaction(storeNames, 'readwrite');
+          const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+          const tagsStore = transaction.objectStore(CONFIG.storage.tagsStore);
+          
+          // Add post
+          const postRequest = postsStore.add(post);
+          
+          postRequest.onsuccess = () => {
+            searchIndex.indexPost(transaction.objectStore(CONFIG.storage.searchIndexStore), post);
+            this.addRevision(transaction, post);
+            
+            // Update tag counts
+            if (post.tags && post.tags.length > 0) {
+              for (const tag of post.tags) {
+                const tagRequest = tagsStore.get(tag);
+                
+                tagRequest.onsuccess = () => {
+                  const tagData = tagRequest.result || { name: tag, count: 0 };
+                  tagData.count++;
+                  tagData.lastUsed = post.updatedAt;
+                  tagsStore.put(tagData);
+                };
+              }
+            }
+            
+            // Queue for sync with Supabase in the same transaction
+            if (sync) {
+              this.addOutboxEntry(transaction.objectStore(CONFIG.storage.outboxStore), this.createOutboxEntry('upsert', 'posts', post.id, this.toRemotePost(post)), queued);
+            }
+          };
+          
+          transaction.oncomplete = () => {
+            if (sync) {
+              this.requestBackgroundSync();
+              this.processOutbox();
+            }
+            
+            this.dispatchPostsChange([post.id]);
+            
+            resolve();
+          };
+          
+          postRequest.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        
+        // Check for duplicate URL
+        const existingIndex = data.posts.findIndex(p => p.url === post.url);
+        if (existingIndex >= 0) {
+          throw new Error('Post with this URL already exists');
+        }
+        
+        data.posts.push(post);
+        this.addFallbackRevision(data, post);
+        
+        // Queue for sync with Supabase
+        if (sync) {
+          this.addFallbackOutboxEntry(data, this.createOutboxEntry('upsert', 'posts', post.id, this.toRemotePost(post)), queued);
+        }
+        
+        // Update tag counts
+        if (post.tags && post.tags.length > 0) {
+          for (const tag of post.tags) {
+            const tagIndex = data.tags.findIndex(t => t.name === tag);
+            
+            if (tagIndex >= 0) {
+              data.tags[tagIndex].count++;
+              data.tags[tagIndex].lastUsed = post.updatedAt;
+            } else {
+              data.tags.push({ name: tag, count: 1, lastUsed: post.updatedAt });
+            }
+          }
+        }
+        
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+        
+        if (sync) {
+          this.requestBackgroundSync();
+          this.processOutbox();
+        }
+        
+        this.dispatchPostsChange([post.id]);
+      }
+      
+      if (ruleChanges.boardIds.length > 0) {
+        await this.addPostToBoards(post.id, ruleChanges.boardIds, queued);
+      }
+      
+      return post;
+    } catch (error) {
+      console.error('Error adding post:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all posts from the database
+   * A searchTerm is parsed with searchQuery, its words are looked up in the search index
+   * and matches are sorted by relevance
+   * @param {Object} options - Query options (pass includeDeleted to also get tombstones)
+   * @returns {Promise<Array>} Array of posts
+   */
+  async getAllPosts(options = {}) {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getAllPosts(options).then(resolve);
+        });
+      });
+    }
+    
+    try {
+      const query = options.searchTerm ? searchQuery.compile(options.searchTerm) : null;
+      const terms = query ? query.terms.join(' ') : '';
+      
+      // Plain words narrow the index lookup to posts holding all of them, words joined by OR to any
+      const matchAll = !!query && query.requiresAllTerms;
+      
+      if (this.isIndexedDBSupported) {
+        // Look the search words up in the index instead of scanning every post
+        const scores = terms ? await searchIndex.search(this.db, terms, { matchAll }) : null;
+        
+        const posts = await new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(CONFIG.storage.postsStore, 'readonly');
+          const store = transaction.objectStore(CONFIG.storage.postsStore);
+          
+          // Only read the matching posts when the search needs words
+          const ids = scores && query.requiresText ? [...scores.keys()] : null;
+          
+          this.readCandidatePosts(store, options, ids, resolve);
+          
+          transaction.onerror = (event) => reject(event.target.error);
+        });
+        
+        return this.queryPosts(posts, options, query, scores);
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        const scores = terms ? searchIndex.searchPosts(data.posts, terms, { matchAll }) : null;
+        
+        return this.queryPosts(data.posts, options, query, scores);
+      }
+    } catch (error) {
+      console.error('Error getting posts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Read the posts a query can match, narrowed by the most selective lookup available
+   * Listed IDs and board posts are read one by one, tag filters read the posts of the rarest
+   * tag and its nested tags through the tags index, and anything else reads the whole index of the sort
+   * @param {IDBObjectStore} store - Posts store, part of the caller's transaction
+   * @param {Object} options - Query options passed to getAllPosts
+   * @param {Array<string>|null} ids - IDs of the only posts that can match, or null
+   * @param {Function} callback - Called with the posts once they are read
+   */
+  readCandidatePosts(store, options, ids, callback) {
+    const { sortBy, filterTags, board } = options;
+    const candidateIds = ids || (board ? board.postIds : null);
+    
+    if (candidateIds) {
+      const posts = [];
+      let pending = candidateIds.length;
+      
+      if (pending === 0) {
+        callback(posts);
+        return;
+      }
+      
+      for (const id of candidateIds) {
+        const request = store.get(id);
+        
+        request.onsuccess = () => {
+          if (request.result) {
+            posts.push(request.result);
+          }
+          
+          if (--pending === 0) {
+            callback(posts);
+          }
+        };
+      }
+      
+      return;
+    }
+    
+    if (filterTags && filterTags.length > 0) {
+      const tagsIndex = store.index('tags');
+      const tags = [...new Set(filterTags)];
+      const counts = new Map();
+      
+      // Count the posts of each tag first, then read the smallest set
+      for (const tag of tags) {
+        const request = tagsIndex.count(this.getTagKeyRange(tag));
+        
+        request.onsuccess = () => {
+          counts.set(tag, request.result);
+          
+          if (counts.size < tags.length) return;
+          
+          const rarestTag = tags.reduce((a, b) => (counts.get(b) < counts.get(a) ? b : a));
+          const postsRequest = tagsIndex.getAll(this.getTagKeyRange(rarestTag));
+          
+          postsRequest.onsuccess = () => {
+            // A post is listed once for each of its tags in the range
+            callback([...new Map(postsRequest.result.map(post => [post.id, post])).values()]);
+          };
+        };
+      }
+      
+      return;
+    }
+    
+    // Use appropriate index based on sort
+    const request = store.index(sortBy === 'platform' ? 'platform' : 'dateAdded').getAll();
+    
+    request.onsuccess = () => {
+      callback(request.result);
+    };
+  }
+
+  /**
+   * Get the range of the tags index holding a tag and its nested tags
+   * The range also holds tags like "work-notes" that sort between "work" and "work/", so
+   * posts read through it still need to be filtered with tagPath.matches
+   * @param {string} tag - Tag path
+   * @returns {IDBKeyRange} Key range
+   */
+  getTagKeyRange(tag) {
+    return IDBKeyRange.bound(tag, tag + tagPath.separator + '\uffff');
+  }
+
+  /**
+   * Get one page of posts, continuing after the previous page
+   * Pages sorted by date or platform walk a cursor over that index, so each page only reads
+   * the posts up to its last one. Searches, tag filters, boards and the manual order are
+   * narrowed by getAllPosts and paged by offset.
+   * @param {Object} options - Query options as for getAllPosts, with limit as the page size
+   * @param {string|null} pageToken - nextPageToken of the previous page, or null for the first page
+   * @returns {Promise<Object>} Page with the posts and an opaque nextPageToken, which is null after the last page
+   */
+  async getPostsPage(options = {}, pageToken = null) {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getPostsPage(options, pageToken).then(resolve);
+        });
+      });
+    }
+    
+    try {
+      const limit = options.limit || CONFIG.ui.postsPerPage;
+      const position = pageToken ? this.decodePageToken(pageToken) : {};
+      const query = options.searchTerm ? searchQuery.compile(options.searchTerm) : null;
+      
+      if (this.canPageWithCursor(options, query)) {
+        const { posts, last } = await this.readPostsPage(options, query, limit, position.after || null);
+        
+        return {
+          posts,
+          nextPageToken: last ? this.encodePageToken({ after: last }) : null
+        };
+      }
+      
+      const offset = position.offset || 0;
+      const posts = await this.getAllPosts({ ...options, limit, offset });
+      
+      return {
+        posts,
+        nextPageToken: posts.length === limit ? this.encodePageToken({ offset: offset + limit }) : null
+      };
+    } catch (error) {
+      console.error('Error getting page of posts:', error);
+      return { posts: [], nextPageToken: null };
+    }
+  }
+
+  /**
+   * Check whether a query can be paged with a cursor over the index of its sort
+   * @param {Object} options - Query options passed to getPostsPage
+   * @param {Object|null} query - Search compiled by searchQuery, or null when not searching
+   * @returns {boolean} True for date and platform sorts without words to rank, tags or a board
+   */
+  canPageWithCursor(options, query) {
+    const { sortBy, filterTags, board } = options;
+    
+    return this.isIndexedDBSupported &&
+      (!sortBy || sortBy === 'dateAdded' || sortBy === 'platform') &&
+      !(query && query.terms.length > 0) &&
+      !(filterTags && filterTags.length > 0) &&
+      !board;
+  }
+
+  /**
+   * Read a page of posts with a cursor over the dateAdded or platform index
+   * @param {Object} options - Query options passed to getPostsPage
+   * @param {Object|null} query - Search compiled by searchQuery, or null when not searching
+   * @param {number} limit - Page size
+   * @param {Object|null} after - Index key and ID of the last post of the previous page
+   * @returns {Promise<Object>} The posts, and the key and ID of the last one if the page is full
+   */
+  readPostsPage(options, query, limit, after) {
+    const matches = this.createPostFilter(options, query);
+    const direction = options.sortOrder === 'asc' ? 'next' : 'prev';
+    const step = direction === 'next' ? 1 : -1;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(CONFIG.storage.postsStore, 'readonly');
+      const store = transaction.objectStore(CONFIG.storage.postsStore);
+      const index = store.index(options.sortBy === 'platform' ? 'platform' : 'dateAdded');
+      
+      // Start at the key of the previous page's last post
+      let range = null;
+      
+      if (after) {
+        range = direction === 'next' ? IDBKeyRange.lowerBound(after.key) : IDBKeyRange.upperBound(after.key);
+      }
+      
+      const posts = [];
+      const request = index.openCursor(range, direction);
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        
+        if (!cursor) {
+          resolve({ posts, last: null });
+          return;
+        }
+        
+        // Skip posts sharing that key up to and including the last one shown
+        if (after && indexedDB.cmp(cursor.key, after.key) === 0) {
+          const order = indexedDB.cmp(cursor.primaryKey, after.id) * step;
+          
+          if (order < 0) {
+            cursor.continuePrimaryKey(after.key, after.id);
+            return;
+          }
+          
+          if (order === 0) {
+            cursor.continue();
+            return;
+          }
+        }
+        
+        if (matches(cursor.value)) {
+          posts.push(cursor.value);
+        }
+        
+        if (posts.length === limit) {
+          resolve({ posts, last: { key: cursor.key, id: cursor.primaryKey } });
+          return;
+        }
+        
+        cursor.continue();
+      };
+      
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * Encode where a page ended as an opaque token
+   * @param {Object} position - Offset, or index key and ID of the last post
+   * @returns {string} Page token
+   */
+  encodePageToken(position) {
+    return btoa(JSON.stringify(position));
+  }
+
+  /**
+   * Decode a page token made by encodePageToken
+   * @param {string} pageToken - Page token
+   * @returns {Object} Offset, or index key and ID of the last post
+   */
+  decodePageToken(pageToken) {
+    try {
+      return JSON.parse(atob(pageToken));
+    } catch (error) {
+      throw new Error('Invalid page token');
+    }
+  }
+
+  /**
+   * Filter, sort and paginate posts for getAllPosts
+   * @param {Array<Object>} posts - Posts to query
+   * @param {Object} options - Query options passed to getAllPosts
+   * @param {Object|null} query - Search compiled by searchQuery, or null when not searching
+   * @param {Map|null} scores - Search score of posts by ID, or null when the search has no words
+   * @returns {Array<Object>} Matching posts
+   */
+  queryPosts(posts, options, query, scores) {
+    const { limit, offset, sortBy, sortOrder, board } = options;
+    
+    // Position of each post on the board, for the board's manual order
+    const boardOrder = board ? new Map(board.postIds.map((id, index) => [id, index])) : null;
+    
+    // Apply filters
+    posts = posts.filter(this.createPostFilter(options, query));
+    
+    // Sort posts, best search matches first
+    posts.sort((a, b) => {
+      const scoreA = scores ? scores.get(a.id) || 0 : 0;
+      const scoreB = scores ? scores.get(b.id) || 0 : 0;
+      
+      if (scoreA !== scoreB) {
+        return scoreB - scoreA;
+      }
+      
+      return this.comparePosts(a, b, sortBy, sortOrder, boardOrder);
+    });
+    
+    // Apply pagination
+    if (limit) {
+      const start = offset || 0;
+      posts = posts.slice(start, start + limit);
+    }
+    
+    return posts;
+  }
+
+  /**
+   * Create a function checking a post against the filters of a query
+   * @param {Object} options - Query options passed to getAllPosts
+   * @param {Object|null} query - Search compiled by searchQuery, or null when not searching
+   * @returns {Function} Function returning true for posts to keep
+   */
+  createPostFilter(options, query) {
+    const { filterTags, platform, board, includeDeleted } = options;
+    const boardPostIds = board ? new Set(board.postIds) : null;
+    
+    return post => {
+      // Leave out deleted posts
+      if (post.deletedAt && !includeDeleted) return false;
+      
+      // A parent tag also matches its nested tags
+      if (filterTags && filterTags.length > 0 && !filterTags.every(filterTag => (post.tags || []).some(tag => tagPath.matches(tag, filterTag)))) {
+        return false;
+      }
+      
+      if (platform && post.platform !== platform) return false;
+      
+      if (boardPostIds && !boardPostIds.has(post.id)) return false;
+      
+      return !query || query.predicate(post);
+    };
+  }
+
+  /**
+   * Count the posts matching each of several queries in one pass over the library
+   * @param {Array<Object>} queries - Query options like getAllPosts takes: searchTerm, filterTags and platform
+   * @returns {Promise<Array<number>>} Number of matching posts for each query
+   */
+  async countPosts(queries) {
+    const filters = queries.map(options => {
+      return this.createPostFilter(options, options.searchTerm ? searchQuery.compile(options.searchTerm) : null);
+    });
+    const counts = filters.map(() => 0);
+    
+    for (const post of await this.getAllPosts()) {
+      filters.forEach((matches, index) => {
+        if (matches(post)) counts[index]++;
+      });
+    }
+    
+    return counts;
+  }
+
+  /**
+   * Compare two posts for sorting
+   * @param {Object} a - First post
+   * @param {Object} b - Second post
+   * @param {string} sortBy - 'dateAdded', 'platform', 'position' or 'board'
+   * @param {string} sortOrder - 'asc' or 'desc'
+   * @param {Map} [boardOrder] - Index of each post on the board, required when sorting by 'board'
+   * @returns {number} Sort order
+   */
+  comparePosts(a, b, sortBy, sortOrder, boardOrder = null) {
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    let order;
+    
+    if (sortBy === 'platform') {
+      order = a.platform.localeCompare(b.platform);
+    } else if (sortBy === 'board' && boardOrder) {
+      order = boardOrder.get(a.id) - boardOrder.get(b.id);
+    } else if (sortBy === 'position') {
+      order = this.getPostPosition(a) - this.getPostPosition(b);
+    } else {
+      order = new Date(a.dateAdded) - new Date(b.dateAdded);
+    }
+    
+    // Ties go by ID, the order a cursor over the index returns them in
+    if (order === 0 && a.id !== b.id) {
+      order = a.id < b.id ? -1 : 1;
+    }
+    
+    return order * direction;
+  }
+
+  /**
+   * Get the default manual position for a post
+   * Newer posts get lower positions so the manual order starts out newest first
+   * @param {Object} post - Post object
+   * @returns {number} Position
+   */
+  getDefaultPosition(post) {
+    const time = new Date(post.dateAdded).getTime();
+    return isNaN(time) ? -Date.now() : -time;
+  }
+
+  /**
+   * Get the manual position of a post
+   * @param {Object} post - Post object
+   * @returns {number} Position
+   */
+  getPostPosition(post) {
+    return typeof post.position === 'number' ? post.position : this.getDefaultPosition(post);
+  }
+
+  /**
+   * Spread the manual positions of all posts evenly, keeping their order
+   * Moving posts between neighbours halves the gap between positions each time, until there is no
+   * number left between them. Posts in the trash are included, so they come back at the same place.
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Map>} New positions by post ID
+   */
+  async renumberPositions(sync = true) {
+    if (!this.isInitialized) {
+      return new Promise((resolve, reject) => {
+        this.pendingOperations.push(() => {
+          this.renumberPositions(sync).then(resolve, reject);
+        });
+      });
+    }
+    
+    try {
+      const posts = (await this.getAllPosts({ includeDeleted: true }))
+        .sort((a, b) => (this.getPostPosition(a) - this.getPostPosition(b)) || a.id.localeCompare(b.id));
+      
+      const updatedAt = new Date().toISOString();
+      const positions = new Map(posts.map((post, index) => [post.id, index * CONFIG.ui.positionStep]));
+      const changedPosts = posts
+        .filter(post => post.position !== positions.get(post.id))
+        .map(post => ({ ...post, position: positions.get(post.id), updatedAt }));
+      
+      if (changedPosts.length === 0) return positions;
+      
+      if (this.isIndexedDBSupported) {
+        await new Promise((resolve, reject) => {
+          const transaction = this.db.transaction([CONFIG.storage.postsStore, CONFIG.storage.outboxStore], 'readwrite');
+          const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+          const outboxStore = transaction.objectStore(CONFIG.storage.outboxStore);
+          
+          for (const post of changedPosts) {
+            postsStore.put(post);
+            
+            if (sync) {
+              outboxStore.add(this.createOutboxEntry('upsert', 'posts', post.id, this.toRemotePost(post)));
+            }
+          }
+          
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = (event) => reject(event.target.error);
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        const changedById = new Map(changedPosts.map(post => [post.id, post]));
+        
+        data.posts = data.posts.map(post => changedById.get(post.id) || post);
+        
+        if (sync) {
+          for (const post of changedPosts) {
+            this.addFallbackOutboxEntry(data, this.createOutboxEntry('upsert', 'posts', post.id, this.toRemotePost(post)));
+          }
+        }
+        
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+      }
+      
+      if (sync) {
+        this.requestBackgroundSync();
+        this.processOutbox();
+      }
+      
+      this.dispatchPostsChange(changedPosts.map(post => post.id));
+      
+      return positions;
+    } catch (error) {
+      console.error('Error renumbering post positions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a post by ID
+   * @param {string} id - The post ID
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDeleted - Also return deleted posts (tombstones)
+   * @returns {Promise<Object>} The post
+   */
+  async getPostById(id, { includeDeleted = false } = {}) {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getPostById(id, { includeDeleted }).then(resolve);
+        });
+      });
+    }
+    
+    try {
+      if (this.isIndexedDBSupported) {
+        return new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(CONFIG.storage.postsStore, 'readonly');
+          const store = transaction.objectStore(CONFIG.storage.postsStore);
+          const request = store.get(id);
+          
+          request.onsuccess = () => {
+            const post = request.result || null;
+            resolve(post && post.deletedAt && !includeDeleted ? null : post);
+          };
+          
+          request.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        return data.posts.find(post => post.id === id && (includeDeleted || !post.deletedAt)) || null;
+      }
+    } catch (error) {
+      console.error('Error getting post by ID:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get several posts by ID in one transaction
+   * @param {Array<string>} ids - Post IDs
+   * @returns {Promise<Map>} Stored posts by ID, deleted posts included, missing IDs left out
+   */
+  async getPostsByIds(ids) {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getPostsByIds(ids).then(resolve);
+        });
+      });
+    }
+    
+    try {
+      let posts;
+      
+      if (this.isIndexedDBSupported) {
+        posts = await new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(CONFIG.storage.postsStore, 'readonly');
+          const store = transaction.objectStore(CONFIG.storage.postsStore);
+          
+          this.readCandidatePosts(store, {}, ids, resolve);
+          
+          transaction.onerror = (event) => reject(event.target.error);
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        const wanted = new Set(ids);
+        posts = data.posts.filter(post => wanted.has(post.id));
+      }
+      
+      return new Map(posts.map(post => [post.id, post]));
+    } catch (error) {
+      console.error('Error getting posts by ID:', error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Get a post by URL
+   * Equivalent links are matched through their canonical URL, e.g. a youtu.be link finds the post saved from youtube.com
+   * @param {string} url - The post URL
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDeleted - Also return deleted posts (tombstones)
+   * @returns {Promise<Object|null>} The post
+   */
+  async getPostByUrl(url, { includeDeleted = false } = {}) {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getPostByUrl(url, { includeDeleted }).then(resolve);
+        });
+      });
+    }
+    
+    try {
+      const equivalentPost = await this.getPostByCanonicalUrl(urlCanonicalizer.canonicalize(url));
+      
+      if (equivalentPost) {
+        return equivalentPost;
+      }
+      
+      // Deleted posts and duplicates without a canonical URL are only found by their exact URL
+      if (this.isIndexedDBSupported) {
+        return new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(CONFIG.storage.postsStore, 'readonly');
+          const store = transaction.objectStore(CONFIG.storage.postsStore);
+          const request = store.index('url').get(url);
+          
+          request.onsuccess = () => {
+            const post = request.result || null;
+            resolve(post && post.deletedAt && !includeDeleted ? null : post);
+          };
+          
+          request.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        return data.posts.find(post => post.url === url && (includeDeleted || !post.deletedAt)) || null;
+      }
+    } catch (error) {
+      console.error('Error getting post by URL:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the post holding a canonical URL
+   * Only live posts hold a canonical URL, and each canonical URL is held by a single post
+   * @param {string} canonicalUrl - Canonical URL, as returned by urlCanonicalizer.canonicalize
+   * @returns {Promise<Object|null>} The post
+   */
+  async getPostByCanonicalUrl(canonicalUrl) {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getPostByCanonicalUrl(canonicalUrl).then(resolve);
+        });
+      });
+    }
+    
+    try {
+      if (this.isIndexedDBSupported) {
+        return new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(CONFIG.storage.postsStore, 'readonly');
+          const store = transaction.objectStore(CONFIG.storage.postsStore);
+          const request = store.index('canonicalUrl').get(canonicalUrl);
+          
+          request.onsuccess = () => {
+            resolve(request.result || null);
+          };
+          
+          request.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        return data.posts.find(post => post.canonicalUrl === canonicalUrl) || null;
+      }
+    } catch (error) {
+      console.error('Error getting post by canonical URL:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the canonical URL a post may store
+   * Each canonical URL belongs to a single live post. Duplicates saved before canonical URLs existed,
+   * or synced from another device, go without one until they are merged or the other post is deleted.
+   * @param {Object} post - Post
+   * @returns {Promise<string|undefined>} Canonical URL, or undefined if another post holds it
+   */
+  async claimCanonicalUrl(post) {
+    if (post.deletedAt) return undefined;
+    
+    const canonicalUrl = urlCanonicalizer.canonicalize(post.url);
+    const holder = await this.getPostByCanonicalUrl(canonicalUrl);
+    
+    return !holder || holder.id === post.id ? canonicalUrl : undefined;
+  }
+
+  /**
+   * Find saved posts that point to the same link
+   * @returns {Promise<Array<Array<Object>>>} Groups of posts sharing a canonical URL, oldest post first
+   */
+  async findDuplicatePosts() {
+    const groups = new Map();
+    
+    for (const post of await this.getAllPosts()) {
+      const canonicalUrl = urlCanonicalizer.canonicalize(post.url);
+      
+      if (!groups.has(canonicalUrl)) {
+        groups.set(canonicalUrl, []);
+      }
+      
+      groups.get(canonicalUrl).push(post);
+    }
+    
+    return [...groups.values()]
+      .filter(group => group.length > 1)
+      .map(group => group.sort((a, b) => (a.dateAdded || '').localeCompare(b.dateAdded || '')));
+  }
+
+  /**
+   * Merge duplicate posts into the oldest of them, in one transaction
+   * The kept post gets the tags and notes of the others, fills in fields it lacks from them and takes
+   * their place on boards. The others are moved to the trash.
+   * @param {Array<string>} ids - IDs of posts pointing to the same link
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object>} The kept post
+   */
+  async mergeDuplicatePosts(ids, sync = true) {
+    if (!this.isInitialized) {
+      return new Promise((resolve, reject) => {
+        this.pendingOperations.push(() => {
+          this.mergeDuplicatePosts(ids, sync).then(resolve, reject);
+        });
+      });
+    }
+    
+    const posts = (await Promise.all(ids.map(id => this.getPostById(id)))).filter(Boolean);
+    
+    if (posts.length < 2) {
+      throw new Error('At least two posts are needed to merge');
+    }
+    
+    const canonicalUrls = new Set(posts.map(post => urlCanonicalizer.canonicalize(post.url)));
+    
+    if (canonicalUrls.size > 1) {
+      throw new Error('Only posts pointing to the same link can be merged');
+    }
+    
+    try {
+      posts.sort((a, b) => (a.dateAdded || '').localeCompare(b.dateAdded || ''));
+      
+      const [kept, ...duplicates] = posts;
+      const duplicateIds = new Set(duplicates.map(post => post.id));
+      const now = new Date().toISOString();
+      const merged = this.mergePostFields(kept, duplicates);
+      merged.updatedAt = now;
+      
+      // The duplicates give up the canonical URL, the kept post claims it unless a post left out of the merge holds it
+      const [canonicalUrl] = canonicalUrls;
+      const holder = await this.getPostByCanonicalUrl(canonicalUrl);
+      syncMerger.setField(merged, 'canonicalUrl', !holder || ids.includes(holder.id) ? canonicalUrl : undefined);
+      
+      const tombstones = duplicates.map(post => ({ ...this.withoutCanonicalUrl(post), deletedAt: now, updatedAt: now }));
+      const deltas = this.getTagDeltas(posts, [merged]);
+      
+      // Boards listing a duplicate list the kept post in its place
+      const boards = (await this.getAllBoards())
+        .filter(board => board.postIds.some(id => duplicateIds.has(id)))
+        .map(board => this.prepareBoard({
+          ...board,
+          postIds: board.postIds.map(id => (duplicateIds.has(id) ? kept.id : id)),
+          updatedAt: now
+        }));
+      
+      const entries = sync ? [
+        ...tombstones.map(tombstone => this.createOutboxEntry('upsert', 'posts', tombstone.id, this.toRemotePost(tombstone))),
+        this.createOutboxEntry('upsert', 'posts', merged.id, this.toRemotePost(merged)),
+        ...boards.map(board => this.createOutboxEntry('upsert', 'boards', board.id, this.toRemotePost(board)))
+      ] : [];
+      
+      if (this.isIndexedDBSupported) {
+        await new Promise((resolve, reject) => {
+          const storeNames = [CONFIG.storage.postsStore, CONFIG.storage.tagsStore, CONFIG.storage.boardsStore, CONFIG.storage.outboxStore, CONFIG.storage.searchIndexStore, CONFIG.storage.revisionsStore];
+          const transaction = this.db.transaction(storeNames, 'readwrite');
+          const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+          const searchIndexStore = transaction.objectStore(CONFIG.storage.searchIndexStore);
+          
+          // Trashing the duplicates first frees the canonical URL for the kept post
+          for (const tombstone of tombstones) {
+            postsStore.put(tombstone);
+            searchIndex.removePost(searchIndexStore, tombstone.id);
+            this.addRevision(transaction, tombstone);
+          }
+          
+          postsStore.put(merged);
+          searchIndex.indexPost(searchIndexStore, merged);
+          this.addRevision(transaction, merged);
+          
+          for (const board of boards) {
+            transaction.objectStore(CONFIG.storage.boardsStore).put(board);
+          }
+          
+          // Queue for sync with Supabase in the same transaction
+          for (const entry of entries) {
+            transaction.objectStore(CONFIG.storage.outboxStore).add(entry);
+          }
+          
+          this.applyTagDeltas(transaction.objectStore(CONFIG.storage.tagsStore), deltas);
+          
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = (event) => reject(event.target.error);
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        const postsById = new Map([...tombstones, merged].map(post => [post.id, post]));
+        const boardsById = new Map(boards.map(board => [board.id, board]));
+        
+        data.posts = data.posts.map(post => postsById.get(post.id) || post);
+        data.boards = (data.boards || []).map(board => boardsById.get(board.id) || board);
+        
+        for (const post of [...tombstones, merged]) {
+          this.addFallbackRevision(data, post);
+        }
+        
+        // Queue for sync with Supabase
+        for (const entry of entries) {
+          this.addFallbackOutboxEntry(data, entry);
+        }
+        
+        this.applyFallbackTagDeltas(data, deltas);
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+      }
+      
+      if (sync) {
+        this.requestBackgroundSync();
+        this.processOutbox();
+      }
+      
+      this.dispatchPostsChange(posts.map(post => post.id));
+      
+      return merged;
+    } catch (error) {
+      console.error('Error merging duplicate posts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Combine a post with its duplicates
+   * Tags are combined, differing notes are kept one after the other and fields the post lacks are
+   * taken from the first duplicate that has them
+   * @param {Object} kept - The post that is kept
+   * @param {Array<Object>} duplicates - Posts merged into it, oldest first
+   * @returns {Object} Merged post
+   */
+  mergePostFields(kept, duplicates) {
+    const merged = { ...kept };
+    const posts = [kept, ...duplicates];
+    const isEmpty = value => value === undefined || value === null || value === '';
+    const unmergedFields = ['id', 'syncBase', 'canonicalUrl', 'deletedAt', 'updatedAt'];
+    
+    for (const duplicate of duplicates) {
+      for (const [field, value] of Object.entries(duplicate)) {
+        if (!unmergedFields.includes(field) && isEmpty(merged[field]) && !isEmpty(value)) {
+          merged[field] = value;
+        }
+      }
+    }
+    
+    merged.tags = [...new Set(posts.flatMap(post => post.tags || []))];
+    
+    const notes = [...new Set(posts.map(post => (post.notes || '').trim()).filter(Boolean))];
+    
+    if (notes.length > 0) {
+      merged.notes = notes.join('\n\n');
+    }
+    
+    return merged;
+  }
+
+  /**
+   * Update a post
+   * @param {Object} post - The post to update
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise<Object>} The updated post
+   */
+  async updatePost(post, sync = true, queued = null) {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.updatePost(post, sync, queued).then(resolve);
+        });
+      });
+    }
+    
+    // Set updated timestamp
+    post.updatedAt = new Date().toISOString();
+    
+    try {
+      // Get existing post to compare tags
+      const existingPost = await this.getPostById(post.id);
+      
+      if (!existingPost) {
+        throw new Error('Post not found');
+      }
+      
+      // Sync state and the canonical URL are owned by the database, not by callers
+      post.syncBase = existingPost.syncBase;
+      syncMerger.setField(post, 'canonicalUrl', await this.claimCanonicalUrl(post));
+      
+      const oldTags = existingPost.tags || [];
+      const newTags = post.tags || [];
+      
+      // Find tags to add and remove
+      const tagsToAdd = newTags.filter(tag => !oldTags.includes(tag));
+      const tagsToRemove = oldTags.filter(tag => !newTags.includes(tag));
+      
+      if (this.isIndexedDBSupported) {
+        return new Promise((resolve, reject) => {
+          const storeNames = [CONFIG.storage.postsStore, CONFIG.storage.tagsStore, CONFIG.storage.outboxStore, CONFIG.storage.searchIndexStore, CONFIG.storage.revisionsStore];
+          const transaction = this.db.transaction(storeNames, 'readwrite');
+          const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+          const tagsStore = transaction.objectStore(CONFIG.storage.tagsStore);
+          
+          // Update post
+          const postRequest = postsStore.put(post);
+          
+          postRequest.onsuccess = () => {
+            searchIndex.indexPost(transaction.objectStore(CONFIG.storage.searchIndexStore), post);
+            this.addRevision(transaction, post);
+            
+            // Update tag counts
+            // Increment count for new tags
+            for (const tag of tagsToAdd) {
+              const tagRequest = tagsStore.get(tag);
+              
+              tagRequest.onsuccess = () => {
+                const tagData = tagRequest.result || { name: tag, count: 0 };
+                tagData.count++;
+                tagData.lastUsed = post.updatedAt;
+                tagsStore.put(tagData);
+              };
+            }
+            
+            // Decrement count for removed tags
+            for (const tag of tagsToRemove) {
+              const tagRequest = tagsStore.get(tag);
+              
+              tagRequest.onsuccess = () => {
+                if (tagRequest.result) {
+                  const tagData = tagRequest.result;
+                  tagData.count = Math.max(0, tagData.count - 1);
+                  
+                  if (tagData.count === 0) {
+                    tagsStore.delete(tag);
+                  } else {
+                    tagsStore.put(tagData);
+                  }
+                }
+              };
+            }
+            
+            // Queue for sync with Supabase in the same transaction
+            if (sync) {
+              this.addOutboxEntry(transaction.objectStore(CONFIG.storage.outboxStore), this.createOutboxEntry('upsert', 'posts', post.id, this.toRemotePost(post)), queued);
+            }
+          };
+          
+          transaction.oncomplete = () => {
+            if (sync) {
+              this.requestBackgroundSync();
+              this.processOutbox();
+            }
+            
+            this.dispatchPostsChange([post.id]);
+            
+            resolve(post);
+          };
+          
+          postRequest.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        const index = data.posts.findIndex(p => p.id === post.id);
+        
+        if (index === -1) {
+          throw new Error('Post not found');
+        }
+        
+        data.posts[index] = post;
+        this.addFallbackRevision(data, post);
+        
+        // Queue for sync with Supabase
+        if (sync) {
+          this.addFallbackOutboxEntry(data, this.createOutboxEntry('upsert', 'posts', post.id, this.toRemotePost(post)), queued);
+        }
+        
+        // Update tag counts
+        // Increment count for new tags
+        for (const tag of tagsToAdd) {
+          const tagIndex = data.tags.findIndex(t => t.name === tag);
+          
+          if (tagIndex >= 0) {
+            data.tags[tagIndex].count++;
+            data.tags[tagIndex].lastUsed = post.updatedAt;
+          } else {
+            data.tags.push({ name: tag, count: 1, lastUsed: post.updatedAt });
+          }
+        }
+        
+        // Decrement count for removed tags
+        for (const tag of tagsToRemove) {
+          const tagIndex = data.tags.findIndex(t => t.name === tag);
+          
+          if (tagIndex >= 0) {
+            data.tags[tagIndex].count = Math.max(0, data.tags[tagIndex].count - 1);
+            
+            if (data.tags[tagIndex].count === 0) {
+              data.tags.splice(tagIndex, 1);
+            }
+          }
+        }
+        
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+        
+        if (sync) {
+          this.requestBackgroundSync();
+          this.processOutbox();
+        }
+        
+        this.dispatchPostsChange([post.id]);
+        
+        return post;
+      }
+    } catch (error) {
+      console.error('Error updating post:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the unfurled metadata of a link on its post
+   * Metadata isn't an edit, so no revision is kept for it. The post is marked as unfurled even when
+   * nothing was found, so the link isn't fetched again.
+   * @param {string} id - The post ID
+   * @param {Object|null} metadata - Title, description, image and siteName, or null if unfurling failed
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object|null>} The updated post, or null if it is gone
+   */
+  async saveLinkMetadata(id, metadata, sync = true) {
+    if (!this.isInitialized) {
+      return new Promise((resolve, reject) => {
+        this.pendingOperations.push(() => {
+          this.saveLinkMetadata(id, metadata, sync).then(resolve, reject);
+        });
+      });
+    }
+    
+    try {
+      const existingPost = await this.getPostById(id);
+      
+      if (!existingPost) return null;
+      
+      const now = new Date().toISOString();
+      const post = { ...existingPost, ...metadata, unfurledAt: now, updatedAt: now };
+      const entry = this.createOutboxEntry('upsert', 'posts', post.id, this.toRemotePost(post));
+      
+      if (this.isIndexedDBSupported) {
+        await new Promise((resolve, reject) => {
+          const storeNames = [CONFIG.storage.postsStore, CONFIG.storage.outboxStore, CONFIG.storage.searchIndexStore];
+          const transaction = this.db.transaction(storeNames, 'readwrite');
+          
+          transaction.objectStore(CONFIG.storage.postsStore).put(post);
+          searchIndex.indexPost(transaction.objectStore(CONFIG.storage.searchIndexStore), post);
+          
+          // Queue for sync with Supabase in the same transaction
+          if (sync) {
+            transaction.objectStore(CONFIG.storage.outboxStore).add(entry);
+          }
+          
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = (event) => reject(event.target.error);
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        data.posts = data.posts.map(p => (p.id === post.id ? post : p));
+        
+        // Queue for sync with Supabase
+        if (sync) {
+          this.addFallbackOutboxEntry(data, entry);
+        }
+        
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+      }
+      
+      if (sync) {
+        this.requestBackgroundSync();
+        this.processOutbox();
+      }
+      
+      this.dispatchPostsChange([post.id]);
+      
+      return post;
+    } catch (error) {
+      console.error('Error saving link metadata:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a post to the trash
+   * The post is kept with deletedAt set, so it can be restored and the deletion can be synced.
+   * It is hidden everywhere except the trash and no longer counts towards its tags.
+   * @param {string} id - The post ID
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise<boolean>} Success status
+   */
+  async deletePost(id, sync = true, queued = null) {
+    try {
+      return (await this.deletePosts([id], sync, queued)) > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Move posts to the trash in one transaction
+   * Posts that are missing or already in the trash are skipped
+   * @param {Array<string>} ids - Post IDs
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise<number>} Number of posts moved to the trash
+   */
+  async deletePosts(ids, sync = true, queued = null) {
+    if (!this.isInitialized) {
+      return new Promise((resolve, reject) => {
+        this.pendingOperations.push(() => {
+          this.deletePosts(ids, sync, queued).then(resolve, reject);
+        });
+      });
+    }
+    
+    try {
+      const posts = (await Promise.all(ids.map(id => this.getPostById(id)))).filter(Boolean);
+      
+      if (posts.length === 0) return 0;
+      
+      // Keep tombstones so the posts can be restored and the deletion reaches other devices
+      // They give up their canonical URL, so the links can be saved again
+      const now = new Date().toISOString();
+      const tombstones = posts.map(post => ({ ...this.withoutCanonicalUrl(post), deletedAt: now, updatedAt: now }));
+      const deltas = this.getTagDeltas(posts, []);
+      
+      if (this.isIndexedDBSupported) {
+        await new Promise((resolve, reject) => {
+          const storeNames = [CONFIG.storage.postsStore, CONFIG.storage.tagsStore, CONFIG.storage.outboxStore, CONFIG.storage.searchIndexStore, CONFIG.storage.revisionsStore];
+          const transaction = this.db.transaction(storeNames, 'readwrite');
+          const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+          
+          // Replace the posts with their tombstones
+          for (const tombstone of tombstones) {
+            postsStore.put(tombstone);
+            searchIndex.removePost(transaction.objectStore(CONFIG.storage.searchIndexStore), tombstone.id);
+            this.addRevision(transaction, tombstone);
+            
+            // Queue for sync with Supabase in the same transaction
+            if (sync) {
+              this.addOutboxEntry(transaction.objectStore(CONFIG.storage.outboxStore), this.createOutboxEntry('upsert', 'posts', tombstone.id, this.toRemotePost(tombstone)), queued);
+            }
+          }
+          
+          this.applyTagDeltas(transaction.objectStore(CONFIG.storage.tagsStore), deltas);
+          
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = (event) => reject(event.target.error);
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        const byId = new Map(tombstones.map(tombstone => [tombstone.id, tombstone]));
+        
+        data.posts = data.posts.map(post => byId.get(post.id) || post);
+        
+        for (const tombstone of tombstones) {
+          this.addFallbackRevision(data, tombstone);
+          
+          // Queue for sync with Supabase
+          if (sync) {
+            this.addFallbackOutboxEntry(data, this.createOutboxEntry('upsert', 'posts', tombstone.id, this.toRemotePost(tombstone)), queued);
+          }
+        }
+        
+        this.applyFallbackTagDeltas(data, deltas);
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+      }
+      
+      if (sync) {
+        this.requestBackgroundSync();
+        this.processOutbox();
+      }
+      
+      this.dispatchPostsChange(tombstones.map(tombstone => tombstone.id));
+      
+      return tombstones.length;
+    } catch (error) {
+      console.error('Error deleting posts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the posts in the trash
+   * @returns {Promise<Array>} Deleted posts, most recently deleted first
+   */
+  async getTrashedPosts() {
+    const posts = await this.getAllPosts({ includeDeleted: true });
+    
+    return posts
+      .filter(post => post.deletedAt)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * Restore a post from the trash
+   * @param {string} id - The post ID
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise<Object>} The restored post
+   */
+  async restorePost(id, sync = true, queued = null) {
+    const [post] = await this.restorePosts([id], sync, queued);
+    
+    if (!post) {
+      throw new Error('Post not found in the trash');
+    }
+    
+    return post;
+  }
+
+  /**
+   * Restore a post from the trash when its link is saved again
+   * @param {string} id - Post ID
+   * @param {Array<string>} tags - Tags given to the link now, added to the post's own
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise<Object>} The restored post
+   */
+  async restoreTrashedPost(id, tags, sync = true, queued = null) {
+    const [restoredPost] = await this.restorePosts([id], sync, queued);
+    
+    if (!restoredPost) {
+      throw new Error('Post not found in the trash');
+    }
+    
+    if (tags.some(tag => !(restoredPost.tags || []).includes(tag))) {
+      await this.retagPostsById([id], postTags => [...new Set([...postTags, ...tags])], sync, queued);
+    }
+    
+    return this.getPostById(id);
+  }
+
+  /**
+   * Restore posts from the trash in one transaction
+   * Posts that aren't in the trash are skipped
+   * @param {Array<string>} ids - Post IDs
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise<Array>} The restored posts
+   */
+  async restorePosts(ids, sync = true, queued = null) {
+    if (!this.isInitialized) {
+      return new Promise((resolve, reject) => {
+        this.pendingOperations.push(() => {
+          this.restorePosts(ids, sync, queued).then(resolve, reject);
+        });
+      });
+    }
+    
+    try {
+      const trashedPosts = await Promise.all(ids.map(id => this.getPostById(id, { includeDeleted: true })));
+      const updatedAt = new Date().toISOString();
+      const claimedUrls = new Set();
+      const posts = [];
+      
+      for (const trashedPost of trashedPosts) {
+        if (!trashedPost || !trashedPost.deletedAt) continue;
+        
+        const { deletedAt, ...fields } = trashedPost;
+        const post = { ...fields, updatedAt };
+        
+        // An equivalent link may have been saved while the post was in the trash, or be restored along with it
+        const canonicalUrl = await this.claimCanonicalUrl(post);
+        syncMerger.setField(post, 'canonicalUrl', claimedUrls.has(canonicalUrl) ? undefined : canonicalUrl);
+        claimedUrls.add(canonicalUrl);
+        
+        posts.push(post);
+      }
+      
+      if (posts.length === 0) return [];
+      
+      const deltas = this.getTagDeltas([], posts);
+      
+      if (this.isIndexedDBSupported) {
+        await new Promise((resolve, reject) => {
+          const storeNames = [CONFIG.storage.postsStore, CONFIG.storage.tagsStore, CONFIG.storage.outboxStore, CONFIG.storage.searchIndexStore, CONFIG.storage.revisionsStore];
+          const transaction = this.db.transaction(storeNames, 'readwrite');
+          const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+          
+          // Replace the tombstones with the posts
+          for (const post of posts) {
+            postsStore.put(post);
+            searchIndex.indexPost(transaction.objectStore(CONFIG.storage.searchIndexStore), post);
+            this.addRevision(transaction, post);
+            
+            // Queue for sync with Supabase in the same transaction
+            if (sync) {
+              this.addOutboxEntry(transaction.objectStore(CONFIG.storage.outboxStore), this.createOutboxEntry('upsert', 'posts', post.id, this.toRemotePost(post)), queued);
+            }
+          }
+          
+          this.applyTagDeltas(transaction.objectStore(CONFIG.storage.tagsStore), deltas);
+          
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = (event) => reject(event.target.error);
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        const byId = new Map(posts.map(post => [post.id, post]));
+        
+        data.posts = data.posts.map(post => byId.get(post.id) || post);
+        
+        for (const post of posts) {
+          this.addFallbackRevision(data, post);
+          
+          // Queue for sync with Supabase
+          if (sync) {
+            this.addFallbackOutboxEntry(data, this.createOutboxEntry('upsert', 'posts', post.id, this.toRemotePost(post)), queued);
+          }
+        }
+        
+        this.applyFallbackTagDeltas(data, deltas);
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+      }
+      
+      if (sync) {
+        this.requestBackgroundSync();
+        this.processOutbox();
+      }
+      
+      this.dispatchPostsChange(posts.map(post => post.id));
+      
+      return posts;
+    } catch (error) {
+      console.error('Error restoring posts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove posts from the trash for good
+   * The server keeps the post marked with purgedAt, so other devices remove it too and devices
+   * that were offline still learn about the deletion. Posts with an open sync conflict are kept.
+   * @param {Array<string>} ids - IDs of posts in the trash
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<number>} Number of posts purged
+   */
+  async purgePosts(ids, sync = true) {
+    if (!this.isInitialized) {
+      return new Promise((resolve, reject) => {
+        this.pendingOperations.push(() => {
+          this.purgePosts(ids, sync).then(resolve, reject);
+        });
+      });
+    }
+    
+    try {
+      const conflictIds = new Set((await this.getConflicts()).map(conflict => conflict.postId));
+      const trashedPosts = await Promise.all(ids.map(id => this.getPostById(id, { includeDeleted: true })));
+      const posts = trashedPosts.filter(post => post && post.deletedAt && !conflictIds.has(post.id));
+      
+      if (posts.length === 0) return 0;
+      
+      const now = new Date().toISOString();
+      const entries = sync
+        ? posts.map(post => this.createOutboxEntry('upsert', 'posts', post.id, this.toPurgedRemotePost(post, now)))
+        : [];
+      
+      if (this.isIndexedDBSupported) {
+        await new Promise((resolve, reject) => {
+          const transaction = this.db.transaction([CONFIG.storage.postsStore, CONFIG.storage.outboxStore, CONFIG.storage.revisionsStore], 'readwrite');
+          const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+          const outboxStore = transaction.objectStore(CONFIG.storage.outboxStore);
+          
+          // Their history goes with them
+          for (const post of posts) {
+            postsStore.delete(post.id);
+            this.removeRevisions(transaction, post.id);
+          }
+          
+          for (const entry of entries) {
+            outboxStore.add(entry);
+          }
+          
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = (event) => reject(event.target.error);
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        const purgedIds = new Set(posts.map(post => post.id));
+        
+        data.posts = data.posts.filter(p => !purgedIds.has(p.id));
+        data.revisions = (data.revisions || []).filter(revision => !purgedIds.has(revision.postId));
+        
+        for (const entry of entries) {
+          this.addFallbackOutboxEntry(data, entry);
+        }
+        
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+      }
+      
+      if (sync) {
+        this.requestBackgroundSync();
+        this.processOutbox();
+      }
+      
+      this.dispatchPostsChange(posts.map(post => post.id));
+      
+      return posts.length;
+    } catch (error) {
+      console.error('Error purging posts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Purge the posts that have been in the trash longer than the retention period
+   * @returns {Promise<number>} Number of posts purged
+   */
+  async purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - CONFIG.trash.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const expiredPosts = (await this.getTrashedPosts()).filter(post => post.deletedAt < cutoff);
+    
+    return this.purgePosts(expiredPosts.map(post => post.id));
+  }
+
+  /**
+   * Get the ID and name of this device, created on first use
+   * Kept in localStorage rather than the settings store, so revisions can be stamped inside a transaction
+   * @returns {Object} Device with id and name
+   */
+  getDevice() {
+    if (this.device) return this.device;
+    
+    try {
+      this.device = JSON.parse(localStorage.getItem(CONFIG.storage.deviceKey));
+    } catch (error) {
+      this.device = null;
+    }
+    
+    if (!this.device || !this.device.id) {
+      this.device = { id: crypto.randomUUID(), name: this.getDeviceName() };
+      localStorage.setItem(CONFIG.storage.deviceKey, JSON.stringify(this.device));
+    }
+    
+    return this.device;
+  }
+
+  /**
+   * Describe this device from its user agent
+   * @returns {string} Browser and system, e.g. "Firefox on Windows"
+   */
+  getDeviceName() {
+    const userAgent = navigator.userAgent || '';
+    const browsers = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+    const systems = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+    const browser = browsers.find(([token]) => userAgent.includes(token));
+    const system = systems.find(([token]) => userAgent.includes(token));
+    
+    return `${browser ? browser[1] : 'Browser'} on ${system ? system[1] : 'unknown system'}`;
+  }
+
+  /**
+   * Create a revision of a post
+   * Revisions from a sync carry no device, the change was made on a device this one doesn't know
+   * @param {Object} post - Post as it was saved
+   * @param {string} source - What saved it: 'local', 'sync', 'merge', 'resolve' or 'import'
+   * @returns {Object} Revision
+   */
+  createRevision(post, source = 'local') {
+    const device = source === 'sync' ? null : this.getDevice();
+    
+    return {
+      postId: post.id,
+      post: this.toRemotePost(post),
+      savedAt: new Date().toISOString(),
+      source,
+      deviceId: device ? device.id : null,
+      deviceName: device ? device.name : null,
+      userId: this.currentUser ? this.currentUser.id : null
+    };
+  }
+
+  /**
+   * Add a revision of a post in a transaction that includes the revisions store
+   * The oldest revisions of the post beyond the limit are dropped
+   * @param {IDBTransaction} transaction - Open transaction
+   * @param {Object} post - Post as it was saved
+   * @param {string} source - What saved it, see createRevision
+   */
+  addRevision(transaction, post, source = 'local') {
+    const store = transaction.objectStore(CONFIG.storage.revisionsStore);
+    const addRequest = store.add(this.createRevision(post, source));
+    
+    addRequest.onsuccess = () => {
+      const keysRequest = store.index('postId').getAllKeys(IDBKeyRange.only(post.id));
+      
+      // Keys only grow, so the first ones belong to the oldest revisions
+      keysRequest.onsuccess = () => {
+        const excess = keysRequest.result.length - CONFIG.revisions.maxPerPost;
+        
+        for (const key of keysRequest.result.slice(0, Math.max(0, excess))) {
+          store.delete(key);
+        }
+      };
+    };
+  }
+
+  /**
+   * Add a revision of a post to localStorage fallback data
+   * @param {Object} data - Fallback data object
+   * @param {Object} post - Post as it was saved
+   * @param {string} source - What saved it, see createRevision
+   */
+  addFallbackRevision(data, post, source = 'local') {
+    data.revisions = data.revisions || [];
+    data.revisionSeq = (data.revisionSeq || 0) + 1;
+    data.revisions.push({ ...this.createRevision(post, source), seq: data.revisionSeq });
+    
+    const postRevisions = data.revisions.filter(revision => revision.postId === post.id);
+    const excess = postRevisions.length - CONFIG.revisions.maxPerPost;
+    
+    if (excess > 0) {
+      const dropped = new Set(postRevisions.slice(0, excess).map(revision => revision.seq));
+      data.revisions = data.revisions.filter(revision => !dropped.has(revision.seq));
+    }
+  }
+
+  /**
+   * Remove the revisions of a post in a transaction that includes the revisions store
+   * @param {IDBTransaction} transaction - Open transaction
+   * @param {string} postId - The post ID
+   */
+  removeRevisions(transaction, postId) {
+    const store = transaction.objectStore(CONFIG.storage.revisionsStore);
+    const request = store.index('postId').getAllKeys(IDBKeyRange.only(postId));
+    
+    request.onsuccess = () => {
+      for (const key of request.result) {
+        store.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Remove the revisions of a post from localStorage fallback data
+   * @param {Object} data - Fallback data object
+   * @param {string} postId - The post ID
+   */
+  removeFallbackRevisions(data, postId) {
+    data.revisions = (data.revisions || []).filter(revision => revision.postId !== postId);
+  }
+
+  /**
+   * Get the revision history of a post
+   * @param {string} postId - The post ID
+   * @returns {Promise<Array>} Revisions, newest first
+   */
+  async getRevisions(postId) {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getRevisions(postId).then(resolve);
+        });
+      });
+    }
+    
+    try {
+      if (this.isIndexedDBSupported) {
+        return new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(CONFIG.storage.revisionsStore, 'readonly');
+          const request = transaction.objectStore(CONFIG.storage.revisionsStore).index('postId').getAll(IDBKeyRange.only(postId));
+          
+          request.onsuccess = () => {
+            resolve(request.result.reverse());
+          };
+          
+          request.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        return (data.revisions || []).filter(revision => revision.postId === postId).sort((a, b) => b.seq - a.seq);
+      }
+    } catch (error) {
+      console.error('Error getting revisions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get all tags with their counts and when they were last added to a post
+   * @returns {Promise<Array>} Array of tags
+   */
+  async getAllTags() {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getAllTags().then(resolve);
+        });
+      });
+    }
+    
+    try {
+      if (this.isIndexedDBSupported) {
+        return new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(CONFIG.storage.tagsStore, 'readonly');
+          const store = transaction.objectStore(CONFIG.storage.tagsStore);
+          const request = store.getAll();
+          
+          request.onsuccess = () => {
+            resolve(request.result);
+          };
+          
+          request.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        return data.tags;
+      }
+    } catch (error) {
+      console.error('Error getting tags:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Set a setting value
+   * @param {string} key - Setting key
+   * @param {*} value - Setting value
+   * @returns {Promise<boolean>} Success status
+   */
+  async setSetting(key, value) {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.setSetting(key, value).then(resolve);
+        });
+      });
+    }
+    
+    try {
+      if (this.isIndexedDBSupported) {
+        return new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(CONFIG.storage.settingsStore, 'readwrite');
+          const store = transaction.objectStore(CONFIG.storage.settingsStore);
+          const request = store.put({ key, value });
+          
+          request.onsuccess = () => {
+            resolve(true);
+          };
+          
+          request.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        
+        if (!data.settings) {
+          data.settings = {};
+        }
+        
+        data.settings[key] = value;
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+        
+        return true;
+      }
+    } catch (error) {
+      console.error('Error setting setting:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a setting value
+   * @param {string} key - Setting key
+   * @param {*} defaultValue - Default value if setting not found
+   * @returns {Promise<*>} Setting value
+   */
+  async getSetting(key, defaultValue = null) {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getSetting(key, defaultValue).then(resolve);
+        });
+      });
+    }
+    
+    try {
+      if (this.isIndexedDBSupported) {
+        return new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(CONFIG.storage.settingsStore, 'readonly');
+          const store = transaction.objectStore(CONFIG.storage.settingsStore);
+          const request = store.get(key);
+          
+          request.onsuccess = () => {
+            resolve(request.result ? request.result.value : defaultValue);
+          };
+          
+          request.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        return (data.settings && data.settings[key] !== undefined) ? data.settings[key] : defaultValue;
+      }
+    } catch (error) {
+      console.error('Error getting setting:', error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Get all settings as a key/value object
+   * @returns {Promise<Object>} Settings keyed by name
+   */
+  async getAllSettings() {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getAllSettings().then(resolve);
+        });
+      });
+    }
+    
+    try {
+      if (this.isIndexedDBSupported) {
+        return new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(CONFIG.storage.settingsStore, 'readonly');
+          const store = transaction.objectStore(CONFIG.storage.settingsStore);
+          const request = store.getAll();
+          
+          request.onsuccess = () => {
+            const settings = {};
+            
+            for (const { key, value } of request.result) {
+              settings[key] = value;
+            }
+            
+            resolve(settings);
+          };
+          
+          request.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        return { ...(data.settings || {}) };
+      }
+    } catch (error) {
+      console.error('Error getting settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Rebuild tag counts from the posts currently stored
+   * Tags that are no longer used by any post are removed
+   * @returns {Promise<Array>} Array of tags with fresh counts
+   */
+  async recountTags() {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.recountTags().then(resolve);
+        });
+      });
+    }
+    
+    const countTags = (posts) => {
+      const counts = new Map();
+      
+      for (const post of posts) {
+        if (post.deletedAt) continue;
+        
+        for (const tag of post.tags || []) {
+          counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+      }
+      
+      return counts;
+    };
+    
+    try {
+      if (this.isIndexedDBSupported) {
+        return new Promise((resolve, reject) => {
+          const transaction = this.db.transaction([CONFIG.storage.postsStore, CONFIG.storage.tagsStore], 'readwrite');
+          const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+          const tagsStore = transaction.objectStore(CONFIG.storage.tagsStore);
+          const tags = [];
+          
+          const postsRequest = postsStore.getAll();
+          
+          postsRequest.onsuccess = () => {
+            const counts = countTags(postsRequest.result);
+            const tagsRequest = tagsStore.getAll();
+            
+            tagsRequest.onsuccess = () => {
+              // Drop tags that no post uses anymore
+              for (const tagData of tagsRequest.result) {
+                if (!counts.has(tagData.name)) {
+                  tagsStore.delete(tagData.name);
+                }
+              }
+              
+              // Write fresh counts, keeping any other tag fields
+              const existing = new Map(tagsRequest.result.map(tagData => [tagData.name, tagData]));
+              
+              for (const [name, count] of counts) {
+                const tagData = { ...(existing.get(name) || { name }), count };
+                tagsStore.put(tagData);
+                tags.push(tagData);
+              }
+            };
+          };
+          
+          transaction.oncomplete = () => {
+            resolve(tags);
+          };
+          
+          transaction.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        const counts = countTags(data.posts);
+        const existing = new Map(data.tags.map(tagData => [tagData.name, tagData]));
+        
+        data.tags = [...counts].map(([name, count]) => ({ ...(existing.get(name) || { name }), count }));
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+        
+        return data.tags;
+      }
+    } catch (error) {
+      console.error('Error recounting tags:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a tag on every post, moving its nested tags along with it
+   * Renaming to a tag that already exists merges the two
+   * @param {string} name - Current tag name
+   * @param {string} newName - New tag name
+   * @returns {Promise<number>} Number of posts changed
+   */
+  async renameTag(name, newName) {
+    return this.mergeTags([name], newName);
+  }
+
+  /**
+   * Merge tags into one, replacing them on every post
+   * Nested tags move to the same place below the target, e.g. merging work into job turns work/ml into job/ml
+   * @param {Array<string>} names - Tags to merge, may include the target
+   * @param {string} targetName - Tag to keep, existing or new
+   * @returns {Promise<number>} Number of posts changed
+   */
+  async mergeTags(names, targetName) {
+    const target = tagPath.normalize(targetName);
+    
+    if (!target) {
+      throw new Error('Tag name is required');
+    }
+    
+    const sources = names.filter(name => name !== target);
+    
+    this.checkTagTarget(sources, target);
+    
+    const count = await this.retagPosts(sources, tags => {
+      return [...new Set(tags.map(tag => {
+        const source = tagPath.findAncestor(tag, sources);
+        return source ? tagPath.rename(tag, source, target) : tag;
+      }))];
+    });
+    
+    // Colors and other metadata follow the tags
+    await this.moveTagMeta(sources, target);
+    
+    return count;
+  }
+
+  /**
+   * Check that no tag is renamed or merged into one of its own nested tags
+   * Renaming work to work/archive would also move the existing work/archive, to work/archive/archive
+   * @param {Array<string>} names - Tags being renamed or merged
+   * @param {string} targetName - Tag they become
+   */
+  checkTagTarget(names, targetName) {
+    const source = names.find(name => name !== targetName && tagPath.matches(targetName, name));
+    
+    if (source) {
+      throw new Error(`Can't move the tag "${source}" into its own nested tag "${targetName}"`);
+    }
+  }
+
+  /**
+   * Remove a tag and its nested tags from every post
+   * @param {string} name - Tag name
+   * @returns {Promise<number>} Number of posts changed
+   */
+  async deleteTag(name) {
+    const count = await this.retagPosts([name], tags => tags.filter(tag => !tagPath.matches(tag, name)));
+    
+    await this.moveTagMeta([name], null);
+    
+    return count;
+  }
+
+  /**
+   * Change the tags of every post tagged with any of the given tags or tags nested below them, in one transaction
+   * Changed posts are reindexed, queued for sync and counted into the tags store
+   * @param {Array<string>} names - Tags whose posts to change
+   * @param {Function} transform - Called with the tags of a post and the post, returns its new tags
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<number>} Number of posts changed
+   */
+  async retagPosts(names, transform, sync = true) {
+    if (names.length === 0) return 0;
+    
+    return this.savePostTags({ names }, transform, sync);
+  }
+
+  /**
+   * Change the tags of the given posts in one transaction
+   * @param {Array<string>} ids - Post IDs
+   * @param {Function} transform - Called with the tags of a post and the post, returns its new tags
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise<number>} Number of posts changed
+   */
+  async retagPostsById(ids, transform, sync = true, queued = null) {
+    if (ids.length === 0) return 0;
+    
+    return this.savePostTags({ ids }, transform, sync, queued);
+  }
+
+  /**
+   * Apply a tag transform to the selected posts and store the changed ones in one transaction
+   * @param {Object} selection - Posts to change, either by tag or by ID
+   * @param {Array<string>} selection.names - Tags whose posts to change, found with nested tags through the tags index
+   * @param {Array<string>} selection.ids - Post IDs
+   * @param {Function} transform - Called with the tags of a post and the post, returns its new tags
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise<number>} Number of posts changed
+   */
+  async savePostTags({ names = null, ids = null }, transform, sync = true, queued = null) {
+    if (!this.isInitialized) {
+      return new Promise((resolve, reject) => {
+        this.pendingOperations.push(() => {
+          this.savePostTags({ names, ids }, transform, sync, queued).then(resolve, reject);
+        });
+      });
+    }
+    
+    const updatedAt = new Date().toISOString();
+    
+    // Apply the transform to live posts, collecting the change to each tag's count
+    const retag = (posts) => {
+      const updatedPosts = [];
+      const oldPosts = [];
+      
+      for (const post of posts) {
+        if (post.deletedAt) continue;
+        
+        const oldTags = post.tags || [];
+        const newTags = transform(oldTags, post);
+        
+        if (syncMerger.isEqual(oldTags, newTags)) continue;
+        
+        oldPosts.push(post);
+        updatedPosts.push({ ...post, tags: newTags, updatedAt });
+      }
+      
+      return { updatedPosts, deltas: this.getTagDeltas(oldPosts, updatedPosts) };
+    };
+    
+    try {
+      let updatedPosts;
+      
+      if (this.isIndexedDBSupported) {
+        updatedPosts = await new Promise((resolve, reject) => {
+          const storeNames = [CONFIG.storage.postsStore, CONFIG.storage.tagsStore, CONFIG.storage.outboxStore, CONFIG.storage.searchIndexStore, CONFIG.storage.revisionsStore];
+          const transaction = this.db.transaction(storeNames, 'readwrite');
+          const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+          const selectedPosts = new Map();
+          const requests = names
+            ? names.map(name => postsStore.index('tags').getAll(this.getTagKeyRange(name)))
+            : ids.map(id => postsStore.get(id));
+          let result = [];
+          let pending = requests.length;
+          
+          // Find the posts through the tags index, or by ID
+          for (const request of requests) {
+            request.onsuccess = () => {
+              for (const post of [].concat(request.result || [])) {
+                selectedPosts.set(post.id, post);
+              }
+              
+              if (--pending > 0) return;
+              
+              const { updatedPosts: posts, deltas } = retag([...selectedPosts.values()]);
+              result = posts;
+              
+              for (const post of posts) {
+                postsStore.put(post);
+                searchIndex.indexPost(transaction.objectStore(CONFIG.storage.searchIndexStore), post);
+                this.addRevision(transaction, post);
+                
+                // Queue for sync with Supabase in the same transaction
+                if (sync) {
+                  this.addOutboxEntry(transaction.objectStore(CONFIG.storage.outboxStore), this.createOutboxEntry('upsert', 'posts', post.id, this.toRemotePost(post)), queued);
+                }
+              }
+              
+              this.applyTagDeltas(transaction.objectStore(CONFIG.storage.tagsStore), deltas);
+            };
+          }
+          
+          transaction.oncomplete = () => {
+            resolve(result);
+          };
+          
+          transaction.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        const selectedPosts = names
+          ? data.posts.filter(post => (post.tags || []).some(tag => tagPath.findAncestor(tag, names)))
+          : data.posts.filter(post => ids.includes(post.id));
+        const { updatedPosts: posts, deltas } = retag(selectedPosts);
+        const byId = new Map(posts.map(post => [post.id, post]));
+        
+        data.posts = data.posts.map(post => byId.get(post.id) || post);
+        
+        for (const post of posts) {
+          this.addFallbackRevision(data, post);
+        }
+        
+        // Queue for sync with Supabase
+        if (sync) {
+          for (const post of posts) {
+            this.addFallbackOutboxEntry(data, this.createOutboxEntry('upsert', 'posts', post.id, this.toRemotePost(post)), queued);
+          }
+        }
+        
+        this.applyFallbackTagDeltas(data, deltas);
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+        
+        updatedPosts = posts;
+      }
+      
+      if (updatedPosts.length > 0) {
+        if (sync) {
+          this.requestBackgroundSync();
+          this.processOutbox();
+        }
+        
+        this.dispatchPostsChange(updatedPosts.map(post => post.id));
+      }
+      
+      return updatedPosts.length;
+    } catch (error) {
+      console.error('Error changing tags:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get how the tag counts change when posts are replaced
+   * @param {Array<Object>} oldPosts - Posts that no longer count, e.g. before an edit or deleted ones
+   * @param {Array<Object>} newPosts - Posts that count from now on
+   * @returns {Map} Change of the count by tag name, tags whose count stays the same are left out
+   */
+  getTagDeltas(oldPosts, newPosts) {
+    const deltas = new Map();
+    
+    for (const post of oldPosts) {
+      for (const tag of post.tags || []) {
+        deltas.set(tag, (deltas.get(tag) || 0) - 1);
+      }
+    }
+    
+    for (const post of newPosts) {
+      for (const tag of post.tags || []) {
+        deltas.set(tag, (deltas.get(tag) || 0) + 1);
+      }
+    }
+    
+    return new Map([...deltas].filter(([, delta]) => delta !== 0));
+  }
+
+  /**
+   * Update tag counts in the tags store, dropping tags no post uses anymore
+   * @param {IDBObjectStore} tagsStore - Tags store of a readwrite transaction
+   * @param {Map} deltas - Change of the count by tag name, from getTagDeltas
+   */
+  applyTagDeltas(tagsStore, deltas) {
+    for (const [tag, delta] of deltas) {
+      const tagRequest = tagsStore.get(tag);
+      
+      tagRequest.onsuccess = () => {
+        const tagData = tagRequest.result || { name: tag, count: 0 };
+        tagData.count = Math.max(0, tagData.count + delta);
+        
+        if (tagData.count === 0) {
+          tagsStore.delete(tag);
+        } else {
+          tagsStore.put(tagData);
+        }
+      };
+    }
+  }
+
+  /**
+   * Update tag counts in a transaction of their own, dropping tags no post uses anymore
+   * @param {Map} deltas - Change of the count by tag name, from getTagDeltas
+   * @returns {Promise} Resolves when the counts are stored
+   */
+  async updateTagCounts(deltas) {
+    if (deltas.size === 0) return;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(CONFIG.storage.tagsStore, 'readwrite');
+      this.applyTagDeltas(transaction.objectStore(CONFIG.storage.tagsStore), deltas);
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * Update tag counts in localStorage fallback data, dropping tags no post uses anymore
+   * @param {Object} data - Fallback data object
+   * @param {Map} deltas - Change of the count by tag name, from getTagDeltas
+   */
+  applyFallbackTagDeltas(data, deltas) {
+    for (const [tag, delta] of deltas) {
+      const tagData = data.tags.find(t => t.name === tag);
+      
+      if (tagData) {
+        tagData.count = Math.max(0, tagData.count + delta);
+      } else if (delta > 0) {
+        data.tags.push({ name: tag, count: delta });
+      }
+    }
+    
+    data.tags = data.tags.filter(tagData => tagData.count > 0);
+  }
+
+  /**
+   * Get all boards, smart views, tag metadata or tag rules
+   * @param {string} table - Supabase table, one of recordTables
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDeleted - Also return deleted records (tombstones)
+   * @returns {Promise<Array>} Records
+   */
+  async getRecords(table, { includeDeleted = false } = {}) {
+    if (!this.isInitialized) {
+      return new Promise((resolve) => {
+        this.pendingOperations.push(() => {
+          this.getRecords(table, { includeDeleted }).then(resolve);
+        });
+      });
+    }
+    
+    const { storeName, dataKey } = this.recordTables[table];
+    const filterRecords = records => records.filter(record => includeDeleted || !record.deletedAt);
+    
+    try {
+      if (this.isIndexedDBSupported) {
+        return new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(storeName, 'readonly');
+          const store = transaction.objectStore(storeName);
+          const request = store.getAll();
+          
+          request.onsuccess = () => {
+            resolve(filterRecords(request.result));
+          };
+          
+          request.onerror = (event) => {
+            reject(event.target.error);
+          };
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        return filterRecords(data[dataKey] || []);
+      }
+    } catch (error) {
+      console.error(`Error getting ${table}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Store a board, smart view, tag metadata or tag rule and queue it for sync in the same transaction
+   * @param {string} table - Supabase table, one of recordTables
+   * @param {Object} record - Complete record
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object>} The stored record
+   */
+  async saveRecord(table, record, sync = true) {
+    await this.saveRecords(table, [record], sync);
+    
+    return record;
+  }
+
+  /**
+   * Store records of one table and queue them for sync in the same transaction
+   * @param {string} table - Supabase table, one of recordTables
+   * @param {Array<Object>} records - Complete records
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise<Array>} The stored records
+   */
+  async saveRecords(table, records, sync = true, queued = null) {
+    if (!this.isInitialized) {
+      return new Promise((resolve, reject) => {
+        this.pendingOperations.push(() => {
+          this.saveRecords(table, records, sync, queued).then(resolve, reject);
+        });
+      });
+    }
+    
+    const { storeName, dataKey } = this.recordTables[table];
+    
+    try {
+      if (this.isIndexedDBSupported) {
+        await new Promise((resolve, reject) => {
+          const transaction = this.db.transaction([storeName, CONFIG.storage.outboxStore], 'readwrite');
+          
+          for (const record of records) {
+            transaction.objectStore(storeName).put(record);
+            
+            if (sync) {
+              this.addOutboxEntry(transaction.objectStore(CONFIG.storage.outboxStore), this.createOutboxEntry('upsert', table, record.id, this.toRemotePost(record)), queued);
+            }
+          }
+          
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = (event) => reject(event.target.error);
+        });
+      } else {
+        // Use localStorage
+        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
+        const ids = new Set(records.map(record => record.id));
+        data[dataKey] = (data[dataKey] || []).filter(r => !ids.has(r.id));
+        data[dataKey].push(...records);
+        
+        if (sync) {
+          for (const record of records) {
+            this.addFallbackOutboxEntry(data, this.createOutboxEntry('upsert', table, record.id, this.toRemotePost(record)), queued);
+          }
+        }
+        
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+      }
+      
+      if (sync) {
+        this.requestBackgroundSync();
+        this.processOutbox();
+      }
+      
+      return records;
+    } catch (error) {
+      console.error(`Error saving ${table}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all boards
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDeleted - Also return deleted boards (tombstones)
+   * @returns {Promise<Array>} Boards sorted by title
+   */
+  async getAllBoards({ includeDeleted = false } = {}) {
+    const boards = await this.getRecords('boards', { includeDeleted });
+    return boards.sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Get a board by ID
+   * @param {string} id - The board ID
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDeleted - Also return deleted boards (tombstones)
+   * @returns {Promise<Object|null>} The board
+   */
+  async getBoardById(id, { includeDeleted = false } = {}) {
+    const boards = await this.getAllBoards({ includeDeleted });
+    return boards.find(board => board.id === id) || null;
+  }
+
+  /**
+   * Add a board
+   * @param {Object} board - Board with a title, and optionally a description, coverImage, postIds and sortMode
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object>} The added board
+   */
+  async addBoard(board, sync = true) {
+    const now = new Date().toISOString();
+    
+    return this.saveBoard({
+      description: '',
+      coverImage: '',
+      sortMode: 'manual',
+      ...board,
+      id: board.id || crypto.randomUUID(),
+      postIds: board.postIds || [],
+      dateAdded: board.dateAdded || now,
+      updatedAt: now
+    }, sync);
+  }
+
+  /**
+   * Update a board
+   * @param {Object} board - Board ID and the fields to change
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object>} The updated board
+   */
+  async updateBoard(board, sync = true) {
+    const existingBoard = await this.getBoardById(board.id);
+    
+    if (!existingBoard) {
+      throw new Error('Board not found');
+    }
+    
+    return this.saveBoard({
+      ...existingBoard,
+      ...board,
+      syncBase: existingBoard.syncBase,
+      updatedAt: new Date().toISOString()
+    }, sync);
+  }
+
+  /**
+   * Update several boards in one transaction
+   * @param {Array<Object>} boards - Board IDs and the fields to change
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise<Array>} The updated boards
+   */
+  async updateBoards(boards, sync = true, queued = null) {
+    const existingBoards = await this.getAllBoards();
+    const updatedAt = new Date().toISOString();
+    
+    const updatedBoards = boards.map(board => {
+      const existingBoard = existingBoards.find(b => b.id === board.id);
+      
+      if (!existingBoard) {
+        throw new Error('Board not found');
+      }
+      
+      return { ...existingBoard, ...board, syncBase: existingBoard.syncBase, updatedAt };
+    });
+    
+    if (updatedBoards.length === 0) return [];
+    
+    return this.saveRecords('boards', updatedBoards.map(board => this.prepareBoard(board)), sync, queued);
+  }
+
+  /**
+   * Delete a board
+   * The board is kept as a tombstone so the deletion reaches other devices. Its posts are not deleted.
+   * @param {string} id - The board ID
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<boolean>} True if the board was deleted
+   */
+  async deleteBoard(id, sync = true) {
+    const board = await this.getBoardById(id);
+    
+    if (!board) return false;
+    
+    const now = new Date().toISOString();
+    await this.saveBoard({ ...board, deletedAt: now, updatedAt: now }, sync);
+    
+    return true;
+  }
+
+  /**
+   * Store a board and queue it for sync in the same transaction
+   * @param {Object} board - Complete board
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object>} The stored board
+   */
+  async saveBoard(board, sync = true) {
+    return this.saveRecord('boards', this.prepareBoard(board), sync);
+  }
+
+  /**
+   * Tidy a board before it is stored
+   * @param {Object} board - Complete board, changed in place
+   * @returns {Object} The board
+   * @throws {Error} If the board has no title
+   */
+  prepareBoard(board) {
+    board.title = typeof board.title === 'string' ? board.title.trim() : '';
+    board.postIds = [...new Set(board.postIds)];
+    
+    if (!board.title) {
+      throw new Error('Board title is required');
+    }
+    
+    return board;
+  }
+
+  /**
+   * Get the boards a post belongs to
+   * @param {string} postId - The post ID
+   * @returns {Promise<Array>} Boards containing the post
+   */
+  async getBoardsForPost(postId) {
+    const boards = await this.getAllBoards();
+    return boards.filter(board => board.postIds.includes(postId));
+  }
+
+  /**
+   * Set the boards a post belongs to
+   * The post is added to the top of boards it wasn't on yet and removed from the others, in one transaction
+   * @param {string} postId - The post ID
+   * @param {Array<string>} boardIds - IDs of the boards the post should be on
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise} Resolves when the boards are updated
+   */
+  async setPostBoards(postId, boardIds, queued = null) {
+    const boards = await this.getAllBoards();
+    const changes = [];
+    
+    for (const board of boards) {
+      const isOnBoard = board.postIds.includes(postId);
+      const shouldBeOnBoard = boardIds.includes(board.id);
+      
+      if (isOnBoard === shouldBeOnBoard) continue;
+      
+      changes.push({
+        id: board.id,
+        postIds: shouldBeOnBoard ? [postId, ...board.postIds] : board.postIds.filter(id => id !== postId)
+      });
+    }
+    
+    await this.updateBoards(changes, true, queued);
+  }
+
+  /**
+   * Add a post to the top of boards it isn't on yet in one transaction, leaving its other boards alone
+   * @param {string} postId - The post ID
+   * @param {Array<string>} boardIds - IDs of the boards to add the post to, missing boards are skipped
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise} Resolves when the boards are updated
+   */
+  async addPostToBoards(postId, boardIds, queued = null) {
+    const boards = await this.getAllBoards();
+    const changes = boards
+      .filter(board => boardIds.includes(board.id) && !board.postIds.includes(postId))
+      .map(board => ({ id: board.id, postIds: [postId, ...board.postIds] }));
+    
+    await this.updateBoards(changes, true, queued);
+  }
+
+  /**
+   * Add posts to the top of a board in one transaction, optionally taking them off another board
+   * @param {Array<string>} postIds - Post IDs, in the order they should appear
+   * @param {string} boardId - ID of the board to add the posts to
+   * @param {string|null} fromBoardId - ID of the board to take the posts off, null to leave the other boards alone
+   * @param {Array<number>|null} queued - Collects the sequence numbers of the outbox entries it queues
+   * @returns {Promise<Array>} The boards that changed
+   */
+  async movePostsToBoard(postIds, boardId, fromBoardId = null, queued = null) {
+    const boards = await this.getAllBoards();
+    const board = boards.find(b => b.id === boardId);
+    
+    if (!board) {
+      throw new Error('Board not found');
+    }
+    
+    const changes = [];
+    const addedIds = postIds.filter(id => !board.postIds.includes(id));
+    
+    if (addedIds.length > 0) {
+      changes.push({ id: board.id, postIds: [...addedIds, ...board.postIds] });
+    }
+    
+    const fromBoard = fromBoardId && fromBoardId !== boardId ? boards.find(b => b.id === fromBoardId) : null;
+    
+    if (fromBoard && fromBoard.postIds.some(id => postIds.includes(id))) {
+      changes.push({ id: fromBoard.id, postIds: fromBoard.postIds.filter(id => !postIds.includes(id)) });
+    }
+    
+    return this.updateBoards(changes, true, queued);
+  }
+
+  /**
+   * Move a post within the order of a board
+   * @param {string} boardId - The board ID
+   * @param {string} postId - The post to move
+   * @param {Object} target - Where to move the post
+   * @param {string|null} target.afterId - Post to place it after
+   * @param {string|null} target.beforeId - Post to place it before, used when afterId isn't given
+   * @returns {Promise<Object>} The updated board
+   */
+  async moveBoardPost(boardId, postId, { afterId = null, beforeId = null } = {}) {
+    const board = await this.getBoardById(boardId);
+    
+    if (!board) {
+      throw new Error('Board not found');
+    }
+    
+    const postIds = board.postIds.filter(id => id !== postId);
+    let index = 0;
+    
+    if (afterId && postIds.includes(afterId)) {
+      index = postIds.indexOf(afterId) + 1;
+    } else if (beforeId && postIds.includes(beforeId)) {
+      index = postIds.indexOf(beforeId);
+    }
+    
+    postIds.splice(index, 0, postId);
+    
+    return this.updateBoard({ id: boardId, postIds });
+  }
+
+  /**
+   * Get all smart views
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDeleted - Also return deleted smart views (tombstones)
+   * @returns {Promise<Array>} Smart views sorted by title
+   */
+  async getAllSmartViews({ includeDeleted = false } = {}) {
+    const views = await this.getRecords('smart_views', { includeDeleted });
+    return views.sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Fill in the fields of a smart view
+   * @param {Object} view - Smart view with a title, and optionally a searchTerm, filterTags, sort and platform
+   * @returns {Object} Complete smart view
+   */
+  createSmartView(view) {
+    const now = new Date().toISOString();
+    
+    return {
+      ...view,
+      id: view.id || crypto.randomUUID(),
+      title: typeof view.title === 'string' ? view.title.trim() : '',
+      searchTerm: view.searchTerm || '',
+      filterTags: Array.isArray(view.filterTags) ? [...new Set(view.filterTags)] : [],
+      sort: view.sort || 'dateDesc',
+      platform: view.platform || '',
+      dateAdded: view.dateAdded || now,
+      updatedAt: view.updatedAt || now
+    };
+  }
+
+  /**
+   * Add a smart view
+   * @param {Object} view - Smart view with a title, and optionally a searchTerm, filterTags, sort and platform
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object>} The added smart view
+   */
+  async addSmartView(view, sync = true) {
+    return this.saveSmartView(this.createSmartView({ ...view, updatedAt: null }), sync);
+  }
+
+  /**
+   * Update a smart view
+   * @param {Object} view - Smart view ID and the fields to change
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object>} The updated smart view
+   */
+  async updateSmartView(view, sync = true) {
+    const views = await this.getAllSmartViews();
+    const existingView = views.find(v => v.id === view.id);
+    
+    if (!existingView) {
+      throw new Error('Smart view not found');
+    }
+    
+    return this.saveSmartView(this.createSmartView({
+      ...existingView,
+      ...view,
+      syncBase: existingView.syncBase,
+      updatedAt: new Date().toISOString()
+    }), sync);
+  }
+
+  /**
+   * Delete a smart view
+   * The smart view is kept as a tombstone so the deletion reaches other devices
+   * @param {string} id - The smart view ID
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<boolean>} True if the smart view was deleted
+   */
+  async deleteSmartView(id, sync = true) {
+    const views = await this.getAllSmartViews();
+    const view = views.find(v => v.id === id);
+    
+    if (!view) return false;
+    
+    const now = new Date().toISOString();
+    await this.saveSmartView({ ...view, deletedAt: now, updatedAt: now }, sync);
+    
+    return true;
+  }
+
+  /**
+   * Store a smart view and queue it for sync in the same transaction
+   * @param {Object} view - Complete smart view
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object>} The stored smart view
+   */
+  async saveSmartView(view, sync = true) {
+    if (!view.title) {
+      throw new Error('Smart view title is required');
+    }
+    
+    return this.saveRecord('smart_views', view, sync);
+  }
+
+  /**
+   * Get the metadata of all tags
+   * Two devices can give the same tag metadata before syncing, in which case the newest wins
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDeleted - Also return deleted metadata (tombstones)
+   * @returns {Promise<Array>} Tag metadata, one per tag name
+   */
+  async getAllTagMeta({ includeDeleted = false } = {}) {
+    const records = await this.getRecords('tag_meta', { includeDeleted });
+    const byName = new Map();
+    
+    for (const meta of records) {
+      const existing = byName.get(meta.name);
+      
+      if (!existing || (meta.updatedAt || '') > (existing.updatedAt || '')) {
+        byName.set(meta.name, meta);
+      }
+    }
+    
+    return [...byName.values()];
+  }
+
+  /**
+   * Fill in the fields of tag metadata
+   * @param {Object} meta - Tag metadata with a name, and optionally a color, icon, description and pinned flag
+   * @returns {Object} Complete tag metadata
+   */
+  createTagMeta(meta) {
+    const now = new Date().toISOString();
+    
+    return {
+      ...meta,
+      id: meta.id || crypto.randomUUID(),
+      name: tagPath.normalize(meta.name),
+      color: /^#[0-9a-f]{6}$/i.test(meta.color || '') ? meta.color : '',
+      icon: typeof meta.icon === 'string' ? meta.icon.trim() : '',
+      description: typeof meta.description === 'string' ? meta.description.trim() : '',
+      pinned: !!meta.pinned,
+      dateAdded: meta.dateAdded || now,
+      updatedAt: meta.updatedAt || now
+    };
+  }
+
+  /**
+   * Set the color, icon, description or pinned flag of a tag
+   * @param {string} name - Tag name
+   * @param {Object} fields - Fields to change
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object>} The stored tag metadata
+   */
+  async saveTagMeta(name, fields, sync = true) {
+    const existingMeta = (await this.getAllTagMeta()).find(meta => meta.name === name);
+    const meta = this.createTagMeta({
+      ...(existingMeta || {}),
+      ...fields,
+      name,
+      updatedAt: new Date().toISOString()
+    });
+    
+    if (!meta.name) {
+      throw new Error('Tag name is required');
+    }
+    
+    return this.saveRecord('tag_meta', meta, sync);
+  }
+
+  /**
+   * Move the metadata of renamed or merged tags, or remove it for deleted tags
+   * Nested tags move along with their parent. A tag that already has metadata keeps its own.
+   * @param {Array<string>} names - Tags that were renamed, merged or deleted
+   * @param {string|null} targetName - Tag they became, or null if they were deleted
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise} Resolves when the metadata is stored
+   */
+  async moveTagMeta(names, targetName, sync = true) {
+    if (targetName) {
+      this.checkTagTarget(names, targetName);
+    }
+    
+    const allMeta = await this.getAllTagMeta();
+    const metaNames = new Set(allMeta.map(meta => meta.name));
+    const now = new Date().toISOString();
+    
+    for (const meta of allMeta) {
+      const source = tagPath.findAncestor(meta.name, names);
+      
+      if (!source) continue;
+      
+      const newName = targetName ? tagPath.rename(meta.name, source, targetName) : null;
+      
+      if (newName && !metaNames.has(newName)) {
+        const { id, syncBase, ...fields } = meta;
+        
+        await this.saveRecord('tag_meta', this.createTagMeta({ ...fields, name: newName, updatedAt: now }), sync);
+        metaNames.add(newName);
+      }
+      
+      await this.saveRecord('tag_meta', { ...meta, deletedAt: now, updatedAt: now }, sync);
+    }
+  }
+
+  /**
+   * Get all auto-tagging rules
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDeleted - Also return deleted rules (tombstones)
+   * @returns {Promise<Array>} Tag rules sorted by title
+   */
+  async getAllTagRules({ includeDeleted = false } = {}) {
+    const rules = await this.getRecords('tag_rules', { includeDeleted });
+    return rules.sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Fill in the fields of an auto-tagging rule
+   * @param {Object} rule - Rule with a title, conditions (platform, domain, urlPattern, twitterUser) and actions (tags, boardId)
+   * @returns {Object} Complete rule
+   */
+  createTagRule(rule) {
+    const now = new Date().toISOString();
+    const tags = Array.isArray(rule.tags) ? rule.tags.map(tag => tagPath.normalize(tag)).filter(Boolean) : [];
+    
+    return {
+      ...rule,
+      id: rule.id || crypto.randomUUID(),
+      title: typeof rule.title === 'string' ? rule.title.trim() : '',
+      platform: rule.platform || '',
+      domain: autoTagger.normalizeDomain(rule.domain),
+      urlPattern: typeof rule.urlPattern === 'string' ? rule.urlPattern.trim() : '',
+      twitterUser: autoTagger.normalizeTwitterUser(rule.twitterUser),
+      tags: [...new Set(tags)],
+      boardId: rule.boardId || '',
+      enabled: rule.enabled !== false,
+      dateAdded: rule.dateAdded || now,
+      updatedAt: rule.updatedAt || now
+    };
+  }
+
+  /**
+   * Add an auto-tagging rule
+   * @param {Object} rule - Rule with a title, conditions and actions
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object>} The added rule
+   */
+  async addTagRule(rule, sync = true) {
+    return this.saveTagRule(this.createTagRule({ ...rule, updatedAt: null }), sync);
+  }
+
+  /**
+   * Update an auto-tagging rule
+   * @param {Object} rule - Rule ID and the fields to change
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object>} The updated rule
+   */
+  async updateTagRule(rule, sync = true) {
+    const rules = await this.getAllTagRules();
+    const existingRule = rules.find(r => r.id === rule.id);
+    
+    if (!existingRule) {
+      throw new Error('Tag rule not found');
+    }
+    
+    return this.saveTagRule(this.createTagRule({
+      ...existingRule,
+      ...rule,
+      syncBase: existingRule.syncBase,
+      updatedAt: new Date().toISOString()
+    }), sync);
+  }
+
+  /**
+   * Delete an auto-tagging rule
+   * The rule is kept as a tombstone so the deletion reaches other devices
+   * @param {string} id - The rule ID
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<boolean>} True if the rule was deleted
+   */
+  async deleteTagRule(id, sync = true) {
+    const rules = await this.getAllTagRules();
+    const rule = rules.find(r => r.id === id);
+    
+    if (!rule) return false;
+    
+    const now = new Date().toISOString();
+    await this.saveRecord('tag_rules', { ...rule, deletedAt: now, updatedAt: now }, sync);
+    
+    return true;
+  }
+
+  /**
+   * Check an auto-tagging rule, store it and queue it for sync in the same transaction
+   * @param {Object} rule - Complete rule
+   * @param {boolean} sync - Whether to sync with Supabase
+   * @returns {Promise<Object>} The stored rule
+   */
+  async saveTagRule(rule, sync = true) {
+    this.validateTagRule(rule);
+    return this.saveRecord('tag_rules', rule, sync);
+  }
+
+  /**
+   * Check that an auto-tagging rule can be saved
+   * @param {Object} rule - Complete rule
+   * @throws {Error} If the rule has no title, no condition, no action or an invalid URL pattern
+   */
+  validateTagRule(rule) {
+    if (!rule.title) {
+      throw new Error('Tag rule title is required');
+    }
+    
+    if (!autoTagger.hasConditions(rule)) {
+      throw new Error('Tag rule needs at least one condition');
+    }
+    
+    if (!autoTagger.hasActions(rule)) {
+      throw new Error('Tag rule needs tags to add or a board');
+    }
+    
+    if (rule.urlPattern) {
+      autoTagger.compilePattern(rule.urlPattern);
+    }
+  }
+
+  /**
+   * Apply auto-tagging rules to the posts already in the library
+   * @param {Array<Object>} rules - Tag rules, e.g. from getAllTagRules or a rule being edited
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Only work out the changes without making them
+   * @returns {Promise<Array>} Changes, each with the post and the tags and board IDs it gains
+   */
+  async applyTagRules(rules, { dryRun = false } = {}) {
+    const [posts, boards] = await Promise.all([this.getAllPosts(), this.getAllBoards()]);
+    const boardsById = new Map(boards.map(board => [board.id, board]));
+    const changes = [];
+    
+    for (const post of posts) {
+      const { tags, boardIds } = autoTagger.apply(rules, post);
+      
+      // Rules can point at a board that was deleted since
+      const newBoardIds = boardIds.filter(id => boardsById.has(id) && !boardsById.get(id).postIds.includes(post.id));
+      
+      if (tags.length > 0 || newBoardIds.length > 0) {
+        changes.push({ post, tags, boardIds: newBoardIds });
+      }
+    }
+    
+    if (dryRun) return changes;
+    
+    // Tag every matching post in one transaction
+    const tagsById = new Map(changes.filter(change => change.tags.length > 0).map(change => [change.post.id, change.tags]));
+    
+    await this.retagPostsById([...tagsById.keys()], (tags, post) => {
+      return [...tags, ...tagsById.get(post.id).filter(tag => !tags.includes(tag))];
+    });
+    
+    // Each board gains all its posts at once, and the boards are stored together
+    const boardChanges = boards
+      .map(board => ({
+        id: board.id,
+        postIds: [...changes.filter(change => change.boardIds.includes(board.id)).map(change => change.post.id), ...board.postIds]
+      }))
+      .filter(change => change.postIds.length > boardsById.get(change.id).postIds.length);
+    
+    await this.updateBoards(boardChanges);
+    
+    return changes;
+  }
+
+  /**
+   * Export the whole library (posts, boards, smart views, tags with their metadata, tag rules and settings) as a serializable object
+   * @returns {Promise<Object>} Library backup
+   */
+  async exportLibrary() {
+    const [posts, boards, smartViews, tags, tagMeta, tagRules, settings] = await Promise.all([
+      this.getAllPosts({ sortBy: 'dateAdded', sortOrder: 'asc' }),
+      this.getAllBoards(),
+      this.getAllSmartViews(),
+      this.getAllTags(),
+      this.getAllTagMeta(),
+      this.getAllTagRules(),
+      this.getAllSettings()
+    ]);
+    
+    return {
+      app: CONFIG.app.name,
+      appVersion: CONFIG.app.version,
+      schemaVersion: CONFIG.storage.exportSchemaVersion,
+      exportedAt: new Date().toISOString(),
+      posts: posts.map(post => this.toRemotePost(post)),
+      boards: boards.map(board => this.toRemotePost(board)),
+      smartViews: smartViews.map(view => this.toRemotePost(view)),
+      tags,
+      tagMeta: tagMeta.map(meta => this.toRemotePost(meta)),
+      tagRules: tagRules.map(rule => this.toRemotePost(rule)),
+      settings: Object.fromEntries(Object.entries(settings).filter(([key]) => !this.isLocalSetting(key)))
+    };
+  }
+
+  /**
+   * Export some posts in the format of exportLibrary
+   * The backup holds the posts with their tags and tag metadata, and the boards they are on,
+   * listing only these posts. Smart views, tag rules and settings are left out.
+   * @param {Array<string>} ids - Post IDs
+   * @returns {Promise<Object>} Backup of the posts
+   */
+  async exportPosts(ids) {
+    const [posts, boards, tagMeta] = await Promise.all([
+      Promise.all(ids.map(id => this.getPostById(id))),
+      this.getAllBoards(),
+      this.getAllTagMeta()
+    ]);
+    
+    const selectedPosts = posts.filter(Boolean);
+    const selectedIds = new Set(selectedPosts.map(post => post.id));
+    const tags = [...this.getTagDeltas([], selectedPosts)]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    
+    return {
+      app: CONFIG.app.name,
+      appVersion: CONFIG.app.version,
+      schemaVersion: CONFIG.storage.exportSchemaVersion,
+      exportedAt: new Date().toISOString(),
+      posts: selectedPosts.map(post => this.toRemotePost(post)),
+      boards: boards
+        .filter(board => board.postIds.some(id => selectedIds.has(id)))
+        .map(board => this.toRemotePost({ ...board, postIds: board.postIds.filter(id => selectedIds.has(id)) })),
+      smartViews: [],
+      tags,
+      tagMeta: tagMeta
+        .filter(meta => tags.some(tag => tagPath.matches(tag.name, meta.name)))
+        .map(meta => this.toRemotePost(meta)),
+      tagRules: [],
+      settings: {}
+    };
+  }
+
+  /**
+   * Import a library backup created by exportLibrary
+   * In 'merge' mode existing posts are kept and posts whose URL is already saved are
+   * skipped (or reported as conflicts if they differ). In 'replace' mode the local
+   * library is cleared before importing. Boards, smart views, tag metadata and tag rules that already exist locally are kept.
+   * Replacing keeps the settings of this device, such as the sync cursors, and pushes the removal of
+   * every record the backup doesn't have, so the next sync doesn't bring them back.
+   * @param {File|Blob|string|Object} file - Backup file, JSON string or parsed backup
+   * @param {Object} options - Import options
+   * @param {string} options.mode - 'merge' (default) or 'replace'
+   * @returns {Promise<Object>} Report with added, skipped, conflicted, boardsAdded, smartViewsAdded, tagMetaAdded and tagRulesAdded counts
+   */
+  async importLibrary(file, { mode = 'merge' } = {}) {
+    if (!this.isInitialized) {
+      return new Promise((resolve, reject) => {
+        this.pendingOperations.push(() => {
+          this.importLibrary(file, { mode }).then(resolve, reject);
+        });
+      });
+    }
+    
+    if (mode !== 'merge' && mode !== 'replace') {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+    
+    const backup = await this.parseLibraryBackup(file);
+    const report = { mode, added: 0, skipped: 0, conflicted: 0, conflicts: [], boardsAdded: 0 };
+    
+    // Index the local library so duplicates can be detected by canonical URL
+    const storedPosts = mode === 'merge' ? await this.getAllPosts({ includeDeleted: true }) : [];
+    const localPosts = storedPosts.filter(post => !post.deletedAt);
+    const localByUrl = new Map(localPosts.map(post => [urlCanonicalizer.canonicalize(post.url), post]));
+    const tombstonesByUrl = new Map(storedPosts.filter(post => post.deletedAt).map(post => [post.url, post]));
+    const usedIds = new Set(storedPosts.map(post => post.id));
+    const seenUrls = new Set();
+    const postsToAdd = [];
+    
+    // ID each backup post ends up with in this library, so boards can point at it
+    const postIdMap = new Map();
+    
+    for (const post of backup.posts) {
+      // Skip malformed entries and links repeated within the backup itself
+      if (!post || typeof post.url !== 'string' || !post.url.trim()) {
+        report.skipped++;
+        continue;
+      }
+      
+      const canonicalUrl = urlCanonicalizer.canonicalize(post.url);
+      
+      if (seenUrls.has(canonicalUrl)) {
+        report.skipped++;
+        continue;
+      }
+      
+      seenUrls.add(canonicalUrl);
+      
+      const localPost = localByUrl.get(canonicalUrl);
+      
+      if (localPost) {
+        postIdMap.set(post.id, localPost.id);
         
-        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+        const isSamePost = localPost.id === post.id;
+        const isNewer = isSamePost && post.updatedAt && localPost.updatedAt && post.updatedAt > localPost.updatedAt;
         
-        // Queue for sync with Supabase if online and authenticated
-        if (sync && this.isOnline && this.currentUser) {
-          this.syncQueue.push({ action: 'update', data: { ...post, user_id: this.currentUser.id } });
-          this.syncWithSupabase();
+        if (isSamePost && !isNewer) {
+          report.skipped++;
+        } else {
+          // Keep the local version and let the user know
+          report.conflicted++;
+          report.conflicts.push({
+            url: post.url,
+            localId: localPost.id,
+            importedId: post.id || null,
+            reason: isSamePost ? 'newer-in-backup' : 'different-post'
+          });
         }
-        
-        return post;
+        continue;
       }
-    } catch (error) {
-      console.error('Error updating post:', error);
-      throw error;
+      
+      // Sync state from the exporting device doesn't apply here
+      const { syncBase, deletedAt, ...fields } = post;
+      
+      const importedPost = {
+        ...fields,
+        canonicalUrl,
+        tags: Array.isArray(post.tags) ? post.tags.filter(tag => typeof tag === 'string' && tag.trim()) : [],
+        platform: post.platform || 'website',
+        dateAdded: post.dateAdded || new Date().toISOString(),
+        updatedAt: post.updatedAt || new Date().toISOString()
+      };
+      
+      // Give the post a fresh ID if it collides with a different local post
+      if (!importedPost.id || usedIds.has(importedPost.id)) {
+        importedPost.id = crypto.randomUUID();
+      }
+      
+      usedIds.add(importedPost.id);
+      postIdMap.set(post.id, importedPost.id);
+      postsToAdd.push(importedPost);
     }
-  }
-
-  /**
-   * Delete a post
-   * @param {string} id - The post ID
-   * @param {boolean} sync - Whether to sync with Supabase
-   * @returns {Promise<boolean>} Success status
-   */
-  async deletePost(id, sync = true) {
-    if (!this.isInitialized) {
-      return new Promise((resolve) => {
-        this.pendingOperations.push(() => {
-          this.deletePost(id, sync).then(resolve);
-        });
+    
+    // Boards that exist locally win over the backup
+    const storedBoards = mode === 'merge' ? await this.getAllBoards({ includeDeleted: true }) : [];
+    const localBoardIds = new Set(storedBoards.filter(board => !board.deletedAt).map(board => board.id));
+    const boardsToAdd = [];
+    
+    for (const board of backup.boards) {
+      if (!board || typeof board.title !== 'string' || !board.title.trim() || board.deletedAt || localBoardIds.has(board.id)) continue;
+      
+      const { syncBase, ...fields } = board;
+      
+      boardsToAdd.push({
+        description: '',
+        coverImage: '',
+        sortMode: 'manual',
+        ...fields,
+        id: board.id || crypto.randomUUID(),
+        postIds: (Array.isArray(board.postIds) ? board.postIds : []).map(id => postIdMap.get(id)).filter(Boolean),
+        dateAdded: board.dateAdded || new Date().toISOString(),
+        updatedAt: board.updatedAt || new Date().toISOString()
       });
     }
     
-    try {
-      // Get post to update tag counts
-      const post = await this.getPostById(id);
+    const storedViews = mode === 'merge' ? await this.getAllSmartViews({ includeDeleted: true }) : [];
+    const localViewIds = new Set(storedViews.filter(view => !view.deletedAt).map(view => view.id));
+    const smartViewsToAdd = backup.smartViews
+      .filter(view => view && typeof view.title === 'string' && view.title.trim() && !view.deletedAt && !localViewIds.has(view.id))
+      .map(({ syncBase, ...view }) => this.createSmartView(view));
+    
+    const importedTags = backup.tags.filter(tag => tag && typeof tag.name === 'string');
+    
+    const storedTagMeta = mode === 'merge' ? await this.getAllTagMeta() : [];
+    const localTagNames = new Set(storedTagMeta.map(meta => meta.name));
+    const tagMetaToAdd = backup.tagMeta
+      .filter(meta => meta && typeof meta.name === 'string' && meta.name.trim() && !meta.deletedAt && !localTagNames.has(meta.name))
+      .map(({ syncBase, ...meta }) => this.createTagMeta(meta));
+    
+    const storedRules = mode === 'merge' ? await this.getAllTagRules({ includeDeleted: true }) : [];
+    const localRuleIds = new Set(storedRules.filter(rule => !rule.deletedAt).map(rule => rule.id));
+    const tagRulesToAdd = backup.tagRules
+      .filter(rule => rule && typeof rule.title === 'string' && rule.title.trim() && !rule.deletedAt && !localRuleIds.has(rule.id))
+      .map(({ syncBase, ...rule }) => this.createTagRule(rule));
+    
+    const now = new Date().toISOString();
+    const entries = [
+      ...postsToAdd.map(post => this.createOutboxEntry('upsert', 'posts', post.id, this.toRemotePost(post))),
+      ...boardsToAdd.map(board => this.createOutboxEntry('upsert', 'boards', board.id, this.toRemotePost(board))),
+      ...smartViewsToAdd.map(view => this.createOutboxEntry('upsert', 'smart_views', view.id, this.toRemotePost(view))),
+      ...tagMetaToAdd.map(meta => this.createOutboxEntry('upsert', 'tag_meta', meta.id, this.toRemotePost(meta))),
+      ...tagRulesToAdd.map(rule => this.createOutboxEntry('upsert', 'tag_rules', rule.id, this.toRemotePost(rule)))
+    ];
+    
+    // Records the replace removes, as table:ID, and the tombstones that remove them on the server
+    const replacedKeys = new Set();
+    const recordTombstones = Object.fromEntries(Object.keys(this.recordTables).map(table => [table, []]));
+    
+    if (mode === 'replace') {
+      const keptPostIds = new Set(postsToAdd.map(post => post.id));
       
-      if (!post) {
-        throw new Error('Post not found');
+      // Posts not in the backup are purged everywhere
+      for (const post of await this.getAllPosts({ includeDeleted: true })) {
+        replacedKeys.add(`posts:${post.id}`);
+        
+        if (!keptPostIds.has(post.id)) {
+          entries.push(this.createOutboxEntry('upsert', 'posts', post.id, this.toPurgedRemotePost({ ...post, deletedAt: post.deletedAt || now }, now)));
+        }
       }
       
-      const tags = post.tags || [];
+      const addedRecords = { boards: boardsToAdd, smart_views: smartViewsToAdd, tag_meta: tagMetaToAdd, tag_rules: tagRulesToAdd };
       
+      for (const table of Object.keys(this.recordTables)) {
+        const keptIds = new Set(addedRecords[table].map(record => record.id));
+        
+        for (const record of await this.getRecords(table, { includeDeleted: true })) {
+          replacedKeys.add(`${table}:${record.id}`);
+          
+          if (keptIds.has(record.id) || record.deletedAt) continue;
+          
+          const tombstone = { ...record, deletedAt: now, updatedAt: now };
+          recordTombstones[table].push(tombstone);
+          entries.push(this.createOutboxEntry('upsert', table, record.id, this.toRemotePost(tombstone)));
+        }
+      }
+    }
+    
+    try {
       if (this.isIndexedDBSupported) {
-        return new Promise((resolve, reject) => {
-          const transaction = this.db.transaction([CONFIG.storage.postsStore, CONFIG.storage.tagsStore], 'readwrite');
+        await new Promise((resolve, reject) => {
+          const storeNames = [
+            CONFIG.storage.postsStore,
+            CONFIG.storage.boardsStore,
+            CONFIG.storage.smartViewsStore,
+            CONFIG.storage.tagMetaStore,
+            CONFIG.storage.tagRulesStore,
+            CONFIG.storage.tagsStore,
+            CONFIG.storage.settingsStore,
+            CONFIG.storage.outboxStore,
+            CONFIG.storage.conflictsStore,
+            CONFIG.storage.searchIndexStore,
+            CONFIG.storage.revisionsStore
+          ];
+          const transaction = this.db.transaction(storeNames, 'readwrite');
           const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+          const boardsStore = transaction.objectStore(CONFIG.storage.boardsStore);
+          const smartViewsStore = transaction.objectStore(CONFIG.storage.smartViewsStore);
+          const tagMetaStore = transaction.objectStore(CONFIG.storage.tagMetaStore);
+          const tagRulesStore = transaction.objectStore(CONFIG.storage.tagRulesStore);
           const tagsStore = transaction.objectStore(CONFIG.storage.tagsStore);
+          const settingsStore = transaction.objectStore(CONFIG.storage.settingsStore);
+          const outboxStore = transaction.objectStore(CONFIG.storage.outboxStore);
+          const searchIndexStore = transaction.objectStore(CONFIG.storage.searchIndexStore);
           
-          // Delete post
-          const request = postsStore.delete(id);
+          if (mode === 'replace') {
+            postsStore.clear();
+            searchIndex.clear(searchIndexStore);
+            transaction.objectStore(CONFIG.storage.revisionsStore).clear();
+            boardsStore.clear();
+            smartViewsStore.clear();
+            tagMetaStore.clear();
+            tagRulesStore.clear();
+            tagsStore.clear();
+          }
           
-          request.onsuccess = () => {
-            // Update tag counts
-            for (const tag of tags) {
-              const tagRequest = tagsStore.get(tag);
-              
-              tagRequest.onsuccess = () => {
-                if (tagRequest.result) {
-                  const tagData = tagRequest.result;
-                  tagData.count = Math.max(0, tagData.count - 1);
-                  
-                  if (tagData.count === 0) {
-                    tagsStore.delete(tag);
-                  } else {
-                    tagsStore.put(tagData);
-                  }
-                }
-              };
+          const queueEntries = () => {
+            for (const entry of entries) {
+              outboxStore.add(entry);
+            }
+          };
+          
+          const importSettings = () => {
+            for (const [key, value] of Object.entries(backup.settings)) {
+              settingsStore.put({ key, value });
             }
+          };
+          
+          if (mode === 'replace') {
+            // Changes to the replaced records that weren't pushed yet are dropped, the import supersedes them
+            const cursorRequest = outboxStore.openCursor();
             
-            // Queue for sync with Supabase if online and authenticated
-            if (sync && this.isOnline && this.currentUser) {
-              this.syncQueue.push({ action: 'delete', data: { id, user_id: this.currentUser.id } });
-              this.syncWithSupabase();
+            cursorRequest.onsuccess = (event) => {
+              const cursor = event.target.result;
+              
+              // Queue the import once the old entries are gone
+              if (!cursor) {
+                queueEntries();
+                return;
+              }
+              
+              if (replacedKeys.has(`${cursor.value.table}:${cursor.value.entityId}`)) {
+                cursor.delete();
+              }
+              
+              cursor.continue();
+            };
+            
+            transaction.objectStore(CONFIG.storage.conflictsStore).clear();
+            
+            // Settings of this device stay
+            const keysRequest = settingsStore.getAllKeys();
+            
+            keysRequest.onsuccess = () => {
+              for (const key of keysRequest.result.filter(key => !this.isLocalSetting(key))) {
+                settingsStore.delete(key);
+              }
+              
+              importSettings();
+            };
+          } else {
+            queueEntries();
+            importSettings();
+          }
+          
+          for (const post of postsToAdd) {
+            // A deleted post with the same URL gives way to the imported one
+            if (tombstonesByUrl.has(post.url)) {
+              postsStore.delete(tombstonesByUrl.get(post.url).id);
+              this.removeRevisions(transaction, tombstonesByUrl.get(post.url).id);
             }
             
-            resolve(true);
-          };
+            postsStore.add(post);
+            searchIndex.indexPost(searchIndexStore, post);
+            this.addRevision(transaction, post, 'import');
+          }
           
-          request.onerror = (event) => {
-            reject(event.target.error);
-          };
+          for (const board of [...boardsToAdd, ...recordTombstones.boards]) {
+            boardsStore.put(board);
+          }
+          
+          for (const view of [...smartViewsToAdd, ...recordTombstones.smart_views]) {
+            smartViewsStore.put(view);
+          }
+          
+          for (const meta of [...tagMetaToAdd, ...recordTombstones.tag_meta]) {
+            tagMetaStore.put(meta);
+          }
+          
+          for (const rule of [...tagRulesToAdd, ...recordTombstones.tag_rules]) {
+            tagRulesStore.put(rule);
+          }
+          
+          // Restore tag records; counts are rebuilt afterwards
+          for (const tag of importedTags) {
+            const tagRequest = tagsStore.get(tag.name);
+            
+            tagRequest.onsuccess = () => {
+              if (!tagRequest.result) {
+                tagsStore.put({ ...tag, count: 0 });
+              }
+            };
+          }
+          
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = (event) => reject(event.target.error);
+          transaction.onabort = (event) => reject(event.target.error || new Error('Import aborted'));
         });
       } else {
         // Use localStorage
         const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
-        const index = data.posts.findIndex(p => p.id === id);
         
-        if (index === -1) {
-          throw new Error('Post not found');
+        if (mode === 'replace') {
+          data.posts = [];
+          data.revisions = [];
+          data.boards = [];
+          data.smartViews = [];
+          data.tagMeta = [];
+          data.tagRules = [];
+          data.tags = [];
+          data.settings = Object.fromEntries(Object.entries(data.settings || {}).filter(([key]) => this.isLocalSetting(key)));
+          data.outbox = (data.outbox || []).filter(entry => !replacedKeys.has(`${entry.table}:${entry.entityId}`));
+          data.conflicts = [];
         }
         
-        data.posts.splice(index, 1);
+        for (const tombstone of data.posts.filter(p => p.deletedAt && tombstonesByUrl.has(p.url))) {
+          this.removeFallbackRevisions(data, tombstone.id);
+        }
         
-        // Update tag counts
-        for (const tag of tags) {
-          const tagIndex = data.tags.findIndex(t => t.name === tag);
-          
-          if (tagIndex >= 0) {
-            data.tags[tagIndex].count = Math.max(0, data.tags[tagIndex].count - 1);
-            
-            if (data.tags[tagIndex].count === 0) {
-              data.tags.splice(tagIndex, 1);
-            }
-          }
+        data.posts = data.posts.filter(p => !p.deletedAt || !tombstonesByUrl.has(p.url));
+        
+        for (const post of postsToAdd) {
+          data.posts.push(post);
+          this.addFallbackRevision(data, post, 'import');
         }
         
-        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
+        const boardIds = new Set(boardsToAdd.map(board => board.id));
+        data.boards = (data.boards || []).filter(b => !boardIds.has(b.id));
+        data.boards.push(...boardsToAdd, ...recordTombstones.boards);
         
-        // Queue for sync with Supabase if online and authenticated
-        if (sync && this.isOnline && this.currentUser) {
-          this.syncQueue.push({ action: 'delete', data: { id, user_id: this.currentUser.id } });
-          this.syncWithSupabase();
+        const viewIds = new Set(smartViewsToAdd.map(view => view.id));
+        data.smartViews = (data.smartViews || []).filter(v => !viewIds.has(v.id));
+        data.smartViews.push(...smartViewsToAdd, ...recordTombstones.smart_views);
+        
+        const tagMetaIds = new Set(tagMetaToAdd.map(meta => meta.id));
+        data.tagMeta = (data.tagMeta || []).filter(m => !tagMetaIds.has(m.id));
+        data.tagMeta.push(...tagMetaToAdd, ...recordTombstones.tag_meta);
+        
+        const tagRuleIds = new Set(tagRulesToAdd.map(rule => rule.id));
+        data.tagRules = (data.tagRules || []).filter(r => !tagRuleIds.has(r.id));
+        data.tagRules.push(...tagRulesToAdd, ...recordTombstones.tag_rules);
+        
+        for (const entry of entries) {
+          this.addFallbackOutboxEntry(data, entry);
         }
         
-        return true;
+        for (const tag of importedTags) {
+          if (!data.tags.some(t => t.name === tag.name)) {
+            data.tags.push({ ...tag, count: 0 });
+          }
+        }
+        
+        data.settings = { ...(data.settings || {}), ...backup.settings };
+        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
       }
     } catch (error) {
-      console.error('Error deleting post:', error);
-      return false;
-    }
-  }
-
-  /**
-   * Get all tags with their counts
-   * @returns {Promise<Array>} Array of tags
-   */
-  async getAllTags() {
-    if (!this.isInitialized) {
-      return new Promise((resolve) => {
-        this.pendingOperations.push(() => {
-          this.getAllTags().then(resolve);
-        });
-      });
+      console.error('Error importing library:', error);
+      throw error;
     }
     
-    try {
-      if (this.isIndexedDBSupported) {
-        return new Promise((resolve, reject) => {
-          const transaction = this.db.transaction(CONFIG.storage.tagsStore, 'readonly');
-          const store = transaction.objectStore(CONFIG.storage.tagsStore);
-          const request = store.getAll();
-          
-          request.onsuccess = () => {
-            resolve(request.result);
-          };
-          
-          request.onerror = (event) => {
-            reject(event.target.error);
-          };
-        });
-      } else {
-        // Use localStorage
-        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
-        return data.tags;
-      }
-    } catch (error) {
-      console.error('Error getting tags:', error);
-      return [];
+    report.added = postsToAdd.length;
+    report.boardsAdded = boardsToAdd.length;
+    report.smartViewsAdded = smartViewsToAdd.length;
+    report.tagMetaAdded = tagMetaToAdd.length;
+    report.tagRulesAdded = tagRulesToAdd.length;
+    
+    await this.recountTags();
+    this.dispatchPostsChange(postsToAdd.map(post => post.id));
+    
+    // Push imported posts, boards, smart views, tag metadata and tag rules, and the removal of replaced ones, to Supabase
+    if (entries.length > 0) {
+      this.requestBackgroundSync();
+      this.processOutbox();
     }
+    
+    return report;
   }
 
   /**
-   * Set a setting value
-   * @param {string} key - Setting key
-   * @param {*} value - Setting value
-   * @returns {Promise<boolean>} Success status
+   * Read and validate a library backup
+   * @param {File|Blob|string|Object} file - Backup file, JSON string or parsed backup
+   * @returns {Promise<Object>} Normalized backup with posts, boards, smart views, tags, tag metadata, tag rules and settings
    */
-  async setSetting(key, value) {
-    if (!this.isInitialized) {
-      return new Promise((resolve) => {
-        this.pendingOperations.push(() => {
-          this.setSetting(key, value).then(resolve);
-        });
-      });
+  async parseLibraryBackup(file) {
+    let backup = file;
+    
+    if (file instanceof Blob) {
+      backup = await file.text();
     }
     
-    try {
-      if (this.isIndexedDBSupported) {
-        return new Promise((resolve, reject) => {
-          const transaction = this.db.transaction(CONFIG.storage.settingsStore, 'readwrite');
-          const store = transaction.objectStore(CONFIG.storage.settingsStore);
-          const request = store.put({ key, value });
-          
-          request.onsuccess = () => {
-            resolve(true);
-          };
-          
-          request.onerror = (event) => {
-            reject(event.target.error);
-          };
-        });
-      } else {
-        // Use localStorage
-        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
-        
-        if (!data.settings) {
-          data.settings = {};
-        }
-        
-        data.settings[key] = value;
-        localStorage.setItem(CONFIG.storage.fallbackKey, JSON.stringify(data));
-        
-        return true;
+    if (typeof backup === 'string') {
+      try {
+        backup = JSON.parse(backup);
+      } catch (error) {
+        throw new Error('Backup file is not valid JSON');
       }
-    } catch (error) {
-      console.error('Error setting setting:', error);
-      return false;
     }
-  }
-
-  /**
-   * Get a setting value
-   * @param {string} key - Setting key
-   * @param {*} defaultValue - Default value if setting not found
-   * @returns {Promise<*>} Setting value
-   */
-  async getSetting(key, defaultValue = null) {
-    if (!this.isInitialized) {
-      return new Promise((resolve) => {
-        this.pendingOperations.push(() => {
-          this.getSetting(key, defaultValue).then(resolve);
-        });
-      });
+    
+    if (!backup || typeof backup !== 'object' || !Array.isArray(backup.posts)) {
+      throw new Error('Backup file does not contain a Boardie library');
     }
     
-    try {
-      if (this.isIndexedDBSupported) {
-        return new Promise((resolve, reject) => {
-          const transaction = this.db.transaction(CONFIG.storage.settingsStore, 'readonly');
-          const store = transaction.objectStore(CONFIG.storage.settingsStore);
-          const request = store.get(key);
-          
-          request.onsuccess = () => {
-            resolve(request.result ? request.result.value : defaultValue);
-          };
-          
-          request.onerror = (event) => {
-            reject(event.target.error);
-          };
-        });
-      } else {
-        // Use localStorage
-        const data = JSON.parse(localStorage.getItem(CONFIG.storage.fallbackKey));
-        return (data.settings && data.settings[key] !== undefined) ? data.settings[key] : defaultValue;
-      }
-    } catch (error) {
-      console.error('Error getting setting:', error);
-      return defaultValue;
+    if (typeof backup.schemaVersion !== 'number' || backup.schemaVersion > CONFIG.storage.exportSchemaVersion) {
+      throw new Error(`Unsupported backup version: ${backup.schemaVersion}`);
     }
+    
+    const settings = backup.settings && typeof backup.settings === 'object' ? backup.settings : {};
+    
+    return {
+      posts: backup.posts,
+      boards: Array.isArray(backup.boards) ? backup.boards : [],
+      smartViews: Array.isArray(backup.smartViews) ? backup.smartViews : [],
+      tags: Array.isArray(backup.tags) ? backup.tags : [],
+      tagMeta: Array.isArray(backup.tagMeta) ? backup.tagMeta : [],
+      tagRules: Array.isArray(backup.tagRules) ? backup.tagRules : [],
+      settings: Object.fromEntries(Object.entries(settings).filter(([key]) => !this.isLocalSetting(key)))
+    };
   }
 }
 
@@ -298,19 +298,19 @@ class EmbedHandler {
         </div>
       `;
       
-      // Fetch metadata from proxy service
-      // In a real app, you'd have a server-side proxy to fetch metadata
-      // For this demo, we'll simulate metadata
-      
       // Parse URL to get domain
       const urlObj = new URL(url);
       const domain = urlObj.hostname;
       
-      // Create a basic preview with domain info
+      // Metadata stored on the post when it was saved
+      const metadata = await this.getWebsiteMetadata(url);
+      
+      // Create preview data, falling back to domain info
       const previewData = {
-        title: url,
-        description: `Content from ${domain}`,
-        image: '',
+        title: metadata.title || url,
+        description: metadata.description || `Content from ${domain}`,
+        image: metadata.image || '',
+        siteName: metadata.siteName || domain,
         favicon: `https://www.google.com/s2/favicons?domain=${domain}&sz=64`,
         url: url
       };
@@ -320,18 +320,18 @@ class EmbedHandler {
         <div class="website-preview">
           <div class="website-preview-image bg-gray-200 dark:bg-gray-700 flex items-center justify-center">
             ${previewData.image ? 
-              `<img src="${previewData.image}" alt="${previewData.title}" class="w-full h-full object-cover">` :
+              `<img src="${this.escapeHTML(previewData.image)}" alt="${this.escapeHTML(previewData.title)}" class="w-full h-full object-cover">` :
               `<svg xmlns="http://www.w3.org/2000/svg" class="h-12 w-12 text-gray-400 dark:text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
               </svg>`
             }
           </div>
           <div class="website-preview-content">
-            <h3 class="website-preview-title text-gray-800 dark:text-gray-200">${previewData.title}</h3>
-            <p class="website-preview-description">${previewData.description}</p>
+            <h3 class="website-preview-title text-gray-800 dark:text-gray-200">${this.escapeHTML(previewData.title)}</h3>
+            <p class="website-preview-description">${this.escapeHTML(previewData.description)}</p>
             <div class="website-preview-url">
               <img src="${previewData.favicon}" alt="" class="website-preview-favicon">
-              <span>${domain}</span>
+              <span>${this.escapeHTML(previewData.siteName)}</span>
             </div>
           </div>
         </div>
@@ -361,6 +361,30 @@ class EmbedHandler {
       return Promise.resolve();
     }
   }
+
+  /**
+   * Get link metadata for a website post
+   * Metadata is unfurled when the link is saved and stored on the post as title, description, image and siteName
+   * @param {string} url - Website URL
+   * @returns {Promise<Object>} Metadata (fields may be empty)
+   */
+  async getWebsiteMetadata(url) {
+    return (await db.getPostByUrl(url)) || {};
+  }
+
+  /**
+   * Escape a value for use in HTML
+   * @param {string} value - Value to escape
+   * @returns {string} Escaped value
+   */
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
 }
 
 // Create and export a singleton instance
@@ -0,0 +1,247 @@
+/**
+ * Markdown module for Boardie application
+ * Renders the markdown of post notes to HTML. All text is escaped and only a fixed set of tags is
+ * produced, so notes synced from another device can't inject markup or scripts.
+ */
+class MarkdownRenderer {
+  constructor() {
+    // Link targets allowed in notes, anything else (javascript:, data:, ...) is shown as text
+    this.allowedProtocols = ['http:', 'https:', 'mailto:'];
+    
+    // Inline elements, applied in order to escaped text
+    this.emphasisRules = [
+      { pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*/g, tag: 'strong' },
+      { pattern: /__(?=\S)([\s\S]*?\S)__/g, tag: 'strong' },
+      { pattern: /~~(?=\S)([\s\S]*?\S)~~/g, tag: 'del' },
+      { pattern: /\*(?=\S)([^*]*?\S)\*/g, tag: 'em' },
+      { pattern: /(^|[^\p{L}\p{N}_])_(?=\S)([^_]*?\S)_(?![\p{L}\p{N}_])/gu, tag: 'em', keepsPrefix: true }
+    ];
+  }
+
+  /**
+   * Escape text for use in HTML content and attribute values
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Check whether a link target may be rendered as a link
+   * @param {string} url - Link target
+   * @returns {boolean} True for absolute http, https and mailto URLs
+   */
+  isSafeUrl(url) {
+    try {
+      return this.allowedProtocols.includes(new URL(url).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Render a link, opened in a new tab
+   * @param {string} url - Link target, checked with isSafeUrl
+   * @param {string} label - Link text as HTML
+   * @returns {string} Link HTML
+   */
+  renderLink(url, label) {
+    return `<a href="${this.escape(url)}" target="_blank" rel="noopener noreferrer nofollow">${label}</a>`;
+  }
+
+  /**
+   * Render the inline markdown of a line: code spans, links, bold, italic and strikethrough
+   * @param {string} text - Markdown text
+   * @returns {string} HTML
+   */
+  renderInline(text) {
+    // Code spans and links are set aside, so their content isn't formatted
+    const stash = [];
+    const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+    
+    let source = text.replace(/`([^`]+)`/g, (match, code) => keep(`<code>${this.escape(code)}</code>`));
+    
+    source = source.replace(/\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"[^"]*")?\s*\)/g, (match, label, url) => {
+      if (!this.isSafeUrl(url)) return match;
+      
+      return keep(this.renderLink(url, this.renderEmphasis(this.escape(label || url))));
+    });
+    
+    // Bare URLs, without trailing punctuation
+    source = source.replace(/\bhttps?:\/\/[^\s<>\u0000]+/g, (match) => {
+      const url = match.replace(/[.,;:!?'")\]]+$/, '');
+      
+      if (!this.isSafeUrl(url)) return match;
+      
+      return keep(this.renderLink(url, this.escape(url))) + match.slice(url.length);
+    });
+    
+    const html = this.renderEmphasis(this.escape(source));
+    
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+  }
+
+  /**
+   * Apply bold, italic and strikethrough to escaped text
+   * @param {string} html - Escaped text
+   * @returns {string} HTML
+   */
+  renderEmphasis(html) {
+    return this.emphasisRules.reduce((result, rule) => result.replace(rule.pattern, (...args) => {
+      return rule.keepsPrefix
+        ? `${args[1]}<${rule.tag}>${args[2]}</${rule.tag}>`
+        : `<${rule.tag}>${args[1]}</${rule.tag}>`;
+    }), html);
+  }
+
+  /**
+   * Render markdown to HTML
+   * Supports paragraphs, headings, lists, block quotes, code blocks, horizontal rules and the inline elements of renderInline
+   * @param {string} text - Markdown text
+   * @returns {string} HTML
+   */
+  render(text) {
+    // NUL marks set-aside inline HTML, so it can't come from the text
+    const lines = String(text || '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    
+    return this.renderBlocks(lines);
+  }
+
+  /**
+   * Render lines of markdown as block elements
+   * @param {Array<string>} lines - Lines
+   * @returns {string} HTML
+   */
+  renderBlocks(lines) {
+    const blocks = [];
+    let index = 0;
+    
+    // Lines of the paragraph being collected
+    let paragraph = [];
+    
+    const endParagraph = () => {
+      if (paragraph.length > 0) {
+        blocks.push(`<p>${paragraph.map(line => this.renderInline(line.trim())).join('<br>')}</p>`);
+        paragraph = [];
+      }
+    };
+    
+    while (index < lines.length) {
+      const line = lines[index];
+      
+      // Fenced code block, running to the closing fence or the end of the notes
+      if (/^\s*```/.test(line)) {
+        endParagraph();
+        
+        const code = [];
+        index++;
+        
+        while (index < lines.length && !/^\s*```/.test(lines[index])) {
+          code.push(lines[index]);
+          index++;
+        }
+        
+        blocks.push(`<pre><code>${this.escape(code.join('\n'))}</code></pre>`);
+        index++;
+        continue;
+      }
+      
+      if (!line.trim()) {
+        endParagraph();
+        index++;
+        continue;
+      }
+      
+      const heading = /^\s*(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/.exec(line);
+      
+      if (heading) {
+        endParagraph();
+        blocks.push(`<h${heading[1].length}>${this.renderInline(heading[2])}</h${heading[1].length}>`);
+        index++;
+        continue;
+      }
+      
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        endParagraph();
+        blocks.push('<hr>');
+        index++;
+        continue;
+      }
+      
+      // Block quote, its lines are rendered as blocks of their own
+      if (/^\s*>/.test(line)) {
+        endParagraph();
+        
+        const quoted = [];
+        
+        while (index < lines.length && /^\s*>/.test(lines[index])) {
+          quoted.push(lines[index].replace(/^\s*>\s?/, ''));
+          index++;
+        }
+        
+        blocks.push(`<blockquote>${this.renderBlocks(quoted)}</blockquote>`);
+        continue;
+      }
+      
+      // Bulleted or numbered list, one item per line
+      const listType = this.getListType(line);
+      
+      if (listType) {
+        endParagraph();
+        
+        const items = [];
+        
+        while (index < lines.length && this.getListType(lines[index]) === listType) {
+          items.push(`<li>${this.renderInline(lines[index].replace(/^\s*(?:[-*+]|\d+[.)])\s+/, ''))}</li>`);
+          index++;
+        }
+        
+        blocks.push(`<${listType}>${items.join('')}</${listType}>`);
+        continue;
+      }
+      
+      paragraph.push(line);
+      index++;
+    }
+    
+    endParagraph();
+    
+    return blocks.join('');
+  }
+
+  /**
+   * Get the kind of list a line is an item of
+   * @param {string} line - Line
+   * @returns {string|null} 'ul', 'ol', or null if the line isn't a list item
+   */
+  getListType(line) {
+    if (/^\s*[-*+]\s+/.test(line)) return 'ul';
+    if (/^\s*\d+[.)]\s+/.test(line)) return 'ol';
+    
+    return null;
+  }
+
+  /**
+   * Get the first line of markdown as plain text, for a preview
+   * @param {string} text - Markdown text
+   * @returns {string} Text without markdown syntax
+   */
+  getSummary(text) {
+    const line = String(text || '').split('\n').find(l => l.trim() && !/^\s*```/.test(l)) || '';
+    
+    return line
+      .replace(/^\s*(?:#{1,6}\s+|>\s?|[-*+]\s+|\d+[.)]\s+)/, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[*_~`]/g, '')
+      .trim();
+  }
+}
+
+// Create and export a singleton instance
+const markdown = new MarkdownRenderer();
@@ -0,0 +1,393 @@
+/**
+ * Schema migrations module for Boardie application
+ * Keeps an ordered registry of upgrade steps for the IndexedDB schema and the localStorage fallback
+ */
+class Migrations {
+  constructor() {
+    this.steps = [];
+    
+    // Backfills requested by the steps of the upgrade in progress, by store name
+    this.backfills = null;
+  }
+
+  /**
+   * Register a migration step
+   * @param {Object} step - Migration step
+   * @param {number} step.version - Schema version the step upgrades to
+   * @param {string} step.description - Short description of the change
+   * @param {Function} step.upgrade - Receives { db, transaction } inside onupgradeneeded
+   * @param {Function} [step.upgradeFallback] - Receives the localStorage data object and updates it in place
+   */
+  register(step) {
+    if (this.steps.some(existing => existing.version === step.version)) {
+      throw new Error(`Migration for version ${step.version} is already registered`);
+    }
+    
+    this.steps.push(step);
+    this.steps.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Get the latest schema version
+   * @returns {number} Latest version
+   */
+  get latestVersion() {
+    return this.steps.length > 0 ? this.steps[this.steps.length - 1].version : 0;
+  }
+
+  /**
+   * Get the steps needed to go from one version to another
+   * @param {number} oldVersion - Current version
+   * @param {number} newVersion - Target version
+   * @returns {Array} Steps in order
+   */
+  getSteps(oldVersion, newVersion) {
+    return this.steps.filter(step => step.version > oldVersion && step.version <= newVersion);
+  }
+
+  /**
+   * Run IndexedDB upgrade steps
+   * Must be called from onupgradeneeded, all steps share the versionchange transaction
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {IDBTransaction} transaction - Versionchange transaction
+   * @param {number} oldVersion - Version the database had
+   * @param {number} newVersion - Version being opened
+   */
+  upgrade(db, transaction, oldVersion, newVersion) {
+    this.backfills = new Map();
+    
+    for (const step of this.getSteps(oldVersion, newVersion)) {
+      console.log(`Migrating database to version ${step.version}: ${step.description}`);
+      step.upgrade({ db, transaction });
+    }
+    
+    // Cursors opened by separate steps would interleave and overwrite each other's updates,
+    // so each store is visited once with the updates of all steps in version order
+    for (const { store, updates } of this.backfills.values()) {
+      this.runBackfill(store, updates);
+    }
+    
+    this.backfills = null;
+  }
+
+  /**
+   * Run localStorage fallback upgrade steps
+   * @param {Object} data - Fallback data object
+   * @returns {boolean} True if the data was changed
+   */
+  upgradeFallback(data) {
+    const oldVersion = data.schemaVersion || 1;
+    
+    for (const step of this.getSteps(oldVersion, this.latestVersion)) {
+      if (step.upgradeFallback) {
+        step.upgradeFallback(data);
+      }
+    }
+    
+    data.schemaVersion = this.latestVersion;
+    return oldVersion !== data.schemaVersion;
+  }
+
+  /**
+   * Visit every record in a store and update it where needed
+   * Must be called from a step's upgrade, the records are visited once every step has run
+   * @param {IDBObjectStore} store - Object store
+   * @param {Function} update - Receives a record and returns the updated record, or null to leave it unchanged
+   */
+  backfill(store, update) {
+    if (!this.backfills.has(store.name)) {
+      this.backfills.set(store.name, { store, updates: [] });
+    }
+    
+    this.backfills.get(store.name).updates.push(update);
+  }
+
+  /**
+   * Visit every record in a store, passing it through the updates of each step in turn
+   * @param {IDBObjectStore} store - Object store
+   * @param {Array<Function>} updates - Updates in version order
+   */
+  runBackfill(store, updates) {
+    const request = store.openCursor();
+    
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      
+      if (!cursor) return;
+      
+      let record = cursor.value;
+      let changed = false;
+      
+      for (const update of updates) {
+        const updated = update(record);
+        
+        if (updated) {
+          record = updated;
+          changed = true;
+        }
+      }
+      
+      if (changed) {
+        cursor.update(record);
+      }
+      
+      cursor.continue();
+    };
+  }
+}
+
+// Create and export a singleton instance
+const migrations = new Migrations();
+
+// Version 1: initial stores
+migrations.register({
+  version: 1,
+  description: 'Create posts, tags and settings stores',
+  upgrade({ db }) {
+    if (!db.objectStoreNames.contains(CONFIG.storage.postsStore)) {
+      const postsStore = db.createObjectStore(CONFIG.storage.postsStore, { keyPath: 'id' });
+      postsStore.createIndex('url', 'url', { unique: true });
+      postsStore.createIndex('platform', 'platform', { unique: false });
+      postsStore.createIndex('dateAdded', 'dateAdded', { unique: false });
+      postsStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+    }
+    
+    if (!db.objectStoreNames.contains(CONFIG.storage.tagsStore)) {
+      const tagsStore = db.createObjectStore(CONFIG.storage.tagsStore, { keyPath: 'name' });
+      tagsStore.createIndex('count', 'count', { unique: false });
+    }
+    
+    if (!db.objectStoreNames.contains(CONFIG.storage.settingsStore)) {
+      db.createObjectStore(CONFIG.storage.settingsStore, { keyPath: 'key' });
+    }
+  }
+});
+
+// Version 2: updatedAt and position indexes on posts
+migrations.register({
+  version: 2,
+  description: 'Add updatedAt and position indexes to posts',
+  upgrade({ transaction }) {
+    const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+    
+    if (!postsStore.indexNames.contains('updatedAt')) {
+      postsStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+    }
+    
+    if (!postsStore.indexNames.contains('position')) {
+      postsStore.createIndex('position', 'position', { unique: false });
+    }
+    
+    migrations.backfill(postsStore, post => this.backfillPost(post));
+  },
+  upgradeFallback(data) {
+    data.posts = (data.posts || []).map(post => this.backfillPost(post) || post);
+  },
+
+  /**
+   * Fill in updatedAt and position on a post stored before version 2
+   * @param {Object} post - Post object
+   * @returns {Object|null} Updated post, or null if nothing was missing
+   */
+  backfillPost(post) {
+    if (post.updatedAt && typeof post.position === 'number') return null;
+    
+    return {
+      ...post,
+      updatedAt: post.updatedAt || post.dateAdded || new Date().toISOString(),
+      position: typeof post.position === 'number' ? post.position : db.getDefaultPosition(post)
+    };
+  }
+});
+
+// Version 3: outbox of local mutations waiting to be synced
+migrations.register({
+  version: 3,
+  description: 'Add outbox store',
+  upgrade({ db }) {
+    if (!db.objectStoreNames.contains(CONFIG.storage.outboxStore)) {
+      const outboxStore = db.createObjectStore(CONFIG.storage.outboxStore, { keyPath: 'seq', autoIncrement: true });
+      outboxStore.createIndex('opId', 'opId', { unique: true });
+      outboxStore.createIndex('entityId', 'entityId', { unique: false });
+    }
+  },
+  upgradeFallback(data) {
+    data.outbox = data.outbox || [];
+    data.outboxSeq = data.outboxSeq || 0;
+  }
+});
+
+// Version 4: open sync conflicts
+migrations.register({
+  version: 4,
+  description: 'Add conflicts store',
+  upgrade({ db }) {
+    if (!db.objectStoreNames.contains(CONFIG.storage.conflictsStore)) {
+      db.createObjectStore(CONFIG.storage.conflictsStore, { keyPath: 'postId' });
+    }
+  },
+  upgradeFallback(data) {
+    data.conflicts = data.conflicts || [];
+  }
+});
+
+// Version 5: boards
+migrations.register({
+  version: 5,
+  description: 'Add boards store',
+  upgrade({ db }) {
+    if (!db.objectStoreNames.contains(CONFIG.storage.boardsStore)) {
+      const boardsStore = db.createObjectStore(CONFIG.storage.boardsStore, { keyPath: 'id' });
+      boardsStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+    }
+  },
+  upgradeFallback(data) {
+    data.boards = data.boards || [];
+  }
+});
+
+// Version 6: full-text search index
+migrations.register({
+  version: 6,
+  description: 'Add search index store',
+  upgrade({ db, transaction }) {
+    if (!db.objectStoreNames.contains(CONFIG.storage.searchIndexStore)) {
+      const searchIndexStore = db.createObjectStore(CONFIG.storage.searchIndexStore, { keyPath: 'postId' });
+      searchIndexStore.createIndex('terms', 'terms', { unique: false, multiEntry: true });
+      
+      // Index the posts already in the library
+      migrations.backfill(transaction.objectStore(CONFIG.storage.postsStore), (post) => {
+        searchIndex.indexPost(searchIndexStore, post);
+        return null;
+      });
+    }
+  }
+});
+
+// Version 7: smart views
+migrations.register({
+  version: 7,
+  description: 'Add smart views store',
+  upgrade({ db }) {
+    if (!db.objectStoreNames.contains(CONFIG.storage.smartViewsStore)) {
+      const smartViewsStore = db.createObjectStore(CONFIG.storage.smartViewsStore, { keyPath: 'id' });
+      smartViewsStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+    }
+  },
+  upgradeFallback(data) {
+    data.smartViews = data.smartViews || [];
+  }
+});
+
+// Version 8: tag metadata
+migrations.register({
+  version: 8,
+  description: 'Add tag metadata store',
+  upgrade({ db }) {
+    if (!db.objectStoreNames.contains(CONFIG.storage.tagMetaStore)) {
+      const tagMetaStore = db.createObjectStore(CONFIG.storage.tagMetaStore, { keyPath: 'id' });
+      tagMetaStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+      tagMetaStore.createIndex('name', 'name', { unique: false });
+    }
+  },
+  upgradeFallback(data) {
+    data.tagMeta = data.tagMeta || [];
+  }
+});
+
+// Version 9: auto-tagging rules
+migrations.register({
+  version: 9,
+  description: 'Add tag rules store',
+  upgrade({ db }) {
+    if (!db.objectStoreNames.contains(CONFIG.storage.tagRulesStore)) {
+      const tagRulesStore = db.createObjectStore(CONFIG.storage.tagRulesStore, { keyPath: 'id' });
+      tagRulesStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+    }
+  },
+  upgradeFallback(data) {
+    data.tagRules = data.tagRules || [];
+  }
+});
+
+// Version 10: canonical URLs
+migrations.register({
+  version: 10,
+  description: 'Add canonical URL index',
+  upgrade({ transaction }) {
+    const postsStore = transaction.objectStore(CONFIG.storage.postsStore);
+    const claimedUrls = new Set();
+    
+    if (!postsStore.indexNames.contains('canonicalUrl')) {
+      postsStore.createIndex('canonicalUrl', 'canonicalUrl', { unique: true });
+    }
+    
+    migrations.backfill(postsStore, post => this.backfillPost(post, claimedUrls));
+  },
+  upgradeFallback(data) {
+    const claimedUrls = new Set();
+    data.posts = (data.posts || []).map(post => this.backfillPost(post, claimedUrls) || post);
+  },
+
+  /**
+   * Set the canonical URL on a live post, unless a post visited earlier already has it
+   * Later duplicates are left without one, for the duplicate finder to merge
+   * @param {Object} post - Post object
+   * @param {Set<string>} claimedUrls - Canonical URLs given out so far
+   * @returns {Object|null} Updated post, or null to leave it unchanged
+   */
+  backfillPost(post, claimedUrls) {
+    if (post.deletedAt) return null;
+    
+    const canonicalUrl = urlCanonicalizer.canonicalize(post.url);
+    
+    if (claimedUrls.has(canonicalUrl)) return null;
+    
+    claimedUrls.add(canonicalUrl);
+    return { ...post, canonicalUrl };
+  }
+});
+
+// Version 11: post revisions
+migrations.register({
+  version: 11,
+  description: 'Add revisions store',
+  upgrade({ db, transaction }) {
+    if (!db.objectStoreNames.contains(CONFIG.storage.revisionsStore)) {
+      const revisionsStore = db.createObjectStore(CONFIG.storage.revisionsStore, { keyPath: 'seq', autoIncrement: true });
+      revisionsStore.createIndex('postId', 'postId', { unique: false });
+      
+      // Saved posts start their history with the version they have now
+      migrations.backfill(transaction.objectStore(CONFIG.storage.postsStore), (post) => {
+        revisionsStore.add(this.createRevision(post));
+        return null;
+      });
+    }
+  },
+  upgradeFallback(data) {
+    if (data.revisions) return;
+    
+    data.revisions = (data.posts || []).map((post, index) => ({ ...this.createRevision(post), seq: index + 1 }));
+    data.revisionSeq = data.revisions.length;
+  },
+
+  /**
+   * Create the first revision of a post saved before revisions were kept
+   * Who saved that version isn't known
+   * @param {Object} post - Post object
+   * @returns {Object} Revision
+   */
+  createRevision(post) {
+    const { syncBase, canonicalUrl, ...version } = post;
+    
+    return {
+      postId: post.id,
+      post: version,
+      savedAt: post.updatedAt || post.dateAdded || new Date().toISOString(),
+      source: 'backfill',
+      deviceId: null,
+      deviceName: null,
+      userId: null
+    };
+  }
+});
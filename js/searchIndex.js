@@ -0,0 +1,303 @@
+/**
+ * Search index module for Boardie application
+ * Keeps an inverted index of post text in IndexedDB and ranks matches with BM25
+ */
+class SearchIndex {
+  constructor() {
+    // How much a word counts in each field
+    this.fieldWeights = {
+      title: 3,
+      tags: 2,
+      siteName: 1.5,
+      description: 1,
+      notes: 1,
+      url: 1
+    };
+    
+    // BM25 parameters
+    this.k1 = 1.2;
+    this.b = 0.75;
+    
+    // Score factor for words that only start with a query term
+    this.prefixWeight = 0.5;
+    
+    // Document count and total length, loaded by the first search and kept up to date as posts are indexed
+    this.stats = null;
+    
+    // Transactions already watched for an abort, so a bulk write adds one listener
+    this.watchedTransactions = new WeakSet();
+  }
+
+  /**
+   * Lowercase text and strip diacritics, so "Café" matches "cafe"
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * Split text into normalized words
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Words
+   */
+  tokenize(text) {
+    return this.normalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  /**
+   * Get the text of a post field
+   * @param {Object} post - Post object
+   * @param {string} field - Field name
+   * @returns {string} Field text
+   */
+  getFieldText(post, field) {
+    if (field === 'tags') {
+      return (post.tags || []).join(' ');
+    }
+    
+    if (field === 'url') {
+      // The scheme and www. match almost every post
+      return (post.url || '').replace(/^[a-z]+:\/\/(www\.)?/i, '');
+    }
+    
+    return post[field] || '';
+  }
+
+  /**
+   * Build the index document of a post
+   * @param {Object} post - Post object
+   * @returns {Object} Document with the post ID, its distinct words, weighted word frequencies and length
+   */
+  createDocument(post) {
+    const frequencies = {};
+    let length = 0;
+    
+    for (const [field, weight] of Object.entries(this.fieldWeights)) {
+      for (const word of this.tokenize(this.getFieldText(post, field))) {
+        frequencies[word] = (frequencies[word] || 0) + weight;
+        length++;
+      }
+    }
+    
+    return {
+      postId: post.id,
+      terms: Object.keys(frequencies),
+      frequencies,
+      length
+    };
+  }
+
+  /**
+   * Add or refresh a post in the index
+   * Deleted posts are removed, so they never show up in search results
+   * @param {IDBObjectStore} store - Search index store, part of the caller's transaction
+   * @param {Object} post - Post object
+   */
+  indexPost(store, post) {
+    if (post.deletedAt) {
+      this.removePost(store, post.id);
+      return;
+    }
+    
+    const document = this.createDocument(post);
+    
+    this.updateStats(store, post.id, document);
+    store.put(document);
+  }
+
+  /**
+   * Remove a post from the index
+   * @param {IDBObjectStore} store - Search index store, part of the caller's transaction
+   * @param {string} postId - Post ID
+   */
+  removePost(store, postId) {
+    this.updateStats(store, postId, null);
+    store.delete(postId);
+  }
+
+  /**
+   * Remove every post from the index
+   * @param {IDBObjectStore} store - Search index store, part of the caller's transaction
+   */
+  clear(store) {
+    store.clear();
+    this.stats = { docCount: 0, totalLength: 0 };
+    this.dropStatsOnAbort(store.transaction);
+  }
+
+  /**
+   * Adjust the cached stats for a document that replaces or removes the stored one of a post
+   * The stored document is read first in the same transaction, so its length can be taken off.
+   * @param {IDBObjectStore} store - Search index store, part of the caller's transaction
+   * @param {string} postId - Post ID
+   * @param {Object|null} document - New document of the post, or null if it is removed
+   */
+  updateStats(store, postId, document) {
+    // Not loaded yet, the first search counts the documents
+    if (!this.stats) return;
+    
+    const request = store.get(postId);
+    
+    request.onsuccess = () => {
+      if (!this.stats) return;
+      
+      const previous = request.result;
+      
+      this.stats.docCount += (document ? 1 : 0) - (previous ? 1 : 0);
+      this.stats.totalLength += (document ? document.length : 0) - (previous ? previous.length : 0);
+    };
+    
+    this.dropStatsOnAbort(store.transaction);
+  }
+
+  /**
+   * Forget the cached stats if a transaction changing the index fails, so they are counted again
+   * @param {IDBTransaction} transaction - Transaction writing to the index
+   */
+  dropStatsOnAbort(transaction) {
+    if (this.watchedTransactions.has(transaction)) return;
+    
+    this.watchedTransactions.add(transaction);
+    transaction.addEventListener('abort', () => {
+      this.stats = null;
+    }, { once: true });
+  }
+
+  /**
+   * Search the index in IndexedDB
+   * @param {IDBDatabase} database - Open database
+   * @param {string} query - Search text
+   * @param {Object} [options]
+   * @param {boolean} [options.matchAll=true] - Only return posts matching every query word, otherwise any word
+   * @returns {Promise<Map>} Score of each matching post by ID
+   */
+  search(database, query, { matchAll = true } = {}) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    
+    if (queryTerms.length === 0) {
+      return Promise.resolve(new Map());
+    }
+    
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(CONFIG.storage.searchIndexStore, 'readonly');
+      const store = transaction.objectStore(CONFIG.storage.searchIndexStore);
+      const matches = new Map();
+      
+      // Documents holding a word that starts with each query term
+      for (const term of queryTerms) {
+        const request = store.index('terms').getAll(IDBKeyRange.bound(term, term + '\uffff'));
+        
+        request.onsuccess = () => {
+          matches.set(term, request.result);
+        };
+      }
+      
+      const stats = this.stats || this.loadStats(store);
+      
+      transaction.oncomplete = () => resolve(this.scoreMatches(queryTerms, matches, stats, matchAll));
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * Search posts that are not in the index, used by the localStorage fallback
+   * @param {Array<Object>} posts - Posts to search
+   * @param {string} query - Search text
+   * @param {Object} [options] - Same as for search
+   * @returns {Map} Score of each matching post by ID
+   */
+  searchPosts(posts, query, { matchAll = true } = {}) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    const documents = posts.filter(post => !post.deletedAt).map(post => this.createDocument(post));
+    const matches = new Map();
+    
+    for (const term of queryTerms) {
+      matches.set(term, documents.filter(document => document.terms.some(word => word.startsWith(term))));
+    }
+    
+    const stats = {
+      docCount: documents.length,
+      totalLength: documents.reduce((sum, document) => sum + document.length, 0)
+    };
+    
+    return this.scoreMatches(queryTerms, matches, stats, matchAll);
+  }
+
+  /**
+   * Count the indexed documents and their words
+   * @param {IDBObjectStore} store - Search index store
+   * @returns {Object} Stats, filled in by the time the transaction completes
+   */
+  loadStats(store) {
+    const stats = { docCount: 0, totalLength: 0 };
+    const request = store.openCursor();
+    
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      
+      if (!cursor) {
+        this.stats = stats;
+        return;
+      }
+      
+      stats.docCount++;
+      stats.totalLength += cursor.value.length;
+      cursor.continue();
+    };
+    
+    return stats;
+  }
+
+  /**
+   * Rank the documents matching the query terms with BM25
+   * @param {Array<string>} queryTerms - Normalized query words
+   * @param {Map} matches - Documents matching each query term
+   * @param {Object} stats - Document count and total length of the index
+   * @param {boolean} matchAll - Only keep documents matching every term
+   * @returns {Map} Score of each post by ID, highest first
+   */
+  scoreMatches(queryTerms, matches, stats, matchAll) {
+    const averageLength = stats.docCount > 0 ? stats.totalLength / stats.docCount : 0;
+    let scores = null;
+    
+    for (const term of queryTerms) {
+      // A document can be listed once for every word it has with this prefix
+      const documents = new Map((matches.get(term) || []).map(document => [document.postId, document]));
+      const idf = Math.log(1 + (stats.docCount - documents.size + 0.5) / (documents.size + 0.5));
+      const termScores = new Map();
+      
+      for (const [postId, document] of documents) {
+        if (matchAll && scores && !scores.has(postId)) continue;
+        
+        let frequency = 0;
+        
+        for (const word of document.terms) {
+          if (word === term) {
+            frequency += document.frequencies[word];
+          } else if (word.startsWith(term)) {
+            frequency += document.frequencies[word] * this.prefixWeight;
+          }
+        }
+        
+        const lengthRatio = averageLength > 0 ? document.length / averageLength : 1;
+        const score = idf * frequency * (this.k1 + 1) / (frequency + this.k1 * (1 - this.b + this.b * lengthRatio));
+        
+        termScores.set(postId, ((scores && scores.get(postId)) || 0) + score);
+      }
+      
+      if (matchAll) {
+        scores = termScores;
+      } else {
+        // Posts keep the scores of the terms they matched before
+        scores = new Map([...(scores || []), ...termScores]);
+      }
+    }
+    
+    return new Map([...(scores || [])].sort((a, b) => b[1] - a[1]));
+  }
+}
+
+// Create and export a singleton instance
+const searchIndex = new SearchIndex();
@@ -0,0 +1,529 @@
+/**
+ * Search query module for Boardie application
+ * Parses the search box language (tag:, platform:, domain:, added:, -term, "phrases", OR and groups)
+ * and compiles it to a predicate over posts
+ */
+
+/**
+ * Error raised for search text that doesn't parse
+ */
+class SearchQueryError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} position - Index in the search text where the problem was found
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'SearchQueryError';
+    this.position = position;
+  }
+}
+
+class SearchQuery {
+  constructor() {
+    // Filters that take a value, e.g. tag:ai
+    this.fields = ['tag', 'platform', 'domain', 'added', 'before', 'after'];
+    
+    // Post fields searched by plain words and phrases
+    this.textFields = ['title', 'description', 'notes', 'url', 'siteName', 'tags'];
+  }
+
+  /**
+   * Split search text into tokens
+   * @param {string} text - Search text
+   * @returns {Array<Object>} Tokens with a type, value and position
+   */
+  tokenize(text) {
+    const tokens = [];
+    let index = 0;
+    
+    while (index < text.length) {
+      const char = text[index];
+      
+      if (/\s/.test(char)) {
+        index++;
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char, position: index });
+        index++;
+      } else if (char === '-' && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+        tokens.push({ type: 'not', position: index });
+        index++;
+      } else if (char === '"') {
+        const end = text.indexOf('"', index + 1);
+        
+        if (end === -1) {
+          throw new SearchQueryError('Missing closing quote', index);
+        }
+        
+        tokens.push({ type: 'phrase', value: text.slice(index + 1, end), position: index });
+        index = end + 1;
+      } else {
+        // A word runs up to whitespace, a bracket or a quote
+        const match = /^[^\s()"]+/.exec(text.slice(index));
+        const word = match[0];
+        
+        if (word === 'OR') {
+          tokens.push({ type: 'or', position: index });
+        } else {
+          tokens.push(this.createWordToken(word, index));
+        }
+        
+        index += word.length;
+        
+        // A filter value can be a quoted phrase, e.g. tag:"machine learning"
+        const token = tokens[tokens.length - 1];
+        
+        if (token.type === 'filter' && token.value === '' && text[index] === '"') {
+          const end = text.indexOf('"', index + 1);
+          
+          if (end === -1) {
+            throw new SearchQueryError('Missing closing quote', index);
+          }
+          
+          token.value = text.slice(index + 1, end);
+          index = end + 1;
+        }
+      }
+    }
+    
+    return tokens;
+  }
+
+  /**
+   * Create the token for a word, recognizing filters such as tag:ai
+   * @param {string} word - Word
+   * @param {number} position - Index of the word in the search text
+   * @returns {Object} Word or filter token
+   */
+  createWordToken(word, position) {
+    const match = /^([a-z]+):(.*)$/i.exec(word);
+    
+    // Things like https://example.com are plain words
+    if (!match || match[2].startsWith('//')) {
+      return { type: 'word', value: word, position };
+    }
+    
+    const field = match[1].toLowerCase();
+    
+    // Words like re:invent aren't filters either
+    if (!this.fields.includes(field)) {
+      return { type: 'word', value: word, position };
+    }
+    
+    return { type: 'filter', field, value: match[2], position };
+  }
+
+  /**
+   * Parse search text into a syntax tree
+   * @param {string} text - Search text
+   * @returns {Object|null} Root node, or null for empty text
+   */
+  parse(text) {
+    this.tokens = this.tokenize(text);
+    this.index = 0;
+    this.text = text;
+    
+    if (this.tokens.length === 0) {
+      return null;
+    }
+    
+    const node = this.parseOr();
+    
+    // Only an unmatched closing bracket can be left over
+    if (this.index < this.tokens.length) {
+      throw new SearchQueryError('Unexpected ")"', this.tokens[this.index].position);
+    }
+    
+    return node;
+  }
+
+  /**
+   * Parse terms joined by OR
+   * @returns {Object} Node
+   */
+  parseOr() {
+    const children = [this.parseAnd()];
+    
+    while (this.peek('or')) {
+      const orToken = this.tokens[this.index++];
+      
+      if (!this.peekTerm()) {
+        throw new SearchQueryError('"OR" needs a term on both sides', orToken.position);
+      }
+      
+      children.push(this.parseAnd());
+    }
+    
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  /**
+   * Parse terms that all have to match
+   * @returns {Object} Node
+   */
+  parseAnd() {
+    const children = [];
+    
+    while (this.peekTerm()) {
+      children.push(this.parseUnary());
+    }
+    
+    if (children.length === 0) {
+      const token = this.tokens[this.index];
+      const position = token ? token.position : this.text.length;
+      throw new SearchQueryError(token && token.type === 'or' ? '"OR" needs a term on both sides' : 'Expected a search term', position);
+    }
+    
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  /**
+   * Parse a term with an optional leading minus
+   * @returns {Object} Node
+   */
+  parseUnary() {
+    if (this.peek('not')) {
+      const notToken = this.tokens[this.index++];
+      
+      if (!this.peekTerm() || this.peek('not')) {
+        throw new SearchQueryError('"-" must be followed by a term', notToken.position);
+      }
+      
+      return { type: 'not', child: this.parsePrimary() };
+    }
+    
+    return this.parsePrimary();
+  }
+
+  /**
+   * Parse a word, phrase, filter or bracketed group
+   * @returns {Object} Node
+   */
+  parsePrimary() {
+    const token = this.tokens[this.index++];
+    
+    if (token.type === '(') {
+      const node = this.parseOr();
+      
+      if (!this.peek(')')) {
+        throw new SearchQueryError('Missing closing bracket', token.position);
+      }
+      
+      this.index++;
+      return node;
+    }
+    
+    if (token.type === 'filter') {
+      return this.parseFilter(token);
+    }
+    
+    return { type: token.type, value: token.value };
+  }
+
+  /**
+   * Check the value of a filter and build its node
+   * @param {Object} token - Filter token
+   * @returns {Object} Node
+   */
+  parseFilter(token) {
+    const value = token.value.trim();
+    
+    if (!value) {
+      throw new SearchQueryError(`"${token.field}:" needs a value`, token.position);
+    }
+    
+    if (token.field === 'platform') {
+      const platform = value.toLowerCase();
+      
+      if (!CONFIG.platforms[platform]) {
+        throw new SearchQueryError(`Unknown platform "${value}", use ${Object.keys(CONFIG.platforms).join(', ')}`, token.position);
+      }
+      
+      return { type: 'platform', value: platform };
+    }
+    
+    if (token.field === 'added' || token.field === 'before' || token.field === 'after') {
+      return this.parseDateFilter(token.field, value, token.position);
+    }
+    
+    return { type: token.field, value: value.toLowerCase() };
+  }
+
+  /**
+   * Build the node for added:, before: and after:
+   * added: takes an optional comparison (>, >=, <, <=, =) and a year, month or day, e.g. added:>2026-01,
+   * or a day relative to today, e.g. added:>=7d
+   * @param {string} field - Filter name
+   * @param {string} value - Filter value
+   * @param {number} position - Index of the filter in the search text
+   * @returns {Object} Node with the start and end of the matching period
+   */
+  parseDateFilter(field, value, position) {
+    let operator = field === 'before' ? '<' : field === 'after' ? '>' : '=';
+    let date = value;
+    
+    if (field === 'added') {
+      const match = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+      operator = match[1] || '=';
+      date = match[2];
+    }
+    
+    const relativeDay = this.parseRelativeDate(date);
+    
+    if (relativeDay) {
+      const nextDay = new Date(relativeDay.getFullYear(), relativeDay.getMonth(), relativeDay.getDate() + 1);
+      return { type: 'added', operator, start: relativeDay.getTime(), end: nextDay.getTime() };
+    }
+    
+    const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(date);
+    
+    if (!match) {
+      throw new SearchQueryError(`Invalid date "${date}", use YYYY, YYYY-MM, YYYY-MM-DD, today, yesterday or a number of days, weeks, months or years ago like 7d, 2w, 3m or 1y`, position);
+    }
+    
+    // The period the date names, in local time
+    const [, year, month, day] = match.map(Number);
+    const start = new Date(year, month ? month - 1 : 0, day || 1);
+    const end = new Date(year + (month ? 0 : 1), month ? month - (day ? 1 : 0) : 0, day ? day + 1 : 1);
+    
+    if (isNaN(start.getTime()) || (month && start.getMonth() !== month - 1) || (day && start.getDate() !== day)) {
+      throw new SearchQueryError(`Invalid date "${date}"`, position);
+    }
+    
+    return { type: 'added', operator, start: start.getTime(), end: end.getTime() };
+  }
+
+  /**
+   * Get the day a relative date names
+   * @param {string} date - today, yesterday, or a number of days, weeks, months or years ago, e.g. 7d, 2w, 3m or 1y
+   * @returns {Date|null} Start of the day in local time, or null if the date isn't relative
+   */
+  parseRelativeDate(date) {
+    const now = new Date();
+    const [year, month, day] = [now.getFullYear(), now.getMonth(), now.getDate()];
+    const value = date.toLowerCase();
+    
+    if (value === 'today') return new Date(year, month, day);
+    if (value === 'yesterday') return new Date(year, month, day - 1);
+    
+    const match = /^(\d+)([dwmy])$/.exec(value);
+    
+    if (!match) return null;
+    
+    const amount = Number(match[1]);
+    
+    switch (match[2]) {
+      case 'd':
+        return new Date(year, month, day - amount);
+      case 'w':
+        return new Date(year, month, day - amount * 7);
+      case 'm':
+        return new Date(year, month - amount, day);
+      default:
+        return new Date(year - amount, month, day);
+    }
+  }
+
+  /**
+   * Check whether the next token has a type
+   * @param {string} type - Token type
+   * @returns {boolean} True if it does
+   */
+  peek(type) {
+    return this.index < this.tokens.length && this.tokens[this.index].type === type;
+  }
+
+  /**
+   * Check whether the next token can start a term
+   * @returns {boolean} True if it can
+   */
+  peekTerm() {
+    return this.index < this.tokens.length && !['or', ')'].includes(this.tokens[this.index].type);
+  }
+
+  /**
+   * Compile search text for getAllPosts
+   * @param {string} text - Search text
+   * @returns {Object|null} Compiled query with a predicate for posts, the words to rank matches by,
+   * requiresText when every match contains one of the words and requiresAllTerms when every match
+   * contains all of them; null for empty text
+   */
+  compile(text) {
+    const root = this.parse(text);
+    
+    if (!root) return null;
+    
+    const terms = new Set();
+    this.collectTerms(root, terms);
+    
+    return {
+      predicate: post => this.matches(root, post, {}),
+      terms: [...terms],
+      requiresText: this.requiresText(root),
+      requiresAllTerms: this.requiresAllTerms(root)
+    };
+  }
+
+  /**
+   * Collect the words of positive words and phrases
+   * @param {Object} node - Node
+   * @param {Set<string>} terms - Collected words
+   */
+  collectTerms(node, terms) {
+    if (node.type === 'word' || node.type === 'phrase') {
+      searchIndex.tokenize(node.value).forEach(term => terms.add(term));
+    } else if (node.children) {
+      node.children.forEach(child => this.collectTerms(child, terms));
+    }
+  }
+
+  /**
+   * Check whether every post matching a node contains a word or phrase
+   * @param {Object} node - Node
+   * @returns {boolean} True if it does
+   */
+  requiresText(node) {
+    switch (node.type) {
+      case 'word':
+      case 'phrase':
+        return searchIndex.tokenize(node.value).length > 0;
+      case 'and':
+        return node.children.some(child => this.requiresText(child));
+      case 'or':
+        return node.children.every(child => this.requiresText(child));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check whether every post matching a node contains all the words collectTerms finds in it
+   * Only words under OR can be missing, e.g. "machine OR learning"
+   * @param {Object} node - Node
+   * @returns {boolean} True if it does
+   */
+  requiresAllTerms(node) {
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => this.requiresAllTerms(child));
+      case 'or': {
+        const terms = new Set();
+        this.collectTerms(node, terms);
+        return terms.size === 0;
+      }
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Check whether a post matches a node
+   * @param {Object} node - Node
+   * @param {Object} post - Post object
+   * @param {Object} cache - Words of the post, filled in on first use
+   * @returns {boolean} True if the post matches
+   */
+  matches(node, post, cache) {
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => this.matches(child, post, cache));
+      case 'or':
+        return node.children.some(child => this.matches(child, post, cache));
+      case 'not':
+        return !this.matches(node.child, post, cache);
+      case 'word':
+        return this.matchesWord(node.value, post, cache);
+      case 'phrase':
+        return this.matchesPhrase(node.value, post);
+      case 'tag':
+        // tag:work also matches nested tags like work/ml
+        return (post.tags || []).some(tag => tagPath.matches(searchIndex.normalize(tag), searchIndex.normalize(tagPath.normalize(node.value))));
+      case 'platform':
+        return post.platform === node.value;
+      case 'domain':
+        return this.matchesDomain(node.value, post);
+      case 'added':
+        return this.matchesDate(node, post);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check whether a post has words starting with every word of a search word
+   * A search word like "e-mail" is split the same way the search index splits text
+   * @param {string} value - Search word
+   * @param {Object} post - Post object
+   * @param {Object} cache - Words of the post, filled in on first use
+   * @returns {boolean} True if the post matches
+   */
+  matchesWord(value, post, cache) {
+    if (!cache.words) {
+      cache.words = searchIndex.createDocument(post).terms;
+    }
+    
+    return searchIndex.tokenize(value).every(term => cache.words.some(word => word.startsWith(term)));
+  }
+
+  /**
+   * Check whether a field of a post contains a phrase
+   * @param {string} value - Phrase
+   * @param {Object} post - Post object
+   * @returns {boolean} True if the post matches
+   */
+  matchesPhrase(value, post) {
+    const phrase = searchIndex.tokenize(value).join(' ');
+    
+    if (!phrase) return true;
+    
+    return this.textFields.some(field => {
+      const words = searchIndex.tokenize(searchIndex.getFieldText(post, field)).join(' ');
+      return ` ${words} `.includes(` ${phrase} `);
+    });
+  }
+
+  /**
+   * Check whether a post links to a domain or one of its subdomains
+   * @param {string} domain - Domain, e.g. nytimes.com
+   * @param {Object} post - Post object
+   * @returns {boolean} True if the post matches
+   */
+  matchesDomain(domain, post) {
+    try {
+      const hostname = new URL(post.url).hostname.toLowerCase().replace(/^www\./, '');
+      const wanted = domain.replace(/^www\./, '');
+      
+      return hostname === wanted || hostname.endsWith(`.${wanted}`);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a post was added in, before or after a period
+   * @param {Object} node - Date node
+   * @param {Object} post - Post object
+   * @returns {boolean} True if the post matches
+   */
+  matchesDate(node, post) {
+    const time = new Date(post.dateAdded).getTime();
+    
+    if (isNaN(time)) return false;
+    
+    switch (node.operator) {
+      case '>':
+        return time >= node.end;
+      case '>=':
+        return time >= node.start;
+      case '<':
+        return time < node.start;
+      case '<=':
+        return time < node.end;
+      default:
+        return time >= node.start && time < node.end;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const searchQuery = new SearchQuery();
@@ -0,0 +1,141 @@
+/**
+ * Sync merge module for Boardie application
+ * Three-way merges a local and a remote version of a record against the version both sides last agreed on
+ */
+class SyncMerger {
+  constructor() {
+    // Fields describing the sync itself rather than the content, and fields each device derives for itself
+    this.ignoredFields = ['updatedAt', 'user_id', 'syncBase', 'canonicalUrl'];
+    
+    // Fields merged as sets, so additions and removals from both sides are kept
+    this.setFields = ['tags', 'postIds', 'filterTags'];
+    
+    // Fields where the most recent change wins instead of raising a conflict
+    this.lastWriteWinsFields = ['position'];
+  }
+
+  /**
+   * Compare two field values, treating null and undefined as equal
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} True if the values are equal
+   */
+  isEqual(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  /**
+   * Get the content fields that differ between two versions of a record
+   * @param {Object} from - Old version
+   * @param {Object} to - New version
+   * @returns {Array<string>} Changed field names
+   */
+  getChangedFields(from, to) {
+    const fields = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+    
+    return [...fields].filter(field => {
+      return !this.ignoredFields.includes(field) && !this.isEqual((from || {})[field], (to || {})[field]);
+    });
+  }
+
+  /**
+   * Check whether a record changed since a base version
+   * @param {Object} base - Base version
+   * @param {Object} record - Current version
+   * @returns {boolean} True if any content field changed
+   */
+  hasChanged(base, record) {
+    return this.getChangedFields(base, record).length > 0;
+  }
+
+  /**
+   * Merge a local and a remote version of a record
+   * Fields changed on one side only are taken from that side. Fields changed on both sides
+   * are merged as sets, resolved by the newest update, or reported as conflicts.
+   * @param {Object} local - Local version
+   * @param {Object} remote - Remote version
+   * @param {Object} base - Version both sides last agreed on
+   * @returns {Object} Result with the merged record and the names of conflicting fields
+   */
+  merge(local, remote, base) {
+    const localChanges = this.getChangedFields(base, local);
+    const remoteChanges = this.getChangedFields(base, remote);
+    const remoteIsNewer = (remote.updatedAt || '') > (local.updatedAt || '');
+    const merged = { ...local };
+    const conflicts = [];
+    
+    for (const field of new Set([...localChanges, ...remoteChanges])) {
+      const changedLocally = localChanges.includes(field);
+      const changedRemotely = remoteChanges.includes(field);
+      
+      if (!changedLocally || (changedRemotely && this.isEqual(local[field], remote[field]))) {
+        this.setField(merged, field, remote[field]);
+      } else if (!changedRemotely) {
+        continue;
+      } else if (this.setFields.includes(field)) {
+        merged[field] = this.mergeSet(base[field], local[field], remote[field]);
+      } else if (this.lastWriteWinsFields.includes(field) || (field === 'deletedAt' && local.deletedAt && remote.deletedAt)) {
+        this.setField(merged, field, remoteIsNewer ? remote[field] : local[field]);
+      } else {
+        conflicts.push(field);
+      }
+    }
+    
+    // Deleting on one side while editing on the other needs a decision
+    if (!!local.deletedAt !== !!remote.deletedAt) {
+      const editedChanges = local.deletedAt ? remoteChanges : localChanges;
+      
+      if (editedChanges.some(field => field !== 'deletedAt')) {
+        this.setField(merged, 'deletedAt', local.deletedAt);
+        
+        if (!conflicts.includes('deletedAt')) {
+          conflicts.unshift('deletedAt');
+        }
+      }
+    }
+    
+    merged.updatedAt = remoteIsNewer ? remote.updatedAt : local.updatedAt;
+    
+    return { merged, conflicts };
+  }
+
+  /**
+   * Merge set-like arrays, keeping additions and removals made on both sides
+   * @param {Array} base - Base values
+   * @param {Array} local - Local values
+   * @param {Array} remote - Remote values
+   * @returns {Array} Merged values, in local order followed by remote additions
+   */
+  mergeSet(base, local, remote) {
+    const baseValues = new Set(base || []);
+    const remoteValues = new Set(remote || []);
+    
+    // Keep local values unless the remote side removed them
+    const merged = (local || []).filter(value => !baseValues.has(value) || remoteValues.has(value));
+    
+    for (const value of remote || []) {
+      if (!baseValues.has(value) && !merged.includes(value)) {
+        merged.push(value);
+      }
+    }
+    
+    return merged;
+  }
+
+  /**
+   * Set a field on a record, removing it when the value is undefined
+   * @param {Object} record - Record to update
+   * @param {string} field - Field name
+   * @param {*} value - New value
+   */
+  setField(record, field, value) {
+    if (value === undefined) {
+      delete record[field];
+    } else {
+      record[field] = value;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const syncMerger = new SyncMerger();
@@ -0,0 +1,181 @@
+/**
+ * Tag matching module for Boardie application
+ * Ranks existing tags against what is being typed and spots likely typos of existing tags
+ */
+class TagMatcher {
+  constructor() {
+    // Match quality, from an exact match down to a close misspelling
+    this.matchScores = {
+      exact: 100,
+      prefix: 80,
+      wordPrefix: 60,
+      substring: 40,
+      subsequence: 20,
+      typo: 10
+    };
+    
+    // Tags added to a post within this window rank higher the more recent they are
+    this.recencyWindow = 30 * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Get the number of single character edits between two strings
+   * Swapping two neighbouring characters counts as one edit, as it is a common typo
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Edit distance
+   */
+  getEditDistance(a, b) {
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+      }
+      
+      beforePrevious = previous;
+      previous = current;
+    }
+    
+    return previous[b.length];
+  }
+
+  /**
+   * Get the largest edit distance still taken for a typo
+   * Short tags allow a single edit so unrelated short tags don't match
+   * @param {string} text - Text being compared
+   * @returns {number} Maximum distance
+   */
+  getMaxTypoDistance(text) {
+    if (text.length < 3) return 0;
+    
+    return text.length <= 5 ? 1 : 2;
+  }
+
+  /**
+   * Check whether the characters of a query appear in order in a tag
+   * @param {string} query - Lowercase query
+   * @param {string} tag - Lowercase tag
+   * @returns {boolean} True if the query is a subsequence of the tag
+   */
+  isSubsequence(query, tag) {
+    let index = 0;
+    
+    for (const char of tag) {
+      if (char === query[index]) index++;
+      if (index === query.length) return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Score how well a tag matches a query, ignoring case
+   * @param {string} query - Text being typed
+   * @param {string} tag - Tag name
+   * @returns {number|null} Match score, or null if the tag doesn't match
+   */
+  scoreMatch(query, tag) {
+    const q = query.toLowerCase();
+    const t = tag.toLowerCase();
+    
+    if (!q) return 0;
+    if (t === q) return this.matchScores.exact;
+    if (t.startsWith(q)) return this.matchScores.prefix;
+    
+    // Start of a nested level or of a word, e.g. "ml" in work/ml or "lea" in deep-learning
+    if (t.split(/[\/\s\-_.]+/).some(word => word.startsWith(q))) return this.matchScores.wordPrefix;
+    if (t.includes(q)) return this.matchScores.substring;
+    if (this.isSubsequence(q, t)) return this.matchScores.subsequence;
+    
+    // Misspelled start of the tag
+    const maxDistance = this.getMaxTypoDistance(q);
+    
+    if (maxDistance > 0 && this.getEditDistance(q, t.slice(0, q.length)) <= maxDistance) {
+      return this.matchScores.typo;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Score how often and how recently a tag is used
+   * @param {Object} tag - Tag with count and lastUsed
+   * @returns {number} Usage score
+   */
+  scoreUsage(tag) {
+    const age = tag.lastUsed ? Date.now() - new Date(tag.lastUsed).getTime() : Infinity;
+    const recency = Math.max(0, 1 - age / this.recencyWindow);
+    
+    return Math.log2((tag.count || 0) + 1) * 2 + recency * 5;
+  }
+
+  /**
+   * Rank tags against a query
+   * @param {string} query - Text being typed, empty to rank by usage alone
+   * @param {Array<Object>} tags - Tags with name, count and lastUsed
+   * @param {Object} options - Ranking options
+   * @param {Array<string>} options.exclude - Tag names to leave out, e.g. those already chosen
+   * @param {number} options.limit - Maximum number of tags returned
+   * @returns {Array<Object>} Matching tags, best first
+   */
+  rank(query, tags, { exclude = [], limit = Infinity } = {}) {
+    const normalized = tagPath.normalize(query);
+    const ranked = [];
+    
+    for (const tag of tags) {
+      if (exclude.includes(tag.name)) continue;
+      
+      const match = this.scoreMatch(normalized, tag.name);
+      
+      if (match === null) continue;
+      
+      ranked.push({ tag, score: match + this.scoreUsage(tag) });
+    }
+    
+    return ranked
+      .sort((a, b) => b.score - a.score || a.tag.name.localeCompare(b.tag.name))
+      .slice(0, limit)
+      .map(({ tag }) => tag);
+  }
+
+  /**
+   * Find an existing tag that a new tag is probably a misspelling of
+   * @param {string} name - New tag name
+   * @param {Array<Object>} tags - Existing tags with name and count
+   * @returns {Object|null} The closest existing tag, or null if the tag exists or nothing is close
+   */
+  findSimilar(name, tags) {
+    if (tags.some(tag => tag.name === name)) return null;
+    
+    const lowerName = name.toLowerCase();
+    const maxDistance = this.getMaxTypoDistance(lowerName);
+    let closest = null;
+    let closestDistance = Infinity;
+    
+    for (const tag of tags) {
+      // Tags differing in case only have a distance of 0, so they are always reported
+      const distance = this.getEditDistance(lowerName, tag.name.toLowerCase());
+      
+      if (distance > maxDistance) continue;
+      
+      if (distance < closestDistance || (distance === closestDistance && (tag.count || 0) > (closest.count || 0))) {
+        closest = tag;
+        closestDistance = distance;
+      }
+    }
+    
+    return closest;
+  }
+}
+
+// Create and export a singleton instance
+const tagMatcher = new TagMatcher();
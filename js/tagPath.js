@@ -0,0 +1,123 @@
+/**
+ * Tag path module for Boardie application
+ * Handles "/"-separated tag hierarchies such as work/ml/papers
+ */
+class TagPath {
+  constructor() {
+    this.separator = '/';
+  }
+
+  /**
+   * Tidy a tag path, trimming each level and dropping empty ones
+   * @param {string} tag - Tag, e.g. " work / ml/"
+   * @returns {string} Normalized tag, e.g. "work/ml"
+   */
+  normalize(tag) {
+    return String(tag || '')
+      .split(this.separator)
+      .map(segment => segment.trim())
+      .filter(segment => segment.length > 0)
+      .join(this.separator);
+  }
+
+  /**
+   * Get the parent of a tag path
+   * @param {string} tag - Tag path
+   * @returns {string|null} Parent path, e.g. "work/ml" for work/ml/papers, or null for a top level tag
+   */
+  getParent(tag) {
+    const index = tag.lastIndexOf(this.separator);
+    return index >= 0 ? tag.slice(0, index) : null;
+  }
+
+  /**
+   * Get the last level of a tag path
+   * @param {string} tag - Tag path
+   * @returns {string} Name shown for the tag, e.g. "papers" for work/ml/papers
+   */
+  getName(tag) {
+    return tag.slice(tag.lastIndexOf(this.separator) + 1);
+  }
+
+  /**
+   * Check whether a tag is an ancestor tag or nested below it
+   * @param {string} tag - Tag on a post
+   * @param {string} ancestor - Tag filtered on
+   * @returns {boolean} True if the tag is the ancestor or one of its descendants
+   */
+  matches(tag, ancestor) {
+    return tag === ancestor || tag.startsWith(ancestor + this.separator);
+  }
+
+  /**
+   * Find the closest of several tags that a tag is equal to or nested below
+   * @param {string} tag - Tag path
+   * @param {Array<string>} ancestors - Candidate ancestor tags
+   * @returns {string|null} The longest matching ancestor, or null
+   */
+  findAncestor(tag, ancestors) {
+    return ancestors
+      .filter(ancestor => this.matches(tag, ancestor))
+      .reduce((closest, ancestor) => (!closest || ancestor.length > closest.length ? ancestor : closest), null);
+  }
+
+  /**
+   * Move a tag from one parent path to another
+   * @param {string} tag - Tag path, e.g. work/ml/papers
+   * @param {string} from - Path being renamed, e.g. work
+   * @param {string} to - New path, e.g. research
+   * @returns {string} Moved tag, e.g. research/ml/papers, or the tag unchanged if it isn't below from
+   */
+  rename(tag, from, to) {
+    return this.matches(tag, from) ? to + tag.slice(from.length) : tag;
+  }
+
+  /**
+   * Build a tree of tags from the tags store
+   * Parents that are never used on their own are added with a count of 0
+   * @param {Array<Object>} tags - Tags with name and count
+   * @returns {Array<Object>} Top level nodes with path, name, count, total (including descendants) and children
+   */
+  buildTree(tags) {
+    const nodes = new Map();
+    const roots = [];
+    
+    const getNode = (path) => {
+      if (nodes.has(path)) return nodes.get(path);
+      
+      const node = { path, name: this.getName(path), count: 0, total: 0, children: [] };
+      const parentPath = this.getParent(path);
+      
+      nodes.set(path, node);
+      (parentPath ? getNode(parentPath).children : roots).push(node);
+      
+      return node;
+    };
+    
+    for (const { name, count } of tags) {
+      const path = this.normalize(name);
+      
+      if (!path) continue;
+      
+      getNode(path).count += count;
+      
+      // Roll the count up to every ancestor
+      for (let index = path.indexOf(this.separator); index >= 0; index = path.indexOf(this.separator, index + 1)) {
+        getNode(path.slice(0, index)).total += count;
+      }
+      
+      getNode(path).total += count;
+    }
+    
+    const sortNodes = (list) => {
+      list.sort((a, b) => a.name.localeCompare(b.name));
+      list.forEach(node => sortNodes(node.children));
+      return list;
+    };
+    
+    return sortNodes(roots);
+  }
+}
+
+// Create and export a singleton instance
+const tagPath = new TagPath();
@@ -68,6 +68,23 @@ function setupGlobalEventDelegation() {
         uiManager.showAddLinkModal();
       }
     }
+    
+    // Ctrl+Z / Cmd+Z to undo, with Shift to redo
+    // Text fields keep their own undo
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !e.altKey) {
+      const target = e.target;
+      const isTextField = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+      
+      if (!isTextField && typeof undoManager !== 'undefined') {
+        e.preventDefault();
+        
+        if (e.shiftKey) {
+          undoManager.redo();
+        } else {
+          undoManager.undo();
+        }
+      }
+    }
   });
   
   // Handle theme changes
@@ -0,0 +1,294 @@
+/**
+ * Board Manager module for Boardie application
+ * Handles the board switcher, creating, editing and deleting boards, and picking boards for a post
+ */
+class BoardManager {
+  constructor() {
+    // UI elements
+    this.boardSelect = document.getElementById('boardSelect');
+    this.newBoardBtn = document.getElementById('newBoardBtn');
+    this.editBoardBtn = document.getElementById('editBoardBtn');
+    this.boardHeader = document.getElementById('boardHeader');
+    this.boardCover = document.getElementById('boardCover');
+    this.boardTitle = document.getElementById('boardTitle');
+    this.boardDescription = document.getElementById('boardDescription');
+    
+    // State
+    this.boards = [];
+    this.activeBoard = null;
+    
+    this.setupEventListeners();
+    this.loadBoards();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    // Board switcher
+    if (this.boardSelect) {
+      this.boardSelect.addEventListener('change', () => {
+        this.setActiveBoard(this.boardSelect.value || null);
+      });
+    }
+    
+    if (this.newBoardBtn) {
+      this.newBoardBtn.addEventListener('click', () => this.showBoardModal());
+    }
+    
+    if (this.editBoardBtn) {
+      this.editBoardBtn.addEventListener('click', () => {
+        if (this.activeBoard) {
+          this.showBoardModal(this.activeBoard);
+        }
+      });
+    }
+    
+    // Boards changed by a sync or on another device
+    document.addEventListener('sync:boards', () => {
+      this.loadBoards();
+    });
+  }
+
+  /**
+   * Load boards from the database and refresh the switcher
+   * The open board is reloaded if its posts or sort mode changed
+   */
+  async loadBoards() {
+    this.boards = await db.getAllBoards();
+    
+    if (this.activeBoard) {
+      const board = this.boards.find(b => b.id === this.activeBoard.id) || null;
+      const hasChanged = !board ||
+        board.sortMode !== this.activeBoard.sortMode ||
+        board.postIds.join() !== this.activeBoard.postIds.join();
+      
+      this.activeBoard = board;
+      
+      if (hasChanged) {
+        this.dispatchBoardChange();
+      }
+    }
+    
+    this.renderBoardSelect();
+    this.renderBoardHeader();
+  }
+
+  /**
+   * Replace the cached copy of a board without reloading the posts
+   * @param {Object} board - Updated board
+   */
+  replaceBoard(board) {
+    this.boards = this.boards.map(b => (b.id === board.id ? board : b));
+    
+    if (this.activeBoard && this.activeBoard.id === board.id) {
+      this.activeBoard = board;
+    }
+  }
+
+  /**
+   * Render the options of the board switcher
+   */
+  renderBoardSelect() {
+    if (!this.boardSelect) return;
+    
+    this.boardSelect.innerHTML = '';
+    this.boardSelect.appendChild(new Option('All posts', ''));
+    
+    for (const board of this.boards) {
+      this.boardSelect.appendChild(new Option(board.title, board.id));
+    }
+    
+    this.boardSelect.value = this.activeBoard ? this.activeBoard.id : '';
+    
+    if (this.editBoardBtn) {
+      this.editBoardBtn.classList.toggle('hidden', !this.activeBoard);
+    }
+  }
+
+  /**
+   * Show the title, description and cover image of the open board
+   */
+  renderBoardHeader() {
+    if (!this.boardHeader) return;
+    
+    this.boardHeader.classList.toggle('hidden', !this.activeBoard);
+    
+    if (!this.activeBoard) return;
+    
+    this.boardTitle.textContent = this.activeBoard.title;
+    this.boardDescription.textContent = this.activeBoard.description || '';
+    
+    if (this.activeBoard.coverImage) {
+      this.boardCover.src = this.activeBoard.coverImage;
+      this.boardCover.alt = this.activeBoard.title;
+    } else {
+      this.boardCover.removeAttribute('src');
+    }
+    
+    this.boardCover.classList.toggle('hidden', !this.activeBoard.coverImage);
+  }
+
+  /**
+   * Open a board, or all posts
+   * @param {string|null} boardId - Board ID, or null for all posts
+   */
+  setActiveBoard(boardId) {
+    this.activeBoard = this.boards.find(board => board.id === boardId) || null;
+    
+    this.renderBoardSelect();
+    this.renderBoardHeader();
+    this.dispatchBoardChange();
+  }
+
+  /**
+   * Let the post grid know which board is open
+   */
+  dispatchBoardChange() {
+    document.dispatchEvent(new CustomEvent('board:change', {
+      detail: { board: this.activeBoard }
+    }));
+  }
+
+  /**
+   * Save the sort mode of the open board
+   * @param {string} sortMode - Sort select value ('dateDesc', 'dateAsc', 'platform' or 'manual')
+   */
+  async setSortMode(sortMode) {
+    if (!this.activeBoard || this.activeBoard.sortMode === sortMode) return;
+    
+    try {
+      this.replaceBoard(await db.updateBoard({ id: this.activeBoard.id, sortMode }));
+    } catch (error) {
+      console.error('Error saving board sort mode:', error);
+      toast.error('Failed to save sort order');
+    }
+  }
+
+  /**
+   * Show the board modal
+   * @param {Object} board - Existing board for editing (optional)
+   */
+  showBoardModal(board = null) {
+    const isEdit = !!board;
+    const boardForm = document.getElementById('boardForm');
+    const modalTitle = document.getElementById('boardModalTitle');
+    const titleInput = document.getElementById('boardTitleInput');
+    const descriptionInput = document.getElementById('boardDescriptionInput');
+    const coverInput = document.getElementById('boardCoverInput');
+    const sortInput = document.getElementById('boardSortInput');
+    const deleteBoardBtn = document.getElementById('deleteBoardBtn');
+    
+    if (!boardForm) {
+      console.error('Board modal elements not found');
+      return;
+    }
+    
+    // Set form values
+    modalTitle.textContent = isEdit ? 'Edit Board' : 'New Board';
+    titleInput.value = isEdit ? board.title : '';
+    descriptionInput.value = isEdit ? board.description || '' : '';
+    coverInput.value = isEdit ? board.coverImage || '' : '';
+    sortInput.value = isEdit ? board.sortMode : 'manual';
+    deleteBoardBtn.classList.toggle('hidden', !isEdit);
+    
+    // Show modal
+    modal.open('boardModal', {
+      onClose: () => {
+        boardForm.reset();
+      }
+    });
+    
+    deleteBoardBtn.onclick = () => this.confirmDeleteBoard(board);
+    
+    // Set up form submission
+    boardForm.onsubmit = async (e) => {
+      e.preventDefault();
+      
+      const fields = {
+        title: titleInput.value.trim(),
+        description: descriptionInput.value.trim(),
+        coverImage: coverInput.value.trim(),
+        sortMode: sortInput.value
+      };
+      
+      if (!fields.title) {
+        toast.error('Please enter a board title');
+        return;
+      }
+      
+      try {
+        const saved = isEdit ? await db.updateBoard({ id: board.id, ...fields }) : await db.addBoard(fields);
+        
+        modal.closeTopModal();
+        toast.success(isEdit ? 'Board updated' : 'Board created');
+        
+        await this.loadBoards();
+        
+        // Open a new board straight away
+        if (!isEdit) {
+          this.setActiveBoard(saved.id);
+        }
+      } catch (error) {
+        console.error('Error saving board:', error);
+        toast.error(isEdit ? 'Failed to update board' : 'Failed to create board');
+      }
+    };
+  }
+
+  /**
+   * Confirm and delete a board
+   * @param {Object} board - Board to delete
+   */
+  async confirmDeleteBoard(board) {
+    if (!confirm(`Delete the board "${board.title}"? Its posts stay in your library.`)) return;
+    
+    try {
+      await db.deleteBoard(board.id);
+      
+      modal.closeTopModal();
+      toast.success('Board deleted');
+      
+      await this.loadBoards();
+    } catch (error) {
+      console.error('Error deleting board:', error);
+      toast.error('Failed to delete board');
+    }
+  }
+
+  /**
+   * Render a checkbox per board, for choosing the boards of a post
+   * @param {HTMLElement} container - Element to render into
+   * @param {Array<string>} selectedIds - IDs of the boards to check
+   */
+  renderBoardChoices(container, selectedIds) {
+    container.innerHTML = '';
+    
+    for (const board of this.boards) {
+      const option = document.createElement('label');
+      option.className = 'flex items-center text-sm';
+      
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = board.id;
+      input.checked = selectedIds.includes(board.id);
+      input.className = 'mr-2';
+      
+      option.appendChild(input);
+      option.appendChild(document.createTextNode(board.title));
+      container.appendChild(option);
+    }
+  }
+
+  /**
+   * Get the boards checked in a container rendered by renderBoardChoices
+   * @param {HTMLElement} container - Element holding the checkboxes
+   * @returns {Array<string>} Board IDs
+   */
+  getSelectedBoardIds(container) {
+    return [...container.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+  }
+}
+
+// Create and export a singleton instance
+const boardManager = new BoardManager();
@@ -0,0 +1,345 @@
+/**
+ * Conflict Manager module for Boardie application
+ * Shows posts changed on this device and elsewhere since the last sync, and lets the user pick which version to keep.
+ * Also lists changes the server rejected too often, so they can be retried or discarded.
+ */
+class ConflictManager {
+  constructor() {
+    this.syncConflictsLink = document.getElementById('syncConflictsLink');
+    this.syncConflictsCount = document.getElementById('syncConflictsCount');
+    this.conflictsList = document.getElementById('conflictsList');
+    this.parkedEntriesSection = document.getElementById('parkedEntriesSection');
+    this.parkedEntriesList = document.getElementById('parkedEntriesList');
+    this.conflicts = [];
+    this.parkedEntries = [];
+    
+    // Labels for fields shown in the panel
+    this.fieldLabels = {
+      deletedAt: 'Deleted',
+      title: 'Title',
+      description: 'Description',
+      notes: 'Notes',
+      tags: 'Tags',
+      url: 'URL',
+      platform: 'Platform',
+      image: 'Image',
+      siteName: 'Site name'
+    };
+    
+    this.setupEventListeners();
+    this.loadConflicts();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    if (this.syncConflictsLink) {
+      this.syncConflictsLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        libraryManager.toggleMenu(false);
+        this.showConflictsModal();
+      });
+    }
+    
+    // Refresh when a sync finds new conflicts
+    document.addEventListener('sync:conflicts', (e) => {
+      this.conflicts = e.detail.conflicts;
+      this.updateBadge();
+      
+      if (!document.getElementById('conflictsModal').classList.contains('hidden')) {
+        this.renderConflicts();
+      }
+    });
+    
+    // Refresh when an outbox entry is parked, retried or discarded
+    document.addEventListener('sync:parked', (e) => {
+      this.parkedEntries = e.detail.entries;
+      this.updateBadge();
+      
+      if (!document.getElementById('conflictsModal').classList.contains('hidden')) {
+        this.renderParkedEntries();
+      }
+    });
+  }
+
+  /**
+   * Load open conflicts and parked outbox entries from the database
+   */
+  async loadConflicts() {
+    [this.conflicts, this.parkedEntries] = await Promise.all([db.getConflicts(), db.getParkedOutboxEntries()]);
+    this.updateBadge();
+  }
+
+  /**
+   * Update the number of conflicts and parked changes in the library menu
+   */
+  updateBadge() {
+    if (!this.syncConflictsCount) return;
+    
+    const count = this.conflicts.length + this.parkedEntries.length;
+    
+    this.syncConflictsCount.textContent = count;
+    this.syncConflictsCount.classList.toggle('hidden', count === 0);
+  }
+
+  /**
+   * Show the sync conflicts modal
+   */
+  async showConflictsModal() {
+    await this.loadConflicts();
+    this.renderConflicts();
+    this.renderParkedEntries();
+    modal.open('conflictsModal');
+  }
+
+  /**
+   * Render the list of conflicts
+   */
+  renderConflicts() {
+    if (!this.conflictsList) return;
+    
+    this.conflictsList.innerHTML = '';
+    
+    if (this.conflicts.length === 0) {
+      this.conflictsList.innerHTML = this.parkedEntries.length === 0
+        ? '<p class="text-sm text-gray-500 dark:text-gray-400">No sync conflicts. Everything is up to date.</p>'
+        : '<p class="text-sm text-gray-500 dark:text-gray-400">No sync conflicts.</p>';
+      return;
+    }
+    
+    for (const conflict of this.conflicts) {
+      this.conflictsList.appendChild(this.createConflictElement(conflict));
+    }
+  }
+
+  /**
+   * Create the element for a single conflict
+   * @param {Object} conflict - Conflict record
+   * @returns {HTMLElement} Conflict element
+   */
+  createConflictElement(conflict) {
+    const form = document.createElement('form');
+    form.className = 'conflict-item border border-gray-200 dark:border-gray-700 rounded-lg p-4 mb-4';
+    
+    // Post heading
+    const heading = document.createElement('h3');
+    heading.className = 'font-medium text-gray-800 dark:text-gray-200 mb-1 break-all';
+    heading.textContent = conflict.local.title || conflict.url;
+    form.appendChild(heading);
+    
+    const detectedAt = document.createElement('p');
+    detectedAt.className = 'text-xs text-gray-500 dark:text-gray-400 mb-3';
+    detectedAt.textContent = `Changed on this device and another device, detected ${new Date(conflict.detectedAt).toLocaleString()}`;
+    form.appendChild(detectedAt);
+    
+    // One choice per conflicting field
+    for (const field of conflict.fields) {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'mb-3';
+      
+      const legend = document.createElement('legend');
+      legend.className = 'text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+      legend.textContent = this.fieldLabels[field] || field;
+      fieldset.appendChild(legend);
+      
+      fieldset.appendChild(this.createChoice(conflict, field, 'local', 'This device', true));
+      fieldset.appendChild(this.createChoice(conflict, field, 'remote', 'Other device', false));
+      form.appendChild(fieldset);
+    }
+    
+    // Actions
+    const actions = document.createElement('div');
+    actions.className = 'flex justify-end space-x-2';
+    actions.innerHTML = `
+      <button type="button" data-keep="remote" class="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">Keep other device</button>
+      <button type="button" data-keep="local" class="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">Keep this device</button>
+      <button type="submit" class="px-3 py-1 text-sm bg-primary hover:bg-blue-600 text-white rounded-lg">Resolve</button>
+    `;
+    form.appendChild(actions);
+    
+    // Shortcuts pick the same side for every field
+    actions.querySelectorAll('[data-keep]').forEach(button => {
+      button.addEventListener('click', () => {
+        const choices = Object.fromEntries(conflict.fields.map(field => [field, button.dataset.keep]));
+        this.resolveConflict(conflict, choices);
+      });
+    });
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      const choices = {};
+      
+      for (const field of conflict.fields) {
+        const selected = form.querySelector(`input[name="${field}"]:checked`);
+        choices[field] = selected ? selected.value : 'local';
+      }
+      
+      this.resolveConflict(conflict, choices);
+    });
+    
+    return form;
+  }
+
+  /**
+   * Render the list of parked outbox entries
+   */
+  renderParkedEntries() {
+    if (!this.parkedEntriesList) return;
+    
+    this.parkedEntriesSection.classList.toggle('hidden', this.parkedEntries.length === 0);
+    this.parkedEntriesList.innerHTML = '';
+    
+    for (const entry of this.parkedEntries) {
+      this.parkedEntriesList.appendChild(this.createParkedEntryElement(entry));
+    }
+  }
+
+  /**
+   * Create the element for a single parked outbox entry
+   * @param {Object} entry - Outbox entry
+   * @returns {HTMLElement} Entry element
+   */
+  createParkedEntryElement(entry) {
+    const item = document.createElement('div');
+    item.className = 'parked-entry border border-gray-200 dark:border-gray-700 rounded-lg p-4 mb-4';
+    
+    const data = entry.data || {};
+    
+    const heading = document.createElement('h3');
+    heading.className = 'font-medium text-gray-800 dark:text-gray-200 mb-1 break-all';
+    heading.textContent = data.title || data.url || data.name || entry.entityId;
+    item.appendChild(heading);
+    
+    const details = document.createElement('p');
+    details.className = 'text-xs text-gray-500 dark:text-gray-400 mb-3 break-all';
+    details.textContent = `${entry.action === 'delete' ? 'Deletion' : 'Change'} in ${entry.table}, failed ${entry.attempts} times: ${entry.lastError || 'unknown error'}`;
+    item.appendChild(details);
+    
+    const actions = document.createElement('div');
+    actions.className = 'flex justify-end space-x-2';
+    actions.innerHTML = `
+      <button type="button" data-action="discard" class="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">Discard</button>
+      <button type="button" data-action="retry" class="px-3 py-1 text-sm bg-primary hover:bg-blue-600 text-white rounded-lg">Retry</button>
+    `;
+    item.appendChild(actions);
+    
+    actions.querySelector('[data-action="retry"]').addEventListener('click', () => this.retryParkedEntry(entry));
+    actions.querySelector('[data-action="discard"]').addEventListener('click', () => this.discardParkedEntry(entry));
+    
+    return item;
+  }
+
+  /**
+   * Push a parked outbox entry again
+   * @param {Object} entry - Outbox entry
+   */
+  async retryParkedEntry(entry) {
+    try {
+      await db.retryOutboxEntries([entry.seq]);
+      toast.info('Retrying the change');
+    } catch (error) {
+      console.error('Error retrying outbox entry:', error);
+      toast.error('Failed to retry the change');
+    }
+  }
+
+  /**
+   * Drop a parked outbox entry after confirming
+   * @param {Object} entry - Outbox entry
+   */
+  async discardParkedEntry(entry) {
+    if (!confirm('Discard this change? It stays on this device but is never sent to the server.')) return;
+    
+    try {
+      await db.discardOutboxEntries([entry.seq]);
+      toast.success('Change discarded');
+    } catch (error) {
+      console.error('Error discarding outbox entry:', error);
+      toast.error('Failed to discard the change');
+    }
+  }
+
+  /**
+   * Create a radio option for one side of a conflicting field
+   * @param {Object} conflict - Conflict record
+   * @param {string} field - Field name
+   * @param {string} side - 'local' or 'remote'
+   * @param {string} label - Label for the side
+   * @param {boolean} checked - Whether the option is selected
+   * @returns {HTMLElement} Label element
+   */
+  createChoice(conflict, field, side, label, checked) {
+    const option = document.createElement('label');
+    option.className = 'flex items-start text-sm mb-1';
+    
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = field;
+    input.value = side;
+    input.checked = checked;
+    input.className = 'mt-1 mr-2';
+    
+    const text = document.createElement('span');
+    text.className = 'break-all';
+    text.innerHTML = `<span class="font-medium">${label}:</span> `;
+    text.appendChild(document.createTextNode(this.formatValue(field, conflict[side][field])));
+    
+    option.appendChild(input);
+    option.appendChild(text);
+    
+    return option;
+  }
+
+  /**
+   * Format a field value for display
+   * @param {string} field - Field name
+   * @param {*} value - Field value
+   * @returns {string} Display text
+   */
+  formatValue(field, value) {
+    if (field === 'deletedAt') {
+      return value ? `Deleted ${new Date(value).toLocaleString()}` : 'Kept';
+    }
+    
+    if (Array.isArray(value)) {
+      return value.length > 0 ? value.join(', ') : '(none)';
+    }
+    
+    if (value === undefined || value === null || value === '') {
+      return '(empty)';
+    }
+    
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Resolve a conflict with the chosen versions
+   * @param {Object} conflict - Conflict record
+   * @param {Object} choices - Map of field name to 'local' or 'remote'
+   */
+  async resolveConflict(conflict, choices) {
+    try {
+      await db.resolveConflict(conflict.postId, choices);
+      
+      this.conflicts = this.conflicts.filter(c => c.postId !== conflict.postId);
+      this.updateBadge();
+      this.renderConflicts();
+      toast.success('Conflict resolved');
+      
+      // Refresh tags and posts
+      if (window.tagManager) {
+        await window.tagManager.loadAllTags();
+      }
+      
+      postManager.resetAndReload();
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      toast.error('Failed to resolve conflict');
+    }
+  }
+}
+
+// Create and export a singleton instance
+const conflictManager = new ConflictManager();
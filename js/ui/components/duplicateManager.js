@@ -0,0 +1,174 @@
+/**
+ * Duplicate Manager module for Boardie application
+ * Finds saved posts that point to the same link and merges them
+ */
+class DuplicateManager {
+  constructor() {
+    // UI elements
+    this.findDuplicatesLink = document.getElementById('findDuplicatesLink');
+    this.duplicatesList = document.getElementById('duplicatesList');
+    this.mergeAllDuplicatesBtn = document.getElementById('mergeAllDuplicatesBtn');
+    
+    // State
+    this.groups = [];
+    
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    if (this.findDuplicatesLink) {
+      this.findDuplicatesLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        libraryManager.toggleMenu(false);
+        this.showDuplicatesModal();
+      });
+    }
+    
+    if (this.mergeAllDuplicatesBtn) {
+      this.mergeAllDuplicatesBtn.addEventListener('click', () => this.mergeGroups(this.groups));
+    }
+    
+    // Posts changed on another device
+    document.addEventListener('sync:posts', () => {
+      if (modal.isOpen('duplicatesModal')) {
+        this.loadDuplicates();
+      }
+    });
+  }
+
+  /**
+   * Show the duplicates modal
+   */
+  async showDuplicatesModal() {
+    await this.loadDuplicates();
+    modal.open('duplicatesModal');
+  }
+
+  /**
+   * Find the duplicates and render the list
+   */
+  async loadDuplicates() {
+    this.groups = await db.findDuplicatePosts();
+    this.renderDuplicates();
+  }
+
+  /**
+   * Render the groups of duplicates
+   */
+  renderDuplicates() {
+    if (!this.duplicatesList) return;
+    
+    this.duplicatesList.innerHTML = '';
+    
+    if (this.groups.length === 0) {
+      this.duplicatesList.innerHTML = '<li class="py-2 text-sm text-gray-500 dark:text-gray-400">No duplicates found.</li>';
+    }
+    
+    for (const group of this.groups) {
+      this.duplicatesList.appendChild(this.createGroupElement(group));
+    }
+    
+    if (this.mergeAllDuplicatesBtn) {
+      this.mergeAllDuplicatesBtn.disabled = this.groups.length === 0;
+    }
+  }
+
+  /**
+   * Create the list item for a group of duplicates
+   * @param {Array<Object>} group - Posts pointing to the same link, oldest first
+   * @returns {HTMLElement} List item
+   */
+  createGroupElement(group) {
+    const item = document.createElement('li');
+    item.className = 'py-2 text-sm';
+    
+    const header = document.createElement('div');
+    header.className = 'flex items-center gap-2';
+    
+    const canonicalUrl = document.createElement('span');
+    canonicalUrl.className = 'flex-grow min-w-0 truncate font-medium';
+    canonicalUrl.textContent = urlCanonicalizer.canonicalize(group[0].url);
+    canonicalUrl.title = canonicalUrl.textContent;
+    
+    const mergeButton = document.createElement('button');
+    mergeButton.type = 'button';
+    mergeButton.className = 'px-2 py-1 text-xs text-gray-600 dark:text-gray-300 hover:text-primary';
+    mergeButton.textContent = 'Merge';
+    mergeButton.title = 'Keep the oldest post with the tags and boards of all of them';
+    mergeButton.addEventListener('click', () => this.mergeGroups([group]));
+    
+    header.appendChild(canonicalUrl);
+    header.appendChild(mergeButton);
+    
+    const posts = document.createElement('ul');
+    posts.className = 'mt-1 space-y-1 text-xs text-gray-500 dark:text-gray-400';
+    
+    group.forEach((post, index) => {
+      const postItem = document.createElement('li');
+      postItem.className = 'flex justify-between gap-2';
+      
+      const url = document.createElement('span');
+      url.className = 'truncate';
+      url.textContent = post.url;
+      url.title = post.url;
+      
+      const details = document.createElement('span');
+      details.className = 'flex-shrink-0';
+      details.textContent = [
+        index === 0 ? 'kept' : '',
+        postManager.formatDate(post.dateAdded),
+        ...(post.tags || []).map(tag => `#${tag}`)
+      ].filter(Boolean).join(' · ');
+      
+      postItem.appendChild(url);
+      postItem.appendChild(details);
+      posts.appendChild(postItem);
+    });
+    
+    item.appendChild(header);
+    item.appendChild(posts);
+    
+    return item;
+  }
+
+  /**
+   * Merge groups of duplicates after confirming
+   * @param {Array<Array<Object>>} groups - Groups to merge
+   */
+  async mergeGroups(groups) {
+    if (groups.length === 0) return;
+    
+    const removed = groups.reduce((count, group) => count + group.length - 1, 0);
+    const message = groups.length === 1
+      ? `Merge ${groups[0].length} posts into the oldest one? Their tags, notes and boards are combined and the others are deleted.`
+      : `Merge ${groups.length} groups of duplicates? ${removed} posts are deleted after their tags, notes and boards are moved to the oldest post of each group.`;
+    
+    if (!confirm(message)) return;
+    
+    try {
+      for (const group of groups) {
+        await db.mergeDuplicatePosts(group.map(post => post.id));
+      }
+      
+      toast.success(`Merged ${removed} duplicate${removed !== 1 ? 's' : ''}`);
+    } catch (error) {
+      console.error('Error merging duplicates:', error);
+      toast.error('Failed to merge duplicates');
+    }
+    
+    // Tag counts, board contents and the shown posts changed
+    if (window.tagManager) {
+      await window.tagManager.loadAllTags();
+    }
+    
+    await boardManager.loadBoards();
+    postManager.resetAndReload();
+    await this.loadDuplicates();
+  }
+}
+
+// Create and export a singleton instance
+const duplicateManager = new DuplicateManager();
@@ -0,0 +1,201 @@
+/**
+ * Library Manager module for Boardie application
+ * Handles exporting and importing the whole library as a JSON backup
+ */
+class LibraryManager {
+  constructor() {
+    this.libraryMenuBtn = document.getElementById('libraryMenuBtn');
+    this.libraryMenu = document.getElementById('libraryMenu');
+    this.exportLibraryLink = document.getElementById('exportLibraryLink');
+    this.importLibraryLink = document.getElementById('importLibraryLink');
+    
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    // Library menu toggle
+    if (this.libraryMenuBtn && this.libraryMenu) {
+      this.libraryMenuBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleMenu();
+      });
+      
+      // Close menu when clicking outside
+      document.addEventListener('click', (e) => {
+        if (!this.libraryMenu.contains(e.target)) {
+          this.toggleMenu(false);
+        }
+      });
+    }
+    
+    // Export link
+    if (this.exportLibraryLink) {
+      this.exportLibraryLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.toggleMenu(false);
+        this.exportLibrary();
+      });
+    }
+    
+    // Import link
+    if (this.importLibraryLink) {
+      this.importLibraryLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.toggleMenu(false);
+        this.showImportModal();
+      });
+    }
+  }
+
+  /**
+   * Show or hide the library menu
+   * @param {boolean} show - Whether to show the menu (toggles if omitted)
+   */
+  toggleMenu(show) {
+    if (!this.libraryMenu) return;
+    
+    const isHidden = this.libraryMenu.classList.contains('hidden');
+    const shouldShow = typeof show === 'boolean' ? show : isHidden;
+    
+    this.libraryMenu.classList.toggle('hidden', !shouldShow);
+    
+    if (this.libraryMenuBtn) {
+      this.libraryMenuBtn.setAttribute('aria-expanded', String(shouldShow));
+    }
+  }
+
+  /**
+   * Export the library and download it as a JSON file
+   */
+  async exportLibrary() {
+    try {
+      const backup = await db.exportLibrary();
+      const date = backup.exportedAt.slice(0, 10);
+      
+      this.downloadJSON(backup, `boardie-library-${date}.json`);
+      toast.success(`Exported ${backup.posts.length} post${backup.posts.length !== 1 ? 's' : ''}`);
+    } catch (error) {
+      console.error('Error exporting library:', error);
+      toast.error('Failed to export library');
+    }
+  }
+
+  /**
+   * Trigger a download of a JSON document
+   * @param {Object} data - Data to serialize
+   * @param {string} filename - Name of the downloaded file
+   */
+  downloadJSON(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Show the import modal
+   */
+  showImportModal() {
+    const importForm = document.getElementById('importForm');
+    const importFile = document.getElementById('importFile');
+    
+    if (!importForm || !importFile) {
+      console.error('Import modal elements not found');
+      return;
+    }
+    
+    // Show modal
+    modal.open('importModal', {
+      onClose: () => {
+        importForm.reset();
+      }
+    });
+    
+    // Set up form submission
+    importForm.onsubmit = async (e) => {
+      e.preventDefault();
+      
+      const file = importFile.files[0];
+      const mode = importForm.querySelector('input[name="importMode"]:checked')?.value || 'merge';
+      
+      if (!file) {
+        toast.error('Please choose a backup file');
+        return;
+      }
+      
+      if (mode === 'replace' && !confirm('Replace your whole library with this backup? Posts not in the backup will be removed from this device.')) {
+        return;
+      }
+      
+      try {
+        const report = await db.importLibrary(file, { mode });
+        
+        modal.closeTopModal();
+        this.showImportReport(report);
+        
+        // Refresh tags, boards and posts
+        if (window.tagManager) {
+          await window.tagManager.loadAllTags();
+        }
+        
+        await boardManager.loadBoards();
+        await smartViewManager.loadViews();
+        postManager.resetAndReload();
+      } catch (error) {
+        console.error('Error importing library:', error);
+        toast.error(error.message || 'Failed to import library');
+      }
+    };
+  }
+
+  /**
+   * Show the outcome of an import
+   * @param {Object} report - Report returned by db.importLibrary
+   */
+  showImportReport(report) {
+    const parts = [`${report.added} added`, `${report.skipped} skipped`];
+    
+    if (report.boardsAdded > 0) {
+      parts.push(`${report.boardsAdded} board${report.boardsAdded !== 1 ? 's' : ''} added`);
+    }
+    
+    if (report.smartViewsAdded > 0) {
+      parts.push(`${report.smartViewsAdded} smart view${report.smartViewsAdded !== 1 ? 's' : ''} added`);
+    }
+    
+    if (report.tagMetaAdded > 0) {
+      parts.push(`${report.tagMetaAdded} tag color${report.tagMetaAdded !== 1 ? 's' : ''} added`);
+    }
+    
+    if (report.tagRulesAdded > 0) {
+      parts.push(`${report.tagRulesAdded} tag rule${report.tagRulesAdded !== 1 ? 's' : ''} added`);
+    }
+    
+    if (report.conflicted > 0) {
+      parts.push(`${report.conflicted} conflicted`);
+      console.warn('Import conflicts (local versions kept):', report.conflicts);
+    }
+    
+    const message = `Import complete: ${parts.join(', ')}`;
+    
+    if (report.conflicted > 0) {
+      toast.warning(message, CONFIG.ui.toastDuration * 2);
+    } else {
+      toast.success(message);
+    }
+  }
+}
+
+// Create and export a singleton instance
+const libraryManager = new LibraryManager();
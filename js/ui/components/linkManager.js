@@ -6,6 +6,21 @@ class LinkManager {
   constructor() {
     this.addLinkBtn = document.getElementById('addLinkBtn');
     this.emptyStateAddBtn = document.getElementById('emptyStateAddBtn');
+    this.linkUrl = document.getElementById('linkUrl');
+    this.duplicateNotice = document.getElementById('linkDuplicateNotice');
+    this.duplicateText = document.getElementById('linkDuplicateText');
+    this.showDuplicateBtn = document.getElementById('showDuplicateBtn');
+    this.linkNotes = document.getElementById('linkNotes');
+    this.notesPreview = document.getElementById('linkNotesPreview');
+    this.notesPreviewBtn = document.getElementById('linkNotesPreviewBtn');
+    
+    // Tag combobox of the link modal
+    const linkTags = document.getElementById('linkTags');
+    this.tagInput = linkTags ? new TagInput(linkTags) : null;
+    
+    // Saved post the URL being entered points to
+    this.duplicatePost = null;
+    this.duplicateCheckTimer = null;
     
     this.setupEventListeners();
   }
@@ -23,6 +38,114 @@ class LinkManager {
     if (this.emptyStateAddBtn) {
       this.emptyStateAddBtn.addEventListener('click', () => this.showAddLinkModal());
     }
+    
+    // Check for an equivalent saved link while the URL is typed
+    if (this.linkUrl) {
+      this.linkUrl.addEventListener('input', () => {
+        clearTimeout(this.duplicateCheckTimer);
+        
+        if (this.linkUrl.disabled) return;
+        
+        this.duplicateCheckTimer = setTimeout(() => {
+          this.checkDuplicate(this.linkUrl.value.trim());
+        }, CONFIG.ui.debounceDelay || 300);
+      });
+    }
+    
+    // Switch the notes between editing and the rendered markdown
+    if (this.notesPreviewBtn) {
+      this.notesPreviewBtn.addEventListener('click', () => {
+        this.toggleNotesPreview(this.notesPreview.classList.contains('hidden'));
+      });
+    }
+    
+    // Jump to the saved post
+    if (this.showDuplicateBtn) {
+      this.showDuplicateBtn.addEventListener('click', () => {
+        const post = this.duplicatePost;
+        
+        if (!post) return;
+        
+        modal.closeTopModal();
+        postManager.showPost(post.id);
+      });
+    }
+  }
+
+  /**
+   * Show or hide the "already saved" notice for a URL
+   * @param {string} url - URL being entered
+   * @returns {Promise<Object|null>} The saved post the URL points to
+   */
+  async checkDuplicate(url) {
+    const post = url ? await db.getPostByUrl(url) : null;
+    
+    // The URL changed while the lookup ran
+    if (url && this.linkUrl && this.linkUrl.value.trim() !== url) return null;
+    
+    this.duplicatePost = post;
+    
+    if (post && this.duplicateText) {
+      this.duplicateText.textContent = post.url === url
+        ? `Already saved on ${postManager.formatDate(post.dateAdded)}.`
+        : `Already saved on ${postManager.formatDate(post.dateAdded)} as ${post.url}.`;
+    }
+    
+    if (this.duplicateNotice) {
+      this.duplicateNotice.classList.toggle('hidden', !post);
+    }
+    
+    return post;
+  }
+
+  /**
+   * Add a link and put it on boards as an undoable command
+   * A link that is in the trash is restored. Undoing moves the post to the trash, redoing restores it.
+   * @param {Object} post - New post
+   * @param {Array<string>|null} boardIds - Boards chosen for the post, null to leave boards alone
+   * @returns {Promise<Object>} The added or restored post
+   */
+  async addLink(post, boardIds) {
+    let savedPost = null;
+    
+    const trashedPost = await db.getPostByUrl(post.url, { includeDeleted: true });
+    
+    return undoManager.run({
+      message: trashedPost && trashedPost.deletedAt ? 'Link restored from the trash' : 'Link added successfully',
+      label: 'Add link',
+      execute: async (queued) => {
+        savedPost = await db.addPost(post, true, queued);
+        
+        // Put the post on the chosen boards
+        if (boardIds) {
+          // New posts stay on the boards their auto-tagging rules put them on
+          const ruleBoards = await db.getBoardsForPost(savedPost.id);
+          
+          await db.setPostBoards(savedPost.id, [...new Set([...boardIds, ...ruleBoards.map(board => board.id)])], queued);
+        }
+        
+        return savedPost;
+      },
+      undo: (queued) => undoManager.trashPost(savedPost.id, queued),
+      redo: (queued) => db.restorePost(savedPost.id, true, queued)
+    });
+  }
+
+  /**
+   * Fetch the metadata of a saved link in the background and show it on its card
+   * @param {string} id - Post ID
+   * @returns {Promise} Resolves when the metadata is stored and shown
+   */
+  async unfurlLink(id) {
+    try {
+      const post = await linkUnfurler.unfurlPost(id);
+      
+      if (post && window.postManager) {
+        await window.postManager.applySyncedChanges([{ id, post }]);
+      }
+    } catch (error) {
+      console.error('Error unfurling link:', error);
+    }
   }
 
   /**
@@ -36,6 +159,8 @@ class LinkManager {
     const linkId = document.getElementById('linkId');
     const linkUrl = document.getElementById('linkUrl');
     const linkTags = document.getElementById('linkTags');
+    const linkBoards = document.getElementById('linkBoards');
+    const linkBoardsField = document.getElementById('linkBoardsField');
     const saveModalBtn = document.getElementById('saveModalBtn');
     
     // Set modal title
@@ -53,8 +178,26 @@ class LinkManager {
       linkUrl.disabled = isEdit; // Disable URL field when editing
     }
     
-    if (linkTags) {
-      linkTags.value = isEdit ? tagManager.formatTags(post.tags) : '';
+    clearTimeout(this.duplicateCheckTimer);
+    this.checkDuplicate('');
+    
+    if (this.tagInput) {
+      this.tagInput.setTags(isEdit ? post.tags : []);
+    }
+    
+    if (this.linkNotes) {
+      this.linkNotes.value = isEdit ? post.notes || '' : '';
+      this.toggleNotesPreview(false);
+    }
+    
+    // Boards the post is on, new posts start on the open board
+    if (linkBoards) {
+      const selectedIds = isEdit
+        ? boardManager.boards.filter(board => board.postIds.includes(post.id)).map(board => board.id)
+        : (boardManager.activeBoard ? [boardManager.activeBoard.id] : []);
+      
+      boardManager.renderBoardChoices(linkBoards, selectedIds);
+      linkBoardsField.classList.toggle('hidden', boardManager.boards.length === 0);
     }
     
     // Set button text
@@ -69,6 +212,14 @@ class LinkManager {
         if (linkForm) {
           linkForm.reset();
         }
+        
+        if (this.tagInput) {
+          this.tagInput.setTags([]);
+        }
+        
+        clearTimeout(this.duplicateCheckTimer);
+        this.checkDuplicate('');
+        this.toggleNotesPreview(false);
       }
     });
     
@@ -79,20 +230,38 @@ class LinkManager {
         
         const id = linkId.value;
         const url = linkUrl.value.trim();
-        const tags = tagManager.parseTags(linkTags.value);
+        const tags = this.tagInput ? this.tagInput.getTags() : tagManager.parseTags(linkTags.value);
+        const notes = this.linkNotes ? this.linkNotes.value.trim() : '';
         
         if (!url) {
           toast.error('Please enter a valid URL');
           return;
         }
         
+        // Boards chosen in the form, null when there are no boards to choose from
+        const boardIds = linkBoards && boardManager.boards.length > 0 ? boardManager.getSelectedBoardIds(linkBoards) : null;
+        
         try {
           if (isEdit) {
-            // Update existing post
-            const updatedPost = { ...post, tags };
-            await db.updatePost(updatedPost);
-            toast.success('Link updated successfully');
+            // Update existing post, the toast offers to undo it
+            // Cleared notes are stored as null, so the change reaches the server
+            const changes = notes || post.notes ? { tags, notes: notes || null } : { tags };
+            
+            await undoManager.updatePost({ ...post, ...changes }, {
+              message: 'Link updated successfully',
+              label: 'Edit link',
+              boardIds
+            });
+            
+            // Links saved before unfurling ran on save get their metadata now
+            this.unfurlLink(post.id);
           } else {
+            // Point to the saved post instead of failing on the duplicate
+            if (await this.checkDuplicate(url)) {
+              toast.error('This link is already saved');
+              return;
+            }
+            
             // Add new post
             const platform = this.detectPlatform(url);
             const newPost = {
@@ -102,8 +271,16 @@ class LinkManager {
               dateAdded: new Date().toISOString()
             };
             
-            await db.addPost(newPost);
-            toast.success('Link added successfully');
+            if (notes) {
+              newPost.notes = notes;
+            }
+            
+            const savedPost = await this.addLink(newPost, boardIds);
+            this.unfurlLink(savedPost.id);
+          }
+          
+          if (boardIds) {
+            await boardManager.loadBoards();
           }
           
           // Close modal
@@ -121,6 +298,27 @@ class LinkManager {
     }
   }
 
+  /**
+   * Show the notes of the link modal as rendered markdown, or go back to editing them
+   * @param {boolean} show - Whether to show the preview
+   */
+  toggleNotesPreview(show) {
+    if (!this.linkNotes || !this.notesPreview) return;
+    
+    if (show) {
+      this.notesPreview.innerHTML = markdown.render(this.linkNotes.value)
+        || '<p class="text-gray-500 dark:text-gray-400">Nothing to preview</p>';
+    }
+    
+    this.notesPreview.classList.toggle('hidden', !show);
+    this.linkNotes.classList.toggle('hidden', show);
+    
+    if (this.notesPreviewBtn) {
+      this.notesPreviewBtn.textContent = show ? 'Edit' : 'Preview';
+      this.notesPreviewBtn.setAttribute('aria-pressed', String(show));
+    }
+  }
+
   /**
    * Detect platform from URL
    * @param {string} url - URL to detect platform from
@@ -10,16 +10,23 @@ class PostManager {
     this.emptyState = document.getElementById('emptyState');
     this.infiniteScrollSentinel = document.getElementById('infiniteScrollSentinel');
     this.searchInput = document.getElementById('searchInput');
+    this.searchError = document.getElementById('searchError');
     this.sortSelect = document.getElementById('sortSelect');
+    this.platformSelect = document.getElementById('platformSelect');
     
     // State
     this.isLoading = false;
     this.hasMorePosts = true;
-    this.currentPage = 0;
+    this.nextPageToken = null;
     this.postsPerPage = CONFIG.ui.postsPerPage || 20;
     this.currentSearchTerm = '';
+    this.isRankedSearch = false;
+    this.currentPlatform = '';
     this.currentSort = { by: 'dateAdded', order: 'desc' };
     
+    // Sort of the whole library, restored when leaving a board
+    this.librarySortValue = 'dateDesc';
+    
     // Initialize
     this.setupEventListeners();
     this.setupInfiniteScroll();
@@ -32,7 +39,12 @@ class PostManager {
     // Search input
     if (this.searchInput) {
       this.searchInput.addEventListener('input', this.debounce(() => {
-        this.currentSearchTerm = this.searchInput.value.trim();
+        const searchTerm = this.searchInput.value.trim();
+        
+        // Keep the last results while the query doesn't parse
+        if (!this.checkSearch(searchTerm)) return;
+        
+        this.currentSearchTerm = searchTerm;
         this.resetAndReload();
       }, CONFIG.ui.debounceDelay || 300));
     }
@@ -42,28 +54,45 @@ class PostManager {
       this.sortSelect.addEventListener('change', () => {
         const value = this.sortSelect.value;
         
-        switch (value) {
-          case 'dateDesc':
-            this.currentSort = { by: 'dateAdded', order: 'desc' };
-            break;
-          case 'dateAsc':
-            this.currentSort = { by: 'dateAdded', order: 'asc' };
-            break;
-          case 'platform':
-            this.currentSort = { by: 'platform', order: 'asc' };
-            break;
-          default:
-            this.currentSort = { by: 'dateAdded', order: 'desc' };
+        this.currentSort = this.getSortFromValue(value);
+        
+        // Boards remember their own sort mode
+        if (boardManager.activeBoard) {
+          boardManager.setSortMode(value);
+        } else {
+          this.librarySortValue = value;
         }
         
         this.resetAndReload();
       });
     }
     
+    // Platform select
+    if (this.platformSelect) {
+      for (const [key, platform] of Object.entries(CONFIG.platforms)) {
+        this.platformSelect.appendChild(new Option(platform.name, key));
+      }
+      
+      this.platformSelect.addEventListener('change', () => {
+        this.currentPlatform = this.platformSelect.value;
+        this.resetAndReload();
+      });
+    }
+    
     // Tag filter changes
     document.addEventListener('tagfilter:change', () => {
       this.resetAndReload();
     });
+    
+    // Board switcher
+    document.addEventListener('board:change', (e) => {
+      this.showBoard(e.detail.board);
+    });
+    
+    // Posts stored by a sync or received from another device
+    document.addEventListener('sync:posts', (e) => {
+      this.applySyncedChanges(e.detail.changes);
+    });
   }
 
   /**
@@ -92,12 +121,15 @@ class PostManager {
    */
   resetAndReload() {
     // Reset state
-    this.currentPage = 0;
+    this.nextPageToken = null;
     this.hasMorePosts = true;
     
     // Clear posts container
     if (this.postsContainer) {
       this.postsContainer.innerHTML = '';
+      
+      // Drag handles are only shown while the manual order is active
+      this.postsContainer.classList.toggle('manual-sort', this.isManualSort());
     }
     
     // Load posts
@@ -113,29 +145,22 @@ class PostManager {
     this.showLoading();
     
     try {
-      // Get active tag filters
-      const tagFilters = window.tagManager ? window.tagManager.getActiveFilters() : [];
-      
-      // Get posts from database
-      const posts = await db.getAllPosts({
-        page: this.currentPage,
-        limit: this.postsPerPage,
-        search: this.currentSearchTerm,
-        tags: tagFilters,
-        sort: this.currentSort
-      });
+      // Get the next page of posts from the database
+      const { posts, nextPageToken } = await db.getPostsPage({
+        ...this.getQueryOptions(),
+        limit: this.postsPerPage
+      }, this.nextPageToken);
       
       // Check if there are more posts
-      this.hasMorePosts = posts.length === this.postsPerPage;
+      this.nextPageToken = nextPageToken;
+      this.hasMorePosts = !!nextPageToken;
       
-      // Render posts
-      this.renderPosts(posts);
+      // Render posts, skipping any a live update already showed
+      const renderedIds = new Set(this.getRenderedPostElements().map(element => element.dataset.id));
+      this.renderPosts(posts.filter(post => !renderedIds.has(post.id)));
       
       // Toggle empty state
-      this.toggleEmptyState(this.currentPage === 0 && posts.length === 0);
-      
-      // Increment page
-      this.currentPage++;
+      this.toggleEmptyState(this.getRenderedPostElements().length === 0);
     } catch (error) {
       console.error('Error loading posts:', error);
       toast.error('Failed to load posts');
@@ -144,6 +169,281 @@ class PostManager {
     }
   }
 
+  /**
+   * Get the sort for a sort select value
+   * @param {string} value - 'dateDesc', 'dateAsc', 'platform' or 'manual'
+   * @returns {Object} Sort with by and order
+   */
+  getSortFromValue(value) {
+    switch (value) {
+      case 'dateAsc':
+        return { by: 'dateAdded', order: 'asc' };
+      case 'platform':
+        return { by: 'platform', order: 'asc' };
+      case 'manual':
+        // Inside a board the manual order is the board's own
+        return { by: boardManager.activeBoard ? 'board' : 'position', order: 'asc' };
+      default:
+        return { by: 'dateAdded', order: 'desc' };
+    }
+  }
+
+  /**
+   * Show the posts of a board, or the whole library
+   * @param {Object|null} board - Board to show, or null for all posts
+   */
+  showBoard(board) {
+    const value = board ? board.sortMode : this.librarySortValue;
+    
+    if (this.sortSelect) {
+      this.sortSelect.value = value;
+    }
+    
+    this.currentSort = this.getSortFromValue(value);
+    this.resetAndReload();
+  }
+
+  /**
+   * Show the whole library with the search, sort and platform of a smart view
+   * The caller sets the view's tag filters first
+   * @param {Object} view - Smart view
+   */
+  applySmartView(view) {
+    if (this.searchInput) {
+      this.searchInput.value = view.searchTerm;
+    }
+    
+    // A query saved by a newer version might not parse here
+    this.currentSearchTerm = this.checkSearch(view.searchTerm) ? view.searchTerm : '';
+    this.currentPlatform = CONFIG.platforms[view.platform] ? view.platform : '';
+    this.librarySortValue = view.sort;
+    
+    if (this.platformSelect) {
+      this.platformSelect.value = this.currentPlatform;
+    }
+    
+    // Smart views cover the whole library, leaving the board reloads the posts
+    if (boardManager.activeBoard) {
+      boardManager.setActiveBoard(null);
+    } else {
+      this.showBoard(null);
+    }
+  }
+
+  /**
+   * Get the search, tag filters, sort and platform a smart view would save
+   * @returns {Object} Smart view fields
+   */
+  getSmartViewState() {
+    return {
+      searchTerm: this.currentSearchTerm,
+      filterTags: window.tagManager ? window.tagManager.getActiveFilters() : [],
+      sort: this.librarySortValue,
+      platform: this.currentPlatform
+    };
+  }
+
+  /**
+   * Get the filter and sort options of the current view
+   * @returns {Object} Options for db.getAllPosts
+   */
+  getQueryOptions() {
+    const tagFilters = window.tagManager ? window.tagManager.getActiveFilters() : [];
+    
+    return {
+      sortBy: this.currentSort.by,
+      sortOrder: this.currentSort.order,
+      filterTags: tagFilters.length > 0 ? tagFilters : null,
+      searchTerm: this.currentSearchTerm || null,
+      platform: this.currentPlatform || null,
+      board: boardManager.activeBoard
+    };
+  }
+
+  /**
+   * Get the post elements currently in the grid
+   * @returns {Array<HTMLElement>} Post elements in display order
+   */
+  getRenderedPostElements() {
+    return this.postsContainer ? [...this.postsContainer.querySelectorAll('.post-item')] : [];
+  }
+
+  /**
+   * Scroll to a post and highlight it
+   * Further pages of the current view are loaded until the post shows up
+   * @param {string} postId - The post ID
+   * @returns {Promise<boolean>} True if the post is shown, false if the current view leaves it out
+   */
+  async showPost(postId) {
+    const findElement = () => this.postsContainer && this.postsContainer.querySelector(`.post-item[data-id="${postId}"]`);
+    let element = findElement();
+    
+    while (!element && this.hasMorePosts && !this.isLoading) {
+      await this.loadPosts();
+      element = findElement();
+    }
+    
+    if (!element) {
+      toast.info('The post is hidden by the current board, search or filters');
+      return false;
+    }
+    
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    
+    // Restart the highlight if the post is shown twice in a row
+    element.classList.remove('post-highlight');
+    void element.offsetWidth;
+    element.classList.add('post-highlight');
+    element.addEventListener('animationend', () => element.classList.remove('post-highlight'), { once: true });
+    
+    return true;
+  }
+
+  /**
+   * Patch posts changed by a sync into the grid without reloading it
+   * Only the changed posts and the posts already shown are looked at, so a sync doesn't read
+   * the whole library. A changed post that sorts after the last shown one is left for the page
+   * that will load it.
+   * @param {Array<Object>} changes - Changes with the post ID and the stored post, or null if removed
+   */
+  async applySyncedChanges(changes) {
+    if (!this.postsContainer || !changes || changes.length === 0) return;
+    
+    // Large syncs are cheaper to render from scratch
+    if (changes.length > this.postsPerPage) {
+      this.resetAndReload();
+      return;
+    }
+    
+    try {
+      const options = this.getQueryOptions();
+      const query = options.searchTerm ? searchQuery.compile(options.searchTerm) : null;
+      const matches = db.createPostFilter(options, query);
+      
+      if (this.isRankedSearch) {
+        this.patchRankedPosts(changes, matches);
+      } else {
+        await this.patchSortedPosts(changes, matches, options);
+      }
+      
+      this.toggleEmptyState(this.getRenderedPostElements().length === 0);
+      this.loadEmbeds();
+      this.updateMasonryLayout();
+    } catch (error) {
+      console.error('Error updating synced posts:', error);
+    }
+  }
+
+  /**
+   * Patch changed posts into search results ranked by relevance
+   * The scores of the other results aren't known here, so shown posts are updated in place and
+   * new matches are only added once every result is shown.
+   * @param {Array<Object>} changes - Changes with the post ID and the stored post, or null if removed
+   * @param {Function} matches - Filter of the current view, from db.createPostFilter
+   */
+  patchRankedPosts(changes, matches) {
+    for (const { id, post } of changes) {
+      const element = this.postsContainer.querySelector(`.post-item[data-id="${id}"]`);
+      const isMatch = !!post && matches(post);
+      
+      if (element && isMatch) {
+        element.replaceWith(this.createPostElement(post));
+      } else if (element) {
+        element.remove();
+      } else if (isMatch && !this.hasMorePosts) {
+        this.postsContainer.appendChild(this.createPostElement(post));
+      }
+    }
+  }
+
+  /**
+   * Patch changed posts into a grid sorted by date, platform, position or board order
+   * Each changed post is inserted before the first shown post it sorts before.
+   * @param {Array<Object>} changes - Changes with the post ID and the stored post, or null if removed
+   * @param {Function} matches - Filter of the current view, from db.createPostFilter
+   * @param {Object} options - Query options of the current view, from getQueryOptions
+   */
+  async patchSortedPosts(changes, matches, options) {
+    const { sortBy, sortOrder, board } = options;
+    const boardOrder = board ? new Map(board.postIds.map((id, index) => [id, index])) : null;
+    const compare = (a, b) => db.comparePosts(a, b, sortBy, sortOrder, boardOrder);
+    
+    for (const { id } of changes) {
+      const element = this.postsContainer.querySelector(`.post-item[data-id="${id}"]`);
+      
+      if (element) {
+        element.remove();
+      }
+    }
+    
+    // The shown posts in display order, with their stored versions to compare against
+    const elements = this.getRenderedPostElements();
+    const storedPosts = await db.getPostsByIds(elements.map(element => element.dataset.id));
+    const shown = elements
+      .filter(element => storedPosts.has(element.dataset.id))
+      .map(element => ({ element, post: storedPosts.get(element.dataset.id) }));
+    
+    const changedPosts = changes
+      .map(change => change.post)
+      .filter(post => post && matches(post))
+      .sort(compare);
+    
+    for (const post of changedPosts) {
+      const index = shown.findIndex(item => compare(post, item.post) < 0);
+      const element = this.createPostElement(post);
+      
+      if (index >= 0) {
+        this.postsContainer.insertBefore(element, shown[index].element);
+        shown.splice(index, 0, { element, post });
+      } else if (!this.hasMorePosts) {
+        this.postsContainer.appendChild(element);
+        shown.push({ element, post });
+      }
+      
+      // Otherwise the post belongs to a page that hasn't been loaded yet
+    }
+  }
+
+  /**
+   * Check whether a search query parses, and show the error inline if it doesn't
+   * @param {string} searchTerm - Search text
+   * @returns {boolean} True if the query is valid
+   */
+  checkSearch(searchTerm) {
+    let queryError = null;
+    
+    try {
+      const query = searchQuery.compile(searchTerm);
+      this.isRankedSearch = !!query && query.terms.length > 0;
+    } catch (error) {
+      if (!(error instanceof SearchQueryError)) throw error;
+      queryError = error;
+    }
+    
+    if (this.searchError) {
+      this.searchError.textContent = queryError ? `${queryError.message} (character ${queryError.position + 1})` : '';
+      this.searchError.classList.toggle('hidden', !queryError);
+    }
+    
+    if (this.searchInput) {
+      this.searchInput.setAttribute('aria-invalid', queryError ? 'true' : 'false');
+      this.searchInput.classList.toggle('border-red-500', !!queryError);
+    }
+    
+    return !queryError;
+  }
+
+  /**
+   * Check whether posts are shown in their manual order
+   * Search results with words are ranked by relevance, so they can't be reordered
+   * @returns {boolean} True if the manual sort is active
+   */
+  isManualSort() {
+    if (this.isRankedSearch) return false;
+    
+    return this.currentSort.by === 'position' || this.currentSort.by === 'board';
+  }
+
   /**
    * Load more posts
    */
@@ -230,7 +530,7 @@ class PostManager {
     
     // Actions
     const actions = document.createElement('div');
-    actions.className = 'flex space-x-2';
+    actions.className = 'post-actions flex space-x-2';
     
     // Edit button
     const editButton = document.createElement('button');
@@ -239,6 +539,14 @@ class PostManager {
     editButton.addEventListener('click', () => window.uiManager.showAddLinkModal(post));
     actions.appendChild(editButton);
     
+    // History button
+    const historyButton = document.createElement('button');
+    historyButton.className = 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300';
+    historyButton.title = 'History';
+    historyButton.innerHTML = '<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>';
+    historyButton.addEventListener('click', () => revisionManager.showRevisionsModal(post));
+    actions.appendChild(historyButton);
+    
     // Delete button
     const deleteButton = document.createElement('button');
     deleteButton.className = 'text-gray-500 hover:text-red-500';
@@ -267,44 +575,193 @@ class PostManager {
     const postFooter = document.createElement('div');
     postFooter.className = 'p-3 border-t border-gray-200 dark:border-gray-700';
     
-    // Tags
-    if (post.tags && post.tags.length) {
-      const tagsContainer = document.createElement('div');
-      tagsContainer.className = 'flex flex-wrap gap-2';
-      
-      post.tags.forEach(tag => {
-        const tagElement = document.createElement('span');
-        tagElement.className = 'inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200';
-        tagElement.textContent = tag;
-        tagsContainer.appendChild(tagElement);
-      });
-      
-      postFooter.appendChild(tagsContainer);
+    // Tags, editable in place
+    const tagsContainer = document.createElement('div');
+    tagsContainer.className = 'post-tags flex flex-wrap items-center gap-2';
+    this.renderPostTags(tagsContainer, post);
+    
+    postFooter.appendChild(tagsContainer);
+    
+    // Notes, collapsed to their first line
+    if (post.notes) {
+      postFooter.appendChild(this.createNotesElement(post));
     }
     
     postElement.appendChild(postFooter);
     
+    // Manual ordering
+    reorderManager.attach(postElement, post);
+    
+    // Bulk selection
+    selectionManager.attach(postElement, post);
+    
     return postElement;
   }
 
   /**
-   * Confirm post deletion
+   * Create the collapsible notes of a post card
+   * @param {Object} post - Post with notes
+   * @returns {HTMLElement} Notes element
+   */
+  createNotesElement(post) {
+    const notes = document.createElement('details');
+    notes.className = 'post-notes mt-2 text-sm';
+    
+    const summary = document.createElement('summary');
+    summary.className = 'cursor-pointer truncate text-gray-600 dark:text-gray-400';
+    summary.textContent = markdown.getSummary(post.notes) || 'Notes';
+    summary.title = 'Show notes';
+    
+    // Rendered when first opened, most notes are never expanded
+    const content = document.createElement('div');
+    content.className = 'markdown mt-2 text-gray-700 dark:text-gray-300';
+    
+    notes.addEventListener('toggle', () => {
+      if (notes.open && !content.innerHTML) {
+        content.innerHTML = markdown.render(post.notes);
+      }
+      
+      summary.classList.toggle('truncate', !notes.open);
+      this.updateMasonryLayout();
+    });
+    
+    notes.appendChild(summary);
+    notes.appendChild(content);
+    
+    return notes;
+  }
+
+  /**
+   * Render the tags of a post card
+   * @param {HTMLElement} container - Tags container of the card
+   * @param {Object} post - Post
+   */
+  renderPostTags(container, post) {
+    container.innerHTML = '';
+    
+    (post.tags || []).forEach(tag => {
+      const tagElement = document.createElement('span');
+      tagElement.className = 'inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200';
+      tagElement.innerHTML = '<span class="tag-label"></span>';
+      tagElement.querySelector('.tag-label').textContent = tag;
+      
+      // Tag color, icon and description
+      if (window.tagManager) {
+        window.tagManager.styleTagElement(tagElement, tag);
+      }
+      
+      container.appendChild(tagElement);
+    });
+    
+    const editTagsButton = document.createElement('button');
+    editTagsButton.className = 'text-xs text-gray-500 hover:text-gray-700 dark:hover:text-gray-300';
+    editTagsButton.textContent = post.tags && post.tags.length ? 'Edit tags' : '+ Add tags';
+    editTagsButton.addEventListener('click', () => this.editPostTags(container, post));
+    
+    container.appendChild(editTagsButton);
+  }
+
+  /**
+   * Replace the tags of a post card with a tag editor
+   * Enter on an empty input saves, Escape cancels
+   * @param {HTMLElement} container - Tags container of the card
+   * @param {Object} post - Post
+   */
+  editPostTags(container, post) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `postTags-${post.id}`;
+    input.placeholder = 'Add tags';
+    input.setAttribute('aria-label', 'Tags');
+    
+    const editor = document.createElement('div');
+    editor.className = 'w-full';
+    editor.appendChild(input);
+    
+    container.innerHTML = '';
+    container.appendChild(editor);
+    
+    let isSaving = false;
+    
+    const close = () => {
+      this.renderPostTags(container, post);
+      this.updateMasonryLayout();
+    };
+    
+    const save = async () => {
+      if (isSaving) return;
+      
+      const tags = tagInput.getTags();
+      
+      if (syncMerger.isEqual(tags, post.tags || [])) {
+        close();
+        return;
+      }
+      
+      isSaving = true;
+      
+      try {
+        const updatedPost = await undoManager.updatePost({ ...post, tags }, { message: 'Tags updated', label: 'Edit tags' });
+        Object.assign(post, updatedPost);
+        
+        // Tag counts changed
+        if (window.tagManager) {
+          await window.tagManager.loadAllTags();
+        }
+        
+        close();
+      } catch (error) {
+        console.error('Error updating post tags:', error);
+        toast.error('Failed to update tags');
+        isSaving = false;
+      }
+    };
+    
+    const tagInput = new TagInput(input, { onSubmit: save, onCancel: close });
+    tagInput.setTags(post.tags || []);
+    
+    // Buttons for mouse users
+    const actions = document.createElement('div');
+    actions.className = 'flex justify-end space-x-2 mt-2';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', close);
+    
+    const saveButton = document.createElement('button');
+    saveButton.type = 'button';
+    saveButton.className = 'px-2 py-1 text-xs bg-primary hover:bg-blue-600 text-white rounded-lg';
+    saveButton.textContent = 'Save';
+    saveButton.addEventListener('click', save);
+    
+    actions.appendChild(cancelButton);
+    actions.appendChild(saveButton);
+    editor.appendChild(actions);
+    
+    this.updateMasonryLayout();
+    input.focus();
+  }
+
+  /**
+   * Confirm moving a post to the trash
    * @param {Object} post - Post to delete
    */
   confirmDeletePost(post) {
-    if (confirm(`Are you sure you want to delete this ${post.platform} post?`)) {
+    if (confirm(`Move this ${post.platform} post to the trash?`)) {
       this.deletePost(post);
     }
   }
 
   /**
-   * Delete a post
+   * Move a post to the trash
    * @param {Object} post - Post to delete
    */
   async deletePost(post) {
     try {
-      // Delete post from database
-      await db.deletePost(post.id);
+      // Move the post to the trash, the toast offers to undo it
+      await undoManager.deletePost(post);
       
       // Remove post element
       const postElement = document.querySelector(`.post-item[data-id="${post.id}"]`);
@@ -328,8 +785,6 @@ class PostManager {
           }
         }, 300);
       }
-      
-      toast.success('Post deleted successfully');
     } catch (error) {
       console.error('Error deleting post:', error);
       toast.error('Failed to delete post');
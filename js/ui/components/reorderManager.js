@@ -0,0 +1,293 @@
+/**
+ * Reorder Manager module for Boardie application
+ * Handles manual ordering of posts by drag and drop, touch and keyboard
+ */
+class ReorderManager {
+  constructor() {
+    // Drag state
+    this.draggedElement = null;
+    this.dropTarget = null;
+    this.dropBefore = false;
+  }
+
+  /**
+   * Attach reorder handlers to a post element
+   * @param {HTMLElement} postElement - Post element
+   * @param {Object} post - Post object
+   */
+  attach(postElement, post) {
+    postElement.dataset.position = db.getPostPosition(post);
+    
+    // Create drag handle
+    const handle = document.createElement('button');
+    handle.type = 'button';
+    handle.className = 'drag-handle text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 cursor-grab';
+    handle.setAttribute('aria-label', 'Reorder post (use arrow keys to move)');
+    handle.title = 'Drag to reorder';
+    handle.innerHTML = '<svg class="w-5 h-5" fill="currentColor" viewBox="0 0 20 20"><path d="M7 4a1.5 1.5 0 110-3 1.5 1.5 0 010 3zm6 0a1.5 1.5 0 110-3 1.5 1.5 0 010 3zM7 11.5a1.5 1.5 0 110-3 1.5 1.5 0 010 3zm6 0a1.5 1.5 0 110-3 1.5 1.5 0 010 3zM7 19a1.5 1.5 0 110-3 1.5 1.5 0 010 3zm6 0a1.5 1.5 0 110-3 1.5 1.5 0 010 3z" /></svg>';
+    
+    // Add handle to the post actions
+    const actions = postElement.querySelector('.post-actions');
+    if (actions) {
+      actions.insertBefore(handle, actions.firstChild);
+    }
+    
+    // Mouse drag: only start dragging from the handle so embeds stay interactive
+    handle.addEventListener('mousedown', () => {
+      postElement.draggable = true;
+    });
+    
+    // A click on the handle without a drag would otherwise leave the whole post draggable
+    handle.addEventListener('mouseup', () => {
+      postElement.draggable = false;
+    });
+    
+    postElement.addEventListener('dragstart', (e) => {
+      if (!postElement.draggable) return;
+      
+      this.draggedElement = postElement;
+      postElement.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', post.id);
+    });
+    
+    postElement.addEventListener('dragover', (e) => {
+      if (!this.draggedElement || this.draggedElement === postElement) return;
+      
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      this.setDropTarget(postElement, e.clientX);
+    });
+    
+    postElement.addEventListener('drop', (e) => {
+      if (!this.draggedElement) return;
+      
+      e.preventDefault();
+      this.finishDrag(true);
+    });
+    
+    postElement.addEventListener('dragend', () => {
+      postElement.draggable = false;
+      this.finishDrag(false);
+    });
+    
+    // Touch drag
+    handle.addEventListener('touchstart', (e) => {
+      this.draggedElement = postElement;
+      postElement.classList.add('dragging');
+      e.preventDefault();
+    }, { passive: false });
+    
+    handle.addEventListener('touchmove', (e) => {
+      if (!this.draggedElement) return;
+      
+      e.preventDefault();
+      
+      const touch = e.touches[0];
+      const target = document.elementFromPoint(touch.clientX, touch.clientY);
+      const targetPost = target ? target.closest('.post-item') : null;
+      
+      if (targetPost && targetPost !== postElement && targetPost.parentNode === postElement.parentNode) {
+        this.setDropTarget(targetPost, touch.clientX);
+      }
+    }, { passive: false });
+    
+    handle.addEventListener('touchend', () => {
+      this.finishDrag(true);
+    });
+    
+    handle.addEventListener('touchcancel', () => {
+      this.finishDrag(false);
+    });
+    
+    // Keyboard reordering
+    handle.addEventListener('keydown', (e) => {
+      let moved = false;
+      
+      if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+        const previous = this.getSiblingPost(postElement, -1);
+        if (previous) {
+          previous.before(postElement);
+          moved = true;
+        }
+      } else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+        const next = this.getSiblingPost(postElement, 1);
+        if (next) {
+          next.after(postElement);
+          moved = true;
+        }
+      } else {
+        return;
+      }
+      
+      e.preventDefault();
+      
+      if (moved) {
+        handle.focus();
+        this.savePosition(postElement);
+      }
+    });
+  }
+
+  /**
+   * Mark a post element as the current drop target
+   * @param {HTMLElement} target - Post element under the pointer
+   * @param {number} clientX - Pointer x coordinate
+   */
+  setDropTarget(target, clientX) {
+    if (this.dropTarget && this.dropTarget !== target) {
+      this.dropTarget.classList.remove('drop-target');
+    }
+    
+    // Posts flow left to right, so the horizontal half decides the side
+    const rect = target.getBoundingClientRect();
+    this.dropBefore = clientX < rect.left + rect.width / 2;
+    this.dropTarget = target;
+    target.classList.add('drop-target');
+  }
+
+  /**
+   * Finish a drag operation
+   * @param {boolean} commit - Whether to move the dragged post to the drop target
+   */
+  finishDrag(commit) {
+    const element = this.draggedElement;
+    const target = this.dropTarget;
+    
+    if (element) {
+      element.classList.remove('dragging');
+      element.draggable = false;
+    }
+    
+    if (target) {
+      target.classList.remove('drop-target');
+    }
+    
+    this.draggedElement = null;
+    this.dropTarget = null;
+    
+    if (!commit || !element || !target || element === target) return;
+    
+    if (this.dropBefore) {
+      target.before(element);
+    } else {
+      target.after(element);
+    }
+    
+    this.savePosition(element);
+  }
+
+  /**
+   * Get the neighbouring post element
+   * @param {HTMLElement} postElement - Post element
+   * @param {number} direction - -1 for previous, 1 for next
+   * @returns {HTMLElement|null} Sibling post element
+   */
+  getSiblingPost(postElement, direction) {
+    let sibling = direction < 0 ? postElement.previousElementSibling : postElement.nextElementSibling;
+    
+    while (sibling && !sibling.classList.contains('post-item')) {
+      sibling = direction < 0 ? sibling.previousElementSibling : sibling.nextElementSibling;
+    }
+    
+    return sibling;
+  }
+
+  /**
+   * Calculate a position that places a post between its new neighbours
+   * @param {HTMLElement} postElement - Post element in its new DOM position
+   * @returns {number} New position
+   */
+  calculatePosition(postElement) {
+    const previous = this.getSiblingPost(postElement, -1);
+    const next = this.getSiblingPost(postElement, 1);
+    const previousPosition = previous ? Number(previous.dataset.position) : null;
+    const nextPosition = next ? Number(next.dataset.position) : null;
+    
+    if (previousPosition !== null && nextPosition !== null) {
+      return (previousPosition + nextPosition) / 2;
+    } else if (nextPosition !== null) {
+      return nextPosition - 1;
+    } else if (previousPosition !== null) {
+      return previousPosition + 1;
+    }
+    
+    return Number(postElement.dataset.position) || 0;
+  }
+
+  /**
+   * Check whether the positions of a post's new neighbours are too close to place it between them
+   * @param {HTMLElement} postElement - Post element in its new DOM position
+   * @returns {boolean} True if the positions need renumbering first
+   */
+  needsRenumbering(postElement) {
+    const previous = this.getSiblingPost(postElement, -1);
+    const next = this.getSiblingPost(postElement, 1);
+    
+    if (!previous || !next) return false;
+    
+    const low = Math.min(Number(previous.dataset.position), Number(next.dataset.position));
+    const high = Math.max(Number(previous.dataset.position), Number(next.dataset.position));
+    const middle = (low + high) / 2;
+    
+    // Large positions run out of precision before the gap gets small
+    return high - low < CONFIG.ui.minPositionGap || middle <= low || middle >= high;
+  }
+
+  /**
+   * Spread out the positions of all posts and show the new positions on the rendered posts
+   * @returns {Promise} Resolves when the positions are stored
+   */
+  async renumberPositions() {
+    const positions = await db.renumberPositions();
+    
+    postManager.getRenderedPostElements().forEach(element => {
+      if (positions.has(element.dataset.id)) {
+        element.dataset.position = positions.get(element.dataset.id);
+      }
+    });
+  }
+
+  /**
+   * Persist the position of a moved post
+   * @param {HTMLElement} postElement - Moved post element
+   */
+  async savePosition(postElement) {
+    // Update masonry layout
+    postManager.updateMasonryLayout();
+    
+    try {
+      // Inside a board the move changes the board's own order
+      if (postManager.currentSort.by === 'board' && boardManager.activeBoard) {
+        const previous = this.getSiblingPost(postElement, -1);
+        const next = this.getSiblingPost(postElement, 1);
+        const board = await db.moveBoardPost(boardManager.activeBoard.id, postElement.dataset.id, {
+          afterId: previous ? previous.dataset.id : null,
+          beforeId: next ? next.dataset.id : null
+        });
+        
+        boardManager.replaceBoard(board);
+        return;
+      }
+      
+      if (this.needsRenumbering(postElement)) {
+        await this.renumberPositions();
+      }
+      
+      const position = this.calculatePosition(postElement);
+      postElement.dataset.position = position;
+      
+      const post = await db.getPostById(postElement.dataset.id);
+      
+      if (!post) return;
+      
+      await db.updatePost({ ...post, position });
+    } catch (error) {
+      console.error('Error saving post position:', error);
+      toast.error('Failed to save new order');
+    }
+  }
+}
+
+// Create and export a singleton instance
+const reorderManager = new ReorderManager();
@@ -0,0 +1,303 @@
+/**
+ * Revision Manager module for Boardie application
+ * Shows the saved versions of a post with what changed between them, and restores an earlier one
+ */
+class RevisionManager {
+  constructor() {
+    // UI elements
+    this.revisionsPostUrl = document.getElementById('revisionsPostUrl');
+    this.revisionsList = document.getElementById('revisionsList');
+    
+    // State
+    this.post = null;
+    this.revisions = [];
+    
+    // Names of the fields shown in a diff, other fields are shown by their key
+    this.fieldLabels = {
+      url: 'URL',
+      tags: 'Tags',
+      title: 'Title',
+      description: 'Description',
+      notes: 'Notes',
+      platform: 'Platform',
+      position: 'Position',
+      dateAdded: 'Date added',
+      deletedAt: 'Deleted'
+    };
+    
+    // Fields a restore leaves alone, restoring a version never moves the post to the trash
+    this.unrestoredFields = ['deletedAt'];
+    
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    // The post changed here or on another device while its history is shown
+    const refresh = (e) => {
+      if (!modal.isOpen('revisionsModal') || !this.post) return;
+      
+      const ids = e.type === 'sync:posts'
+        ? e.detail.changes.map(change => change.id)
+        : e.detail.ids;
+      
+      if (!ids || ids.includes(this.post.id)) {
+        this.loadRevisions();
+      }
+    };
+    
+    document.addEventListener('posts:change', refresh);
+    document.addEventListener('sync:posts', refresh);
+  }
+
+  /**
+   * Show the revisions modal for a post
+   * @param {Object} post - Post
+   */
+  async showRevisionsModal(post) {
+    this.post = post;
+    
+    if (this.revisionsPostUrl) {
+      this.revisionsPostUrl.textContent = post.url;
+      this.revisionsPostUrl.title = post.url;
+    }
+    
+    await this.loadRevisions();
+    
+    modal.open('revisionsModal', {
+      onClose: () => {
+        this.post = null;
+        this.revisions = [];
+      }
+    });
+  }
+
+  /**
+   * Load the revisions of the shown post and render the list
+   */
+  async loadRevisions() {
+    this.revisions = await db.getRevisions(this.post.id);
+    this.renderRevisions();
+  }
+
+  /**
+   * Render the list of revisions, newest first
+   */
+  renderRevisions() {
+    if (!this.revisionsList) return;
+    
+    this.revisionsList.innerHTML = '';
+    
+    if (this.revisions.length === 0) {
+      this.revisionsList.innerHTML = '<li class="py-2 text-sm text-gray-500 dark:text-gray-400">No versions were recorded for this post yet.</li>';
+    }
+    
+    this.revisions.forEach((revision, index) => {
+      const older = this.revisions[index + 1] || null;
+      this.revisionsList.appendChild(this.createRevisionElement(revision, older, index === 0));
+    });
+  }
+
+  /**
+   * Describe who saved a revision
+   * @param {Object} revision - Revision
+   * @returns {string} Description, e.g. "Edited on Firefox on Windows"
+   */
+  getSourceLabel(revision) {
+    const device = revision.deviceId === db.getDevice().id ? 'this device' : (revision.deviceName || 'another device');
+    
+    switch (revision.source) {
+      case 'sync':
+        return 'Synced from another device';
+      case 'merge':
+        return `Merged with changes from another device on ${device}`;
+      case 'resolve':
+        return `Sync conflict resolved on ${device}`;
+      case 'import':
+        return `Imported from a backup on ${device}`;
+      case 'backfill':
+        return 'Saved before the history was kept';
+      case 'local':
+      default:
+        return `Edited on ${device}`;
+    }
+  }
+
+  /**
+   * Get what changed between two versions of a post
+   * @param {Object|null} older - Older version, or null for the first version
+   * @param {Object} newer - Newer version
+   * @returns {Array<Object>} Changes, with the field and either added and removed items or the values before and after
+   */
+  diffVersions(older, newer) {
+    if (!older) return [];
+    
+    return syncMerger.getChangedFields(older, newer).map(field => {
+      const before = older[field];
+      const after = newer[field];
+      
+      if (Array.isArray(before) || Array.isArray(after)) {
+        return {
+          field,
+          added: (after || []).filter(item => !(before || []).includes(item)),
+          removed: (before || []).filter(item => !(after || []).includes(item))
+        };
+      }
+      
+      return { field, before, after };
+    });
+  }
+
+  /**
+   * Format a field value for a diff
+   * @param {*} value - Field value
+   * @returns {string} Text to show
+   */
+  formatValue(value) {
+    if (value === undefined || value === null || value === '') return '(empty)';
+    
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Create the element showing one changed field
+   * @param {Object} change - Change from diffVersions
+   * @returns {HTMLElement} Diff row
+   */
+  createDiffElement(change) {
+    const row = document.createElement('div');
+    row.className = 'flex flex-wrap items-baseline gap-1 text-xs';
+    
+    const label = document.createElement('span');
+    label.className = 'font-medium text-gray-700 dark:text-gray-300 mr-1';
+    label.textContent = this.fieldLabels[change.field] || change.field;
+    row.appendChild(label);
+    
+    const addPart = (text, className) => {
+      const part = document.createElement('span');
+      part.className = `px-1 rounded whitespace-pre-wrap break-all ${className}`;
+      part.textContent = text;
+      row.appendChild(part);
+    };
+    
+    if (change.added) {
+      change.added.forEach(item => addPart(`+${item}`, 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'));
+      change.removed.forEach(item => addPart(`−${item}`, 'bg-red-100 text-red-800 line-through dark:bg-red-900 dark:text-red-200'));
+      
+      // Same items in a different order
+      if (change.added.length === 0 && change.removed.length === 0) {
+        addPart('reordered', 'text-gray-500 dark:text-gray-400');
+      }
+    } else {
+      addPart(this.formatValue(change.before), 'bg-red-100 text-red-800 line-through dark:bg-red-900 dark:text-red-200');
+      addPart('→', 'text-gray-500 dark:text-gray-400');
+      addPart(this.formatValue(change.after), 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200');
+    }
+    
+    return row;
+  }
+
+  /**
+   * Create the list item for a revision
+   * @param {Object} revision - Revision
+   * @param {Object|null} older - The revision before it, or null for the oldest one
+   * @param {boolean} isLatest - Whether this is the latest revision
+   * @returns {HTMLElement} List item
+   */
+  createRevisionElement(revision, older, isLatest) {
+    const item = document.createElement('li');
+    item.className = 'py-3';
+    
+    const header = document.createElement('div');
+    header.className = 'flex items-center';
+    
+    const details = document.createElement('div');
+    details.className = 'flex-grow min-w-0 text-sm';
+    
+    const title = document.createElement('div');
+    title.className = 'truncate';
+    title.textContent = `${postManager.formatDate(revision.savedAt)} · ${this.getSourceLabel(revision)}`;
+    title.title = new Date(revision.savedAt).toLocaleString();
+    
+    // The timestamp last-writer-wins merges compare
+    const timestamp = document.createElement('div');
+    timestamp.className = 'truncate text-xs text-gray-500 dark:text-gray-400';
+    timestamp.textContent = `updatedAt ${revision.post.updatedAt || '(none)'}${isLatest ? ' · current version' : ''}`;
+    
+    details.appendChild(title);
+    details.appendChild(timestamp);
+    header.appendChild(details);
+    
+    if (!isLatest) {
+      const restoreButton = document.createElement('button');
+      restoreButton.type = 'button';
+      restoreButton.className = 'px-2 py-1 text-xs text-gray-600 dark:text-gray-300 hover:text-primary';
+      restoreButton.textContent = 'Restore';
+      restoreButton.addEventListener('click', () => this.restoreRevision(revision));
+      header.appendChild(restoreButton);
+    }
+    
+    item.appendChild(header);
+    
+    const diff = document.createElement('div');
+    diff.className = 'mt-1 space-y-1';
+    
+    const changes = this.diffVersions(older ? older.post : null, revision.post);
+    
+    if (!older) {
+      diff.innerHTML = '<div class="text-xs text-gray-500 dark:text-gray-400">Oldest recorded version</div>';
+    } else if (changes.length === 0) {
+      diff.innerHTML = '<div class="text-xs text-gray-500 dark:text-gray-400">No changes to the content</div>';
+    }
+    
+    changes.forEach(change => diff.appendChild(this.createDiffElement(change)));
+    item.appendChild(diff);
+    
+    return item;
+  }
+
+  /**
+   * Restore the content of a post to a revision
+   * The restore is saved as a new version and can be undone
+   * @param {Object} revision - Revision to restore
+   */
+  async restoreRevision(revision) {
+    try {
+      const post = await db.getPostById(revision.postId);
+      
+      if (!post) {
+        throw new Error('Post not found');
+      }
+      
+      const fields = syncMerger.getChangedFields(post, revision.post)
+        .filter(field => !this.unrestoredFields.includes(field));
+      
+      if (fields.length === 0) {
+        toast.info('The post already has this content');
+        return;
+      }
+      
+      for (const field of fields) {
+        syncMerger.setField(post, field, revision.post[field]);
+      }
+      
+      const restoredPost = await undoManager.updatePost(post, { message: 'Version restored', label: 'Restore version' });
+      this.post = restoredPost;
+      
+      // Tag counts and the shown posts may have changed
+      if (window.tagManager) {
+        await window.tagManager.loadAllTags();
+      }
+      
+      postManager.resetAndReload();
+    } catch (error) {
+      console.error('Error restoring version:', error);
+      toast.error('Failed to restore version');
+    }
+  }
+}
+
+// Create and export a singleton instance
+const revisionManager = new RevisionManager();
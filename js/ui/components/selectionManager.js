@@ -0,0 +1,443 @@
+/**
+ * Selection Manager module for Boardie application
+ * Lets the user select several posts and tag, move, export or delete them together
+ */
+class SelectionManager {
+  constructor() {
+    // UI elements
+    this.selectModeBtn = document.getElementById('selectModeBtn');
+    this.bulkActionBar = document.getElementById('bulkActionBar');
+    this.selectionCount = document.getElementById('bulkSelectionCount');
+    this.selectAllMatchingBtn = document.getElementById('selectAllMatchingBtn');
+    this.clearSelectionBtn = document.getElementById('clearSelectionBtn');
+    this.exitSelectModeBtn = document.getElementById('exitSelectModeBtn');
+    this.bulkAddTagsBtn = document.getElementById('bulkAddTagsBtn');
+    this.bulkRemoveTagsBtn = document.getElementById('bulkRemoveTagsBtn');
+    this.bulkMoveBtn = document.getElementById('bulkMoveBtn');
+    this.bulkExportBtn = document.getElementById('bulkExportBtn');
+    this.bulkDeleteBtn = document.getElementById('bulkDeleteBtn');
+    
+    // Tag combobox of the bulk tags form
+    const tagsInput = document.getElementById('bulkTagsInput');
+    this.tagInput = tagsInput ? new TagInput(tagsInput) : null;
+    
+    // State
+    this.isActive = false;
+    this.selectedIds = new Set();
+    
+    // Post the last click selected or cleared, where a shift-click range starts
+    this.anchorId = null;
+    
+    // A bulk action is running
+    this.isBusy = false;
+    
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    if (this.selectModeBtn) {
+      this.selectModeBtn.addEventListener('click', () => this.setActive(!this.isActive));
+    }
+    
+    if (this.exitSelectModeBtn) {
+      this.exitSelectModeBtn.addEventListener('click', () => this.setActive(false));
+    }
+    
+    if (this.selectAllMatchingBtn) {
+      this.selectAllMatchingBtn.addEventListener('click', () => this.selectAllMatching());
+    }
+    
+    if (this.clearSelectionBtn) {
+      this.clearSelectionBtn.addEventListener('click', () => this.clear());
+    }
+    
+    if (this.bulkAddTagsBtn) {
+      this.bulkAddTagsBtn.addEventListener('click', () => this.showTagsModal('add'));
+    }
+    
+    if (this.bulkRemoveTagsBtn) {
+      this.bulkRemoveTagsBtn.addEventListener('click', () => this.showTagsModal('remove'));
+    }
+    
+    if (this.bulkMoveBtn) {
+      this.bulkMoveBtn.addEventListener('click', () => this.showMoveModal());
+    }
+    
+    if (this.bulkExportBtn) {
+      this.bulkExportBtn.addEventListener('click', () => this.exportSelection());
+    }
+    
+    if (this.bulkDeleteBtn) {
+      this.bulkDeleteBtn.addEventListener('click', () => this.confirmDeleteSelection());
+    }
+    
+    // Posts purged here or on another device can't be selected anymore
+    const prune = async (e) => {
+      if (this.selectedIds.size === 0) return;
+      
+      const ids = e.type === 'sync:posts'
+        ? e.detail.changes.map(change => change.id)
+        : e.detail.ids;
+      
+      for (const id of (ids || []).filter(id => this.selectedIds.has(id))) {
+        if (!(await db.getPostById(id))) {
+          this.selectedIds.delete(id);
+        }
+      }
+      
+      this.updateBar();
+    };
+    
+    document.addEventListener('posts:change', prune);
+    document.addEventListener('sync:posts', prune);
+  }
+
+  /**
+   * Turn the selection mode on or off
+   * Leaving it clears the selection
+   * @param {boolean} active - Whether posts can be selected
+   */
+  setActive(active) {
+    this.isActive = active;
+    
+    if (!active) {
+      this.selectedIds.clear();
+      this.anchorId = null;
+    }
+    
+    if (postManager.postsContainer) {
+      postManager.postsContainer.classList.toggle('selecting', active);
+    }
+    
+    if (this.selectModeBtn) {
+      this.selectModeBtn.setAttribute('aria-pressed', String(active));
+      this.selectModeBtn.classList.toggle('bg-gray-100', active);
+      this.selectModeBtn.classList.toggle('dark:bg-gray-700', active);
+    }
+    
+    if (this.bulkActionBar) {
+      this.bulkActionBar.classList.toggle('hidden', !active);
+    }
+    
+    this.updateCheckboxes();
+    this.updateBar();
+  }
+
+  /**
+   * Add the selection checkbox to a post element
+   * @param {HTMLElement} postElement - Post element
+   * @param {Object} post - Post object
+   */
+  attach(postElement, post) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'post-select mr-2';
+    checkbox.checked = this.selectedIds.has(post.id);
+    checkbox.setAttribute('aria-label', `Select this ${post.platform} post`);
+    checkbox.title = 'Select (Shift-click to select a range)';
+    postElement.classList.toggle('selected', checkbox.checked);
+    
+    // Shift is only known from the click, the change event follows it
+    let isRange = false;
+    
+    checkbox.addEventListener('click', (e) => {
+      isRange = e.shiftKey;
+    });
+    
+    checkbox.addEventListener('change', () => {
+      if (isRange && this.anchorId && this.anchorId !== post.id) {
+        this.selectRange(this.anchorId, post.id, checkbox.checked);
+      } else {
+        this.setSelected(post.id, checkbox.checked);
+      }
+      
+      this.anchorId = post.id;
+      this.updateCheckboxes();
+      this.updateBar();
+    });
+    
+    // Put the checkbox in front of the platform icon
+    const header = postElement.firstElementChild;
+    const platformInfo = header ? header.firstElementChild : null;
+    
+    if (platformInfo) {
+      platformInfo.insertBefore(checkbox, platformInfo.firstChild);
+    }
+  }
+
+  /**
+   * Select or deselect a post
+   * @param {string} id - The post ID
+   * @param {boolean} selected - Whether the post should be selected
+   */
+  setSelected(id, selected) {
+    if (selected) {
+      this.selectedIds.add(id);
+    } else {
+      this.selectedIds.delete(id);
+    }
+  }
+
+  /**
+   * Select or deselect the posts shown from one post to another, both included
+   * @param {string} fromId - Post where the range starts
+   * @param {string} toId - Post where the range ends
+   * @param {boolean} selected - Whether the posts should be selected
+   */
+  selectRange(fromId, toId, selected) {
+    const ids = postManager.getRenderedPostElements().map(element => element.dataset.id);
+    const fromIndex = ids.indexOf(fromId);
+    const toIndex = ids.indexOf(toId);
+    
+    // The start of the range is no longer shown
+    if (fromIndex < 0) {
+      this.setSelected(toId, selected);
+      return;
+    }
+    
+    ids.slice(Math.min(fromIndex, toIndex), Math.max(fromIndex, toIndex) + 1)
+      .forEach(id => this.setSelected(id, selected));
+  }
+
+  /**
+   * Select every post matching the open board, search and filters, including the pages not loaded yet
+   */
+  async selectAllMatching() {
+    try {
+      const posts = await db.getAllPosts(postManager.getQueryOptions());
+      
+      posts.forEach(post => this.selectedIds.add(post.id));
+      this.updateCheckboxes();
+      this.updateBar();
+    } catch (error) {
+      console.error('Error selecting posts:', error);
+      toast.error('Failed to select posts');
+    }
+  }
+
+  /**
+   * Clear the selection, staying in the selection mode
+   */
+  clear() {
+    this.selectedIds.clear();
+    this.anchorId = null;
+    this.updateCheckboxes();
+    this.updateBar();
+  }
+
+  /**
+   * Sync the checkboxes of the shown posts with the selection
+   */
+  updateCheckboxes() {
+    for (const element of postManager.getRenderedPostElements()) {
+      const isSelected = this.selectedIds.has(element.dataset.id);
+      const checkbox = element.querySelector('.post-select');
+      
+      if (checkbox) {
+        checkbox.checked = isSelected;
+      }
+      
+      element.classList.toggle('selected', isSelected);
+    }
+  }
+
+  /**
+   * Show the number of selected posts and enable the actions if there are any
+   */
+  updateBar() {
+    const count = this.selectedIds.size;
+    
+    if (this.selectionCount) {
+      this.selectionCount.textContent = `${count} selected`;
+    }
+    
+    if (this.bulkActionBar) {
+      this.bulkActionBar.querySelectorAll('.bulk-action').forEach(button => {
+        button.disabled = count === 0 || this.isBusy;
+      });
+    }
+  }
+
+  /**
+   * Describe a number of posts
+   * @param {number} count - Number of posts
+   * @returns {string} e.g. "1 post" or "12 posts"
+   */
+  describeCount(count) {
+    return `${count} ${count === 1 ? 'post' : 'posts'}`;
+  }
+
+  /**
+   * Run a bulk action, keeping the actions disabled until it finishes
+   * @param {Function} action - Async action
+   * @param {string} errorMessage - Toast shown if the action fails
+   */
+  async runAction(action, errorMessage) {
+    if (this.isBusy) return;
+    
+    this.isBusy = true;
+    this.updateBar();
+    
+    try {
+      await action();
+    } catch (error) {
+      console.error('Error running bulk action:', error);
+      toast.error(errorMessage);
+    } finally {
+      this.isBusy = false;
+      this.updateBar();
+    }
+  }
+
+  /**
+   * Show the modal to add tags to or remove tags from the selected posts
+   * @param {string} mode - 'add' or 'remove'
+   */
+  showTagsModal(mode) {
+    const bulkTagsForm = document.getElementById('bulkTagsForm');
+    const modalTitle = document.getElementById('bulkTagsModalTitle');
+    const submitButton = document.getElementById('bulkTagsSubmitBtn');
+    const ids = [...this.selectedIds];
+    const isAdd = mode === 'add';
+    
+    if (!bulkTagsForm || !this.tagInput || ids.length === 0) return;
+    
+    modalTitle.textContent = isAdd
+      ? `Add Tags to ${this.describeCount(ids.length)}`
+      : `Remove Tags from ${this.describeCount(ids.length)}`;
+    submitButton.textContent = isAdd ? 'Add' : 'Remove';
+    this.tagInput.setTags([]);
+    
+    modal.open('bulkTagsModal', {
+      onClose: () => {
+        bulkTagsForm.reset();
+        this.tagInput.setTags([]);
+      }
+    });
+    
+    bulkTagsForm.onsubmit = (e) => {
+      e.preventDefault();
+      
+      const tags = this.tagInput.getTags();
+      
+      if (tags.length === 0) {
+        toast.error('Enter at least one tag');
+        return;
+      }
+      
+      modal.closeTopModal();
+      
+      this.runAction(async () => {
+        const count = await undoManager.retagPosts(ids, isAdd ? { add: tags } : { remove: tags }, {
+          message: isAdd ? `Tags added to ${this.describeCount(ids.length)}` : `Tags removed from ${this.describeCount(ids.length)}`,
+          label: isAdd ? 'Add tags' : 'Remove tags'
+        });
+        
+        if (count === 0) {
+          toast.info(isAdd ? 'The selected posts already have these tags' : 'The selected posts don\'t have these tags');
+        }
+        
+        await undoManager.refresh();
+      }, 'Failed to update tags');
+    };
+  }
+
+  /**
+   * Show the modal to put the selected posts on a board
+   */
+  showMoveModal() {
+    const bulkMoveForm = document.getElementById('bulkMoveForm');
+    const modalTitle = document.getElementById('bulkMoveModalTitle');
+    const boardSelect = document.getElementById('bulkMoveBoardSelect');
+    const removeLabel = document.getElementById('bulkMoveRemoveLabel');
+    const removeInput = document.getElementById('bulkMoveRemoveInput');
+    const removeText = document.getElementById('bulkMoveRemoveText');
+    const ids = [...this.selectedIds];
+    const openBoard = boardManager.activeBoard;
+    
+    if (!bulkMoveForm || ids.length === 0) return;
+    
+    const boards = boardManager.boards.filter(board => !openBoard || board.id !== openBoard.id);
+    
+    if (boards.length === 0) {
+      toast.info('Create a board first');
+      return;
+    }
+    
+    // Fill the board list
+    boardSelect.innerHTML = '';
+    
+    for (const board of boards) {
+      boardSelect.appendChild(new Option(board.title, board.id));
+    }
+    
+    // Inside a board the posts can leave it, which makes it a move
+    modalTitle.textContent = `Move ${this.describeCount(ids.length)} to Board`;
+    removeLabel.classList.toggle('hidden', !openBoard);
+    removeInput.checked = !!openBoard;
+    
+    if (openBoard) {
+      removeText.textContent = `Take them off ${openBoard.title}`;
+    }
+    
+    modal.open('bulkMoveModal', {
+      onClose: () => bulkMoveForm.reset()
+    });
+    
+    bulkMoveForm.onsubmit = (e) => {
+      e.preventDefault();
+      
+      const board = boards.find(b => b.id === boardSelect.value);
+      const fromBoardId = openBoard && removeInput.checked ? openBoard.id : null;
+      
+      if (!board) return;
+      
+      modal.closeTopModal();
+      
+      this.runAction(async () => {
+        await undoManager.movePostsToBoard(ids, board, fromBoardId);
+        
+        // Posts taken off the open board leave the selection with it
+        if (fromBoardId) {
+          this.clear();
+        }
+        
+        await undoManager.refresh();
+      }, 'Failed to move posts');
+    };
+  }
+
+  /**
+   * Download the selected posts as a backup file
+   */
+  exportSelection() {
+    this.runAction(async () => {
+      const backup = await db.exportPosts([...this.selectedIds]);
+      const date = backup.exportedAt.slice(0, 10);
+      
+      libraryManager.downloadJSON(backup, `boardie-selection-${date}.json`);
+      toast.success(`Exported ${this.describeCount(backup.posts.length)}`);
+    }, 'Failed to export posts');
+  }
+
+  /**
+   * Confirm moving the selected posts to the trash
+   */
+  confirmDeleteSelection() {
+    const ids = [...this.selectedIds];
+    
+    if (ids.length === 0 || !confirm(`Move ${this.describeCount(ids.length)} to the trash?`)) return;
+    
+    this.runAction(async () => {
+      await undoManager.deletePosts(ids);
+      this.clear();
+      await undoManager.refresh();
+    }, 'Failed to delete posts');
+  }
+}
+
+// Create and export a singleton instance
+const selectionManager = new SelectionManager();
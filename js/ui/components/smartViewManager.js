@@ -0,0 +1,257 @@
+/**
+ * Smart View Manager module for Boardie application
+ * Lists saved searches in the sidebar with live post counts, and saves and applies them
+ */
+class SmartViewManager {
+  constructor() {
+    // UI elements
+    this.smartViewsList = document.getElementById('smartViewsList');
+    this.smartViewsEmpty = document.getElementById('smartViewsEmpty');
+    this.saveSmartViewBtn = document.getElementById('saveSmartViewBtn');
+    
+    // State
+    this.views = [];
+    this.countsTimer = null;
+    
+    this.setupEventListeners();
+    this.loadViews();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    if (this.saveSmartViewBtn) {
+      this.saveSmartViewBtn.addEventListener('click', () => this.showSmartViewModal());
+    }
+    
+    // Smart views changed by a sync or on another device
+    document.addEventListener('sync:smartViews', () => {
+      this.loadViews();
+    });
+    
+    // Keep the counts in step with the library
+    document.addEventListener('posts:change', () => this.scheduleCountsRefresh());
+    document.addEventListener('sync:posts', () => this.scheduleCountsRefresh());
+  }
+
+  /**
+   * Load smart views from the database and render the list
+   */
+  async loadViews() {
+    this.views = await db.getAllSmartViews();
+    this.renderViews();
+    this.refreshCounts().catch(error => console.error('Error counting smart view posts:', error));
+  }
+
+  /**
+   * Render the list of smart views
+   */
+  renderViews() {
+    if (!this.smartViewsList) return;
+    
+    this.smartViewsList.innerHTML = '';
+    
+    if (this.smartViewsEmpty) {
+      this.smartViewsEmpty.classList.toggle('hidden', this.views.length > 0);
+    }
+    
+    for (const view of this.views) {
+      this.smartViewsList.appendChild(this.createViewElement(view));
+    }
+  }
+
+  /**
+   * Create the list item for a smart view
+   * @param {Object} view - Smart view
+   * @returns {HTMLElement} List item
+   */
+  createViewElement(view) {
+    const item = document.createElement('li');
+    item.className = 'smart-view group flex items-center rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800';
+    item.dataset.id = view.id;
+    
+    const button = document.createElement('button');
+    button.className = 'flex-grow flex items-center justify-between min-w-0 px-2 py-1 text-sm text-left text-gray-700 dark:text-gray-300';
+    button.title = this.describeView(view);
+    
+    const title = document.createElement('span');
+    title.className = 'truncate';
+    title.textContent = view.title;
+    
+    const count = document.createElement('span');
+    count.className = 'smart-view-count ml-2 text-xs text-gray-500 dark:text-gray-400';
+    
+    button.appendChild(title);
+    button.appendChild(count);
+    button.addEventListener('click', () => this.applyView(view));
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'invisible group-hover:visible px-1 text-gray-400 hover:text-red-600';
+    deleteButton.setAttribute('aria-label', `Delete smart view ${view.title}`);
+    deleteButton.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" class="h-3 w-3" viewBox="0 0 20 20" fill="currentColor">
+        <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd" />
+      </svg>
+    `;
+    deleteButton.addEventListener('click', () => this.confirmDeleteView(view));
+    
+    item.appendChild(button);
+    item.appendChild(deleteButton);
+    
+    return item;
+  }
+
+  /**
+   * Describe what a smart view filters on
+   * @param {Object} view - Smart view
+   * @returns {string} Description
+   */
+  describeView(view) {
+    const parts = [];
+    
+    if (view.searchTerm) {
+      parts.push(`Search: ${view.searchTerm}`);
+    }
+    
+    if (view.filterTags.length > 0) {
+      parts.push(`Tags: ${view.filterTags.join(', ')}`);
+    }
+    
+    if (view.platform && CONFIG.platforms[view.platform]) {
+      parts.push(`Platform: ${CONFIG.platforms[view.platform].name}`);
+    }
+    
+    const sortOption = postManager.sortSelect ? postManager.sortSelect.querySelector(`option[value="${view.sort}"]`) : null;
+    
+    if (sortOption) {
+      parts.push(`Sort: ${sortOption.textContent}`);
+    }
+    
+    return parts.length > 0 ? parts.join('\n') : 'All posts';
+  }
+
+  /**
+   * Refresh the counts shortly, so a burst of changes only counts once
+   */
+  scheduleCountsRefresh() {
+    clearTimeout(this.countsTimer);
+    this.countsTimer = setTimeout(() => {
+      this.refreshCounts().catch(error => console.error('Error counting smart view posts:', error));
+    }, CONFIG.ui.debounceDelay || 300);
+  }
+
+  /**
+   * Count the posts matching each smart view, all in one pass over the library
+   * @returns {Promise} Resolves when the counts are shown
+   */
+  async refreshCounts() {
+    const views = this.views;
+    
+    if (views.length === 0) return;
+    
+    const counts = await db.countPosts(views.map(view => ({
+      searchTerm: view.searchTerm || null,
+      filterTags: view.filterTags.length > 0 ? view.filterTags : null,
+      platform: view.platform || null
+    })));
+    
+    views.forEach((view, index) => {
+      const element = this.smartViewsList && this.smartViewsList.querySelector(`[data-id="${view.id}"] .smart-view-count`);
+      
+      if (element) {
+        element.textContent = counts[index];
+      }
+    });
+  }
+
+  /**
+   * Show the posts of a smart view
+   * @param {Object} view - Smart view
+   */
+  applyView(view) {
+    if (window.tagManager) {
+      window.tagManager.setFilters(view.filterTags, false);
+    }
+    
+    postManager.applySmartView(view);
+  }
+
+  /**
+   * Show the modal for saving the current search as a smart view
+   */
+  showSmartViewModal() {
+    const smartViewForm = document.getElementById('smartViewForm');
+    const titleInput = document.getElementById('smartViewTitleInput');
+    const summary = document.getElementById('smartViewSummary');
+    
+    if (!smartViewForm) {
+      console.error('Smart view modal elements not found');
+      return;
+    }
+    
+    const state = postManager.getSmartViewState();
+    summary.textContent = this.describeView(state);
+    
+    // Show modal
+    modal.open('smartViewModal', {
+      onClose: () => {
+        smartViewForm.reset();
+      }
+    });
+    
+    // Set up form submission
+    smartViewForm.onsubmit = async (e) => {
+      e.preventDefault();
+      
+      const title = titleInput.value.trim();
+      
+      if (!title) {
+        toast.error('Please enter a name');
+        return;
+      }
+      
+      // Saving under an existing name updates that view
+      const existingView = this.views.find(view => view.title.toLowerCase() === title.toLowerCase());
+      
+      if (existingView && !confirm(`Replace the smart view "${existingView.title}"?`)) return;
+      
+      try {
+        if (existingView) {
+          await db.updateSmartView({ id: existingView.id, title, ...state });
+        } else {
+          await db.addSmartView({ title, ...state });
+        }
+        
+        modal.closeTopModal();
+        toast.success(existingView ? 'Smart view updated' : 'Smart view saved');
+        
+        await this.loadViews();
+      } catch (error) {
+        console.error('Error saving smart view:', error);
+        toast.error('Failed to save smart view');
+      }
+    };
+  }
+
+  /**
+   * Confirm and delete a smart view
+   * @param {Object} view - Smart view to delete
+   */
+  async confirmDeleteView(view) {
+    if (!confirm(`Delete the smart view "${view.title}"?`)) return;
+    
+    try {
+      await db.deleteSmartView(view.id);
+      toast.success('Smart view deleted');
+      
+      await this.loadViews();
+    } catch (error) {
+      console.error('Error deleting smart view:', error);
+      toast.error('Failed to delete smart view');
+    }
+  }
+}
+
+// Create and export a singleton instance
+const smartViewManager = new SmartViewManager();
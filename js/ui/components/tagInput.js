@@ -0,0 +1,445 @@
+/**
+ * Tag Input module for Boardie application
+ * Turns a text input into a tag combobox with chips, ranked suggestions and typo warnings
+ */
+class TagInput {
+  /**
+   * @param {HTMLInputElement} input - Text input to enhance
+   * @param {Object} options - Input options
+   * @param {Function} options.onSubmit - Called when Enter is pressed with nothing left to commit
+   * @param {Function} options.onCancel - Called when Escape is pressed with no suggestions open
+   */
+  constructor(input, options = {}) {
+    this.input = input;
+    this.onSubmit = options.onSubmit || null;
+    this.onCancel = options.onCancel || null;
+    
+    // State
+    this.tags = [];
+    this.allTags = [];
+    this.suggestions = [];
+    this.activeIndex = -1;
+    this.listId = `${input.id || 'tagInput' + Date.now()}Suggestions`;
+    
+    this.render();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Wrap the input with the chip list, suggestion list and typo warning
+   */
+  render() {
+    this.container = document.createElement('div');
+    this.container.className = 'tag-input relative';
+    
+    this.field = document.createElement('div');
+    this.field.className = 'flex flex-wrap items-center gap-1 w-full px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 focus-within:ring-2 focus-within:ring-primary cursor-text';
+    
+    this.chips = document.createElement('div');
+    this.chips.className = 'contents';
+    
+    this.suggestionList = document.createElement('ul');
+    this.suggestionList.id = this.listId;
+    this.suggestionList.className = 'hidden absolute z-10 left-0 right-0 mt-1 max-h-48 overflow-y-auto rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 shadow-lg py-1';
+    this.suggestionList.setAttribute('role', 'listbox');
+    
+    this.warning = document.createElement('div');
+    this.warning.className = 'hidden mt-1 text-xs text-amber-700 dark:text-amber-400';
+    this.warning.setAttribute('role', 'status');
+    
+    this.input.parentNode.insertBefore(this.container, this.input);
+    this.field.appendChild(this.chips);
+    this.field.appendChild(this.input);
+    this.container.appendChild(this.field);
+    this.container.appendChild(this.suggestionList);
+    this.container.appendChild(this.warning);
+    
+    // The field draws the border, the input only takes the text
+    this.input.className = 'flex-grow min-w-[6rem] py-1 bg-transparent focus:outline-none';
+    this.input.setAttribute('role', 'combobox');
+    this.input.setAttribute('aria-autocomplete', 'list');
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.setAttribute('aria-controls', this.listId);
+    this.input.autocomplete = 'off';
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.field.addEventListener('click', () => this.input.focus());
+    
+    this.input.addEventListener('focus', async () => {
+      await this.loadTags();
+      this.updateSuggestions();
+    });
+    
+    this.input.addEventListener('input', () => {
+      // Pasted text may hold several tags
+      if (this.input.value.includes(',')) {
+        const parts = this.input.value.split(',');
+        
+        this.input.value = parts.pop();
+        parts.forEach(part => this.addTag(part));
+      }
+      
+      this.updateSuggestions();
+    });
+    
+    this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+    
+    // Whatever is left in the input becomes a tag when leaving the field
+    this.input.addEventListener('blur', () => {
+      this.commitInput();
+      this.closeSuggestions();
+    });
+  }
+
+  /**
+   * Handle keyboard selection and committing
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    const isOpen = this.suggestions.length > 0 && !this.suggestionList.classList.contains('hidden');
+    
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        e.preventDefault();
+        
+        if (!isOpen) {
+          this.updateSuggestions();
+        } else {
+          this.moveActive(e.key === 'ArrowDown' ? 1 : -1);
+        }
+        break;
+      
+      case 'Enter':
+        if (isOpen && this.activeIndex >= 0) {
+          e.preventDefault();
+          this.selectSuggestion(this.activeIndex);
+        } else if (this.input.value.trim()) {
+          e.preventDefault();
+          this.commitInput();
+        } else if (this.onSubmit) {
+          e.preventDefault();
+          this.onSubmit(this.getTags());
+        }
+        break;
+      
+      case 'Tab':
+        if (isOpen && this.activeIndex >= 0) {
+          e.preventDefault();
+          this.selectSuggestion(this.activeIndex);
+        }
+        break;
+      
+      case ',':
+        e.preventDefault();
+        this.commitInput();
+        break;
+      
+      case 'Backspace':
+        if (!this.input.value && this.tags.length > 0) {
+          e.preventDefault();
+          this.removeTag(this.tags[this.tags.length - 1]);
+        }
+        break;
+      
+      case 'Escape':
+        // Close the suggestions before the modal
+        if (isOpen) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.closeSuggestions();
+        } else if (this.onCancel) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.onCancel();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Load the existing tags to suggest
+   */
+  async loadTags() {
+    try {
+      this.allTags = await db.getAllTags();
+    } catch (error) {
+      console.error('Error loading tag suggestions:', error);
+      this.allTags = [];
+    }
+  }
+
+  /**
+   * Replace the chosen tags
+   * @param {Array<string>} tags - Tags
+   */
+  setTags(tags) {
+    this.tags = [...new Set(tags || [])];
+    this.input.value = '';
+    
+    this.hideWarning();
+    this.closeSuggestions();
+    this.renderChips();
+  }
+
+  /**
+   * Get the chosen tags, including any text not yet committed
+   * @returns {Array<string>} Tags
+   */
+  getTags() {
+    return [...new Set([...this.tags, ...tagManager.parseTags(this.input.value)])];
+  }
+
+  /**
+   * Turn the text in the input into tags
+   */
+  commitInput() {
+    const text = this.input.value;
+    
+    this.input.value = '';
+    text.split(',').forEach(part => this.addTag(part));
+    this.updateSuggestions();
+  }
+
+  /**
+   * Add a tag, warning when it looks like a misspelling of an existing tag
+   * @param {string} tag - Tag to add
+   */
+  addTag(tag) {
+    const name = tagPath.normalize(tag);
+    
+    if (!name || this.tags.includes(name)) return;
+    
+    this.tags.push(name);
+    this.renderChips();
+    
+    const similar = tagMatcher.findSimilar(name, this.allTags);
+    
+    if (similar && !this.tags.includes(similar.name)) {
+      this.showWarning(name, similar.name);
+    } else {
+      this.hideWarning();
+    }
+  }
+
+  /**
+   * Remove a tag
+   * @param {string} tag - Tag to remove
+   */
+  removeTag(tag) {
+    this.tags = this.tags.filter(t => t !== tag);
+    
+    if (this.warning.dataset.tag === tag) {
+      this.hideWarning();
+    }
+    
+    this.renderChips();
+    this.updateSuggestions();
+  }
+
+  /**
+   * Swap a tag for another in place
+   * @param {string} tag - Tag to replace
+   * @param {string} replacement - Tag to use instead
+   */
+  replaceTag(tag, replacement) {
+    const index = this.tags.indexOf(tag);
+    
+    if (index < 0) return;
+    
+    if (this.tags.includes(replacement)) {
+      this.tags.splice(index, 1);
+    } else {
+      this.tags.splice(index, 1, replacement);
+    }
+    
+    this.hideWarning();
+    this.renderChips();
+  }
+
+  /**
+   * Render the chosen tags as chips
+   */
+  renderChips() {
+    this.chips.innerHTML = '';
+    
+    for (const tag of this.tags) {
+      const chip = document.createElement('span');
+      chip.className = 'inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200';
+      chip.innerHTML = `
+        <span class="tag-label"></span>
+        <button type="button" class="ml-1 focus:outline-none">
+          <svg xmlns="http://www.w3.org/2000/svg" class="h-3 w-3" viewBox="0 0 20 20" fill="currentColor">
+            <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd" />
+          </svg>
+        </button>
+      `;
+      chip.querySelector('.tag-label').textContent = tag;
+      chip.querySelector('button').setAttribute('aria-label', `Remove tag ${tag}`);
+      
+      // Tag color and icon
+      if (window.tagManager) {
+        window.tagManager.styleTagElement(chip, tag);
+      }
+      
+      chip.querySelector('button').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.removeTag(tag);
+        this.input.focus();
+      });
+      
+      this.chips.appendChild(chip);
+    }
+  }
+
+  /**
+   * Rank the existing tags against the text in the input and show them
+   */
+  updateSuggestions() {
+    if (document.activeElement !== this.input) return;
+    
+    this.suggestions = tagMatcher.rank(this.input.value, this.allTags, {
+      exclude: this.tags,
+      limit: CONFIG.ui.tagSuggestionLimit || 8
+    });
+    
+    // Highlight the best match while typing, nothing when just browsing
+    this.activeIndex = this.input.value.trim() && this.suggestions.length > 0 ? 0 : -1;
+    this.renderSuggestions();
+  }
+
+  /**
+   * Render the suggestion list
+   */
+  renderSuggestions() {
+    this.suggestionList.innerHTML = '';
+    
+    this.suggestions.forEach((tag, index) => {
+      const option = document.createElement('li');
+      option.id = `${this.listId}-${index}`;
+      option.className = 'flex items-center justify-between px-3 py-1 text-sm cursor-pointer text-gray-700 dark:text-gray-300';
+      option.setAttribute('role', 'option');
+      
+      const label = document.createElement('span');
+      label.className = 'truncate';
+      label.textContent = window.tagManager ? window.tagManager.getTagLabel(tag.name) : tag.name;
+      
+      const count = document.createElement('span');
+      count.className = 'ml-2 text-xs text-gray-500 dark:text-gray-400';
+      count.textContent = tag.count;
+      
+      option.appendChild(label);
+      option.appendChild(count);
+      
+      // Keep focus in the input while picking
+      option.addEventListener('mousedown', (e) => e.preventDefault());
+      option.addEventListener('click', () => this.selectSuggestion(index));
+      
+      this.suggestionList.appendChild(option);
+    });
+    
+    const isOpen = this.suggestions.length > 0;
+    
+    this.suggestionList.classList.toggle('hidden', !isOpen);
+    this.input.setAttribute('aria-expanded', String(isOpen));
+    this.highlightActive();
+  }
+
+  /**
+   * Move the highlighted suggestion
+   * @param {number} delta - 1 for the next suggestion, -1 for the previous one
+   */
+  moveActive(delta) {
+    const count = this.suggestions.length;
+    
+    this.activeIndex = this.activeIndex < 0 && delta < 0
+      ? count - 1
+      : (this.activeIndex + delta + count) % count;
+    this.highlightActive();
+  }
+
+  /**
+   * Highlight the active suggestion
+   */
+  highlightActive() {
+    [...this.suggestionList.children].forEach((option, index) => {
+      const isActive = index === this.activeIndex;
+      
+      option.classList.toggle('bg-gray-100', isActive);
+      option.classList.toggle('dark:bg-gray-700', isActive);
+      option.setAttribute('aria-selected', String(isActive));
+      
+      if (isActive) {
+        option.scrollIntoView({ block: 'nearest' });
+      }
+    });
+    
+    if (this.activeIndex >= 0) {
+      this.input.setAttribute('aria-activedescendant', `${this.listId}-${this.activeIndex}`);
+    } else {
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Add a suggested tag
+   * @param {number} index - Index of the suggestion
+   */
+  selectSuggestion(index) {
+    const tag = this.suggestions[index];
+    
+    if (!tag) return;
+    
+    this.input.value = '';
+    this.addTag(tag.name);
+    this.updateSuggestions();
+  }
+
+  /**
+   * Close the suggestion list
+   */
+  closeSuggestions() {
+    this.suggestions = [];
+    this.activeIndex = -1;
+    this.renderSuggestions();
+  }
+
+  /**
+   * Warn that a new tag looks like an existing one
+   * @param {string} tag - New tag
+   * @param {string} existingTag - Existing tag it is close to
+   */
+  showWarning(tag, existingTag) {
+    this.warning.innerHTML = '';
+    this.warning.dataset.tag = tag;
+    
+    const useButton = document.createElement('button');
+    useButton.type = 'button';
+    useButton.className = 'font-medium underline';
+    useButton.textContent = existingTag;
+    useButton.addEventListener('click', () => this.replaceTag(tag, existingTag));
+    
+    const keepButton = document.createElement('button');
+    keepButton.type = 'button';
+    keepButton.className = 'ml-2 text-gray-500 dark:text-gray-400 hover:underline';
+    keepButton.textContent = `Keep "${tag}"`;
+    keepButton.addEventListener('click', () => this.hideWarning());
+    
+    this.warning.append(`"${tag}" is a new tag. Did you mean `, useButton, '?');
+    this.warning.appendChild(keepButton);
+    this.warning.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the typo warning
+   */
+  hideWarning() {
+    this.warning.classList.add('hidden');
+    this.warning.innerHTML = '';
+    delete this.warning.dataset.tag;
+  }
+}
@@ -0,0 +1,421 @@
+/**
+ * Tag List Manager module for Boardie application
+ * Lists all tags with their counts, renames, merges, deletes and recounts them across every post, and edits their color, icon, description and pinned flag
+ */
+class TagListManager {
+  constructor() {
+    // UI elements
+    this.manageTagsLink = document.getElementById('manageTagsLink');
+    this.tagsList = document.getElementById('tagsList');
+    this.mergeTagsBtn = document.getElementById('mergeTagsBtn');
+    this.recountTagsBtn = document.getElementById('recountTagsBtn');
+    
+    // State
+    this.tags = [];
+    this.selectedTags = new Set();
+    
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    if (this.manageTagsLink) {
+      this.manageTagsLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        libraryManager.toggleMenu(false);
+        this.showTagsModal();
+      });
+    }
+    
+    if (this.mergeTagsBtn) {
+      this.mergeTagsBtn.addEventListener('click', () => this.mergeSelectedTags());
+    }
+    
+    if (this.recountTagsBtn) {
+      this.recountTagsBtn.addEventListener('click', () => this.recountTags());
+    }
+    
+    // Keep the list current while it is open
+    const refreshOpenList = () => {
+      if (modal.isOpen('tagsModal')) {
+        this.loadTags();
+      }
+    };
+    
+    document.addEventListener('sync:posts', refreshOpenList);
+    document.addEventListener('sync:tagMeta', refreshOpenList);
+  }
+
+  /**
+   * Show the tags modal
+   */
+  async showTagsModal() {
+    this.selectedTags.clear();
+    await this.loadTags();
+    modal.open('tagsModal');
+  }
+
+  /**
+   * Load tags from the database and render them as an indented tree
+   * Parent tags are listed even when no post uses them directly, so they can be renamed as a whole
+   */
+  async loadTags() {
+    const flatten = (nodes, depth) => nodes.flatMap(node => [
+      { name: node.path, label: node.name, count: node.total, depth },
+      ...flatten(node.children, depth + 1)
+    ]);
+    
+    this.tags = flatten(tagPath.buildTree(await db.getAllTags()), 0);
+    
+    // Forget selected tags that no longer exist
+    const names = new Set(this.tags.map(tag => tag.name));
+    this.selectedTags = new Set([...this.selectedTags].filter(name => names.has(name)));
+    
+    this.renderTags();
+  }
+
+  /**
+   * Render the list of tags
+   */
+  renderTags() {
+    if (!this.tagsList) return;
+    
+    this.tagsList.innerHTML = '';
+    
+    if (this.tags.length === 0) {
+      this.tagsList.innerHTML = '<li class="py-2 text-sm text-gray-500 dark:text-gray-400">No tags yet.</li>';
+    }
+    
+    for (const tag of this.tags) {
+      this.tagsList.appendChild(this.createTagElement(tag));
+    }
+    
+    this.updateMergeButton();
+  }
+
+  /**
+   * Create the list item for a tag
+   * @param {Object} tag - Tag with name and count
+   * @returns {HTMLElement} List item
+   */
+  createTagElement(tag) {
+    const item = document.createElement('li');
+    item.className = 'flex items-center py-2';
+    
+    const label = document.createElement('label');
+    label.className = 'flex-grow flex items-center min-w-0 text-sm';
+    label.style.paddingLeft = `${tag.depth * 1.25}rem`;
+    label.title = tag.name;
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'mr-2';
+    checkbox.checked = this.selectedTags.has(tag.name);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        this.selectedTags.add(tag.name);
+      } else {
+        this.selectedTags.delete(tag.name);
+      }
+      
+      this.updateMergeButton();
+    });
+    
+    const count = document.createElement('span');
+    count.className = 'ml-2 text-xs text-gray-500 dark:text-gray-400';
+    count.textContent = tag.count;
+    
+    const name = document.createElement('span');
+    name.className = 'truncate px-2 rounded-full text-gray-800 dark:text-gray-200';
+    name.textContent = tag.label;
+    
+    // Show the tag in its color, with its icon and description
+    if (window.tagManager) {
+      const meta = window.tagManager.tagMeta.get(tag.name);
+      
+      window.tagManager.styleTagElement(name, tag.name);
+      
+      if (meta && meta.icon) {
+        name.textContent = `${meta.icon} ${tag.label}`;
+      }
+      
+      if (meta && meta.pinned) {
+        count.textContent += ' · pinned';
+      }
+    }
+    
+    label.appendChild(checkbox);
+    label.appendChild(name);
+    label.appendChild(count);
+    
+    const editButton = document.createElement('button');
+    editButton.type = 'button';
+    editButton.className = 'px-2 py-1 text-xs text-gray-600 dark:text-gray-300 hover:text-primary';
+    editButton.textContent = 'Edit';
+    editButton.addEventListener('click', () => this.showTagMetaModal(tag));
+    
+    const renameButton = document.createElement('button');
+    renameButton.type = 'button';
+    renameButton.className = 'px-2 py-1 text-xs text-gray-600 dark:text-gray-300 hover:text-primary';
+    renameButton.textContent = 'Rename';
+    renameButton.addEventListener('click', () => this.renameTag(tag));
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'px-2 py-1 text-xs text-red-600 hover:text-red-700';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => this.deleteTag(tag));
+    
+    item.appendChild(label);
+    item.appendChild(editButton);
+    item.appendChild(renameButton);
+    item.appendChild(deleteButton);
+    
+    return item;
+  }
+
+  /**
+   * Enable the merge button when at least two tags are selected
+   */
+  updateMergeButton() {
+    if (this.mergeTagsBtn) {
+      this.mergeTagsBtn.disabled = this.selectedTags.size < 2;
+    }
+  }
+
+  /**
+   * Show the modal for editing the color, icon, description and pinned flag of a tag
+   * @param {Object} tag - Tag to edit
+   */
+  showTagMetaModal(tag) {
+    const tagMetaForm = document.getElementById('tagMetaForm');
+    const modalTitle = document.getElementById('tagMetaModalTitle');
+    const colorChoices = document.getElementById('tagColorChoices');
+    const iconInput = document.getElementById('tagIconInput');
+    const descriptionInput = document.getElementById('tagDescriptionInput');
+    const pinnedInput = document.getElementById('tagPinnedInput');
+    
+    if (!tagMetaForm) {
+      console.error('Tag metadata modal elements not found');
+      return;
+    }
+    
+    const meta = (window.tagManager && window.tagManager.tagMeta.get(tag.name)) || {};
+    
+    // Set form values
+    modalTitle.textContent = tag.name;
+    this.renderColorChoices(colorChoices, meta.color || '');
+    iconInput.value = meta.icon || '';
+    descriptionInput.value = meta.description || '';
+    pinnedInput.checked = !!meta.pinned;
+    
+    // Show modal
+    modal.open('tagMetaModal', {
+      onClose: () => {
+        tagMetaForm.reset();
+      }
+    });
+    
+    // Set up form submission
+    tagMetaForm.onsubmit = async (e) => {
+      e.preventDefault();
+      
+      const checkedColor = colorChoices.querySelector('input:checked');
+      
+      try {
+        await db.saveTagMeta(tag.name, {
+          color: checkedColor ? checkedColor.value : '',
+          icon: iconInput.value,
+          description: descriptionInput.value,
+          pinned: pinnedInput.checked
+        });
+        
+        modal.closeTopModal();
+        toast.success('Tag updated');
+        
+        if (window.tagManager) {
+          await window.tagManager.loadAllTags();
+        }
+        
+        await this.loadTags();
+      } catch (error) {
+        console.error('Error saving tag details:', error);
+        toast.error('Failed to update tag');
+      }
+    };
+  }
+
+  /**
+   * Render a swatch per palette color, plus one for no color
+   * @param {HTMLElement} container - Element to render into
+   * @param {string} selectedColor - Color to check, or '' for none
+   */
+  renderColorChoices(container, selectedColor) {
+    container.innerHTML = '';
+    
+    const colors = CONFIG.ui.tagColors || [];
+    
+    // Keep a color set elsewhere that isn't in the palette
+    const choices = ['', ...colors, ...(selectedColor && !colors.includes(selectedColor) ? [selectedColor] : [])];
+    
+    for (const color of choices) {
+      const option = document.createElement('label');
+      option.className = 'cursor-pointer';
+      option.title = color || 'No color';
+      
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'tagColor';
+      input.value = color;
+      input.checked = color === selectedColor;
+      input.className = 'sr-only peer';
+      
+      const swatch = document.createElement('span');
+      swatch.className = 'block w-6 h-6 rounded-full border border-gray-300 dark:border-gray-600 peer-checked:ring-2 peer-checked:ring-offset-2 peer-checked:ring-primary';
+      swatch.style.backgroundColor = color || 'transparent';
+      
+      option.appendChild(input);
+      option.appendChild(swatch);
+      container.appendChild(option);
+    }
+  }
+
+  /**
+   * Ask for a new name and rename a tag and its nested tags on every post
+   * @param {Object} tag - Tag to rename
+   */
+  async renameTag(tag) {
+    const newName = tagPath.normalize(prompt(`Rename the tag "${tag.name}" to:`, tag.name));
+    
+    if (!newName || newName === tag.name) return;
+    
+    if (tagPath.matches(newName, tag.name)) {
+      toast.error(`Can't move "${tag.name}" into its own nested tag`);
+      return;
+    }
+    
+    // Renaming onto an existing tag merges them
+    const existingTag = this.tags.find(t => t.name === newName);
+    
+    if (existingTag && !confirm(`The tag "${newName}" already exists. Merge "${tag.name}" into it?`)) return;
+    
+    try {
+      const count = await db.renameTag(tag.name, newName);
+      toast.success(`Renamed "${tag.name}" on ${count} post${count !== 1 ? 's' : ''}`);
+      
+      await this.refreshAfterChange([tag.name], newName);
+    } catch (error) {
+      console.error('Error renaming tag:', error);
+      toast.error('Failed to rename tag');
+    }
+  }
+
+  /**
+   * Ask for the name to keep and merge the selected tags into it
+   */
+  async mergeSelectedTags() {
+    const selected = this.tags.filter(tag => this.selectedTags.has(tag.name));
+    const names = selected.map(tag => tag.name);
+    
+    if (names.length < 2) return;
+    
+    // Suggest the most used tag
+    const mostUsed = selected.reduce((a, b) => (b.count > a.count ? b : a));
+    const targetName = tagPath.normalize(prompt(`Merge ${names.length} tags into:`, mostUsed.name));
+    
+    if (!targetName) return;
+    
+    const nestingTag = names.find(name => name !== targetName && tagPath.matches(targetName, name));
+    
+    if (nestingTag) {
+      toast.error(`Can't merge "${nestingTag}" into its own nested tag`);
+      return;
+    }
+    
+    try {
+      const count = await db.mergeTags(names, targetName);
+      toast.success(`Merged ${names.length} tags on ${count} post${count !== 1 ? 's' : ''}`);
+      
+      this.selectedTags.clear();
+      await this.refreshAfterChange(names, targetName);
+    } catch (error) {
+      console.error('Error merging tags:', error);
+      toast.error('Failed to merge tags');
+    }
+  }
+
+  /**
+   * Confirm and remove a tag and its nested tags from every post
+   * @param {Object} tag - Tag to delete
+   */
+  async deleteTag(tag) {
+    const hasNestedTags = this.tags.some(t => t.name !== tag.name && tagPath.matches(t.name, tag.name));
+    const what = hasNestedTags ? `the tag "${tag.name}" and its nested tags` : `the tag "${tag.name}"`;
+    
+    if (!confirm(`Remove ${what} from your posts? The posts stay in your library.`)) return;
+    
+    try {
+      await db.deleteTag(tag.name);
+      toast.success(`Tag "${tag.name}" deleted`);
+      
+      await this.refreshAfterChange([tag.name], null);
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      toast.error('Failed to delete tag');
+    }
+  }
+
+  /**
+   * Rebuild the tag counts from the posts
+   */
+  async recountTags() {
+    try {
+      await db.recountTags();
+      toast.success('Tag counts updated');
+      
+      await this.refreshAfterChange([], null);
+    } catch (error) {
+      console.error('Error recounting tags:', error);
+      toast.error('Failed to recount tags');
+    }
+  }
+
+  /**
+   * Refresh the list, the tag filters and the posts after tags changed
+   * @param {Array<string>} names - Tags that were renamed, merged or deleted
+   * @param {string|null} newName - Tag they were replaced with, or null if deleted
+   */
+  async refreshAfterChange(names, newName) {
+    await this.loadTags();
+    
+    if (!window.tagManager) {
+      postManager.resetAndReload();
+      return;
+    }
+    
+    await window.tagManager.loadAllTags();
+    
+    // Active filters follow their tag to its new name
+    const filters = window.tagManager.getActiveFilters();
+    const updatedFilters = filters
+      .map(tag => {
+        const name = tagPath.findAncestor(tag, names);
+        
+        if (!name) return tag;
+        
+        return newName ? tagPath.rename(tag, name, newName) : null;
+      })
+      .filter(Boolean);
+    
+    if (!syncMerger.isEqual(filters, updatedFilters)) {
+      window.tagManager.setFilters(updatedFilters);
+    } else {
+      postManager.resetAndReload();
+    }
+  }
+}
+
+// Create and export a singleton instance
+const tagListManager = new TagListManager();
@@ -0,0 +1,398 @@
+/**
+ * Tag Rule Manager module for Boardie application
+ * Lists, edits and previews the auto-tagging rules, and applies them to saved posts
+ */
+class TagRuleManager {
+  constructor() {
+    // UI elements
+    this.manageTagRulesLink = document.getElementById('manageTagRulesLink');
+    this.tagRulesList = document.getElementById('tagRulesList');
+    this.addTagRuleBtn = document.getElementById('addTagRuleBtn');
+    this.applyTagRulesBtn = document.getElementById('applyTagRulesBtn');
+    this.platformSelect = document.getElementById('tagRulePlatformSelect');
+    
+    // Tag combobox of the rule form
+    const tagsInput = document.getElementById('tagRuleTagsInput');
+    this.tagInput = tagsInput ? new TagInput(tagsInput) : null;
+    
+    // State
+    this.rules = [];
+    
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    if (this.manageTagRulesLink) {
+      this.manageTagRulesLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        libraryManager.toggleMenu(false);
+        this.showTagRulesModal();
+      });
+    }
+    
+    if (this.addTagRuleBtn) {
+      this.addTagRuleBtn.addEventListener('click', () => this.showTagRuleModal());
+    }
+    
+    if (this.applyTagRulesBtn) {
+      this.applyTagRulesBtn.addEventListener('click', () => {
+        this.applyRules(this.rules.filter(rule => rule.enabled), 'the enabled rules');
+      });
+    }
+    
+    if (this.platformSelect) {
+      for (const [key, platform] of Object.entries(CONFIG.platforms)) {
+        this.platformSelect.appendChild(new Option(platform.name, key));
+      }
+    }
+    
+    // Rules changed on another device
+    document.addEventListener('sync:tagRules', () => {
+      if (modal.isOpen('tagRulesModal')) {
+        this.loadRules();
+      }
+    });
+  }
+
+  /**
+   * Show the tag rules modal
+   */
+  async showTagRulesModal() {
+    await this.loadRules();
+    modal.open('tagRulesModal');
+  }
+
+  /**
+   * Load the rules from the database and render the list
+   */
+  async loadRules() {
+    this.rules = await db.getAllTagRules();
+    this.renderRules();
+  }
+
+  /**
+   * Render the list of rules
+   */
+  renderRules() {
+    if (!this.tagRulesList) return;
+    
+    this.tagRulesList.innerHTML = '';
+    
+    if (this.rules.length === 0) {
+      this.tagRulesList.innerHTML = '<li class="py-2 text-sm text-gray-500 dark:text-gray-400">No rules yet.</li>';
+    }
+    
+    for (const rule of this.rules) {
+      this.tagRulesList.appendChild(this.createRuleElement(rule));
+    }
+    
+    if (this.applyTagRulesBtn) {
+      this.applyTagRulesBtn.disabled = !this.rules.some(rule => rule.enabled);
+    }
+  }
+
+  /**
+   * Create the list item for a rule
+   * @param {Object} rule - Tag rule
+   * @returns {HTMLElement} List item
+   */
+  createRuleElement(rule) {
+    const item = document.createElement('li');
+    item.className = 'flex items-center py-2';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'mr-2';
+    checkbox.checked = rule.enabled;
+    checkbox.setAttribute('aria-label', `Apply ${rule.title} to new posts`);
+    checkbox.addEventListener('change', () => this.toggleRule(rule, checkbox.checked));
+    
+    const details = document.createElement('div');
+    details.className = 'flex-grow min-w-0 text-sm';
+    
+    const title = document.createElement('div');
+    title.className = `truncate ${rule.enabled ? '' : 'text-gray-400 dark:text-gray-500'}`;
+    title.textContent = rule.title;
+    
+    const description = document.createElement('div');
+    description.className = 'truncate text-xs text-gray-500 dark:text-gray-400';
+    description.textContent = autoTagger.describe(rule, boardManager.boards);
+    description.title = description.textContent;
+    
+    details.appendChild(title);
+    details.appendChild(description);
+    
+    const applyButton = document.createElement('button');
+    applyButton.type = 'button';
+    applyButton.className = 'px-2 py-1 text-xs text-gray-600 dark:text-gray-300 hover:text-primary';
+    applyButton.textContent = 'Apply';
+    applyButton.title = 'Run this rule on every saved post';
+    applyButton.addEventListener('click', () => this.applyRules([{ ...rule, enabled: true }], `"${rule.title}"`));
+    
+    const editButton = document.createElement('button');
+    editButton.type = 'button';
+    editButton.className = 'px-2 py-1 text-xs text-gray-600 dark:text-gray-300 hover:text-primary';
+    editButton.textContent = 'Edit';
+    editButton.addEventListener('click', () => this.showTagRuleModal(rule));
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'px-2 py-1 text-xs text-red-600 hover:text-red-700';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => this.confirmDeleteRule(rule));
+    
+    item.appendChild(checkbox);
+    item.appendChild(details);
+    item.appendChild(applyButton);
+    item.appendChild(editButton);
+    item.appendChild(deleteButton);
+    
+    return item;
+  }
+
+  /**
+   * Turn a rule on or off for new posts
+   * @param {Object} rule - Tag rule
+   * @param {boolean} enabled - Whether the rule applies to new posts
+   */
+  async toggleRule(rule, enabled) {
+    try {
+      await db.updateTagRule({ id: rule.id, enabled });
+    } catch (error) {
+      console.error('Error updating tag rule:', error);
+      toast.error('Failed to update rule');
+    }
+    
+    await this.loadRules();
+  }
+
+  /**
+   * Show the modal for creating or editing a rule
+   * @param {Object} rule - Rule to edit, or null for a new rule
+   */
+  showTagRuleModal(rule = null) {
+    const tagRuleForm = document.getElementById('tagRuleForm');
+    const modalTitle = document.getElementById('tagRuleModalTitle');
+    const titleInput = document.getElementById('tagRuleTitleInput');
+    const domainInput = document.getElementById('tagRuleDomainInput');
+    const urlPatternInput = document.getElementById('tagRuleUrlPatternInput');
+    const twitterUserInput = document.getElementById('tagRuleTwitterUserInput');
+    const boardSelect = document.getElementById('tagRuleBoardSelect');
+    const enabledInput = document.getElementById('tagRuleEnabledInput');
+    const previewButton = document.getElementById('previewTagRuleBtn');
+    const preview = document.getElementById('tagRulePreview');
+    
+    if (!tagRuleForm) {
+      console.error('Tag rule modal elements not found');
+      return;
+    }
+    
+    // Board choices, keeping a board that was deleted since so the rule isn't changed silently
+    boardSelect.innerHTML = '<option value="">No board</option>';
+    
+    for (const board of boardManager.boards) {
+      boardSelect.appendChild(new Option(board.title, board.id));
+    }
+    
+    if (rule && rule.boardId && !boardManager.boards.some(board => board.id === rule.boardId)) {
+      boardSelect.appendChild(new Option('(deleted board)', rule.boardId));
+    }
+    
+    // Set form values
+    modalTitle.textContent = rule ? 'Edit Rule' : 'New Rule';
+    titleInput.value = rule ? rule.title : '';
+    this.platformSelect.value = rule ? rule.platform : '';
+    domainInput.value = rule ? rule.domain : '';
+    urlPatternInput.value = rule ? rule.urlPattern : '';
+    twitterUserInput.value = rule && rule.twitterUser ? `@${rule.twitterUser}` : '';
+    boardSelect.value = rule ? rule.boardId : '';
+    enabledInput.checked = rule ? rule.enabled : true;
+    this.tagInput.setTags(rule ? rule.tags : []);
+    preview.classList.add('hidden');
+    
+    const readRule = () => db.createTagRule({
+      ...(rule || {}),
+      title: titleInput.value,
+      platform: this.platformSelect.value,
+      domain: domainInput.value,
+      urlPattern: urlPatternInput.value,
+      twitterUser: twitterUserInput.value,
+      tags: this.tagInput.getTags(),
+      boardId: boardSelect.value,
+      enabled: enabledInput.checked
+    });
+    
+    // Show modal
+    modal.open('tagRuleModal', {
+      onClose: () => {
+        tagRuleForm.reset();
+        this.tagInput.setTags([]);
+      }
+    });
+    
+    previewButton.onclick = () => this.previewRule(readRule(), preview);
+    
+    // Set up form submission
+    tagRuleForm.onsubmit = async (e) => {
+      e.preventDefault();
+      
+      const draft = readRule();
+      
+      try {
+        db.validateTagRule(draft);
+      } catch (error) {
+        toast.error(error.message);
+        return;
+      }
+      
+      try {
+        if (rule) {
+          await db.updateTagRule(draft);
+        } else {
+          await db.addTagRule(draft);
+        }
+        
+        modal.closeTopModal();
+        toast.success(rule ? 'Rule updated' : 'Rule saved');
+        
+        await this.loadRules();
+      } catch (error) {
+        console.error('Error saving tag rule:', error);
+        toast.error('Failed to save rule');
+      }
+    };
+  }
+
+  /**
+   * Show which saved posts a rule would change, without changing them
+   * @param {Object} rule - Rule being edited
+   * @param {HTMLElement} container - Element to show the preview in
+   */
+  async previewRule(rule, container) {
+    container.classList.remove('hidden');
+    
+    if (!autoTagger.hasConditions(rule)) {
+      container.textContent = 'Add a condition to see which posts match.';
+      return;
+    }
+    
+    try {
+      const changes = await db.applyTagRules([{ ...rule, enabled: true }], { dryRun: true });
+      this.renderPreview(container, changes);
+    } catch (error) {
+      console.error('Error previewing tag rule:', error);
+      container.textContent = error.message;
+    }
+  }
+
+  /**
+   * Render the posts a rule would change
+   * @param {HTMLElement} container - Preview element
+   * @param {Array<Object>} changes - Changes from db.applyTagRules
+   */
+  renderPreview(container, changes) {
+    const maxShown = 20;
+    
+    container.innerHTML = '';
+    
+    const summary = document.createElement('p');
+    summary.className = 'text-gray-600 dark:text-gray-400';
+    summary.textContent = changes.length === 0
+      ? 'No saved posts would change.'
+      : `${changes.length} saved post${changes.length !== 1 ? 's' : ''} would change:`;
+    container.appendChild(summary);
+    
+    if (changes.length === 0) return;
+    
+    const list = document.createElement('ul');
+    list.className = 'mt-1 max-h-40 overflow-y-auto space-y-1';
+    
+    for (const { post, tags, boardIds } of changes.slice(0, maxShown)) {
+      const item = document.createElement('li');
+      item.className = 'flex justify-between gap-2';
+      
+      const url = document.createElement('span');
+      url.className = 'truncate text-gray-700 dark:text-gray-300';
+      url.textContent = post.url;
+      url.title = post.url;
+      
+      const boardTitles = boardIds
+        .map(id => boardManager.boards.find(board => board.id === id))
+        .filter(Boolean)
+        .map(board => `→ ${board.title}`);
+      
+      const additions = document.createElement('span');
+      additions.className = 'flex-shrink-0 text-xs text-green-700 dark:text-green-400';
+      additions.textContent = [...tags.map(tag => `+${tag}`), ...boardTitles].join(' ');
+      
+      item.appendChild(url);
+      item.appendChild(additions);
+      list.appendChild(item);
+    }
+    
+    container.appendChild(list);
+    
+    if (changes.length > maxShown) {
+      const more = document.createElement('p');
+      more.className = 'mt-1 text-xs text-gray-500 dark:text-gray-400';
+      more.textContent = `and ${changes.length - maxShown} more`;
+      container.appendChild(more);
+    }
+  }
+
+  /**
+   * Apply rules to every saved post after confirming how many posts change
+   * @param {Array<Object>} rules - Rules to apply
+   * @param {string} label - What is applied, for the confirmation
+   */
+  async applyRules(rules, label) {
+    try {
+      const changes = await db.applyTagRules(rules, { dryRun: true });
+      
+      if (changes.length === 0) {
+        toast.info('No saved posts match');
+        return;
+      }
+      
+      if (!confirm(`Apply ${label} to ${changes.length} saved post${changes.length !== 1 ? 's' : ''}?`)) return;
+      
+      const applied = await db.applyTagRules(rules);
+      toast.success(`Updated ${applied.length} post${applied.length !== 1 ? 's' : ''}`);
+      
+      // Tag counts, board contents and the shown posts changed
+      if (window.tagManager) {
+        await window.tagManager.loadAllTags();
+      }
+      
+      await boardManager.loadBoards();
+      postManager.resetAndReload();
+    } catch (error) {
+      console.error('Error applying tag rules:', error);
+      toast.error('Failed to apply rules');
+    }
+  }
+
+  /**
+   * Confirm and delete a rule
+   * @param {Object} rule - Rule to delete
+   */
+  async confirmDeleteRule(rule) {
+    if (!confirm(`Delete the rule "${rule.title}"? Tags it already added stay on their posts.`)) return;
+    
+    try {
+      await db.deleteTagRule(rule.id);
+      toast.success('Rule deleted');
+      
+      await this.loadRules();
+    } catch (error) {
+      console.error('Error deleting tag rule:', error);
+      toast.error('Failed to delete rule');
+    }
+  }
+}
+
+// Create and export a singleton instance
+const tagRuleManager = new TagRuleManager();
@@ -0,0 +1,196 @@
+/**
+ * Trash Manager module for Boardie application
+ * Lists deleted posts so they can be restored or removed for good
+ */
+class TrashManager {
+  constructor() {
+    // UI elements
+    this.showTrashLink = document.getElementById('showTrashLink');
+    this.trashList = document.getElementById('trashList');
+    this.trashRetention = document.getElementById('trashRetention');
+    this.emptyTrashBtn = document.getElementById('emptyTrashBtn');
+    
+    // State
+    this.posts = [];
+    
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    if (this.showTrashLink) {
+      this.showTrashLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        libraryManager.toggleMenu(false);
+        this.showTrashModal();
+      });
+    }
+    
+    if (this.emptyTrashBtn) {
+      this.emptyTrashBtn.addEventListener('click', () => this.confirmEmptyTrash());
+    }
+    
+    if (this.trashRetention) {
+      this.trashRetention.textContent = `Deleted posts are removed for good after ${CONFIG.trash.retentionDays} days.`;
+    }
+    
+    // Posts deleted, restored or purged here or on another device
+    const refresh = () => {
+      if (modal.isOpen('trashModal')) {
+        this.loadTrash();
+      }
+    };
+    
+    document.addEventListener('posts:change', refresh);
+    document.addEventListener('sync:posts', refresh);
+  }
+
+  /**
+   * Show the trash modal
+   */
+  async showTrashModal() {
+    await this.loadTrash();
+    modal.open('trashModal');
+  }
+
+  /**
+   * Load the posts in the trash and render the list
+   */
+  async loadTrash() {
+    this.posts = await db.getTrashedPosts();
+    this.renderTrash();
+  }
+
+  /**
+   * Render the list of posts in the trash
+   */
+  renderTrash() {
+    if (!this.trashList) return;
+    
+    this.trashList.innerHTML = '';
+    
+    if (this.posts.length === 0) {
+      this.trashList.innerHTML = '<li class="py-2 text-sm text-gray-500 dark:text-gray-400">The trash is empty.</li>';
+    }
+    
+    for (const post of this.posts) {
+      this.trashList.appendChild(this.createPostElement(post));
+    }
+    
+    if (this.emptyTrashBtn) {
+      this.emptyTrashBtn.disabled = this.posts.length === 0;
+    }
+  }
+
+  /**
+   * Get the number of days until a post in the trash is purged
+   * @param {Object} post - Deleted post
+   * @returns {number} Whole days left, at least 0
+   */
+  getDaysLeft(post) {
+    const purgeAt = new Date(post.deletedAt).getTime() + CONFIG.trash.retentionDays * 24 * 60 * 60 * 1000;
+    return Math.max(0, Math.ceil((purgeAt - Date.now()) / (24 * 60 * 60 * 1000)));
+  }
+
+  /**
+   * Create the list item for a post in the trash
+   * @param {Object} post - Deleted post
+   * @returns {HTMLElement} List item
+   */
+  createPostElement(post) {
+    const item = document.createElement('li');
+    item.className = 'flex items-center py-2';
+    
+    const details = document.createElement('div');
+    details.className = 'flex-grow min-w-0 text-sm';
+    
+    const url = document.createElement('div');
+    url.className = 'truncate';
+    url.textContent = post.url;
+    url.title = post.url;
+    
+    const daysLeft = this.getDaysLeft(post);
+    const description = document.createElement('div');
+    description.className = 'truncate text-xs text-gray-500 dark:text-gray-400';
+    description.textContent = [
+      `Deleted ${postManager.formatDate(post.deletedAt)}`,
+      daysLeft > 0 ? `removed in ${daysLeft} day${daysLeft !== 1 ? 's' : ''}` : 'removed on next start',
+      ...(post.tags || []).map(tag => `#${tag}`)
+    ].join(' · ');
+    
+    details.appendChild(url);
+    details.appendChild(description);
+    
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'px-2 py-1 text-xs text-gray-600 dark:text-gray-300 hover:text-primary';
+    restoreButton.textContent = 'Restore';
+    restoreButton.addEventListener('click', () => this.restorePost(post));
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'px-2 py-1 text-xs text-red-600 hover:text-red-700';
+    deleteButton.textContent = 'Delete forever';
+    deleteButton.addEventListener('click', () => this.confirmPurge([post], 'this post'));
+    
+    item.appendChild(details);
+    item.appendChild(restoreButton);
+    item.appendChild(deleteButton);
+    
+    return item;
+  }
+
+  /**
+   * Restore a post from the trash
+   * @param {Object} post - Deleted post
+   */
+  async restorePost(post) {
+    try {
+      await db.restorePost(post.id);
+      toast.success('Post restored');
+      
+      // Tag counts and the shown posts changed
+      if (window.tagManager) {
+        await window.tagManager.loadAllTags();
+      }
+      
+      postManager.resetAndReload();
+    } catch (error) {
+      console.error('Error restoring post:', error);
+      toast.error('Failed to restore post');
+    }
+  }
+
+  /**
+   * Confirm and empty the trash
+   */
+  confirmEmptyTrash() {
+    const count = this.posts.length;
+    
+    this.confirmPurge(this.posts, `${count} post${count !== 1 ? 's' : ''}`);
+  }
+
+  /**
+   * Confirm and remove posts from the trash for good
+   * @param {Array<Object>} posts - Deleted posts
+   * @param {string} label - What is removed, for the confirmation
+   */
+  async confirmPurge(posts, label) {
+    if (posts.length === 0) return;
+    
+    if (!confirm(`Delete ${label} forever? This can't be undone.`)) return;
+    
+    try {
+      const purged = await db.purgePosts(posts.map(post => post.id));
+      toast.success(`Deleted ${purged} post${purged !== 1 ? 's' : ''} forever`);
+    } catch (error) {
+      console.error('Error purging posts:', error);
+      toast.error('Failed to delete posts');
+    }
+  }
+}
+
+// Create and export a singleton instance
+const trashManager = new TrashManager();
@@ -0,0 +1,404 @@
+/**
+ * Undo Manager module for Boardie application
+ * Keeps a history of library changes, each recorded with its inverse, so they can be undone and redone
+ */
+class UndoManager {
+  constructor() {
+    // Changes that can be undone, latest last, and changes that were undone
+    this.undoStack = [];
+    this.redoStack = [];
+    
+    // Commands run one at a time
+    this.queue = Promise.resolve();
+    
+    // Toast carrying the Undo or Redo button of the latest command
+    this.activeToast = null;
+  }
+
+  /**
+   * Run a command and add it to the history
+   * @param {Object} command - Command
+   * @param {string} command.message - Shown on the toast after the change, e.g. "Post moved to the trash"
+   * @param {string} command.label - Name of the change, e.g. "Delete post"
+   * @param {Function} command.execute - Makes the change and returns its result, called with an array to pass to the db
+   * methods as queued, so the outbox entries of the change are known
+   * @param {Function} command.undo - Reverses the change, called like execute
+   * @param {Function} command.redo - Makes the change again after an undo (defaults to execute)
+   * @returns {Promise<*>} Result of execute
+   */
+  async run(command) {
+    const result = await this.enqueue(() => this.apply(command, command.execute));
+    
+    this.undoStack.push(command);
+    this.undoStack.splice(0, this.undoStack.length - CONFIG.ui.undoLimit);
+    this.redoStack = [];
+    
+    this.showToast(command.message, 'success', 'Undo', () => this.undo());
+    
+    return result;
+  }
+
+  /**
+   * Undo the latest command
+   * @returns {Promise<boolean>} True if a command was undone
+   */
+  async undo() {
+    const command = this.undoStack.pop();
+    
+    if (!command) {
+      toast.info('Nothing to undo');
+      return false;
+    }
+    
+    try {
+      await this.enqueue(() => this.apply(command, command.undo));
+    } catch (error) {
+      // The change can't be reversed any more, e.g. the post was deleted forever
+      console.error('Error undoing change:', error);
+      toast.error(`Couldn't undo "${command.label}"`);
+      return false;
+    }
+    
+    this.redoStack.push(command);
+    this.showToast(`Undone: ${command.label}`, 'info', 'Redo', () => this.redo());
+    await this.refresh();
+    
+    return true;
+  }
+
+  /**
+   * Redo the latest undone command
+   * @returns {Promise<boolean>} True if a command was redone
+   */
+  async redo() {
+    const command = this.redoStack.pop();
+    
+    if (!command) {
+      toast.info('Nothing to redo');
+      return false;
+    }
+    
+    try {
+      await this.enqueue(() => this.apply(command, command.redo || command.execute));
+    } catch (error) {
+      console.error('Error redoing change:', error);
+      toast.error(`Couldn't redo "${command.label}"`);
+      return false;
+    }
+    
+    this.undoStack.push(command);
+    this.showToast(`Redone: ${command.label}`, 'info', 'Undo', () => this.undo());
+    await this.refresh();
+    
+    return true;
+  }
+
+  /**
+   * Run a task after the commands already running
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Result of the task
+   */
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    
+    return result;
+  }
+
+  /**
+   * Run one direction of a command and record the outbox entries it queued
+   * Only entries the db methods report for the command are recorded, never ones queued meanwhile
+   * by a sync or another change. The entries the previous direction queued and that weren't
+   * pushed yet are dropped when this direction rewrites the same records, so the sync only
+   * sends the final state.
+   * @param {Object} command - Command
+   * @param {Function} action - execute, undo or redo of the command
+   * @returns {Promise<*>} Result of the action
+   */
+  async apply(command, action) {
+    const queued = [];
+    const result = await action(queued);
+    
+    if (command.queued) {
+      await db.discardReplacedOutboxEntries(command.queued, queued);
+    }
+    
+    command.queued = queued;
+    
+    return result;
+  }
+
+  /**
+   * Show the toast of the latest command, replacing the previous one
+   * @param {string} message - Toast message
+   * @param {string} type - Toast type
+   * @param {string} label - Button text
+   * @param {Function} onClick - Called when the button is clicked
+   */
+  showToast(message, type, label, onClick) {
+    if (this.activeToast) {
+      this.activeToast.close();
+    }
+    
+    this.activeToast = toast.show(message, type, CONFIG.ui.undoToastDuration, { label, onClick });
+  }
+
+  /**
+   * Reload what an undone or redone change may have touched
+   */
+  async refresh() {
+    if (window.tagManager) {
+      await window.tagManager.loadAllTags();
+    }
+    
+    await boardManager.loadBoards();
+    postManager.resetAndReload();
+  }
+
+  /**
+   * Set fields of the stored post to the values of a version
+   * Only the given fields are written, so changes made since to other fields, e.g. on
+   * another device, are kept.
+   * @param {Object} version - Version of the post to take the values from
+   * @param {Array<string>} fields - Field names
+   * @param {Array<number>} queued - Collects the sequence numbers of the outbox entries queued
+   * @returns {Promise<Object>} The updated post
+   */
+  async restoreFields(version, fields, queued) {
+    const post = await db.getPostById(version.id);
+    
+    if (!post) {
+      throw new Error('Post not found');
+    }
+    
+    if (fields.length === 0) return post;
+    
+    for (const field of fields) {
+      syncMerger.setField(post, field, version[field]);
+    }
+    
+    return db.updatePost(post, true, queued);
+  }
+
+  /**
+   * Move a post to the trash
+   * @param {string} id - The post ID
+   * @param {Array<number>} queued - Collects the sequence numbers of the outbox entries queued
+   * @returns {Promise<boolean>} True once the post is in the trash
+   * @throws {Error} If the post couldn't be moved
+   */
+  async trashPost(id, queued) {
+    if (!(await db.deletePost(id, true, queued))) {
+      throw new Error('Post could not be moved to the trash');
+    }
+    
+    return true;
+  }
+
+  /**
+   * Update a post as an undoable command
+   * @param {Object} post - Post with the changes
+   * @param {Object} options - Options
+   * @param {string} options.message - Toast message
+   * @param {string} options.label - Name of the change
+   * @param {Array<string>|null} options.boardIds - Boards the post should be on, null to leave them alone
+   * @returns {Promise<Object>} The updated post
+   */
+  async updatePost(post, { message = 'Post updated', label = 'Edit post', boardIds = null } = {}) {
+    const before = await db.getPostById(post.id);
+    
+    if (!before) {
+      throw new Error('Post not found');
+    }
+    
+    const boardsBefore = await this.getBoardPostIds();
+    let boardsAfter = null;
+    let fields = [];
+    let after = null;
+    
+    return this.run({
+      message,
+      label,
+      execute: async (queued) => {
+        after = await db.updatePost({ ...post }, true, queued);
+        fields = syncMerger.getChangedFields(before, after);
+        
+        if (boardIds) {
+          await db.setPostBoards(post.id, boardIds, queued);
+          boardsAfter = await this.getBoardPostIds();
+        }
+        
+        return after;
+      },
+      undo: async (queued) => {
+        await this.restoreFields(before, fields, queued);
+        
+        if (boardIds) {
+          await this.restorePostBoards([post.id], boardsBefore, queued);
+        }
+      },
+      redo: async (queued) => {
+        await this.restoreFields(after, fields, queued);
+        
+        if (boardIds) {
+          await this.restorePostBoards([post.id], boardsAfter, queued);
+        }
+      }
+    });
+  }
+
+  /**
+   * Move a post to the trash as an undoable command
+   * @param {Object} post - Post to delete
+   * @returns {Promise<boolean>} True once the post is in the trash
+   */
+  async deletePost(post) {
+    return this.run({
+      message: 'Post moved to the trash',
+      label: 'Delete post',
+      execute: (queued) => this.trashPost(post.id, queued),
+      undo: (queued) => db.restorePost(post.id, true, queued)
+    });
+  }
+
+  /**
+   * Get the posts of every board
+   * @returns {Promise<Map>} Post IDs by board ID
+   */
+  async getBoardPostIds() {
+    const boards = await db.getAllBoards();
+    
+    return new Map(boards.map(board => [board.id, board.postIds]));
+  }
+
+  /**
+   * Put posts back on the boards they were on, at the same place, in one transaction
+   * Only the boards of these posts are touched, so other changes to the boards are kept
+   * @param {Array<string>} postIds - Post IDs
+   * @param {Map} postIdsByBoard - Post IDs by board ID, from getBoardPostIds
+   * @param {Array<number>} queued - Collects the sequence numbers of the outbox entries queued
+   * @returns {Promise} Resolves when the boards are updated
+   */
+  async restorePostBoards(postIds, postIdsByBoard, queued) {
+    const boards = await db.getAllBoards();
+    const changes = [];
+    
+    for (const board of boards) {
+      const oldIds = postIdsByBoard.get(board.id) || [];
+      const movedIds = postIds.filter(id => oldIds.includes(id) !== board.postIds.includes(id));
+      
+      if (movedIds.length === 0) continue;
+      
+      const restoredIds = board.postIds.filter(id => !movedIds.includes(id));
+      
+      // Put them back from the top down, so each lands at its old index
+      const returningIds = movedIds
+        .filter(id => oldIds.includes(id))
+        .sort((a, b) => oldIds.indexOf(a) - oldIds.indexOf(b));
+      
+      for (const id of returningIds) {
+        restoredIds.splice(Math.min(oldIds.indexOf(id), restoredIds.length), 0, id);
+      }
+      
+      changes.push({ id: board.id, postIds: restoredIds });
+    }
+    
+    await db.updateBoards(changes, true, queued);
+  }
+
+  /**
+   * Add and remove tags on several posts as one undoable command
+   * Undo only takes back what the command changed on each post, so tags changed since are kept
+   * @param {Array<string>} ids - Post IDs
+   * @param {Object} tags - Tags to change
+   * @param {Array<string>} tags.add - Tags to add
+   * @param {Array<string>} tags.remove - Tags to remove
+   * @param {Object} options - Options
+   * @param {string} options.message - Toast message
+   * @param {string} options.label - Name of the change
+   * @returns {Promise<number>} Number of posts changed
+   */
+  async retagPosts(ids, { add = [], remove = [] }, { message = 'Tags updated', label = 'Edit tags' } = {}) {
+    // Tags each post gained and lost
+    const changes = new Map();
+    
+    const applyChanges = (reverse) => (tags, post) => {
+      const change = changes.get(post.id);
+      
+      if (!change) return tags;
+      
+      const added = reverse ? change.removed : change.added;
+      const removed = reverse ? change.added : change.removed;
+      
+      return [...tags.filter(tag => !removed.includes(tag)), ...added.filter(tag => !tags.includes(tag))];
+    };
+    
+    return this.run({
+      message,
+      label,
+      execute: (queued) => db.retagPostsById(ids, (tags, post) => {
+        const newTags = [...tags.filter(tag => !remove.includes(tag)), ...add.filter(tag => !tags.includes(tag))];
+        
+        changes.set(post.id, {
+          added: newTags.filter(tag => !tags.includes(tag)),
+          removed: tags.filter(tag => !newTags.includes(tag))
+        });
+        
+        return newTags;
+      }, true, queued),
+      undo: (queued) => db.retagPostsById([...changes.keys()], applyChanges(true), true, queued),
+      redo: (queued) => db.retagPostsById([...changes.keys()], applyChanges(false), true, queued)
+    });
+  }
+
+  /**
+   * Move several posts to the trash as one undoable command
+   * @param {Array<string>} ids - Post IDs
+   * @returns {Promise<number>} Number of posts moved to the trash
+   */
+  async deletePosts(ids) {
+    let deletedIds = [];
+    
+    return this.run({
+      message: `${ids.length} ${ids.length === 1 ? 'post' : 'posts'} moved to the trash`,
+      label: 'Delete posts',
+      execute: async (queued) => {
+        // Only the posts this command trashed are restored by undo
+        const posts = (await Promise.all(ids.map(id => db.getPostById(id)))).filter(Boolean);
+        deletedIds = posts.map(post => post.id);
+        
+        return db.deletePosts(deletedIds, true, queued);
+      },
+      undo: (queued) => db.restorePosts(deletedIds, true, queued),
+      redo: (queued) => db.deletePosts(deletedIds, true, queued)
+    });
+  }
+
+  /**
+   * Put several posts on a board as one undoable command
+   * @param {Array<string>} ids - Post IDs
+   * @param {Object} board - Board to put the posts on
+   * @param {string|null} fromBoardId - ID of the board to take the posts off, null to leave the other boards alone
+   * @returns {Promise<Array>} The boards that changed
+   */
+  async movePostsToBoard(ids, board, fromBoardId = null) {
+    const boardsBefore = await this.getBoardPostIds();
+    let boardsAfter = null;
+    
+    return this.run({
+      message: `${ids.length} ${ids.length === 1 ? 'post' : 'posts'} ${fromBoardId ? 'moved' : 'added'} to ${board.title}`,
+      label: fromBoardId ? 'Move posts' : 'Add posts to board',
+      execute: async (queued) => {
+        const boards = await db.movePostsToBoard(ids, board.id, fromBoardId, queued);
+        boardsAfter = await this.getBoardPostIds();
+        
+        return boards;
+      },
+      undo: (queued) => this.restorePostBoards(ids, boardsBefore, queued),
+      redo: (queued) => this.restorePostBoards(ids, boardsAfter, queued)
+    });
+  }
+}
+
+// Create and export a singleton instance
+const undoManager = new UndoManager();
@@ -6,8 +6,17 @@ class TagManager {
   constructor() {
     this.activeFilters = [];
     this.allTags = [];
+    
+    // Color, icon, description and pinned flag of tags by name
+    this.tagMeta = new Map();
     this.tagFilterContainer = document.getElementById('tagFilterContainer');
     this.clearFiltersButton = document.getElementById('clearFilters');
+    this.tagTreeSection = document.getElementById('tagTreeSection');
+    this.tagTreeButton = document.getElementById('tagTreeBtn');
+    this.tagTree = document.getElementById('tagTree');
+    
+    // Tag paths whose nested tags are shown in the tree
+    this.expandedTags = new Set();
     
     // Initialize event listeners
     this.initEventListeners();
@@ -21,15 +30,42 @@ class TagManager {
     if (this.clearFiltersButton) {
       this.clearFiltersButton.addEventListener('click', () => this.clearAllFilters());
     }
+    
+    // Tag tree toggle
+    if (this.tagTreeButton && this.tagTree) {
+      this.tagTreeButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleTagTree();
+      });
+      
+      // Close the tree when clicking outside
+      document.addEventListener('click', (e) => {
+        if (!this.tagTreeSection.contains(e.target)) {
+          this.toggleTagTree(false);
+        }
+      });
+    }
+    
+    // Tag counts are rebuilt after every sync
+    document.addEventListener('sync:posts', () => this.loadAllTags());
+    
+    // Tag colors changed on another device
+    document.addEventListener('sync:tagMeta', () => this.loadAllTags());
   }
 
   /**
-   * Load all tags from the database
+   * Load all tags and their metadata from the database
    * @returns {Promise<Array>} Array of tags
    */
   async loadAllTags() {
     try {
-      this.allTags = await db.getAllTags();
+      const [tags, tagMeta] = await Promise.all([db.getAllTags(), db.getAllTagMeta()]);
+      
+      this.allTags = tags;
+      this.tagMeta = new Map(tagMeta.map(meta => [meta.name, meta]));
+      
+      this.renderTagFilters();
+      this.refreshTagStyles();
       return this.allTags;
     } catch (error) {
       console.error('Error loading tags:', error);
@@ -38,18 +74,109 @@ class TagManager {
     }
   }
 
+  /**
+   * Get the metadata that applies to a tag
+   * Nested tags without a color of their own use the color of their closest parent
+   * @param {string} tag - Tag name
+   * @returns {Object|null} Tag metadata
+   */
+  getTagMeta(tag) {
+    const meta = this.tagMeta.get(tag) || null;
+    
+    if (meta && meta.color) return meta;
+    
+    for (let parent = tagPath.getParent(tag); parent; parent = tagPath.getParent(parent)) {
+      const parentMeta = this.tagMeta.get(parent);
+      
+      if (parentMeta && parentMeta.color) {
+        return { ...(meta || { name: tag }), color: parentMeta.color };
+      }
+    }
+    
+    return meta;
+  }
+
+  /**
+   * Get the pinned tags, which lead the filter bar
+   * @returns {Array<string>} Pinned tag names in alphabetical order
+   */
+  getPinnedTags() {
+    return [...this.tagMeta.values()]
+      .filter(meta => meta.pinned)
+      .map(meta => meta.name)
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Get the text shown for a tag, with its icon in front
+   * @param {string} tag - Tag name
+   * @returns {string} Label
+   */
+  getTagLabel(tag) {
+    const meta = this.tagMeta.get(tag);
+    return meta && meta.icon ? `${meta.icon} ${tag}` : tag;
+  }
+
+  /**
+   * Pick a readable text color for a background color
+   * @param {string} color - Background color as #rrggbb
+   * @returns {string} Dark or white text color
+   */
+  getContrastColor(color) {
+    const [r, g, b] = [1, 3, 5].map(index => parseInt(color.slice(index, index + 2), 16));
+    const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+    
+    return luminance > 0.6 ? '#1f2937' : '#ffffff';
+  }
+
+  /**
+   * Apply the color, icon and description of a tag to a tag chip
+   * Chips keep their tag in data-tag so they can be restyled when the metadata changes
+   * @param {HTMLElement} element - Tag chip, with a .tag-label child for the text
+   * @param {string} tag - Tag name
+   */
+  styleTagElement(element, tag) {
+    const meta = this.getTagMeta(tag);
+    const label = element.querySelector('.tag-label');
+    
+    element.dataset.tag = tag;
+    element.title = meta && meta.description ? meta.description : '';
+    
+    if (label) {
+      label.textContent = this.getTagLabel(tag);
+    }
+    
+    if (meta && meta.color) {
+      element.style.backgroundColor = meta.color;
+      element.style.color = this.getContrastColor(meta.color);
+    } else {
+      element.style.backgroundColor = '';
+      element.style.color = '';
+    }
+  }
+
+  /**
+   * Restyle every tag chip on the page after tag metadata changed
+   */
+  refreshTagStyles() {
+    document.querySelectorAll('[data-tag]').forEach(element => {
+      this.styleTagElement(element, element.dataset.tag);
+    });
+  }
+
   /**
    * Parse tags from a comma-separated string
+   * Tags can be nested with "/", e.g. work/ml/papers
    * @param {string} tagString - Comma-separated tag string
-   * @returns {Array} Array of trimmed tags
+   * @returns {Array} Array of normalized tags
    */
   parseTags(tagString) {
     if (!tagString) return [];
     
-    return tagString
+    return [...new Set(tagString
       .split(',')
-      .map(tag => tag.trim())
-      .filter(tag => tag.length > 0);
+      .map(tag => tagPath.normalize(tag))
+      .filter(tag => tag.length > 0))];
   }
 
   /**
@@ -90,7 +217,7 @@ class TagManager {
     
     // Update post in database
     try {
-      const updatedPost = await db.updatePost(post);
+      const updatedPost = await undoManager.updatePost(post, { message: 'Tag added', label: 'Add tag' });
       return updatedPost;
     } catch (error) {
       console.error('Error adding tag to post:', error);
@@ -118,7 +245,7 @@ class TagManager {
     
     // Update post in database
     try {
-      const updatedPost = await db.updatePost(post);
+      const updatedPost = await undoManager.updatePost(post, { message: 'Tag removed', label: 'Remove tag' });
       return updatedPost;
     } catch (error) {
       console.error('Error removing tag from post:', error);
@@ -144,7 +271,7 @@ class TagManager {
     
     // Update post in database
     try {
-      const updatedPost = await db.updatePost(post);
+      const updatedPost = await undoManager.updatePost(post, { message: 'Tags updated', label: 'Edit tags' });
       return updatedPost;
     } catch (error) {
       console.error('Error updating post tags:', error);
@@ -201,6 +328,22 @@ class TagManager {
     }
   }
 
+  /**
+   * Replace all tag filters
+   * @param {Array<string>} tags - Tags to filter by
+   * @param {boolean} notify - Whether to trigger a filter change event
+   */
+  setFilters(tags, notify = true) {
+    this.activeFilters = [...new Set(tags)];
+    
+    // Update UI
+    this.renderTagFilters();
+    
+    if (notify) {
+      this.triggerFilterChange();
+    }
+  }
+
   /**
    * Clear all tag filters
    */
@@ -231,22 +374,35 @@ class TagManager {
       }
     });
     
-    // Add active filters
-    this.activeFilters.forEach(tag => {
+    // Pinned tags come first, then the other active filters
+    const pinnedTags = this.getPinnedTags();
+    const filterTags = [...pinnedTags, ...this.activeFilters.filter(tag => !pinnedTags.includes(tag))];
+    
+    filterTags.forEach(tag => {
       const filterElement = document.createElement('span');
-      filterElement.className = 'tag-filter active px-2 py-1 rounded-full text-xs font-medium bg-primary text-white flex items-center';
-      filterElement.innerHTML = `
-        ${tag}
-        <button class="ml-1 focus:outline-none" aria-label="Remove filter">
-          <svg xmlns="http://www.w3.org/2000/svg" class="h-3 w-3" viewBox="0 0 20 20" fill="currentColor">
-            <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd" />
-          </svg>
-        </button>
-      `;
       
-      // Add event listener to remove button
-      const removeButton = filterElement.querySelector('button');
-      removeButton.addEventListener('click', () => this.removeFilter(tag));
+      if (this.activeFilters.includes(tag)) {
+        filterElement.className = 'tag-filter active px-2 py-1 rounded-full text-xs font-medium bg-primary text-white flex items-center';
+        filterElement.innerHTML = `
+          <span class="tag-label"></span>
+          <button class="ml-1 focus:outline-none" aria-label="Remove filter">
+            <svg xmlns="http://www.w3.org/2000/svg" class="h-3 w-3" viewBox="0 0 20 20" fill="currentColor">
+              <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd" />
+            </svg>
+          </button>
+        `;
+        
+        // Add event listener to remove button
+        const removeButton = filterElement.querySelector('button');
+        removeButton.addEventListener('click', () => this.removeFilter(tag));
+      } else {
+        // A pinned tag that isn't filtered on yet
+        filterElement.className = 'tag-filter pinned px-2 py-1 rounded-full text-xs font-medium border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 cursor-pointer flex items-center';
+        filterElement.innerHTML = '<span class="tag-label"></span>';
+        filterElement.addEventListener('click', () => this.addFilter(tag));
+      }
+      
+      this.styleTagElement(filterElement, tag);
       
       // Add to container before the clear button
       this.tagFilterContainer.insertBefore(filterElement, this.clearFiltersButton);
@@ -256,6 +412,108 @@ class TagManager {
     if (this.clearFiltersButton) {
       this.clearFiltersButton.classList.toggle('hidden', this.activeFilters.length === 0);
     }
+    
+    // Highlight the active tags in the tree
+    this.renderTagTree();
+  }
+
+  /**
+   * Show or hide the tag tree
+   * @param {boolean} show - Whether to show the tree (toggles if omitted)
+   */
+  toggleTagTree(show) {
+    if (!this.tagTree) return;
+    
+    const isHidden = this.tagTree.classList.contains('hidden');
+    const shouldShow = typeof show === 'boolean' ? show : isHidden;
+    
+    this.tagTree.classList.toggle('hidden', !shouldShow);
+    this.tagTreeButton.setAttribute('aria-expanded', String(shouldShow));
+  }
+
+  /**
+   * Render all tags as a collapsible tree, with counts rolled up from nested tags
+   */
+  renderTagTree() {
+    if (!this.tagTree) return;
+    
+    this.tagTree.innerHTML = '';
+    
+    const nodes = tagPath.buildTree(this.allTags);
+    
+    if (nodes.length === 0) {
+      this.tagTree.innerHTML = '<li class="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">No tags yet</li>';
+      return;
+    }
+    
+    for (const node of nodes) {
+      this.tagTree.appendChild(this.createTagTreeItem(node, 0));
+    }
+  }
+
+  /**
+   * Create the tree item for a tag and, when expanded, its nested tags
+   * @param {Object} node - Node built by tagPath.buildTree
+   * @param {number} depth - Nesting level
+   * @returns {HTMLElement} List item
+   */
+  createTagTreeItem(node, depth) {
+    const item = document.createElement('li');
+    const isExpanded = this.expandedTags.has(node.path);
+    const isActive = this.activeFilters.includes(node.path);
+    
+    const row = document.createElement('div');
+    row.className = 'flex items-center pr-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700';
+    row.style.paddingLeft = `${0.5 + depth}rem`;
+    
+    // Expand/collapse toggle, or a spacer to keep names aligned
+    const toggle = document.createElement(node.children.length > 0 ? 'button' : 'span');
+    toggle.className = 'w-5 flex-shrink-0 text-gray-400';
+    
+    if (node.children.length > 0) {
+      toggle.textContent = isExpanded ? '▾' : '▸';
+      toggle.setAttribute('aria-expanded', String(isExpanded));
+      toggle.setAttribute('aria-label', `${isExpanded ? 'Collapse' : 'Expand'} ${node.path}`);
+      toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        
+        if (isExpanded) {
+          this.expandedTags.delete(node.path);
+        } else {
+          this.expandedTags.add(node.path);
+        }
+        
+        this.renderTagTree();
+      });
+    }
+    
+    // Filtering on a tag also shows the posts of its nested tags
+    const tagButton = document.createElement('button');
+    tagButton.className = `flex-grow flex items-center justify-between min-w-0 py-1 text-left ${isActive ? 'text-primary font-medium' : ''}`;
+    tagButton.title = node.path;
+    tagButton.innerHTML = '<span class="truncate"></span><span class="ml-2 text-xs text-gray-500 dark:text-gray-400"></span>';
+    tagButton.firstChild.textContent = node.name;
+    tagButton.lastChild.textContent = node.total;
+    tagButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleFilter(node.path);
+    });
+    
+    row.appendChild(toggle);
+    row.appendChild(tagButton);
+    item.appendChild(row);
+    
+    if (isExpanded && node.children.length > 0) {
+      const list = document.createElement('ul');
+      
+      for (const child of node.children) {
+        list.appendChild(this.createTagTreeItem(child, depth + 1));
+      }
+      
+      item.appendChild(list);
+    }
+    
+    return item;
   }
 
   /**
@@ -287,14 +545,15 @@ class TagManager {
         tagElement.classList.add('cursor-pointer', 'hover:bg-gray-300', 'dark:hover:bg-gray-600');
       }
       
-      if (this.activeFilters.includes(tag)) {
-        tagElement.classList.add('bg-primary', 'text-white');
+      // Tags nested below an active filter are highlighted too, colored tags get a ring
+      if (this.activeFilters.some(filter => tagPath.matches(tag, filter))) {
+        tagElement.classList.add('bg-primary', 'text-white', 'ring-2', 'ring-primary');
       }
       
       // Create tag content
       if (onTagRemove) {
         tagElement.innerHTML = `
-          ${tag}
+          <span class="tag-label"></span>
           <button class="ml-1 focus:outline-none" aria-label="Remove tag">
             <svg xmlns="http://www.w3.org/2000/svg" class="h-3 w-3" viewBox="0 0 20 20" fill="currentColor">
               <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd" />
@@ -309,9 +568,11 @@ class TagManager {
           onTagRemove(tag);
         });
       } else {
-        tagElement.textContent = tag;
+        tagElement.innerHTML = '<span class="tag-label"></span>';
       }
       
+      this.styleTagElement(tagElement, tag);
+      
       // Add event listener for tag click
       if (interactive && onTagClick) {
         tagElement.addEventListener('click', () => onTagClick(tag));
@@ -14,9 +14,12 @@ class ToastManager {
    * @param {string} message - Message to display
    * @param {string} type - Type of toast (success, error, info, warning)
    * @param {number} duration - Duration to show toast in ms
+   * @param {Object} action - Button shown next to the message (optional)
+   * @param {string} action.label - Button text, e.g. "Undo"
+   * @param {Function} action.onClick - Called when the button is clicked, the toast closes first
    * @returns {Object} Toast element and close function
    */
-  show(message, type = 'info', duration = this.defaultDuration) {
+  show(message, type = 'info', duration = this.defaultDuration, action = null) {
     // Create toast element
     const toast = document.createElement('div');
     toast.className = `toast flex items-center p-4 mb-3 rounded-lg shadow-lg max-w-md animate-slideUp`;
@@ -68,8 +71,9 @@ class ToastManager {
     toast.innerHTML = `
       <div class="flex items-center">
         ${icon}
-        <div class="flex-grow">${message}</div>
-        <button class="ml-2 text-white hover:text-gray-200 focus:outline-none" aria-label="Close">
+        <div class="toast-message flex-grow"></div>
+        ${action ? '<button class="toast-action ml-3 font-semibold underline hover:text-gray-200 focus:outline-none"></button>' : ''}
+        <button class="toast-close ml-2 text-white hover:text-gray-200 focus:outline-none" aria-label="Close">
           <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
             <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd" />
           </svg>
@@ -77,6 +81,9 @@ class ToastManager {
       </div>
     `;
     
+    // Messages can hold tag names, board titles and other user text, so they are shown as plain text
+    toast.querySelector('.toast-message').textContent = message;
+    
     // Add to container
     this.container.appendChild(toast);
     
@@ -84,9 +91,19 @@ class ToastManager {
     this.toasts.push(toast);
     
     // Set up close button
-    const closeButton = toast.querySelector('button');
+    const closeButton = toast.querySelector('.toast-close');
     closeButton.addEventListener('click', () => this.close(toast));
     
+    // Set up action button
+    if (action) {
+      const actionButton = toast.querySelector('.toast-action');
+      actionButton.textContent = action.label;
+      actionButton.addEventListener('click', () => {
+        this.close(toast);
+        action.onClick();
+      });
+    }
+    
     // Set up auto-close timer
     const timer = setTimeout(() => this.close(toast), duration);
     
@@ -130,40 +147,44 @@ class ToastManager {
    * Show a success toast
    * @param {string} message - Message to display
    * @param {number} duration - Duration to show toast in ms
+   * @param {Object} action - Button shown next to the message (optional)
    * @returns {Object} Toast element and close function
    */
-  success(message, duration) {
-    return this.show(message, 'success', duration);
+  success(message, duration, action) {
+    return this.show(message, 'success', duration, action);
   }
 
   /**
    * Show an error toast
    * @param {string} message - Message to display
    * @param {number} duration - Duration to show toast in ms
+   * @param {Object} action - Button shown next to the message (optional)
    * @returns {Object} Toast element and close function
    */
-  error(message, duration) {
-    return this.show(message, 'error', duration);
+  error(message, duration, action) {
+    return this.show(message, 'error', duration, action);
   }
 
   /**
    * Show a warning toast
    * @param {string} message - Message to display
    * @param {number} duration - Duration to show toast in ms
+   * @param {Object} action - Button shown next to the message (optional)
    * @returns {Object} Toast element and close function
    */
-  warning(message, duration) {
-    return this.show(message, 'warning', duration);
+  warning(message, duration, action) {
+    return this.show(message, 'warning', duration, action);
   }
 
   /**
    * Show an info toast
    * @param {string} message - Message to display
    * @param {number} duration - Duration to show toast in ms
+   * @param {Object} action - Button shown next to the message (optional)
    * @returns {Object} Toast element and close function
    */
-  info(message, duration) {
-    return this.show(message, 'info', duration);
+  info(message, duration, action) {
+    return this.show(message, 'info', duration, action);
   }
 
   /**
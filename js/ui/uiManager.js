@@ -345,7 +345,7 @@ class UIManager {
         <span class="text-${platformConfig.color} mr-2">${platformConfig.icon}</span>
         <span class="font-medium">${platformConfig.name}</span>
       </div>
-      <div class="flex items-center">
+      <div class="post-actions flex items-center">
         <button class="p-1 text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 edit-post-btn" aria-label="Edit post">
           <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
@@ -429,6 +429,9 @@ class UIManager {
       deleteButton.addEventListener('click', () => this.confirmDeletePost(post));
     }
     
+    // Manual ordering
+    reorderManager.attach(postElement, post);
+    
     return postElement;
   }
 
@@ -0,0 +1,322 @@
+/**
+ * Link unfurling module for Boardie application
+ * Extracts title, description, image and site name from web pages using
+ * OpenGraph, Twitter Card, oEmbed discovery and JSON-LD metadata
+ */
+class LinkUnfurler {
+  constructor() {
+    // Providers fetch the raw body of a URL and resolve with it as text
+    this.providers = {
+      proxy: this.fetchViaProxy.bind(this),
+      stub: this.fetchFromStub.bind(this)
+    };
+    
+    // In-flight requests, so the same URL is only fetched once at a time
+    this.pending = new Map();
+  }
+
+  /**
+   * Register a custom provider
+   * @param {string} name - Provider name, selected with CONFIG.unfurl.provider
+   * @param {Function} fetcher - Function taking a URL and resolving with the response text (or null)
+   */
+  registerProvider(name, fetcher) {
+    this.providers[name] = fetcher;
+  }
+
+  /**
+   * Check whether the configured provider can fetch pages
+   * @returns {boolean} True if unfurling is available
+   */
+  isAvailable() {
+    const { provider, proxyUrl } = CONFIG.unfurl;
+    
+    if (provider === 'proxy') {
+      return !!proxyUrl;
+    }
+    
+    return !!this.providers[provider];
+  }
+
+  /**
+   * Unfurl a URL
+   * @param {string} url - URL to unfurl
+   * @returns {Promise<Object|null>} Metadata with title, description, image and siteName, or null
+   */
+  async unfurl(url) {
+    if (!this.isAvailable()) return null;
+    
+    if (this.pending.has(url)) {
+      return this.pending.get(url);
+    }
+    
+    const request = this.fetchMetadata(url).finally(() => {
+      this.pending.delete(url);
+    });
+    
+    this.pending.set(url, request);
+    return request;
+  }
+
+  /**
+   * Unfurl a saved website post once and store what was found on it
+   * Called when a link is saved, rendering only reads the stored metadata
+   * @param {string} id - Post ID
+   * @returns {Promise<Object|null>} The updated post, or null if nothing was stored
+   */
+  async unfurlPost(id) {
+    if (!this.isAvailable()) return null;
+    
+    const post = await db.getPostById(id);
+    
+    if (!post || post.platform !== 'website' || post.unfurledAt) return null;
+    
+    let metadata = null;
+    
+    try {
+      metadata = await this.unfurl(post.url);
+    } catch (error) {
+      console.warn('Error unfurling link:', error);
+    }
+    
+    return db.saveLinkMetadata(id, metadata);
+  }
+
+  /**
+   * Fetch and parse metadata for a URL
+   * @param {string} url - URL to unfurl
+   * @returns {Promise<Object|null>} Metadata or null
+   */
+  async fetchMetadata(url) {
+    const html = await this.fetchText(url);
+    
+    if (!html) return null;
+    
+    const metadata = this.parseHTML(html, url);
+    
+    // Fill gaps from the oEmbed endpoint the page advertises
+    if (metadata.oembedUrl && (!metadata.title || !metadata.image)) {
+      try {
+        const oembed = JSON.parse(await this.fetchText(metadata.oembedUrl));
+        
+        metadata.title = metadata.title || this.cleanText(oembed.title);
+        metadata.image = metadata.image || this.resolveUrl(oembed.thumbnail_url, url);
+        metadata.siteName = metadata.siteName || this.cleanText(oembed.provider_name);
+      } catch (error) {
+        console.warn('Error fetching oEmbed data:', error);
+      }
+    }
+    
+    const result = {
+      title: metadata.title,
+      description: metadata.description,
+      image: metadata.image,
+      siteName: metadata.siteName
+    };
+    
+    // Nothing useful found
+    if (!Object.values(result).some(Boolean)) return null;
+    
+    return result;
+  }
+
+  /**
+   * Fetch the body of a URL through the configured provider
+   * @param {string} url - URL to fetch
+   * @returns {Promise<string|null>} Response text
+   */
+  async fetchText(url) {
+    const provider = this.providers[CONFIG.unfurl.provider];
+    
+    if (!provider) {
+      throw new Error(`Unknown unfurl provider: ${CONFIG.unfurl.provider}`);
+    }
+    
+    return provider(url);
+  }
+
+  /**
+   * Fetch a URL through the configured CORS proxy
+   * @param {string} url - URL to fetch
+   * @returns {Promise<string>} Response text
+   */
+  async fetchViaProxy(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG.unfurl.timeout || 8000);
+    
+    try {
+      const response = await fetch(`${CONFIG.unfurl.proxyUrl}${encodeURIComponent(url)}`, {
+        signal: controller.signal
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Proxy responded with ${response.status}`);
+      }
+      
+      return await response.text();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Serve a canned page for a URL so unfurling can be exercised offline
+   * @param {string} url - URL to fetch
+   * @returns {Promise<string>} Response text
+   */
+  async fetchFromStub(url) {
+    const urlObj = new URL(url);
+    
+    // oEmbed endpoint advertised by the stub pages below
+    if (urlObj.pathname === '/__stub__/oembed') {
+      return JSON.stringify({
+        type: 'link',
+        version: '1.0',
+        title: `Stub oEmbed for ${urlObj.searchParams.get('url')}`,
+        provider_name: 'Stub oEmbed'
+      });
+    }
+    
+    const domain = urlObj.hostname.replace(/^www\./, '');
+    const slug = urlObj.pathname.split('/').filter(Boolean).pop() || domain;
+    const title = slug.replace(/[-_]+/g, ' ');
+    
+    return `<!DOCTYPE html>
+      <html>
+        <head>
+          <title>${title} | ${domain}</title>
+          <meta property="og:title" content="${title}">
+          <meta property="og:description" content="Offline preview of ${domain}${urlObj.pathname}">
+          <meta property="og:site_name" content="${domain}">
+          <meta name="twitter:image" content="/stub-image.png">
+          <link rel="alternate" type="application/json+oembed" href="${urlObj.origin}/__stub__/oembed?url=${encodeURIComponent(url)}">
+          <script type="application/ld+json">{"@type": "WebPage", "name": "${title}", "publisher": {"name": "${domain}"}}</script>
+        </head>
+        <body></body>
+      </html>`;
+  }
+
+  /**
+   * Parse metadata from an HTML document
+   * Sources are applied in order of precedence: OpenGraph, Twitter Card, JSON-LD, then plain HTML
+   * @param {string} html - HTML source
+   * @param {string} baseUrl - URL the document was fetched from
+   * @returns {Object} Metadata including oembedUrl if the page advertises one
+   */
+  parseHTML(html, baseUrl) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    
+    const meta = (selector) => {
+      const element = doc.querySelector(selector);
+      return element ? this.cleanText(element.getAttribute('content')) : '';
+    };
+    
+    const openGraph = {
+      title: meta('meta[property="og:title"]'),
+      description: meta('meta[property="og:description"]'),
+      image: meta('meta[property="og:image"], meta[property="og:image:url"], meta[property="og:image:secure_url"]'),
+      siteName: meta('meta[property="og:site_name"]')
+    };
+    
+    const twitterCard = {
+      title: meta('meta[name="twitter:title"], meta[property="twitter:title"]'),
+      description: meta('meta[name="twitter:description"], meta[property="twitter:description"]'),
+      image: meta('meta[name="twitter:image"], meta[property="twitter:image"], meta[name="twitter:image:src"]'),
+      siteName: ''
+    };
+    
+    const jsonLd = this.parseJsonLd(doc);
+    
+    const titleElement = doc.querySelector('title');
+    const html5 = {
+      title: titleElement ? this.cleanText(titleElement.textContent) : '',
+      description: meta('meta[name="description"]'),
+      image: '',
+      siteName: ''
+    };
+    
+    const sources = [openGraph, twitterCard, jsonLd, html5];
+    const pick = (field) => {
+      const source = sources.find(candidate => candidate[field]);
+      return source ? source[field] : '';
+    };
+    
+    const oembedLink = doc.querySelector('link[type="application/json+oembed"]');
+    
+    return {
+      title: pick('title'),
+      description: pick('description'),
+      image: this.resolveUrl(pick('image'), baseUrl),
+      siteName: pick('siteName'),
+      oembedUrl: oembedLink ? this.resolveUrl(oembedLink.getAttribute('href'), baseUrl) : ''
+    };
+  }
+
+  /**
+   * Extract metadata from JSON-LD blocks
+   * @param {Document} doc - Parsed document
+   * @returns {Object} Metadata
+   */
+  parseJsonLd(doc) {
+    const result = { title: '', description: '', image: '', siteName: '' };
+    const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+    
+    for (const script of scripts) {
+      let data;
+      
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (error) {
+        continue;
+      }
+      
+      // Flatten arrays and @graph containers into a list of nodes
+      const nodes = [].concat(data).flatMap(node => (node && node['@graph']) ? node['@graph'] : [node]);
+      
+      for (const node of nodes) {
+        if (!node || typeof node !== 'object') continue;
+        
+        const image = Array.isArray(node.image) ? node.image[0] : node.image;
+        const publisher = node.publisher || node.isPartOf;
+        
+        result.title = result.title || this.cleanText(node.headline || node.name);
+        result.description = result.description || this.cleanText(node.description);
+        result.image = result.image || this.cleanText(image && typeof image === 'object' ? image.url : image);
+        result.siteName = result.siteName || this.cleanText(publisher && publisher.name);
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Resolve a possibly relative URL, allowing only http(s) results
+   * @param {string} value - URL to resolve
+   * @param {string} baseUrl - Base URL
+   * @returns {string} Absolute URL or empty string
+   */
+  resolveUrl(value, baseUrl) {
+    if (!value) return '';
+    
+    try {
+      const resolved = new URL(value, baseUrl);
+      return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Normalize whitespace in a metadata value
+   * @param {*} value - Raw value
+   * @returns {string} Cleaned string
+   */
+  cleanText(value) {
+    if (typeof value !== 'string') return '';
+    
+    return value.replace(/\s+/g, ' ').trim();
+  }
+}
+
+// Create and export a singleton instance
+const linkUnfurler = new LinkUnfurler();
@@ -0,0 +1,100 @@
+/**
+ * URL canonicalization module for Boardie application
+ * Reduces equivalent links to a single canonical URL, so the same post isn't saved twice
+ */
+class UrlCanonicalizer {
+  /**
+   * Get the canonical URL of a link
+   * Platform links are rebuilt from their post ID, so twitter.com and x.com links or youtu.be/ID
+   * and youtube.com/watch?v=ID end up the same. Other links are tidied up by normalize.
+   * @param {string} url - URL as entered
+   * @returns {string} Canonical URL
+   */
+  canonicalize(url) {
+    const text = String(url || '').trim();
+    
+    for (const config of Object.values(CONFIG.platforms)) {
+      if (!config.canonicalUrl) continue;
+      
+      const match = text.match(config.pattern);
+      
+      if (match) {
+        return this.fillTemplate(config.canonicalUrl, match);
+      }
+    }
+    
+    return this.normalize(text);
+  }
+
+  /**
+   * Fill the groups of a pattern match into a canonical URL template
+   * @param {string} template - Template, e.g. "https://x.com/i/status/{2}"
+   * @param {Array<string>} match - Result of matching the platform pattern
+   * @returns {string} Filled template
+   */
+  fillTemplate(template, match) {
+    return template.replace(/\{(\d+)\}/g, (_, group) => match[group] || '');
+  }
+
+  /**
+   * Tidy up a link that doesn't belong to a known platform
+   * Uses https, drops www. and mobile host prefixes, the fragment, tracking parameters and a trailing
+   * slash, and sorts the remaining query parameters
+   * @param {string} url - URL
+   * @returns {string} Normalized URL, or the URL unchanged if it doesn't parse
+   */
+  normalize(url) {
+    let parsed;
+    
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return url;
+    }
+    
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return parsed.href;
+    
+    // Sort by name only, so repeated parameters keep their order
+    const params = [...parsed.searchParams]
+      .filter(([name]) => !this.isTrackingParam(name))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    
+    const host = this.stripHostPrefix(parsed.hostname) + (parsed.port ? ':' + parsed.port : '');
+    const path = parsed.pathname.replace(/\/+$/, '');
+    const query = new URLSearchParams(params).toString();
+    
+    return `https://${host}${path}${query ? '?' + query : ''}`;
+  }
+
+  /**
+   * Check whether a query parameter only tracks where a link was shared
+   * @param {string} name - Parameter name
+   * @returns {boolean} True if the parameter is dropped from canonical URLs
+   */
+  isTrackingParam(name) {
+    const lowerName = name.toLowerCase();
+    
+    return CONFIG.urls.trackingParams.some(param => {
+      return param instanceof RegExp ? param.test(lowerName) : param === lowerName;
+    });
+  }
+
+  /**
+   * Drop a www. or mobile prefix from a host
+   * @param {string} host - Lowercase host name
+   * @returns {string} Host without the prefix, e.g. "example.com" for "m.example.com"
+   */
+  stripHostPrefix(host) {
+    for (const prefix of CONFIG.urls.mobileHostPrefixes) {
+      // Keep prefixes that are the whole domain name, e.g. m.me
+      if (host.startsWith(prefix) && host.slice(prefix.length).includes('.')) {
+        return host.slice(prefix.length);
+      }
+    }
+    
+    return host;
+  }
+}
+
+// Create and export a singleton instance
+const urlCanonicalizer = new UrlCanonicalizer();
@@ -3,8 +3,11 @@
  * Handles caching and offline functionality
  */
 
-// Cache name and version
-const CACHE_NAME = 'boardie-cache-v1';
+// Shared configuration (Supabase project and storage names)
+importScripts('./js/config.js');
+
+// Cache name and version, bump it whenever the precached assets change so clients drop the old cache
+const CACHE_NAME = 'boardie-cache-v2';
 
 // Assets to cache on install
 const PRECACHE_ASSETS = [
@@ -13,14 +16,37 @@ const PRECACHE_ASSETS = [
   './css/styles.css',
   './js/app.js',
   './js/config.js',
+  './js/migrations.js',
+  './js/syncMerger.js',
+  './js/tagPath.js',
+  './js/tagMatcher.js',
+  './js/autoTagger.js',
+  './js/urlCanonicalizer.js',
+  './js/searchIndex.js',
+  './js/searchQuery.js',
+  './js/markdown.js',
   './js/db.js',
   './js/auth.js',
+  './js/unfurl.js',
   './js/embedHandlers.js',
   './js/ui.js',
   './js/ui/toast.js',
   './js/ui/modal.js',
   './js/ui/tagManager.js',
   './js/ui/uiManager.js',
+  './js/ui/components/reorderManager.js',
+  './js/ui/components/tagInput.js',
+  './js/ui/components/libraryManager.js',
+  './js/ui/components/conflictManager.js',
+  './js/ui/components/boardManager.js',
+  './js/ui/components/smartViewManager.js',
+  './js/ui/components/tagListManager.js',
+  './js/ui/components/tagRuleManager.js',
+  './js/ui/components/duplicateManager.js',
+  './js/ui/components/trashManager.js',
+  './js/ui/components/undoManager.js',
+  './js/ui/components/revisionManager.js',
+  './js/ui/components/selectionManager.js',
   './manifest.json',
   './icons/icon-192x192.png'
 ];
@@ -248,14 +274,243 @@ self.addEventListener('sync', event => {
   console.log('[Service Worker] Sync event:', event.tag);
   
   if (event.tag === 'sync-posts') {
-    event.waitUntil(
-      // This would typically call a function to sync data with the server
-      // For now, we'll just log the event
-      console.log('[Service Worker] Syncing posts...')
-    );
+    // A rejected promise makes the browser retry the sync later
+    event.waitUntil(syncPosts());
   }
 });
 
+/**
+ * Push the outbox queued by the app to Supabase and tell open windows about it
+ * @returns {Promise} Resolves when the outbox is drained or can't be pushed from here
+ */
+async function syncPosts() {
+  console.log('[Service Worker] Syncing posts...');
+  
+  const db = await openDatabase();
+  
+  if (!db) return;
+  
+  try {
+    // The app refreshes the session, an expired one waits until the app is opened again
+    const session = await getRecord(db, CONFIG.storage.settingsStore, 'syncSession');
+    
+    if (!session || !session.value || session.value.expiresAt <= Date.now()) {
+      console.log('[Service Worker] No valid session, leaving the outbox to the app');
+      return;
+    }
+    
+    // Same rules as the app: posts with an open conflict wait for the user, and
+    // records with a parked entry wait until the user retries or discards it
+    const conflictIds = new Set((await getAllRecords(db, CONFIG.storage.conflictsStore)).map(conflict => conflict.postId));
+    const parkedKeys = new Set();
+    const entries = (await getAllRecords(db, CONFIG.storage.outboxStore)).filter(entry => {
+      const key = `${entry.table}:${entry.entityId}`;
+      
+      if (entry.attempts >= CONFIG.sync.maxAttempts) {
+        parkedKeys.add(key);
+      }
+      
+      return !parkedKeys.has(key) && !conflictIds.has(entry.entityId);
+    });
+    
+    let pushed = 0;
+    
+    for (let index = 0; index < entries.length;) {
+      const batch = getOutboxBatch(entries, index);
+      
+      await pushOutboxBatch(batch, session.value);
+      await completeOutboxEntries(db, batch);
+      
+      pushed += batch.length;
+      index += batch.length;
+    }
+    
+    console.log(`[Service Worker] Pushed ${pushed} outbox entries`);
+    
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    
+    for (const client of clientList) {
+      client.postMessage({ type: 'sync-complete', pushed });
+    }
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Open the app database without changing its schema
+ * @returns {Promise<IDBDatabase|null>} Database, or null if the app hasn't created an outbox yet
+ */
+function openDatabase() {
+  return new Promise((resolve) => {
+    const request = indexedDB.open(CONFIG.storage.dbName);
+    
+    // Creating or upgrading the database is left to the app
+    request.onupgradeneeded = () => {
+      request.transaction.abort();
+    };
+    
+    request.onsuccess = () => {
+      const db = request.result;
+      
+      if (!db.objectStoreNames.contains(CONFIG.storage.outboxStore)) {
+        db.close();
+        resolve(null);
+        return;
+      }
+      
+      // Don't hold up an upgrade started by the app
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    
+    request.onerror = () => {
+      resolve(null);
+    };
+  });
+}
+
+/**
+ * Get a record from an object store
+ * @param {IDBDatabase} db - Database
+ * @param {string} storeName - Object store name
+ * @param {*} key - Record key
+ * @returns {Promise<Object|undefined>} Record
+ */
+function getRecord(db, storeName, key) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName, 'readonly').objectStore(storeName).get(key);
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get all records from an object store
+ * @param {IDBDatabase} db - Database
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} Records in key order
+ */
+function getAllRecords(db, storeName) {
+  return new Promise((resolve, reject) => {
+    if (!db.objectStoreNames.contains(storeName)) {
+      resolve([]);
+      return;
+    }
+    
+    const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the outbox entries that can be pushed together, starting at an index
+ * Retry delays are left to the browser, which schedules background syncs itself
+ * @param {Array} entries - Outbox entries in order
+ * @param {number} index - Index of the first entry
+ * @returns {Array} Batch of entries
+ */
+function getOutboxBatch(entries, index) {
+  const first = entries[index];
+  const batch = [first];
+  
+  while (first.action === 'upsert' && batch.length < CONFIG.sync.batchSize) {
+    const next = entries[index + batch.length];
+    
+    if (!next || next.action !== 'upsert' || next.table !== first.table) break;
+    
+    batch.push(next);
+  }
+
+  return batch;
+}
+
+/**
+ * Push a batch of outbox entries through the Supabase REST API
+ * @param {Array} batch - Entries for the same table, a single delete or consecutive upserts
+ * @param {Object} session - Session stored by the app
+ * @returns {Promise} Resolves when Supabase accepted the changes
+ */
+async function pushOutboxBatch(batch, session) {
+  const { table, action, entityId } = batch[0];
+  const headers = {
+    apikey: CONFIG.supabase.anonKey,
+    Authorization: `Bearer ${session.accessToken}`,
+    'Content-Type': 'application/json'
+  };
+
+  let response;
+  
+  if (action === 'delete') {
+    response = await fetch(`${CONFIG.supabase.url}/rest/v1/${table}?id=eq.${encodeURIComponent(entityId)}`, {
+      method: 'DELETE',
+      headers
+    });
+  } else {
+    // Upserting the same row twice in one statement fails, so only the latest version is sent
+    const rows = new Map();
+    
+    for (const entry of batch) {
+      rows.set(entry.entityId, { ...entry.data, user_id: session.userId });
+    }
+    
+    response = await fetch(`${CONFIG.supabase.url}/rest/v1/${table}`, {
+      method: 'POST',
+      headers: { ...headers, Prefer: 'resolution=merge-duplicates,return=minimal' },
+      body: JSON.stringify([...rows.values()])
+    });
+  }
+
+  if (!response.ok) {
+    throw new Error(`Supabase responded with ${response.status}`);
+  }
+}
+
+/**
+ * Remove pushed entries from the outbox and remember the pushed records as the versions on the server
+ * @param {IDBDatabase} db - Database
+ * @param {Array} entries - Outbox entries
+ * @returns {Promise} Resolves when the entries are stored
+ */
+function completeOutboxEntries(db, entries) {
+  return new Promise((resolve, reject) => {
+    // Object stores holding the records of each synced table
+    const recordStores = {
+      posts: CONFIG.storage.postsStore,
+      boards: CONFIG.storage.boardsStore,
+      smart_views: CONFIG.storage.smartViewsStore,
+      tag_meta: CONFIG.storage.tagMetaStore,
+      tag_rules: CONFIG.storage.tagRulesStore
+    };
+    const storeNames = [CONFIG.storage.outboxStore, ...Object.values(recordStores).filter(name => db.objectStoreNames.contains(name))];
+    const transaction = db.transaction(storeNames, 'readwrite');
+    const outboxStore = transaction.objectStore(CONFIG.storage.outboxStore);
+    
+    for (const entry of entries) {
+      outboxStore.delete(entry.seq);
+      
+      const storeName = recordStores[entry.table];
+      
+      if (entry.action === 'upsert' && storeNames.includes(storeName)) {
+        const store = transaction.objectStore(storeName);
+        const request = store.get(entry.entityId);
+        
+        request.onsuccess = () => {
+          if (request.result) {
+            store.put({ ...request.result, syncBase: entry.data });
+          }
+        };
+      }
+    }
+    
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
 // Message event - handle messages from clients
 self.addEventListener('message', event => {
   console.log('[Service Worker] Message received:', event.data);
@@ -0,0 +1,93 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+
+describe('autoTagger', () => {
+  let autoTagger;
+  let db;
+  
+  // Rules are normalized the way they are when saved
+  const rule = fields => db.createTagRule({ title: 'Rule', tags: ['tagged'], ...fields });
+  
+  const post = (url, platform = 'website') => ({ id: 'a', url, platform, tags: [] });
+  
+  /**
+   * Check which links a rule matches
+   * @param {Object} fields - Conditions of the rule
+   * @param {Object} expected - Whether each link matches, by link
+   */
+  const assertMatches = (fields, expected) => {
+    const tagRule = rule(fields);
+    
+    for (const [url, matches] of Object.entries(expected)) {
+      assert.equal(autoTagger.matches(tagRule, post(url)), matches, url);
+    }
+  };
+  
+  beforeEach(() => {
+    ({ autoTagger, db } = loadScripts(DB_SCRIPTS));
+  });
+  
+  it('matches a domain and its subdomains only', () => {
+    assertMatches({ domain: 'https://www.GitHub.com/' }, {
+      'https://github.com/user/repo': true,
+      'https://www.github.com/user/repo': true,
+      'https://gist.github.com/user/1': true,
+      'https://notgithub.com/user/repo': false,
+      'https://github.com.example.org/user/repo': false
+    });
+  });
+  
+  it('matches URL patterns case-insensitively and never matches an invalid one', () => {
+    assertMatches({ urlPattern: '/docs/.*\\.pdf$' }, {
+      'https://example.com/docs/guide.pdf': true,
+      'https://example.com/DOCS/Guide.PDF': true,
+      'https://example.com/docs/guide.html': false
+    });
+    
+    assertMatches({ urlPattern: '/docs/(' }, {
+      'https://example.com/docs/(': false
+    });
+    assert.throws(() => db.validateTagRule(rule({ urlPattern: '/docs/(' })), /Invalid URL pattern/);
+  });
+  
+  it('matches posts of a Twitter user on twitter.com and x.com', () => {
+    assertMatches({ twitterUser: '@SomeOne' }, {
+      'https://twitter.com/someone/status/1234567890': true,
+      'https://x.com/SomeOne/status/1234567890?s=20': true,
+      'https://x.com/someoneelse/status/1234567890': false,
+      'https://example.com/someone/status/1234567890': false
+    });
+  });
+  
+  it('matches only when every condition does', () => {
+    const tagRule = rule({ platform: 'twitter', domain: 'x.com', twitterUser: 'someone' });
+    
+    assert.equal(autoTagger.matches(tagRule, post('https://x.com/someone/status/1', 'twitter')), true);
+    assert.equal(autoTagger.matches(tagRule, post('https://x.com/someone/status/1')), false);
+    assert.equal(autoTagger.matches(tagRule, post('https://twitter.com/someone/status/1', 'twitter')), false);
+  });
+  
+  it('never matches a rule without conditions, which can\'t be saved either', () => {
+    const tagRule = rule({});
+    
+    assert.equal(autoTagger.matches(tagRule, post('https://example.com/a')), false);
+    const { tags, boardIds } = autoTagger.apply([tagRule], post('https://example.com/a'));
+    assert.deepEqual([...tags, ...boardIds], []);
+    assert.throws(() => db.validateTagRule(tagRule), /at least one condition/);
+  });
+  
+  it('adds what enabled matching rules add and the post doesn\'t have yet', () => {
+    const rules = [
+      rule({ domain: 'example.com', tags: ['news', 'reading'], boardId: 'later' }),
+      rule({ urlPattern: 'example', tags: ['reading', 'web'], boardId: 'later' }),
+      rule({ domain: 'example.com', tags: ['disabled'], boardId: 'other', enabled: false }),
+      rule({ domain: 'github.com', tags: ['code'] })
+    ];
+    
+    const { tags, boardIds } = autoTagger.apply(rules, { ...post('https://example.com/a'), tags: ['news'] });
+    
+    assert.deepEqual([...tags], ['reading', 'web']);
+    assert.deepEqual([...boardIds], ['later']);
+  });
+});
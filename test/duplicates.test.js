@@ -0,0 +1,58 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+
+describe('mergeDuplicatePosts', () => {
+  let db;
+  
+  beforeEach(async () => {
+    ({ db } = loadScripts(DB_SCRIPTS));
+    await db.init();
+    
+    await db.addPost({ id: 'a', url: 'https://example.com/page', platform: 'website', tags: ['news'], dateAdded: '2024-01-01T00:00:00.000Z' }, false);
+    await db.addPost({
+      id: 'b',
+      url: 'https://example.com/other',
+      platform: 'website',
+      title: 'The page',
+      notes: 'Read the second half',
+      tags: ['tech'],
+      dateAdded: '2024-02-01T00:00:00.000Z'
+    }, false);
+    
+    // A link saved on another device before the devices synced
+    await db.updatePost({ ...(await db.getPostById('b')), url: 'https://example.com/page?utm_source=feed' }, false);
+    await db.addBoard({ id: 'reading', title: 'Reading', postIds: ['b'] }, false);
+  });
+  
+  it('merges tags, notes and missing fields into the oldest post in one transaction', async () => {
+    const { transaction } = db.db;
+    let transactions = 0;
+    
+    db.db.transaction = (...args) => {
+      if (args[1] === 'readwrite') transactions++;
+      return transaction.apply(db.db, args);
+    };
+    
+    const kept = await db.mergeDuplicatePosts(['b', 'a']);
+    
+    assert.equal(transactions, 1);
+    assert.equal(kept.id, 'a');
+    assert.equal(kept.title, 'The page');
+    assert.equal(kept.notes, 'Read the second half');
+    assert.deepEqual([...kept.tags], ['news', 'tech']);
+    assert.equal(await db.getPostById('b'), null);
+    assert.deepEqual([...(await db.getBoardById('reading')).postIds], ['a']);
+    
+    const outbox = [...await db.getOutbox()].map(entry => `${entry.table}:${entry.entityId}`);
+    assert.deepEqual(outbox.sort(), ['boards:reading', 'posts:a', 'posts:b']);
+  });
+  
+  it('keeps the notes of every post', async () => {
+    await db.updatePost({ ...(await db.getPostById('a')), notes: 'Saved from a newsletter' }, false);
+    
+    const kept = await db.mergeDuplicatePosts(['a', 'b']);
+    
+    assert.equal(kept.notes, 'Saved from a newsletter\n\nRead the second half');
+  });
+});
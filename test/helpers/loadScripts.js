@@ -0,0 +1,70 @@
+/**
+ * Test helper for Boardie application
+ * Runs the app's classic scripts in a browser-like window, in the order index.html loads them
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Scripts db.js depends on, in the order index.html loads them
+const DB_SCRIPTS = [
+  'js/config.js',
+  'js/migrations.js',
+  'js/syncMerger.js',
+  'js/tagPath.js',
+  'js/tagMatcher.js',
+  'js/autoTagger.js',
+  'js/urlCanonicalizer.js',
+  'js/searchIndex.js',
+  'js/searchQuery.js',
+  'js/markdown.js',
+  'js/db.js'
+];
+
+/**
+ * Supabase client for a signed-out user, so nothing is synced
+ */
+const offlineSupabase = {
+  createClient: () => ({
+    auth: {
+      getUser: async () => ({ data: { user: null } }),
+      onAuthStateChange() {}
+    }
+  })
+};
+
+/**
+ * Load scripts into a fresh window
+ * @param {Array<string>} files - Script paths relative to the repository root, in load order
+ * @param {Object} [options] - Options
+ * @param {IDBFactory} [options.indexedDB] - IndexedDB of the window, a new empty one by default
+ * @param {string} [options.body] - Markup of the page body, for scripts that look up elements when they load
+ * @param {Object} [options.supabase] - Supabase library of the window, signed out and offline by default
+ * @returns {Object} Globals of the window by name, including top-level classes and constants
+ */
+function loadScripts(files, { indexedDB = new IDBFactory(), body = '', supabase = offlineSupabase } = {}) {
+  const dom = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, {
+    url: 'https://boardie.test/',
+    runScripts: 'outside-only'
+  });
+  
+  Object.assign(dom.window, { indexedDB, IDBKeyRange, supabase });
+  
+  const context = dom.getInternalVMContext();
+  
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    new vm.Script(source, { filename: file }).runInContext(context);
+  }
+  
+  // Top-level const and class declarations aren't window properties, look them up by evaluating the name
+  return new Proxy({}, {
+    get: (target, name) => name === 'window' ? dom.window : vm.runInContext(String(name), context)
+  });
+}
+
+module.exports = { loadScripts, DB_SCRIPTS };
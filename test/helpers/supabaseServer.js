@@ -0,0 +1,131 @@
+/**
+ * Test helper for Boardie application
+ * An in-memory stand-in for the Supabase tables the app syncs with, for one signed-in user
+ */
+
+/**
+ * Query on a table, run when awaited
+ */
+class Query {
+  constructor(rows) {
+    this.rows = rows;
+    this.filters = [];
+    this.orders = [];
+    this.from = 0;
+    this.to = Infinity;
+  }
+
+  select() {
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => row[column] === value);
+    return this;
+  }
+
+  gt(column, value) {
+    this.filters.push(row => row[column] > value);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, direction: ascending ? 1 : -1 });
+    return this;
+  }
+
+  range(from, to) {
+    this.from = from;
+    this.to = to;
+    return this;
+  }
+
+  then(resolve, reject) {
+    const rows = [...this.rows.values()]
+      .filter(row => this.filters.every(filter => filter(row)))
+      .sort((a, b) => {
+        for (const { column, direction } of this.orders) {
+          if (a[column] !== b[column]) return (a[column] < b[column] ? -1 : 1) * direction;
+        }
+        return 0;
+      })
+      .slice(this.from, this.to + 1)
+      .map(row => structuredClone(row));
+    
+    return Promise.resolve({ data: rows, error: null }).then(resolve, reject);
+  }
+}
+
+/**
+ * Create a server with empty tables
+ * @param {Object} [options] - Options
+ * @param {string} [options.userId] - ID of the signed-in user
+ * @returns {Object} Server with its tables as Maps of rows by ID, the upserts it received and a
+ * supabase library to pass to loadScripts
+ */
+function createSupabaseServer({ userId = 'user-1' } = {}) {
+  const tables = new Map();
+  const upserts = [];
+  
+  const getTable = name => {
+    if (!tables.has(name)) {
+      tables.set(name, new Map());
+    }
+    
+    return tables.get(name);
+  };
+  
+  const client = {
+    auth: {
+      getUser: async () => ({ data: { user: { id: userId } } }),
+      onAuthStateChange() {}
+    },
+    from: name => ({
+      select: () => new Query(getTable(name)).select(),
+      upsert: async rows => {
+        for (const row of rows) {
+          upserts.push({ table: name, row: structuredClone(row) });
+          getTable(name).set(row.id, structuredClone(row));
+        }
+        
+        return { error: null };
+      },
+      delete: () => ({
+        eq: async (column, value) => {
+          getTable(name).delete(value);
+          return { error: null };
+        }
+      })
+    }),
+    channel() {
+      const channel = { on: () => channel, subscribe: () => channel };
+      return channel;
+    },
+    removeChannel() {}
+  };
+  
+  return {
+    tables: { get: getTable },
+    upserts,
+    supabase: { createClient: () => client }
+  };
+}
+
+/**
+ * Run a full sync once the one in progress, if any, has finished, and wait for the outbox
+ * @param {Object} db - Database of the window
+ * @returns {Promise} Resolves when the sync is done
+ */
+async function sync(db) {
+  const settle = async () => {
+    while (db.isSyncing || db.isProcessingOutbox) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  };
+  
+  await settle();
+  await db.syncWithSupabase();
+  await settle();
+}
+
+module.exports = { createSupabaseServer, sync };
@@ -0,0 +1,58 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+const { createSupabaseServer, sync } = require('./helpers/supabaseServer');
+
+describe('importLibrary', () => {
+  let db;
+  let server;
+  
+  const addPost = (id, title) => db.addPost({ id, url: `https://example.com/${id}`, platform: 'website', title, tags: [] });
+  
+  beforeEach(async () => {
+    server = createSupabaseServer();
+    ({ db } = loadScripts(DB_SCRIPTS, { supabase: server.supabase }));
+    await db.init();
+    
+    await addPost('a', 'Kept');
+    await addPost('b', 'Dropped');
+    await db.addBoard({ id: 'kept', title: 'Reading', postIds: ['a', 'b'] });
+    await db.addBoard({ id: 'dropped', title: 'Later', postIds: ['b'] });
+    await db.setSetting('theme', 'dark');
+    await sync(db);
+  });
+  
+  it('replaces the library on the server too and keeps syncing incrementally', async () => {
+    const backup = await db.exportPosts(['a']);
+    const cursor = await db.getSetting('syncCursor:posts');
+    
+    // An edit made offline before the replace
+    db.isOnline = false;
+    await db.updatePost({ ...(await db.getPostById('a')), title: 'Edited offline' });
+    
+    await db.importLibrary(JSON.stringify(backup), { mode: 'replace' });
+    
+    db.isOnline = true;
+    await sync(db);
+    
+    assert.deepEqual(await db.getSetting('syncCursor:posts'), cursor);
+    assert.equal(await db.getSetting('theme'), null);
+    assert.ok(server.upserts.every(({ row }) => row.title !== 'Edited offline'));
+    
+    const posts = server.tables.get('posts');
+    assert.equal(posts.get('a').title, 'Kept');
+    assert.ok(posts.get('b').purgedAt);
+    assert.equal(posts.get('b').title, null);
+    assert.deepEqual(server.tables.get('boards').get('kept').postIds, ['a']);
+    assert.ok(server.tables.get('boards').get('dropped').deletedAt);
+    
+    // Not even a full sync brings the dropped post and board back
+    await db.setSetting('syncCursor:posts', null);
+    await db.setSetting('syncCursor:boards', null);
+    await sync(db);
+    
+    assert.deepEqual([...await db.getAllPosts()].map(post => post.id), ['a']);
+    assert.deepEqual([...await db.getAllBoards()].map(board => board.id), ['kept']);
+    assert.equal((await db.getOutbox()).length, 0);
+  });
+});
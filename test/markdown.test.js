@@ -0,0 +1,93 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+describe('markdown', () => {
+  let markdown;
+  let window;
+  
+  /**
+   * Render notes into an element, as the post card shows them
+   * @param {string} text - Markdown text
+   * @returns {HTMLElement} Element holding the rendered notes
+   */
+  const render = (text) => {
+    const element = window.document.createElement('div');
+    element.innerHTML = markdown.render(text);
+    return element;
+  };
+  
+  /**
+   * Check that rendered notes hold no markup the renderer doesn't produce
+   * @param {HTMLElement} element - Rendered notes
+   */
+  const assertInert = (element) => {
+    assert.equal(element.querySelector('script, img, iframe, style'), null);
+    
+    for (const node of element.querySelectorAll('*')) {
+      for (const { name } of node.attributes) {
+        assert.ok(['href', 'target', 'rel'].includes(name), `unexpected attribute ${name}`);
+      }
+    }
+  };
+  
+  beforeEach(() => {
+    ({ markdown, window } = loadScripts(['js/markdown.js']));
+  });
+  
+  it('renders http, https and mailto links', () => {
+    const links = [...render('[Docs](https://example.com/docs) http://example.org [Mail](mailto:me@example.com)').querySelectorAll('a')];
+    
+    assert.deepEqual(links.map(link => link.getAttribute('href')), ['https://example.com/docs', 'http://example.org', 'mailto:me@example.com']);
+    assert.ok(links.every(link => link.rel === 'noopener noreferrer nofollow'));
+  });
+  
+  it('shows javascript: and data: links as text', () => {
+    for (const url of ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', ' javascript:alert(1)', 'data:text/html;base64,PHNjcmlwdD4=', 'vbscript:msgbox(1)']) {
+      const element = render(`[click](${url})`);
+      
+      assert.equal(element.querySelector('a'), null, url);
+      assert.ok(element.textContent.includes('[click]'), url);
+      assertInert(element);
+    }
+  });
+  
+  it('keeps quotes in URLs inside the href', () => {
+    const element = render('[x](https://example.com/"onmouseover="alert(1)) https://example.com/\'onclick=\'alert(1)');
+    const links = [...element.querySelectorAll('a')];
+    
+    assert.equal(links.length, 2);
+    assert.equal(links[0].getAttribute('href'), 'https://example.com/"onmouseover="alert(1');
+    assert.equal(links[1].getAttribute('href'), 'https://example.com/\'onclick=\'alert(1');
+    assertInert(element);
+  });
+  
+  it('escapes HTML in text, code spans and link labels', () => {
+    const element = render([
+      '<script>alert(1)</script>',
+      '`<img src=x onerror=alert(1)>`',
+      '[<img src=x onerror=alert(1)>](https://example.com)',
+      '# <script>alert(2)</script>',
+      '- <img src=x onerror=alert(3)>',
+      '> <iframe src="javascript:alert(4)"></iframe>',
+      '```',
+      '<script>alert(5)</script>',
+      '```'
+    ].join('\n'));
+    
+    assertInert(element);
+    assert.equal(element.querySelector('code').textContent, '<img src=x onerror=alert(1)>');
+    assert.equal(element.querySelector('a').textContent, '<img src=x onerror=alert(1)>');
+    assert.equal(element.querySelector('pre code').textContent, '<script>alert(5)</script>');
+  });
+  
+  it('ignores NUL markers in the notes', () => {
+    // A marker pointing at the set-aside link, and one at an entry that doesn't exist
+    const element = render('[ok](https://example.com) \u00000\u0000 \u00001\u0000 `<b>` [\u00000\u0000](https://example.org)');
+    
+    assert.equal(element.querySelectorAll('a').length, 2);
+    assert.equal(element.querySelector('b'), null);
+    assert.ok(!element.innerHTML.includes('\u0000'));
+    assertInert(element);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+
+// Posts as version 1 stored them, without updatedAt, position or canonicalUrl
+const V1_POSTS = [
+  { id: 'p1', url: 'https://www.youtube.com/watch?v=abc', platform: 'youtube', title: 'First', tags: ['video'], dateAdded: '2024-01-01T00:00:00.000Z' },
+  { id: 'p2', url: 'https://example.com/articles/1?ref=home', platform: 'website', title: 'Second', tags: [], dateAdded: '2024-02-01T00:00:00.000Z' },
+  { id: 'p3', url: 'https://www.youtube.com/watch?v=abc&utm_source=share', platform: 'youtube', title: 'Duplicate', tags: [], dateAdded: '2024-03-01T00:00:00.000Z' }
+];
+
+/**
+ * Promisify an IndexedDB request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Read every record of a store
+ * @param {IDBDatabase} database - Open database
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} Records
+ */
+const readAll = (database, storeName) => settle(database.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+
+describe('migrations from version 1 to the latest version', () => {
+  let CONFIG;
+  let migrations;
+  let db;
+  let posts;
+  
+  before(async () => {
+    let window;
+    ({ window, CONFIG, migrations, db } = loadScripts(DB_SCRIPTS));
+    
+    // Create a version 1 database holding posts saved by that version
+    const request = window.indexedDB.open(CONFIG.storage.dbName, 1);
+    
+    request.onupgradeneeded = (event) => {
+      migrations.upgrade(request.result, request.transaction, event.oldVersion, 1);
+    };
+    
+    const v1 = await settle(request);
+    const transaction = v1.transaction(CONFIG.storage.postsStore, 'readwrite');
+    
+    for (const post of V1_POSTS) {
+      transaction.objectStore(CONFIG.storage.postsStore).add(post);
+    }
+    
+    await new Promise(resolve => { transaction.oncomplete = resolve; });
+    v1.close();
+    
+    await db.init();
+    posts = await readAll(db.db, CONFIG.storage.postsStore);
+  });
+  
+  it('opens the database at the latest registered version', () => {
+    assert.equal(CONFIG.storage.dbVersion, migrations.latestVersion);
+    assert.equal(db.db.version, migrations.latestVersion);
+  });
+  
+  it('backfills updatedAt and position in version 2', () => {
+    for (const post of posts) {
+      assert.equal(post.updatedAt, post.dateAdded);
+      assert.equal(post.position, -new Date(post.dateAdded).getTime());
+    }
+    
+    const postsStore = db.db.transaction(CONFIG.storage.postsStore, 'readonly').objectStore(CONFIG.storage.postsStore);
+    
+    assert.ok(postsStore.indexNames.contains('updatedAt'));
+    assert.ok(postsStore.indexNames.contains('position'));
+  });
+  
+  it('backfills canonical URLs in version 10, leaving later duplicates without one', () => {
+    const byId = Object.fromEntries(posts.map(post => [post.id, post]));
+    
+    assert.equal(byId.p1.canonicalUrl, 'https://youtube.com/watch?v=abc');
+    assert.equal(byId.p2.canonicalUrl, 'https://example.com/articles/1?ref=home');
+    assert.equal(byId.p3.canonicalUrl, undefined);
+  });
+  
+  it('starts the revision history of every post in version 11', async () => {
+    const revisions = await readAll(db.db, CONFIG.storage.revisionsStore);
+    
+    assert.deepEqual(revisions.map(revision => revision.postId).sort(), ['p1', 'p2', 'p3']);
+    
+    for (const revision of revisions) {
+      const post = posts.find(candidate => candidate.id === revision.postId);
+      
+      assert.equal(revision.source, 'backfill');
+      assert.equal(revision.savedAt, post.dateAdded);
+      assert.equal(revision.post.title, post.title);
+      assert.equal('canonicalUrl' in revision.post, false);
+    }
+  });
+});
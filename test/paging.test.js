@@ -0,0 +1,66 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+
+describe('getPostsPage', () => {
+  let db;
+  
+  const addPost = (id, platform, dateAdded, tags) => db.addPost({ id, url: `https://example.com/${id}`, platform, dateAdded, tags }, false);
+  
+  /**
+   * Read every page of a query
+   * @param {Object} options - Query options, with limit as the page size
+   * @returns {Promise<Array<Array<string>>>} Post IDs of each page
+   */
+  const readPages = async (options) => {
+    const pages = [];
+    let pageToken = null;
+    
+    do {
+      const page = await db.getPostsPage(options, pageToken);
+      pages.push([...page.posts].map(post => post.id));
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+    
+    return pages;
+  };
+  
+  beforeEach(async () => {
+    ({ db } = loadScripts(DB_SCRIPTS));
+    await db.init();
+    
+    // Several posts share a platform and a date, so pages end between them
+    await addPost('a', 'website', '2024-01-02T00:00:00.000Z', ['news']);
+    await addPost('b', 'youtube', '2024-01-02T00:00:00.000Z', ['news', 'video']);
+    await addPost('c', 'website', '2024-01-02T00:00:00.000Z', []);
+    await addPost('d', 'website', '2024-01-01T00:00:00.000Z', ['news/local']);
+    await addPost('e', 'youtube', '2024-01-03T00:00:00.000Z', ['news']);
+    await addPost('f', 'website', '2024-01-01T00:00:00.000Z', ['news']);
+  });
+  
+  for (const sortBy of ['dateAdded', 'platform']) {
+    for (const sortOrder of ['asc', 'desc']) {
+      it(`continues after a page that ends inside equal ${sortBy} keys, ${sortOrder}`, async () => {
+        const options = { sortBy, sortOrder, limit: 2 };
+        const expected = [...await db.getAllPosts({ sortBy, sortOrder })].map(post => post.id);
+        const pages = await readPages(options);
+        
+        assert.deepEqual(pages.flat(), expected);
+        assert.ok(pages.every(page => page.length <= 2));
+      });
+    }
+  }
+  
+  it('pages through posts filtered by tag, including nested tags', async () => {
+    const options = { sortBy: 'dateAdded', sortOrder: 'desc', filterTags: ['news'], limit: 2 };
+    const pages = await readPages(options);
+    
+    assert.deepEqual(pages, [['e', 'b'], ['a', 'f'], ['d']]);
+  });
+  
+  it('pages through a platform filter with a cursor', async () => {
+    const pages = await readPages({ sortBy: 'dateAdded', sortOrder: 'asc', platform: 'website', limit: 3 });
+    
+    assert.deepEqual(pages, [['d', 'f', 'a'], ['c']]);
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+
+describe('renumbering manual positions', () => {
+  let CONFIG;
+  let db;
+  
+  beforeEach(async () => {
+    ({ CONFIG, db } = loadScripts(DB_SCRIPTS));
+    await db.init();
+    
+    // Positions squeezed together by moving posts between the same neighbours again and again
+    await db.addPost({ id: 'c', url: 'https://example.com/c', platform: 'website', tags: [], position: 1e-9 }, false);
+    await db.addPost({ id: 'a', url: 'https://example.com/a', platform: 'website', tags: [], position: -1700000000000 }, false);
+    await db.addPost({ id: 'b', url: 'https://example.com/b', platform: 'website', tags: [], position: 0 }, false);
+    await db.addPost({ id: 'd', url: 'https://example.com/d', platform: 'website', tags: [], position: 2e-9 }, false);
+    await db.deletePost('c', false);
+  });
+  
+  it('spreads positions evenly in the same order, including posts in the trash', async () => {
+    const positions = await db.renumberPositions();
+    const step = CONFIG.ui.positionStep;
+    
+    assert.deepEqual([...positions].map(([id, position]) => [id, position]), [['a', 0], ['b', step], ['c', 2 * step], ['d', 3 * step]]);
+    assert.equal((await db.getPostById('c', { includeDeleted: true })).position, 2 * step);
+    assert.equal((await db.getPostById('d')).position, 3 * step);
+  });
+  
+  it('queues the renumbered posts for sync', async () => {
+    const queuedBefore = (await db.getOutbox()).length;
+    
+    await db.renumberPositions();
+    
+    const entries = (await db.getOutbox()).slice(queuedBefore);
+    
+    assert.deepEqual([...entries.map(entry => entry.entityId)].sort(), ['a', 'b', 'c', 'd']);
+    assert.ok(entries.every(entry => entry.data.position % CONFIG.ui.positionStep === 0));
+  });
+});
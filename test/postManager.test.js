@@ -0,0 +1,66 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+
+describe('postManager', () => {
+  let db;
+  let postManager;
+  
+  const renderedIds = () => [...postManager.getRenderedPostElements()].map(element => element.dataset.id);
+  
+  const addPost = (id, dateAdded) => db.addPost({ id, url: `https://example.com/${id}`, platform: 'website', tags: [], dateAdded }, false);
+  
+  beforeEach(async () => {
+    const scripts = loadScripts([...DB_SCRIPTS, 'js/ui/toast.js', 'js/ui/components/postManager.js'], {
+      body: '<div id="toastContainer"></div><div id="postsContainer"></div>'
+    });
+    
+    // Components the post elements are handed to, not under test here
+    Object.assign(scripts.window, {
+      IntersectionObserver: class { observe() {} unobserve() {} },
+      boardManager: { activeBoard: null },
+      reorderManager: { attach() {} },
+      selectionManager: { attach() {} }
+    });
+    
+    ({ db, postManager } = scripts);
+    await db.init();
+    
+    await addPost('a', '2024-01-04T00:00:00.000Z');
+    await addPost('b', '2024-01-03T00:00:00.000Z');
+    await addPost('c', '2024-01-02T00:00:00.000Z');
+    
+    // First page of two, newest first
+    postManager.postsPerPage = 2;
+    await postManager.loadPosts();
+  });
+  
+  it('patches synced posts into the shown page without reading the whole library', async () => {
+    assert.deepEqual(renderedIds(), ['a', 'b']);
+    assert.equal(postManager.hasMorePosts, true);
+    
+    const between = await addPost('d', '2024-01-03T12:00:00.000Z');
+    const older = await addPost('e', '2023-12-01T00:00:00.000Z');
+    await db.deletePost('a', false);
+    const trashed = await db.getPostById('a', { includeDeleted: true });
+    
+    db.getAllPosts = () => assert.fail('getAllPosts should not be called');
+    
+    await postManager.applySyncedChanges([{ id: 'a', post: trashed }, { id: 'd', post: between }]);
+    await postManager.applySyncedChanges([{ id: 'e', post: older }]);
+    
+    // The older post belongs to a page that isn't loaded yet
+    assert.deepEqual(renderedIds(), ['d', 'b']);
+  });
+  
+  it('appends synced posts after the last page', async () => {
+    await postManager.loadPosts();
+    assert.equal(postManager.hasMorePosts, false);
+    
+    const older = await addPost('e', '2023-12-01T00:00:00.000Z');
+    
+    await postManager.applySyncedChanges([{ id: 'e', post: older }]);
+    
+    assert.deepEqual(renderedIds(), ['a', 'b', 'c', 'e']);
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+
+describe('searchIndex', () => {
+  let db;
+  let searchIndex;
+  
+  const addPost = (id, title) => db.addPost({ id, url: `https://example.com/${id}`, platform: 'website', title, tags: [] }, false);
+  
+  // Stats as the index holds them now, counted again from the stored documents
+  const countStats = async () => {
+    searchIndex.stats = null;
+    await db.getAllPosts({ searchTerm: 'alpha' });
+    
+    return { ...searchIndex.stats };
+  };
+  
+  beforeEach(async () => {
+    ({ db, searchIndex } = loadScripts(DB_SCRIPTS));
+    await db.init();
+    
+    await addPost('a', 'Alpha');
+    await addPost('b', 'Alpha beta gamma');
+  });
+  
+  it('keeps the stats up to date as posts are indexed and removed', async () => {
+    await db.getAllPosts({ searchTerm: 'alpha' });
+    const stats = searchIndex.stats;
+    
+    await addPost('c', 'Delta');
+    const post = await db.getPostById('a');
+    await db.updatePost({ ...post, title: 'Alpha with a longer title' }, false);
+    await db.deletePost('b', false);
+    
+    assert.equal(searchIndex.stats, stats);
+    assert.deepEqual({ ...stats }, await countStats());
+  });
+  
+  it('looks up posts holding every word unless the words are joined by OR', async () => {
+    const search = searchIndex.search.bind(searchIndex);
+    const lookups = [];
+    
+    searchIndex.search = async (...args) => {
+      const scores = await search(...args);
+      lookups.push([...scores.keys()].sort());
+      return scores;
+    };
+    
+    const ids = async (searchTerm) => [...await db.getAllPosts({ searchTerm })].map(post => post.id).sort();
+    
+    assert.deepEqual(await ids('alpha gamma'), ['b']);
+    assert.deepEqual(await ids('beta OR alpha'), ['a', 'b']);
+    assert.deepEqual(lookups, [['b'], ['a', 'b']]);
+  });
+});
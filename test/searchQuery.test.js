@@ -0,0 +1,216 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get local midnight of a day relative to today
+ * @param {number} days - Days from today, negative for the past
+ * @returns {number} Time
+ */
+const dayStart = (days) => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() + days).getTime();
+};
+
+describe('searchQuery', () => {
+  let searchQuery;
+  let SearchQueryError;
+  
+  before(() => {
+    ({ searchQuery, SearchQueryError } = loadScripts(['js/config.js', 'js/tagPath.js', 'js/searchIndex.js', 'js/searchQuery.js']));
+  });
+
+  /**
+   * Parse search text into a plain syntax tree
+   * @param {string} text - Search text
+   * @returns {Object|null} Root node
+   */
+  const parse = (text) => JSON.parse(JSON.stringify(searchQuery.parse(text)));
+
+  /**
+   * Get the error search text fails to parse with
+   * @param {string} text - Search text
+   * @returns {Object} Message and position
+   */
+  const parseError = (text) => {
+    try {
+      searchQuery.parse(text);
+    } catch (error) {
+      assert.ok(error instanceof SearchQueryError, `expected a SearchQueryError, got ${error}`);
+      return { message: error.message, position: error.position };
+    }
+    
+    assert.fail(`"${text}" parsed without an error`);
+  };
+
+  describe('parse', () => {
+    it('returns null for empty text', () => {
+      assert.equal(searchQuery.parse('   '), null);
+    });
+    
+    it('parses field filters', () => {
+      assert.deepEqual(parse('tag:AI'), { type: 'tag', value: 'ai' });
+      assert.deepEqual(parse('platform:YouTube'), { type: 'platform', value: 'youtube' });
+      assert.deepEqual(parse('domain:nytimes.com'), { type: 'domain', value: 'nytimes.com' });
+      assert.deepEqual(parse('tag:"machine learning"'), { type: 'tag', value: 'machine learning' });
+    });
+    
+    it('parses negation', () => {
+      assert.deepEqual(parse('-tag:old'), { type: 'not', child: { type: 'tag', value: 'old' } });
+      assert.deepEqual(parse('-"breaking news"'), { type: 'not', child: { type: 'phrase', value: 'breaking news' } });
+    });
+    
+    it('parses quoted phrases', () => {
+      assert.deepEqual(parse('"state of the art" ai'), {
+        type: 'and',
+        children: [{ type: 'phrase', value: 'state of the art' }, { type: 'word', value: 'ai' }]
+      });
+    });
+    
+    it('binds OR looser than the implicit AND', () => {
+      assert.deepEqual(parse('a OR b c'), {
+        type: 'or',
+        children: [{ type: 'word', value: 'a' }, { type: 'and', children: [{ type: 'word', value: 'b' }, { type: 'word', value: 'c' }] }]
+      });
+    });
+    
+    it('groups with brackets', () => {
+      assert.deepEqual(parse('(a OR b) -(c d)'), {
+        type: 'and',
+        children: [
+          { type: 'or', children: [{ type: 'word', value: 'a' }, { type: 'word', value: 'b' }] },
+          { type: 'not', child: { type: 'and', children: [{ type: 'word', value: 'c' }, { type: 'word', value: 'd' }] } }
+        ]
+      });
+    });
+    
+    it('treats a lowercase or as a word', () => {
+      assert.deepEqual(parse('this or that'), {
+        type: 'and',
+        children: [{ type: 'word', value: 'this' }, { type: 'word', value: 'or' }, { type: 'word', value: 'that' }]
+      });
+    });
+    
+    it('treats URLs and unknown prefixes as words', () => {
+      assert.deepEqual(parse('re:invent'), { type: 'word', value: 're:invent' });
+      assert.deepEqual(parse('https://example.com'), { type: 'word', value: 'https://example.com' });
+    });
+    
+    it('parses absolute dates as the year, month or day they name', () => {
+      assert.deepEqual(parse('added:2026'), { type: 'added', operator: '=', start: new Date(2026, 0, 1).getTime(), end: new Date(2027, 0, 1).getTime() });
+      assert.deepEqual(parse('added:>2026-02'), { type: 'added', operator: '>', start: new Date(2026, 1, 1).getTime(), end: new Date(2026, 2, 1).getTime() });
+      assert.deepEqual(parse('added:<=2026-12-31'), { type: 'added', operator: '<=', start: new Date(2026, 11, 31).getTime(), end: new Date(2027, 0, 1).getTime() });
+      assert.deepEqual(parse('before:2026-03-01'), { type: 'added', operator: '<', start: new Date(2026, 2, 1).getTime(), end: new Date(2026, 2, 2).getTime() });
+      assert.deepEqual(parse('after:2025'), { type: 'added', operator: '>', start: new Date(2025, 0, 1).getTime(), end: new Date(2026, 0, 1).getTime() });
+    });
+    
+    it('parses relative dates as the day they name', () => {
+      const now = new Date();
+      
+      assert.deepEqual(parse('added:today'), { type: 'added', operator: '=', start: dayStart(0), end: dayStart(1) });
+      assert.deepEqual(parse('after:yesterday'), { type: 'added', operator: '>', start: dayStart(-1), end: dayStart(0) });
+      assert.deepEqual(parse('added:>=7d'), { type: 'added', operator: '>=', start: dayStart(-7), end: dayStart(-6) });
+      assert.deepEqual(parse('before:2w'), { type: 'added', operator: '<', start: dayStart(-14), end: dayStart(-13) });
+      assert.equal(parse('added:3m').start, new Date(now.getFullYear(), now.getMonth() - 3, now.getDate()).getTime());
+      assert.equal(parse('added:1y').start, new Date(now.getFullYear() - 1, now.getMonth(), now.getDate()).getTime());
+    });
+    
+    it('reports where malformed text goes wrong', () => {
+      assert.deepEqual(parseError('ai tag:'), { message: '"tag:" needs a value', position: 3 });
+      assert.deepEqual(parseError('ai "open'), { message: 'Missing closing quote', position: 3 });
+      assert.deepEqual(parseError('tag:"open'), { message: 'Missing closing quote', position: 4 });
+      assert.deepEqual(parseError('a (b OR c'), { message: 'Missing closing bracket', position: 2 });
+      assert.deepEqual(parseError('a b)'), { message: 'Unexpected ")"', position: 3 });
+      assert.deepEqual(parseError('a OR'), { message: '"OR" needs a term on both sides', position: 2 });
+      assert.deepEqual(parseError('OR a'), { message: '"OR" needs a term on both sides', position: 0 });
+      assert.deepEqual(parseError('a --b'), { message: '"-" must be followed by a term', position: 2 });
+      assert.equal(parseError('a ()').position, 3);
+    });
+    
+    it('reports unknown platforms and invalid dates at the filter', () => {
+      assert.equal(parseError('ai platform:myspace').position, 3);
+      assert.match(parseError('platform:myspace').message, /^Unknown platform "myspace"/);
+      assert.equal(parseError('x added:2026-13').position, 2);
+      assert.match(parseError('added:2026-02-30').message, /^Invalid date "2026-02-30"/);
+      assert.match(parseError('before:soon').message, /^Invalid date "soon"/);
+      assert.match(parseError('added:>').message, /^Invalid date ""/);
+    });
+  });
+  
+  describe('compile', () => {
+    const now = Date.now();
+    const posts = [
+      { id: 'ml', url: 'https://www.nytimes.com/2026/ml.html', platform: 'website', title: 'Intro to machine learning', tags: ['work/ml'], dateAdded: new Date(2026, 0, 15).toISOString() },
+      { id: 'cooking', url: 'https://cooking.nytimes.com/recipes/1', platform: 'website', title: 'Learning to cook', tags: ['food', 'old'], dateAdded: new Date(2025, 5, 1).toISOString() },
+      { id: 'video', url: 'https://www.youtube.com/watch?v=1', platform: 'youtube', title: 'Machine shop tour', description: 'learning by doing', tags: ['workshop'], dateAdded: new Date(now - 3 * DAY).toISOString() },
+      { id: 'keynote', url: 'https://notnytimes.com/keynote', platform: 'website', title: 'AWS re:Invent keynote', tags: ['work'], dateAdded: new Date(now - 10 * DAY).toISOString() }
+    ];
+    
+    /**
+     * Get the IDs of the posts matching search text
+     * @param {string} text - Search text
+     * @returns {Array<string>} Post IDs
+     */
+    const search = (text) => {
+      const { predicate } = searchQuery.compile(text);
+      return posts.filter(post => predicate(post)).map(post => post.id);
+    };
+    
+    it('returns null for empty text', () => {
+      assert.equal(searchQuery.compile(''), null);
+    });
+    
+    it('matches tags including nested tags', () => {
+      assert.deepEqual(search('tag:work'), ['ml', 'keynote']);
+      assert.deepEqual(search('tag:work/ml'), ['ml']);
+    });
+    
+    it('matches platforms and domains with their subdomains', () => {
+      assert.deepEqual(search('platform:youtube'), ['video']);
+      assert.deepEqual(search('domain:nytimes.com'), ['ml', 'cooking']);
+      assert.deepEqual(search('domain:cooking.nytimes.com'), ['cooking']);
+    });
+    
+    it('matches words by prefix and phrases as consecutive words', () => {
+      assert.deepEqual(search('learn'), ['ml', 'cooking', 'video']);
+      assert.deepEqual(search('"machine learning"'), ['ml']);
+      assert.deepEqual(search('machine learning'), ['ml', 'video']);
+      assert.deepEqual(search('re:invent'), ['keynote']);
+    });
+    
+    it('excludes negated terms', () => {
+      assert.deepEqual(search('learning -tag:old'), ['ml', 'video']);
+      assert.deepEqual(search('-domain:nytimes.com -platform:youtube'), ['keynote']);
+    });
+    
+    it('matches either side of OR and groups', () => {
+      assert.deepEqual(search('platform:youtube OR tag:food'), ['cooking', 'video']);
+      assert.deepEqual(search('(tag:food OR tag:workshop) learning'), ['cooking', 'video']);
+    });
+    
+    it('matches absolute and relative dates', () => {
+      assert.deepEqual(search('added:2026-01'), ['ml']);
+      assert.deepEqual(search('before:2026'), ['cooking']);
+      assert.deepEqual(search('after:2025-06-01 added:<2026-02'), ['ml']);
+      assert.deepEqual(search('added:>=7d'), ['video']);
+      assert.deepEqual(search('before:7d added:>=2w'), ['keynote']);
+    });
+    
+    it('collects the words to rank by and whether matches need them', () => {
+      const compiled = searchQuery.compile('machine "deep learning" -old tag:ai');
+      
+      assert.deepEqual([...compiled.terms], ['machine', 'deep', 'learning']);
+      assert.equal(compiled.requiresText, true);
+      assert.equal(searchQuery.compile('tag:ai').requiresText, false);
+      assert.equal(searchQuery.compile('machine OR tag:ai').requiresText, false);
+      assert.equal(searchQuery.compile('machine OR learning').requiresText, true);
+      
+      assert.equal(compiled.requiresAllTerms, true);
+      assert.equal(searchQuery.compile('machine (tag:ai OR platform:youtube)').requiresAllTerms, true);
+      assert.equal(searchQuery.compile('machine OR learning').requiresAllTerms, false);
+      assert.equal(searchQuery.compile('deep (machine OR tag:ai)').requiresAllTerms, false);
+    });
+  });
+});
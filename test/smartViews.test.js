@@ -0,0 +1,49 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+
+describe('smart view counts', () => {
+  let db;
+  let smartViewManager;
+  
+  const addPost = (id, platform, title, tags) => db.addPost({ id, url: `https://example.com/${id}`, platform, title, tags }, false);
+  
+  const shownCounts = () => Object.fromEntries([...smartViewManager.smartViewsList.querySelectorAll('.smart-view')]
+    .map(item => [item.dataset.id, item.querySelector('.smart-view-count').textContent]));
+  
+  beforeEach(async () => {
+    const scripts = loadScripts([...DB_SCRIPTS, 'js/ui/components/smartViewManager.js'], {
+      body: '<ul id="smartViewsList"></ul>'
+    });
+    
+    // The sort names come from the post list, not under test here
+    scripts.window.postManager = { sortSelect: null };
+    
+    ({ db, smartViewManager } = scripts);
+    await db.init();
+    
+    await addPost('a', 'website', 'Machine learning notes', ['work/ml']);
+    await addPost('b', 'youtube', 'Learning to cook', ['home']);
+    await addPost('c', 'website', 'Gardening', ['home']);
+    await db.addSmartView({ id: 'ml', title: 'Work', filterTags: ['work'] }, false);
+    await db.addSmartView({ id: 'learning', title: 'Learning', searchTerm: 'learning' }, false);
+    await db.addSmartView({ id: 'websites', title: 'Websites', platform: 'website' }, false);
+  });
+  
+  it('counts every view in one pass over the library', async () => {
+    await smartViewManager.loadViews();
+    
+    const getAllPosts = db.getAllPosts.bind(db);
+    let reads = 0;
+    
+    db.getAllPosts = (...args) => {
+      reads++;
+      return getAllPosts(...args);
+    };
+    
+    await smartViewManager.refreshCounts();
+    
+    assert.equal(reads, 1);
+    assert.deepEqual(shownCounts(), { learning: '2', ml: '1', websites: '2' });
+  });
+});
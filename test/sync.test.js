@@ -0,0 +1,102 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+const { createSupabaseServer, sync } = require('./helpers/supabaseServer');
+
+describe('sync', () => {
+  let CONFIG;
+  let db;
+  let server;
+  
+  const addPost = (id, tags) => db.addPost({ id, url: `https://example.com/${id}`, platform: 'website', tags });
+  
+  const tagCounts = async () => Object.fromEntries([...await db.getAllTags()].map(tag => [tag.name, tag.count]));
+  
+  // A change made on another device, as the realtime channel delivers it
+  const receive = (id, fields) => db.handleRealtimeChange({
+    eventType: 'UPDATE',
+    table: 'posts',
+    new: { ...server.tables.get('posts').get(id), ...fields, updatedAt: new Date(Date.now() + 1000).toISOString() }
+  });
+  
+  beforeEach(async () => {
+    server = createSupabaseServer();
+    ({ CONFIG, db } = loadScripts(DB_SCRIPTS, { supabase: server.supabase }));
+    await db.init();
+    
+    await addPost('a', ['news', 'tech']);
+    await addPost('b', ['news']);
+    await sync(db);
+  });
+  
+  it('merges a realtime change without reading the library or recounting tags', async () => {
+    db.getAllPosts = () => assert.fail('getAllPosts should not be called');
+    db.recountTags = () => assert.fail('recountTags should not be called');
+    
+    await receive('a', { title: 'Edited elsewhere', tags: ['tech', 'ml'] });
+    await receive('b', { deletedAt: new Date().toISOString() });
+    
+    assert.equal((await db.getPostById('a')).title, 'Edited elsewhere');
+    assert.equal(await db.getPostById('b'), null);
+    assert.deepEqual(await tagCounts(), { tech: 1, ml: 1 });
+  });
+  
+  it('merges tags edited on both devices and reports other fields edited on both as a conflict', async () => {
+    db.isOnline = false;
+    await db.updatePost({ ...(await db.getPostById('a')), title: 'Here', tags: ['news', 'ml'] });
+    
+    await receive('a', { title: 'There', tags: ['tech', 'cooking'] });
+    
+    const [conflict] = await db.getConflicts();
+    assert.equal(conflict.postId, 'a');
+    assert.deepEqual([...conflict.fields], ['title']);
+    assert.deepEqual([...(await db.getPostById('a')).tags].sort(), ['cooking', 'ml']);
+  });
+  
+  describe('parked outbox entries', () => {
+    const pushedTitles = id => server.upserts.filter(({ row }) => row.id === id && row.title).map(({ row }) => row.title);
+    
+    // Two offline edits of post a, the first of them failed too often, and one of post b
+    beforeEach(async () => {
+      db.isOnline = false;
+      await db.updatePost({ ...(await db.getPostById('a')), title: 'First edit' });
+      await db.updatePost({ ...(await db.getPostById('a')), title: 'Second edit' });
+      await db.updatePost({ ...(await db.getPostById('b')), title: 'Other post' });
+      
+      const [first] = await db.getOutbox();
+      await db.saveOutboxEntries([{ ...first, attempts: CONFIG.sync.maxAttempts, lastError: 'Row rejected' }]);
+      
+      db.isOnline = true;
+      await sync(db);
+    });
+    
+    it('hold back later changes of the same record only', async () => {
+      assert.deepEqual(pushedTitles('a'), []);
+      assert.deepEqual(pushedTitles('b'), ['Other post']);
+      assert.deepEqual([...await db.getParkedOutboxEntries()].map(entry => entry.data.title), ['First edit']);
+      assert.equal((await db.getOutbox()).length, 2);
+    });
+    
+    it('are pushed in order when retried', async () => {
+      const [parked] = await db.getParkedOutboxEntries();
+      
+      await db.retryOutboxEntries([parked.seq]);
+      await sync(db);
+      
+      assert.deepEqual(pushedTitles('a'), ['Second edit']);
+      assert.equal(server.tables.get('posts').get('a').title, 'Second edit');
+      assert.equal((await db.getOutbox()).length, 0);
+    });
+    
+    it('let the later changes through when discarded', async () => {
+      const [parked] = await db.getParkedOutboxEntries();
+      
+      await db.discardOutboxEntries([parked.seq]);
+      await sync(db);
+      
+      assert.ok(server.upserts.every(({ row }) => row.title !== 'First edit'));
+      assert.equal(server.tables.get('posts').get('a').title, 'Second edit');
+      assert.equal((await db.getOutbox()).length, 0);
+    });
+  });
+});
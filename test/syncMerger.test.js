@@ -0,0 +1,81 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+describe('syncMerger', () => {
+  let syncMerger;
+  
+  const base = {
+    id: 'a',
+    url: 'https://example.com/a',
+    title: 'Original',
+    notes: 'First notes',
+    tags: ['news', 'tech', 'old'],
+    position: 1,
+    updatedAt: '2024-01-01T00:00:00.000Z'
+  };
+  
+  // Versions edited on this device and on the server, the server one last
+  const local = (fields) => ({ ...base, ...fields, updatedAt: '2024-01-02T00:00:00.000Z' });
+  const remote = (fields) => ({ ...base, ...fields, updatedAt: '2024-01-03T00:00:00.000Z' });
+  
+  beforeEach(() => {
+    ({ syncMerger } = loadScripts(['js/syncMerger.js']));
+  });
+  
+  it('keeps tags added and removed on both sides', () => {
+    const { merged, conflicts } = syncMerger.merge(
+      local({ tags: ['news', 'tech', 'ml'] }),
+      remote({ tags: ['news', 'cooking'] }),
+      base
+    );
+    
+    assert.deepEqual([...merged.tags], ['news', 'ml', 'cooking']);
+    assert.deepEqual([...conflicts], []);
+  });
+  
+  it('takes fields changed on one side only', () => {
+    const { merged, conflicts } = syncMerger.merge(local({ title: 'Renamed here' }), remote({ notes: 'Edited elsewhere' }), base);
+    
+    assert.equal(merged.title, 'Renamed here');
+    assert.equal(merged.notes, 'Edited elsewhere');
+    assert.equal(merged.updatedAt, '2024-01-03T00:00:00.000Z');
+    assert.deepEqual([...conflicts], []);
+  });
+  
+  it('reports a field changed differently on both sides as a conflict', () => {
+    const { merged, conflicts } = syncMerger.merge(local({ title: 'Here' }), remote({ title: 'There' }), base);
+    
+    assert.deepEqual([...conflicts], ['title']);
+    assert.equal(merged.title, 'Here');
+  });
+  
+  it('does not report the same change made on both sides', () => {
+    const { merged, conflicts } = syncMerger.merge(local({ title: 'Same' }), remote({ title: 'Same' }), base);
+    
+    assert.equal(merged.title, 'Same');
+    assert.deepEqual([...conflicts], []);
+  });
+  
+  it('lets the newest position win', () => {
+    const { merged, conflicts } = syncMerger.merge(local({ position: 5 }), remote({ position: 9 }), base);
+    
+    assert.equal(merged.position, 9);
+    assert.deepEqual([...conflicts], []);
+  });
+  
+  it('reports deleting on one side while editing on the other', () => {
+    const { merged, conflicts } = syncMerger.merge(
+      local({ title: 'Edited here' }),
+      remote({ deletedAt: '2024-01-03T00:00:00.000Z' }),
+      base
+    );
+    
+    assert.deepEqual([...conflicts], ['deletedAt']);
+    assert.equal(merged.deletedAt, undefined);
+  });
+  
+  it('ignores fields each device keeps for itself', () => {
+    assert.deepEqual([...syncMerger.getChangedFields(base, { ...base, canonicalUrl: 'example.com/a', syncBase: {}, updatedAt: 'now' })], []);
+  });
+});
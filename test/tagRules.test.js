@@ -0,0 +1,36 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+
+describe('applyTagRules', () => {
+  let db;
+  
+  const addPost = (id, url, tags) => db.addPost({ id, url, platform: 'website', tags }, false);
+  
+  beforeEach(async () => {
+    ({ db } = loadScripts(DB_SCRIPTS));
+    await db.init();
+    
+    await addPost('a', 'https://example.com/a', ['news']);
+    await addPost('b', 'https://blog.example.com/b', []);
+    await addPost('c', 'https://other.org/c', []);
+    await db.addBoard({ id: 'reading', title: 'Reading', postIds: ['c'] }, false);
+  });
+  
+  it('tags every matching post in one transaction and updates each board once', async () => {
+    db.updatePost = () => assert.fail('updatePost should not be called');
+    db.updateBoard = () => assert.fail('updateBoard should not be called');
+    
+    const rule = db.createTagRule({ title: 'Example', domain: 'example.com', tags: ['example', 'news'], boardId: 'reading' });
+    const changes = await db.applyTagRules([rule]);
+    
+    assert.deepEqual([...changes].map(change => change.post.id).sort(), ['a', 'b']);
+    assert.deepEqual([...(await db.getPostById('a')).tags], ['news', 'example']);
+    assert.deepEqual([...(await db.getPostById('b')).tags], ['example', 'news']);
+    assert.deepEqual([...(await db.getPostById('c')).tags], []);
+    assert.deepEqual([...(await db.getBoardById('reading')).postIds].sort(), ['a', 'b', 'c']);
+    
+    const counts = Object.fromEntries([...await db.getAllTags()].map(tag => [tag.name, tag.count]));
+    assert.deepEqual(counts, { news: 2, example: 2 });
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+
+describe('renaming and merging nested tags', () => {
+  let db;
+
+  /**
+   * Get the tags of every post
+   * @returns {Promise<Object>} Tags by post ID
+   */
+  const getTagsByPost = async () => {
+    const posts = await db.getAllPosts();
+    return Object.fromEntries(posts.map(post => [post.id, [...post.tags].sort()]));
+  };
+
+  beforeEach(async () => {
+    ({ db } = loadScripts(DB_SCRIPTS));
+    await db.init();
+    
+    await db.addPost({ id: 'a', url: 'https://example.com/a', platform: 'website', tags: ['work'] }, false);
+    await db.addPost({ id: 'b', url: 'https://example.com/b', platform: 'website', tags: ['work/archive', 'news'] }, false);
+    await db.addPost({ id: 'c', url: 'https://example.com/c', platform: 'website', tags: ['work/ml/papers'] }, false);
+  });
+  
+  it('moves nested tags along with a renamed tag', async () => {
+    assert.equal(await db.renameTag('work', 'job'), 3);
+    assert.deepEqual(await getTagsByPost(), { a: ['job'], b: ['job/archive', 'news'], c: ['job/ml/papers'] });
+  });
+  
+  it('moves a nested tag up to its parent', async () => {
+    await db.renameTag('work/ml', 'work');
+    assert.deepEqual(await getTagsByPost(), { a: ['work'], b: ['news', 'work/archive'], c: ['work/papers'] });
+  });
+  
+  it('rejects renaming a tag into its own nested tag', async () => {
+    await assert.rejects(db.renameTag('work', 'work/archive'), /own nested tag "work\/archive"/);
+    assert.deepEqual(await getTagsByPost(), { a: ['work'], b: ['news', 'work/archive'], c: ['work/ml/papers'] });
+  });
+  
+  it('rejects merging a tag into its own nested tag', async () => {
+    await assert.rejects(db.mergeTags(['work', 'work/archive', 'news'], 'work/archive'), /own nested tag/);
+    assert.deepEqual(await getTagsByPost(), { a: ['work'], b: ['news', 'work/archive'], c: ['work/ml/papers'] });
+  });
+  
+  it('rejects moving tag metadata into a nested tag', async () => {
+    await db.saveTagMeta('work', { color: '#ff0000' }, false);
+    
+    await assert.rejects(db.moveTagMeta(['work'], 'work/archive', false), /own nested tag/);
+    
+    const names = (await db.getAllTagMeta()).map(meta => meta.name);
+    assert.deepEqual([...names], ['work']);
+  });
+});
@@ -0,0 +1,28 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+describe('toast', () => {
+  let window;
+  let toast;
+  
+  beforeEach(() => {
+    ({ window, toast } = loadScripts(['js/config.js', 'js/ui/toast.js'], { body: '<div id="toastContainer"></div>' }));
+  });
+  
+  it('shows tag names as text', () => {
+    const name = '<img src=x onerror="alert(1)">';
+    const { element } = toast.success(`Tag "${name}" deleted`);
+    
+    assert.equal(element.querySelector('.toast-message').textContent, `Tag "${name}" deleted`);
+    assert.equal(element.querySelector('img'), null);
+    assert.equal(window.document.querySelectorAll('#toastContainer .toast').length, 1);
+  });
+  
+  it('shows the action label as text', () => {
+    const { element } = toast.info('Done', 1000, { label: '<b>Undo</b>', onClick() {} });
+    
+    assert.equal(element.querySelector('.toast-action').textContent, '<b>Undo</b>');
+    assert.equal(element.querySelector('b'), null);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+
+describe('trash', () => {
+  let db;
+  
+  beforeEach(async () => {
+    ({ db } = loadScripts(DB_SCRIPTS));
+    await db.init();
+    
+    await db.addPost({ id: 'a', url: 'https://example.com/a', platform: 'website', title: 'Private title', notes: 'Private notes', tags: ['secret'] });
+    await db.deletePost('a');
+  });
+  
+  it('pushes a purged post without its content', async () => {
+    assert.equal(await db.purgePosts(['a']), 1);
+    
+    const entry = (await db.getOutbox()).pop();
+    const { id, deletedAt, purgedAt, updatedAt, ...content } = entry.data;
+    
+    assert.equal(id, 'a');
+    assert.ok(deletedAt);
+    assert.ok(purgedAt);
+    assert.equal(updatedAt, purgedAt);
+    assert.ok(Object.keys(content).length > 0);
+    assert.ok(Object.values(content).every(value => value === null), JSON.stringify(content));
+  });
+  
+  it('restores a trashed post when its link is saved again', async () => {
+    const post = await db.addPost({ url: 'https://example.com/a', platform: 'website', tags: ['new'] });
+    
+    assert.equal(post.id, 'a');
+    assert.equal(post.deletedAt, undefined);
+    assert.equal(post.notes, 'Private notes');
+    assert.deepEqual([...post.tags].sort(), ['new', 'secret']);
+    assert.ok((await db.getRevisions('a')).length > 1);
+    assert.equal((await db.getTrashedPosts()).length, 0);
+  });
+  
+  it('keeps posts trashed on another device in the trash', async () => {
+    const now = new Date().toISOString();
+    
+    await db.addPost({ id: 'b', url: 'https://example.com/b', platform: 'website', tags: [] }, false);
+    await db.mergeRemotePosts([
+      { id: 'remote', url: 'https://example.com/remote', platform: 'website', tags: ['elsewhere'], dateAdded: now, updatedAt: now, deletedAt: now, user_id: 'u1' },
+      { id: 'resaved', url: 'https://example.com/b', platform: 'website', tags: [], dateAdded: now, updatedAt: now, deletedAt: now, user_id: 'u1' }
+    ], { fullSync: true });
+    
+    const trashedIds = (await db.getTrashedPosts()).map(post => post.id);
+    
+    assert.ok(trashedIds.includes('remote'));
+    assert.ok(!trashedIds.includes('resaved'));
+    assert.equal((await db.getPostById('b')).url, 'https://example.com/b');
+    assert.deepEqual([...(await db.getAllTags()).map(tag => tag.name)], []);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+const { createSupabaseServer, sync } = require('./helpers/supabaseServer');
+
+describe('undoManager', () => {
+  let db;
+  let undoManager;
+  let server;
+  
+  const tagsOf = async id => [...(await db.getPostById(id)).tags];
+  
+  beforeEach(async () => {
+    server = createSupabaseServer();
+    
+    const scripts = loadScripts([...DB_SCRIPTS, 'js/ui/toast.js', 'js/ui/components/undoManager.js'], {
+      body: '<div id="toastContainer"></div>',
+      supabase: server.supabase
+    });
+    
+    // Views reloaded after an undo, not under test here
+    Object.assign(scripts.window, {
+      boardManager: { loadBoards: async () => {} },
+      postManager: { resetAndReload() {} }
+    });
+    
+    ({ db, undoManager } = scripts);
+    await db.init();
+    
+    await db.addPost({ id: 'a', url: 'https://example.com/a', platform: 'website', tags: [] }, false);
+    await db.addPost({ id: 'b', url: 'https://example.com/b', platform: 'website', tags: [] }, false);
+  });
+  
+  afterEach(() => {
+    undoManager.activeToast.close();
+  });
+  
+  it('names the board posts were moved to as text', async () => {
+    const board = await db.addBoard({ title: '<img src=x onerror="alert(1)">' }, false);
+    
+    await undoManager.movePostsToBoard(['a', 'b'], board);
+    
+    const { element } = undoManager.activeToast;
+    
+    assert.equal(element.querySelector('.toast-message').textContent, `2 posts added to ${board.title}`);
+    assert.equal(element.querySelector('img'), null);
+    assert.deepEqual([...(await db.getBoardById(board.id)).postIds].sort(), ['a', 'b']);
+  });
+  
+  it('undoes and redoes a change', async () => {
+    await undoManager.retagPosts(['a', 'b'], { add: ['news'] });
+    assert.deepEqual(await tagsOf('a'), ['news']);
+    
+    assert.equal(await undoManager.undo(), true);
+    assert.deepEqual(await tagsOf('a'), []);
+    assert.deepEqual(await tagsOf('b'), []);
+    
+    assert.equal(await undoManager.redo(), true);
+    assert.deepEqual(await tagsOf('a'), ['news']);
+    assert.deepEqual(await tagsOf('b'), ['news']);
+  });
+  
+  it('undo reverses the queued sync', async () => {
+    await sync(db);
+    db.isOnline = false;
+    
+    await undoManager.updatePost({ ...(await db.getPostById('a')), title: 'Edited' });
+    await undoManager.undo();
+    
+    db.isOnline = true;
+    await sync(db);
+    
+    assert.ok(server.upserts.every(({ row }) => row.title !== 'Edited'));
+    assert.equal((await db.getOutbox()).length, 0);
+  });
+  
+  it('records its own outbox entries without reading the outbox', async () => {
+    await sync(db);
+    db.isOnline = false;
+    
+    const getOutbox = db.getOutbox.bind(db);
+    let reads = 0;
+    
+    db.getOutbox = () => {
+      reads++;
+      return getOutbox();
+    };
+    
+    await undoManager.retagPosts(['a'], { add: ['news'] });
+    assert.equal(reads, 0);
+    
+    // A change made outside the command is left to the sync
+    await db.updatePost({ ...(await db.getPostById('b')), title: 'Edited meanwhile' });
+    await undoManager.undo();
+    
+    const outbox = [...await getOutbox()].map(entry => [entry.entityId, entry.data.title || null, [...entry.data.tags]]);
+    assert.deepEqual(outbox, [['b', 'Edited meanwhile', []], ['a', null, []]]);
+  });
+});
@@ -0,0 +1,151 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, DB_SCRIPTS } = require('./helpers/loadScripts');
+
+const PAGE_URL = 'https://www.example.com/posts/hello-world';
+
+describe('linkUnfurler with the stub provider', () => {
+  let CONFIG;
+  let linkUnfurler;
+  
+  beforeEach(() => {
+    ({ CONFIG, linkUnfurler } = loadScripts(['js/config.js', 'js/unfurl.js']));
+    CONFIG.unfurl.provider = 'stub';
+  });
+  
+  /**
+   * Serve the stub page with parts of it removed
+   * @param {Array<RegExp>} patterns - Markup to remove from the page
+   */
+  const useTrimmedStub = (patterns) => {
+    linkUnfurler.registerProvider('trimmed', async (url) => {
+      const html = await linkUnfurler.fetchFromStub(url);
+      return patterns.reduce((result, pattern) => result.replace(pattern, ''), html);
+    });
+    CONFIG.unfurl.provider = 'trimmed';
+  };
+  
+  it('takes the title, description and site name from OpenGraph', async () => {
+    const metadata = await linkUnfurler.unfurl(PAGE_URL);
+    
+    assert.equal(metadata.title, 'hello world');
+    assert.equal(metadata.description, 'Offline preview of example.com/posts/hello-world');
+    assert.equal(metadata.siteName, 'example.com');
+  });
+  
+  it('falls back to the Twitter Card image, resolved against the page URL', async () => {
+    const metadata = await linkUnfurler.unfurl(PAGE_URL);
+    
+    assert.equal(metadata.image, 'https://www.example.com/stub-image.png');
+  });
+  
+  it('prefers JSON-LD over the title element when OpenGraph is missing', async () => {
+    useTrimmedStub([/<meta property="og:[^>]*>/g]);
+    
+    const metadata = await linkUnfurler.unfurl(PAGE_URL);
+    
+    assert.equal(metadata.title, 'hello world');
+    assert.equal(metadata.siteName, 'example.com');
+    assert.equal(metadata.description, '');
+  });
+  
+  it('finds the advertised oEmbed endpoint', async () => {
+    const html = await linkUnfurler.fetchFromStub(PAGE_URL);
+    const metadata = linkUnfurler.parseHTML(html, PAGE_URL);
+    
+    assert.equal(metadata.oembedUrl, `https://www.example.com/__stub__/oembed?url=${encodeURIComponent(PAGE_URL)}`);
+  });
+  
+  it('fills the title and site name from oEmbed when the page has none', async () => {
+    useTrimmedStub([/<meta property="og:[^>]*>/g, /<title>.*<\/title>/, /<script type="application\/ld\+json">.*<\/script>/]);
+    
+    const metadata = await linkUnfurler.unfurl(PAGE_URL);
+    
+    assert.equal(metadata.title, `Stub oEmbed for ${PAGE_URL}`);
+    assert.equal(metadata.siteName, 'Stub oEmbed');
+    assert.equal(metadata.image, 'https://www.example.com/stub-image.png');
+  });
+  
+  it('returns null when the page has no metadata', async () => {
+    linkUnfurler.registerProvider('empty', async () => '<!DOCTYPE html><html><head></head><body></body></html>');
+    CONFIG.unfurl.provider = 'empty';
+    
+    assert.equal(await linkUnfurler.unfurl(PAGE_URL), null);
+  });
+  
+  it('fetches a URL once while a request for it is in flight', async () => {
+    let fetches = 0;
+    
+    linkUnfurler.registerProvider('counting', async (url) => {
+      fetches++;
+      return linkUnfurler.fetchFromStub(url);
+    });
+    CONFIG.unfurl.provider = 'counting';
+    
+    const [first, second] = await Promise.all([linkUnfurler.unfurl(PAGE_URL), linkUnfurler.unfurl(PAGE_URL)]);
+    
+    assert.equal(first, second);
+    assert.equal(fetches, 1);
+  });
+});
+
+describe('unfurling saved links', () => {
+  let CONFIG;
+  let db;
+  let linkUnfurler;
+  let embedHandler;
+  let fetches;
+  
+  beforeEach(async () => {
+    ({ CONFIG, db, linkUnfurler, embedHandler } = loadScripts([...DB_SCRIPTS, 'js/unfurl.js', 'js/embedHandlers.js']));
+    await db.init();
+    
+    fetches = 0;
+    linkUnfurler.registerProvider('counting', async (url) => {
+      fetches++;
+      return linkUnfurler.fetchFromStub(url);
+    });
+    CONFIG.unfurl.provider = 'counting';
+    
+    await db.addPost({ id: 'a', url: PAGE_URL, platform: 'website', tags: [] }, false);
+  });
+  
+  it('stores the metadata once when the link is saved, without a revision', async () => {
+    const revisions = (await db.getRevisions('a')).length;
+    
+    await linkUnfurler.unfurlPost('a');
+    await linkUnfurler.unfurlPost('a');
+    
+    const post = await db.getPostById('a');
+    assert.equal(post.title, 'hello world');
+    assert.ok(post.unfurledAt);
+    assert.equal(fetches, 1);
+    assert.equal((await db.getRevisions('a')).length, revisions);
+  });
+  
+  it('records a failed unfurl so the link is not fetched again', async () => {
+    linkUnfurler.registerProvider('failing', async () => {
+      fetches++;
+      throw new Error('Proxy responded with 502');
+    });
+    CONFIG.unfurl.provider = 'failing';
+    
+    await linkUnfurler.unfurlPost('a');
+    await linkUnfurler.unfurlPost('a');
+    
+    assert.ok((await db.getPostById('a')).unfurledAt);
+    assert.equal(fetches, 1);
+  });
+  
+  it('renders the stored metadata without fetching or writing', async () => {
+    await linkUnfurler.unfurlPost('a');
+    fetches = 0;
+    db.saveLinkMetadata = () => assert.fail('saveLinkMetadata should not be called');
+    db.updatePost = () => assert.fail('updatePost should not be called');
+    
+    const metadata = await embedHandler.getWebsiteMetadata(PAGE_URL);
+    
+    assert.equal(metadata.title, 'hello world');
+    assert.equal(fetches, 0);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/loadScripts');
+
+describe('urlCanonicalizer', () => {
+  let urlCanonicalizer;
+  
+  /**
+   * Check that links canonicalize to the same URL
+   * @param {string} expected - Canonical URL
+   * @param {Array<string>} urls - Equivalent links
+   */
+  const assertCanonical = (expected, urls) => {
+    for (const url of urls) {
+      assert.equal(urlCanonicalizer.canonicalize(url), expected, url);
+    }
+  };
+  
+  beforeEach(() => {
+    ({ urlCanonicalizer } = loadScripts(['js/config.js', 'js/urlCanonicalizer.js']));
+  });
+  
+  it('treats twitter.com and x.com links to a post as the same', () => {
+    assertCanonical('https://x.com/i/status/1234567890', [
+      'https://twitter.com/someone/status/1234567890',
+      'https://x.com/someone/status/1234567890?s=20&t=abc',
+      'https://mobile.twitter.com/someone/statuses/1234567890',
+      'http://www.twitter.com/#!/someone/status/1234567890',
+      ' https://X.com/Other/status/1234567890/photo/1 '
+    ]);
+  });
+  
+  it('treats youtu.be, watch and embed links to a video as the same', () => {
+    assertCanonical('https://www.youtube.com/watch?v=dQw4w9WgXcQ', [
+      'https://youtu.be/dQw4w9WgXcQ',
+      'https://youtu.be/dQw4w9WgXcQ?si=tracking',
+      'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42s',
+      'https://m.youtube.com/watch?feature=share&v=dQw4w9WgXcQ',
+      'https://www.youtube.com/embed/dQw4w9WgXcQ'
+    ]);
+  });
+  
+  it('drops utm_ and other tracking parameters and sorts the rest', () => {
+    assertCanonical('https://example.com/article?id=7&page=2', [
+      'https://example.com/article?page=2&id=7',
+      'https://example.com/article?utm_source=feed&UTM_Medium=rss&id=7&page=2',
+      'https://example.com/article/?fbclid=abc&page=2&id=7#comments',
+      'http://example.com/article?id=7&gclid=x&page=2&mc_cid=y'
+    ]);
+  });
+  
+  it('drops www., m. and mobile. host prefixes but keeps short domains', () => {
+    assertCanonical('https://example.com/news', [
+      'https://www.example.com/news',
+      'https://m.example.com/news',
+      'https://mobile.example.com/news/'
+    ]);
+    
+    assert.equal(urlCanonicalizer.canonicalize('https://m.me/someone'), 'https://m.me/someone');
+  });
+  
+  it('keeps links that are not web pages as they are', () => {
+    assert.equal(urlCanonicalizer.canonicalize('mailto:me@example.com'), 'mailto:me@example.com');
+    assert.equal(urlCanonicalizer.canonicalize('not a url'), 'not a url');
+  });
+});